@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+
+const algorithm = 'AWS4-HMAC-SHA256';
+const unsignedPayload = 'UNSIGNED-PAYLOAD';
+// AWS rejects signatures more than 5 minutes off its clock
+const maxClockSkew = 5 * 60 * 1000;
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * URI-encode a value the way SigV4 expects: every byte except the RFC 3986
+ * unreserved characters.
+ *
+ * @private
+ *
+ * @param {String} value - The value to encode
+ *
+ * @return {String} The encoded value
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value)
+    .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * The canonical URI of a path. Outside S3, AWS encodes each segment of the
+ * already encoded path once more.
+ *
+ * @private
+ *
+ * @param {String} pathname - The encoded path of the URL
+ *
+ * @return {String} The canonical URI
+ */
+function canonicalUriFor(pathname) {
+  return (pathname || '/').split('/').map(uriEncode).join('/');
+}
+
+function canonicalQueryFor(searchParams) {
+  return [...searchParams.entries()]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) => {
+      if (keyA !== keyB) { return keyA < keyB ? -1 : 1; }
+      if (valueA === valueB) { return 0; }
+      return valueA < valueB ? -1 : 1;
+    })
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function amzDateFor(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ *
+ * @see https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+ *
+ * @example
+ *
+ * const { authorization } = signatureV4({
+ *   method: 'GET',
+ *   url: 'https://example.amazonaws.com/',
+ *   headers: { host: 'example.amazonaws.com', 'x-amz-date': '20150830T123600Z' },
+ *   payloadHash: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+ *   credentials: { accessKeyId, secretAccessKey },
+ *   region: 'us-east-1',
+ *   service: 'service',
+ * });
+ *
+ * @param {Object} params - The signing parameters
+ * @param {String} params.method - HTTP method
+ * @param {String} params.url - Absolute request URL
+ * @param {Object} params.headers - The headers to sign, including host and
+ *   x-amz-date
+ * @param {String} params.payloadHash - Hex SHA-256 hash of the body, or
+ *   'UNSIGNED-PAYLOAD'
+ * @param {Object} params.credentials - The accessKeyId and secretAccessKey
+ * @param {String} params.region - AWS region, e.g. 'us-east-1'
+ * @param {String} params.service - AWS service name, e.g. 'healthlake'
+ *
+ * @return {Object} The authorization header value, signature, canonical
+ *   request and string to sign
+ */
+function signatureV4({
+  method, url, headers, payloadHash, credentials, region, service,
+}) {
+  const { pathname, searchParams } = new URL(url);
+  const canonicalHeaders = Object.keys(headers)
+    .map((name) => [name.toLowerCase(), String(headers[name]).trim().replace(/\s+/g, ' ')])
+    .sort(([nameA], [nameB]) => (nameA < nameB ? -1 : 1));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalUriFor(pathname),
+    canonicalQueryFor(searchParams),
+    ...canonicalHeaders.map(([name, value]) => `${name}:${value}`),
+    '',
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const amzDate = canonicalHeaders.find(([name]) => name === 'x-amz-date')[1];
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const stringToSign = [algorithm, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [amzDate.slice(0, 8), region, service, 'aws4_request']
+    .reduce(hmac, `AWS4${credentials.secretAccessKey}`);
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    authorization: `${algorithm} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    signature,
+    canonicalRequest,
+    stringToSign,
+  };
+}
+
+/**
+ * Request signer for AWS services such as AWS HealthLake, which sign requests
+ * with AWS Signature Version 4 instead of taking a bearer token.
+ *
+ * @example
+ *
+ * const signer = new AwsSigV4Signer({
+ *   region: 'us-east-1',
+ *   credentials: async () => ({ accessKeyId, secretAccessKey, sessionToken }),
+ * });
+ * const client = new Client({ baseUrl, awsSigV4: signer });
+ */
+class AwsSigV4Signer {
+  /**
+   * Create a signer.
+   *
+   * @param {Object} settings - The signer settings
+   * @param {String} settings.region - AWS region, e.g. 'us-east-1'
+   * @param {String} [settings.service] - AWS service name, defaults to
+   *   'healthlake'
+   * @param {Object|Function} settings.credentials - The accessKeyId,
+   *   secretAccessKey and optional sessionToken, or a function that returns
+   *   them or a Promise of them. Functions are called for each request, so
+   *   they can refresh temporary credentials.
+   * @param {Number} [settings.clockOffset] - Optional milliseconds to add to
+   *   the local clock. It is corrected from the Date of responses when the
+   *   clocks are more than 5 minutes apart.
+   */
+  constructor({
+    region,
+    service = 'healthlake',
+    credentials,
+    clockOffset = 0,
+  }) {
+    if (!region) {
+      throw new Error('AWS SigV4 signing needs a region');
+    }
+    if (!credentials) {
+      throw new Error('AWS SigV4 signing needs credentials');
+    }
+    this.region = region;
+    this.service = service;
+    this.credentials = credentials;
+    this.clockOffset = clockOffset;
+    this.middleware = {
+      afterResponse: async ({ response }) => {
+        this.correctClock(response.headers.get('date'));
+      },
+    };
+  }
+
+  /**
+   * Get a signer for the awsSigV4 setting of a client.
+   *
+   * @param {AwsSigV4Signer|Object} signerOrSettings - A signer, or the
+   *   settings of a new one
+   *
+   * @return {AwsSigV4Signer} The signer
+   */
+  static for(signerOrSettings) {
+    return signerOrSettings instanceof AwsSigV4Signer
+      ? signerOrSettings
+      : new AwsSigV4Signer(signerOrSettings);
+  }
+
+  /**
+   * Read the current credentials.
+   *
+   * @return {Promise<Object>} The accessKeyId, secretAccessKey and
+   *   sessionToken
+   */
+  async getCredentials() {
+    const credentials = typeof this.credentials === 'function'
+      ? await this.credentials()
+      : this.credentials;
+    if (!credentials || !credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error('AWS credentials need an accessKeyId and a secretAccessKey');
+    }
+    return credentials;
+  }
+
+  /**
+   * Sign a request, as the requestSigner of a client: sets the X-Amz-Date,
+   * X-Amz-Security-Token (with a session token) and Authorization headers.
+   * Streamed bodies are sent as an unsigned payload.
+   *
+   * @param {String} url - Absolute request URL
+   * @param {Object} requestOptions - The request options, with Headers
+   * @param {Object} [signedBody] - The body bytes and SHA-256 digest
+   *
+   * @return {Promise<undefined>} Resolves once the headers are set
+   */
+  async sign(url, requestOptions, { digest } = {}) {
+    const credentials = await this.getCredentials();
+    const { headers } = requestOptions;
+    headers.set('x-amz-date', amzDateFor(new Date(Date.now() + this.clockOffset)));
+    if (credentials.sessionToken) {
+      headers.set('x-amz-security-token', credentials.sessionToken);
+    } else {
+      headers.delete('x-amz-security-token');
+    }
+
+    const signed = { host: new URL(url).host };
+    headers.forEach((value, name) => {
+      if (name === 'content-type' || name.startsWith('x-amz-')) {
+        signed[name] = value;
+      }
+    });
+
+    const { authorization } = signatureV4({
+      method: requestOptions.method,
+      url,
+      headers: signed,
+      payloadHash: digest ? digest.toString('hex') : unsignedPayload,
+      credentials,
+      region: this.region,
+      service: this.service,
+    });
+    headers.set('authorization', authorization);
+  }
+
+  /**
+   * Correct the clock offset from the Date of a response, when the clocks
+   * are far enough apart for AWS to reject signatures.
+   *
+   * @param {String} [date] - The Date header of a response
+   *
+   * @return {undefined}
+   */
+  correctClock(date) {
+    const serverTime = Date.parse(date);
+    if (Number.isNaN(serverTime)) { return; }
+    if (Math.abs(serverTime - (Date.now() + this.clockOffset)) >= maxClockSkew) {
+      this.clockOffset = serverTime - Date.now();
+    }
+  }
+}
+
+module.exports = {
+  AwsSigV4Signer,
+  signatureV4,
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const HttpClient = require('./http-client');
+const { authFromWellKnown } = require('./smart');
+const { TokenProvider, postTokenRequest } = require('./token-provider');
+
+const clientAssertionType = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const algorithmsByKeyType = { rsa: 'RS384', ec: 'ES384' };
+
+/**
+ * Encode a buffer or string as base64url without padding.
+ *
+ * @private
+ *
+ * @param {Buffer|String} value - The value to encode
+ *
+ * @return {String} base64url string
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Turn a JWK, PEM string or KeyObject into a private KeyObject.
+ *
+ * @private
+ *
+ * @param {Object|String|KeyObject} privateKey - The private key
+ *
+ * @return {KeyObject} The private key
+ */
+function privateKeyFrom(privateKey) {
+  if (privateKey instanceof crypto.KeyObject) { return privateKey; }
+  if (typeof privateKey === 'string' || Buffer.isBuffer(privateKey)) {
+    return crypto.createPrivateKey(privateKey);
+  }
+  return crypto.createPrivateKey({ key: privateKey, format: 'jwk' });
+}
+
+/**
+ * Create a signed JWT for the private_key_jwt client authentication of SMART
+ * Backend Services.
+ *
+ * @see http://hl7.org/fhir/smart-app-launch/client-confidential-asymmetric.html
+ *
+ * @param {Object} params - The assertion parameters
+ * @param {String} params.clientId - The client id, used as iss and sub
+ * @param {String|URL} params.tokenUrl - The token endpoint, used as aud
+ * @param {Object|String|KeyObject} params.privateKey - The private key, as a
+ *   JWK, PEM string or KeyObject
+ * @param {String} [params.algorithm] - Optional RS384 or ES384, defaults to
+ *   the one matching the key type
+ * @param {String} [params.keyId] - Optional kid header, defaults to the kid
+ *   of a JWK
+ * @param {String} [params.jku] - Optional URL of the client's JWK Set
+ * @param {Number} [params.lifetime] - Seconds until the assertion expires,
+ *   defaults to 300 (the longest lifetime allowed)
+ *
+ * @return {String} The signed JWT
+ */
+function createClientAssertion({
+  clientId,
+  tokenUrl,
+  privateKey,
+  algorithm,
+  keyId = privateKey && privateKey.kid,
+  jku,
+  lifetime = 300,
+}) {
+  const key = privateKeyFrom(privateKey);
+  const alg = algorithm || algorithmsByKeyType[key.asymmetricKeyType];
+  if (alg !== 'RS384' && alg !== 'ES384') {
+    throw new Error(`Unsupported client assertion algorithm ${alg || key.asymmetricKeyType}, use RS384 or ES384`);
+  }
+
+  const header = { alg, typ: 'JWT' };
+  if (keyId) { header.kid = keyId; }
+  if (jku) { header.jku = jku; }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: clientId,
+    sub: clientId,
+    aud: tokenUrl.toString(),
+    exp: now + lifetime,
+    jti: crypto.randomBytes(16).toString('hex'),
+  };
+
+  const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = alg === 'ES384'
+    ? crypto.sign('sha384', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' })
+    : crypto.sign('sha384', Buffer.from(signingInput), key);
+
+  return `${signingInput}.${base64url(signature)}`;
+}
+
+/**
+ * Token provider for SMART Backend Services: fetches system access tokens
+ * with the client_credentials grant, authenticating with a signed JWT.
+ * Tokens are cached until they are about to expire.
+ *
+ * @see http://hl7.org/fhir/smart-app-launch/backend-services.html
+ *
+ * @example
+ *
+ * const client = new Client({
+ *   baseUrl: 'https://ehr.example.com/fhir',
+ *   backendServices: {
+ *     clientId: 'bulk-worker',
+ *     privateKey: jwk,
+ *     scope: 'system/*.rs',
+ *   },
+ * });
+ *
+ * // Or, with a known token endpoint
+ * const tokenProvider = new BackendServicesTokenProvider({
+ *   clientId: 'bulk-worker',
+ *   privateKey: fs.readFileSync('private-key.pem', 'utf8'),
+ *   tokenUrl: 'https://auth.example.com/token',
+ *   scope: 'system/Patient.rs system/Observation.rs',
+ * });
+ * const client = new Client({ baseUrl, tokenProvider });
+ */
+class BackendServicesTokenProvider extends TokenProvider {
+  /**
+   * Create a backend services token provider.
+   *
+   * @param {Object} config - Token provider configuration, see also
+   *   TokenProvider
+   * @param {String} config.clientId - The registered client id
+   * @param {Object|String|KeyObject} config.privateKey - The private key, as
+   *   a JWK, PEM string or KeyObject
+   * @param {String} [config.scope] - Optional system scopes to request,
+   *   defaults to 'system/*.read'
+   * @param {String|URL} [config.tokenUrl] - Optional token endpoint,
+   *   discovered from the FHIR server's .well-known/smart-configuration when
+   *   not given
+   * @param {String} [config.fhirBaseUrl] - FHIR base URL used for discovery
+   * @param {String} [config.algorithm] - Optional RS384 or ES384
+   * @param {String} [config.keyId] - Optional kid of the key
+   * @param {String} [config.jku] - Optional URL of the client's JWK Set
+   * @param {Object} [config.requestOptions] - Optional fetch/agent options
+   *   for discovery and token requests
+   */
+  constructor({
+    clientId,
+    privateKey,
+    scope = 'system/*.read',
+    tokenUrl,
+    fhirBaseUrl,
+    algorithm,
+    keyId,
+    jku,
+    requestOptions,
+    ...config
+  }) {
+    super(config);
+    if (!tokenUrl && !fhirBaseUrl) {
+      throw new Error('BackendServicesTokenProvider needs a tokenUrl or a fhirBaseUrl');
+    }
+    this.clientId = clientId;
+    this.privateKey = privateKeyFrom(privateKey);
+    this.keyId = keyId || privateKey.kid;
+    this.algorithm = algorithm;
+    this.jku = jku;
+    this.scope = scope;
+    this.tokenUrl = tokenUrl;
+    this.fhirBaseUrl = fhirBaseUrl;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Discover the token endpoint, unless it was configured.
+   *
+   * @return {Promise<String|URL>} The token endpoint
+   */
+  async discoverTokenUrl() {
+    if (!this.tokenUrl) {
+      const wellKnownUrl = `${this.fhirBaseUrl.replace(/\/*$/, '/')}.well-known/smart-configuration`;
+      const httpClient = new HttpClient({
+        baseUrl: this.fhirBaseUrl,
+        requestOptions: this.requestOptions,
+      });
+      const wellKnown = await httpClient.get(wellKnownUrl, {
+        headers: { accept: 'application/json' },
+      });
+      const { tokenUrl } = authFromWellKnown(wellKnown);
+      if (!tokenUrl) {
+        throw new Error(`${this.fhirBaseUrl} does not advertise a token endpoint`);
+      }
+      this.tokenUrl = tokenUrl;
+    }
+    return this.tokenUrl;
+  }
+
+  /**
+   * Fetch a new token with the client_credentials grant.
+   *
+   * @return {Promise<Object>} The token endpoint response
+   */
+  async requestToken() {
+    const tokenUrl = await this.discoverTokenUrl();
+    const clientAssertion = createClientAssertion({
+      clientId: this.clientId,
+      tokenUrl,
+      privateKey: this.privateKey,
+      algorithm: this.algorithm,
+      keyId: this.keyId,
+      jku: this.jku,
+    });
+
+    return postTokenRequest({
+      tokenUrl,
+      form: {
+        grant_type: 'client_credentials',
+        scope: this.scope,
+        client_assertion_type: clientAssertionType,
+        client_assertion: clientAssertion,
+      },
+      requestOptions: this.requestOptions,
+    });
+  }
+}
+
+module.exports = {
+  BackendServicesTokenProvider,
+  createClientAssertion,
+};
@@ -0,0 +1,93 @@
+const { Readable } = require('stream');
+
+const fhirJsonTypes = /^application\/(fhir\+json|json\+fhir)/i;
+
+/**
+ * Whether a response with this content type holds a Binary resource rather
+ * than the raw content. Servers that only speak FHIR JSON answer raw reads
+ * with the resource, base64 data included.
+ *
+ * @private
+ *
+ * @param {String} responseType - Content-Type of the response
+ * @param {String} requestedType - The content type that was asked for
+ *
+ * @return {Boolean} true for a Binary resource
+ */
+function isBinaryResource(responseType, requestedType) {
+  if (fhirJsonTypes.test(responseType)) { return true; }
+  return /^application\/json/i.test(responseType) && !/json/i.test(requestedType);
+}
+
+/**
+ * Build a Binary resource for servers that do not accept raw content.
+ *
+ * @private
+ *
+ * @param {Object} params - The Binary content
+ * @param {String} [params.id] - Optional id, for updates
+ * @param {Buffer|String} params.content - The content
+ * @param {String} params.contentType - MIME type of the content
+ * @param {String} [params.securityContext] - Optional reference to the
+ *   resource that determines access to the content
+ *
+ * @return {Object} The Binary resource
+ */
+function binaryResourceFor({
+  id,
+  content,
+  contentType,
+  securityContext,
+}) {
+  const resource = { resourceType: 'Binary', contentType };
+  if (id) { resource.id = id; }
+  if (securityContext) { resource.securityContext = { reference: securityContext }; }
+  resource.data = Buffer.from(content).toString('base64');
+  return resource;
+}
+
+/**
+ * The Binary resource in a JSON response body, if it holds one. Other JSON,
+ * e.g. a document Bundle or JSON content, and bytes that are not JSON at all
+ * are raw content.
+ *
+ * @private
+ *
+ * @param {Buffer} bytes - The response body
+ *
+ * @return {Object|undefined} The Binary resource
+ */
+function binaryResourceIn(bytes) {
+  try {
+    const resource = JSON.parse(bytes.toString('utf8'));
+    return resource && resource.resourceType === 'Binary' ? resource : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Unpack a Binary resource into the shape of a raw Binary read.
+ *
+ * @private
+ *
+ * @param {Object} resource - The Binary resource
+ * @param {Boolean} stream - Whether to return the content as a stream
+ *
+ * @return {Object} contentType, securityContext and content
+ */
+function binaryContentFrom(resource, stream) {
+  const content = Buffer.from(resource.data || '', 'base64');
+  return {
+    contentType: resource.contentType,
+    securityContext: resource.securityContext && resource.securityContext.reference,
+    content: stream ? Readable.from([content]) : content,
+  };
+}
+
+module.exports = {
+  binaryContentFrom,
+  binaryResourceFor,
+  binaryResourceIn,
+  isBinaryResource,
+};
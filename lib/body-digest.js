@@ -0,0 +1,74 @@
+/* global Blob */
+const crypto = require('crypto');
+const { isStream } = require('./streams');
+
+/**
+ * Read the bytes a request body is sent as. Strings are encoded as UTF-8.
+ *
+ * @param {String|Buffer|ArrayBuffer|ArrayBufferView|Blob} [body] - The body,
+ *   already stringified
+ *
+ * @return {Promise<Buffer|undefined>} The body bytes, empty without a body,
+ *   or undefined for streams, which are only read as they are sent
+ */
+async function bodyBytesFor(body) {
+  if (body === undefined || body === null) {
+    return Buffer.alloc(0);
+  }
+  if (isStream(body)) {
+    return undefined;
+  }
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return Buffer.from(await body.arrayBuffer());
+  }
+  if (ArrayBuffer.isView(body)) {
+    return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  }
+  return Buffer.from(body);
+}
+
+/**
+ * Hash request body bytes with SHA-256.
+ *
+ * @param {Buffer|String} bytes - The body bytes
+ *
+ * @return {Buffer} The digest
+ */
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest();
+}
+
+/**
+ * Format a SHA-256 digest as a `Digest` header value (RFC 3230).
+ *
+ * @example
+ *
+ * requestSigner: (url, requestOptions, { digest }) => {
+ *   requestOptions.headers.set('Digest', digestHeader(digest));
+ * }
+ *
+ * @param {Buffer} digest - The SHA-256 digest of the body
+ *
+ * @return {String} The header value, e.g. 'SHA-256=X48E9q...'
+ */
+function digestHeader(digest) {
+  return `SHA-256=${digest.toString('base64')}`;
+}
+
+/**
+ * Format a SHA-256 digest as a `Content-Digest` header value (RFC 9530).
+ *
+ * @param {Buffer} digest - The SHA-256 digest of the body
+ *
+ * @return {String} The header value, e.g. 'sha-256=:X48E9q...:'
+ */
+function contentDigestHeader(digest) {
+  return `sha-256=:${digest.toString('base64')}:`;
+}
+
+module.exports = {
+  bodyBytesFor,
+  contentDigestHeader,
+  digestHeader,
+  sha256,
+};
@@ -0,0 +1,213 @@
+const HttpClient = require('./http-client');
+const { parseRetryAfter, wait } = require('./retry-policy');
+
+function abortError() {
+  const error = new Error('Bulk export polling was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * A Bulk Data export that the server is running asynchronously. Use
+ * Client#bulkExport to start one.
+ *
+ * @see https://hl7.org/fhir/uv/bulkdata/export.html
+ *
+ * @example
+ *
+ * const job = await client.bulkExport({
+ *   resourceType: 'Group',
+ *   id: 'diabetes-cohort',
+ *   type: ['Patient', 'Observation'],
+ *   since: '2023-01-01T00:00:00Z',
+ * });
+ * const manifest = await job.waitForCompletion({
+ *   onProgress: ({ progress }) => console.log(progress),
+ * });
+ *
+ * for await (const resource of job.resources({ types: ['Observation'] })) {
+ *   console.log(resource.id);
+ * }
+ */
+class BulkExportJob {
+  /**
+   * Create a job for an export status URL, e.g. to resume polling an export
+   * started earlier.
+   *
+   * @param {Object} params - The job parameters
+   * @param {HttpClient} params.httpClient - HTTP client of the FHIR server
+   * @param {String} params.statusUrl - The Content-Location of the kick-off
+   *   response
+   */
+  constructor({ httpClient, statusUrl }) {
+    this.httpClient = httpClient;
+    this.statusUrl = statusUrl;
+  }
+
+  /**
+   * Send a kick-off request and return the job from its Content-Location.
+   *
+   * @private
+   *
+   * @param {Object} params - The kick-off parameters
+   * @param {HttpClient} params.httpClient - HTTP client of the FHIR server
+   * @param {String} params.url - The $export URL, with its parameters
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<BulkExportJob>} The started job
+   */
+  static async kickOff({ httpClient, url, options = {} }) {
+    const response = await httpClient.get(url, {
+      ...options,
+      headers: {
+        accept: 'application/fhir+json',
+        prefer: 'respond-async',
+        ...HttpClient.lcKeys(options.headers),
+      },
+    });
+    const statusUrl = HttpClient.responseFor(response).headers.get('content-location');
+    if (!statusUrl) {
+      throw new Error('Bulk export kick-off response has no Content-Location');
+    }
+    return new BulkExportJob({ httpClient, statusUrl });
+  }
+
+  /**
+   * Check the status of the export once.
+   *
+   * @param {Object} [params] - The request parameters
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} complete, and either progress (X-Progress) and
+   *   retryAfter (milliseconds) while in progress, or the manifest when
+   *   complete
+   * @throws {FhirRequestError} when the export failed
+   */
+  async status({ options = {} } = {}) {
+    const data = await this.httpClient.get(this.statusUrl, {
+      ...options,
+      headers: { accept: 'application/json', ...HttpClient.lcKeys(options.headers) },
+    });
+    const { status, headers } = HttpClient.responseFor(data);
+
+    if (status === 202) {
+      return {
+        complete: false,
+        progress: headers.get('x-progress') || undefined,
+        retryAfter: parseRetryAfter(headers.get('retry-after')),
+      };
+    }
+
+    this.manifest = data;
+    return { complete: true, manifest: data };
+  }
+
+  /**
+   * Poll the status until the export is complete, waiting as long as the
+   * server's Retry-After asks between polls.
+   *
+   * @param {Object} [params] - The polling parameters
+   * @param {Number} [params.pollInterval] - Milliseconds between polls when
+   *   the server does not send Retry-After, defaults to 5000
+   * @param {Function} [params.onProgress] - Optional callback called with
+   *   the status after each poll while in progress
+   * @param {AbortSignal} [params.signal] - Optional signal to stop polling
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} The export manifest, with output and error
+   *   file lists
+   */
+  async waitForCompletion({
+    pollInterval = 5000,
+    onProgress,
+    signal,
+    options = {},
+  } = {}) {
+    const pollSignal = signal || options.signal;
+    const pollOptions = { ...options, signal: pollSignal };
+    let status = await this.status({ options: pollOptions });
+
+    while (!status.complete) {
+      if (onProgress) { onProgress(status); }
+      const delay = status.retryAfter === undefined ? pollInterval : status.retryAfter;
+      // eslint-disable-next-line no-await-in-loop
+      await wait(delay, pollSignal);
+      if (pollSignal && pollSignal.aborted) { throw abortError(); }
+      // eslint-disable-next-line no-await-in-loop
+      status = await this.status({ options: pollOptions });
+    }
+
+    return status.manifest;
+  }
+
+  /**
+   * Cancel the export, or tell the server that the files may be deleted once
+   * they have been downloaded.
+   *
+   * @param {Object} [params] - The request parameters
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} The response body, if any
+   */
+  async cancel({ options = {} } = {}) {
+    return this.httpClient.delete(this.statusUrl, options);
+  }
+
+  /**
+   * Iterate over the resources of all output files, parsed one line at a
+   * time. Waits for completion first unless the job is already complete.
+   *
+   * @param {Object} [params] - The iteration parameters
+   * @param {String[]} [params.types] - Optional resource types of the files
+   *   to read, defaults to all files
+   * @param {Object} [params.manifest] - Optional manifest, defaults to the
+   *   manifest of the completed job
+   * @param {Object} [params.options] - Optional options object, for status
+   *   and file requests
+   *
+   * @return {AsyncIterableIterator<Object>} The exported resources
+   */
+  async* resources({ types, manifest, options = {} } = {}) {
+    const { output = [], requiresAccessToken } = manifest
+      || this.manifest
+      || await this.waitForCompletion({ options });
+    const files = types ? output.filter((file) => types.includes(file.type)) : output;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const file of files) {
+      yield* this.fileResources({ file, requiresAccessToken, options });
+    }
+  }
+
+  /**
+   * Iterate over the resources of one output or error file, parsed one line
+   * at a time as the file downloads.
+   *
+   * @param {Object} params - The file parameters
+   * @param {Object} params.file - An entry of the manifest's output or error
+   *   lists, with a url
+   * @param {Boolean} [params.requiresAccessToken] - Whether to authorize the
+   *   file request, defaults to the manifest's requiresAccessToken
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {AsyncIterableIterator<Object>} The resources in the file
+   */
+  async* fileResources({
+    file,
+    requiresAccessToken = this.manifest && this.manifest.requiresAccessToken,
+    options = {},
+  }) {
+    // Files without requiresAccessToken may be on storage that rejects the
+    // FHIR server's credentials, so they are requested without them
+    const httpClient = requiresAccessToken
+      ? this.httpClient
+      : new HttpClient({ baseUrl: file.url, requestOptions: this.httpClient.baseRequestOptions });
+    yield* await httpClient.get(file.url, {
+      ...options,
+      responseType: 'ndjson',
+      headers: { accept: 'application/fhir+ndjson', ...HttpClient.lcKeys(options.headers) },
+    });
+  }
+}
+
+module.exports = BulkExportJob;
@@ -0,0 +1,188 @@
+const { FhirRequestError, PartialTransactionError } = require('./errors');
+
+/**
+ * Collect the reference strings in a resource, and in the request url of
+ * conditional entries.
+ *
+ * @private
+ *
+ * @param {*} value - The resource, or a part of it
+ * @param {String[]} [references] - The references found so far
+ *
+ * @return {String[]} The references
+ */
+function referencesIn(value, references = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => referencesIn(item, references));
+  } else if (value instanceof Object) {
+    Object.keys(value).forEach((key) => {
+      if (key === 'reference' && typeof value[key] === 'string') {
+        references.push(value[key]);
+      } else {
+        referencesIn(value[key], references);
+      }
+    });
+  }
+  return references;
+}
+
+/**
+ * Split Bundle entries into chunks of at most chunkSize entries.
+ *
+ * @param {Object[]} entries - The Bundle entries
+ * @param {Number} chunkSize - The maximum number of entries per chunk
+ *
+ * @return {Array[]} The chunks
+ */
+function chunkEntries(entries, chunkSize) {
+  if (!(chunkSize >= 1)) {
+    throw new Error(`Invalid chunkSize ${chunkSize}`);
+  }
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += chunkSize) {
+    chunks.push(entries.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Find an entry that references an entry of another chunk, which the server
+ * could not resolve once the chunks are sent separately.
+ *
+ * @param {Array[]} chunks - The chunks of Bundle entries
+ *
+ * @return {Object|undefined} The referring fullUrl and the referenced
+ *   fullUrl, or undefined if every reference stays within its chunk
+ */
+function crossChunkReference(chunks) {
+  const chunkIndexes = new Map();
+  chunks.forEach((chunk, index) => {
+    chunk.forEach(({ fullUrl }) => { if (fullUrl) { chunkIndexes.set(fullUrl, index); } });
+  });
+
+  let found;
+  chunks.some((chunk, index) => chunk.some((entry) => {
+    const url = (entry.request && entry.request.url) || '';
+    const references = referencesIn(entry.resource);
+    const target = [...chunkIndexes.keys()].find((fullUrl) => (
+      chunkIndexes.get(fullUrl) !== index
+      && (references.includes(fullUrl) || url.includes(fullUrl))
+    ));
+    if (target) { found = { from: entry.fullUrl, to: target }; }
+    return Boolean(target);
+  }));
+  return found;
+}
+
+/**
+ * Turn the error of a batch chunk into a response entry for each of its
+ * entries, so that the other chunks' results are kept.
+ *
+ * @private
+ *
+ * @param {Object[]} chunk - The chunk of Bundle entries
+ * @param {FhirRequestError} error - The error
+ *
+ * @return {Object[]} The error response entries
+ */
+function errorEntriesFor(chunk, error) {
+  const outcome = error.operationOutcome || {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity: 'error', code: 'exception', diagnostics: error.message }],
+  };
+  return chunk.map(() => ({ response: { status: String(error.status), outcome } }));
+}
+
+/**
+ * Send the entries of a batch or transaction Bundle in chunks, with at most
+ * `concurrency` chunks in flight, and merge the response Bundles in the
+ * original order.
+ *
+ * A batch chunk rejected by the server (a FhirRequestError) gets a response
+ * entry per request with the status and OperationOutcome of the error; other
+ * errors, e.g. network errors or responses that fail signature
+ * verification, are thrown.
+ *
+ * Each chunk of a transaction is committed on its own, so transactions are
+ * only split when allowNonAtomic is set. When a chunk fails, no further
+ * chunks are sent and a PartialTransactionError with the responses of the
+ * committed chunks is thrown.
+ *
+ * @param {Object} params - The parameters
+ * @param {Object} params.bundle - The batch or transaction Bundle
+ * @param {Function} params.send - Sends one chunk Bundle, resolving to the
+ *   response Bundle
+ * @param {Number} params.chunkSize - The maximum number of entries per chunk
+ * @param {Number} [params.concurrency] - The number of chunks sent at once,
+ *   defaults to 1
+ * @param {Boolean} [params.allowNonAtomic] - Split transactions into
+ *   separate transactions, even when their entries reference each other
+ *
+ * @return {Promise<Object>} The merged response Bundle
+ *
+ * @throws {Error} if a transaction would be split without allowNonAtomic
+ * @throws {PartialTransactionError} if a chunk of a transaction fails
+ */
+async function sendInChunks({
+  bundle,
+  send,
+  chunkSize,
+  concurrency = 1,
+  allowNonAtomic = false,
+}) {
+  const chunks = chunkEntries(bundle.entry || [], chunkSize);
+  const isTransaction = bundle.type === 'transaction';
+  if (isTransaction && chunks.length > 1 && !allowNonAtomic) {
+    const reference = crossChunkReference(chunks);
+    if (reference) {
+      throw new Error(`Cannot split transaction: ${reference.from || 'an entry'} references ${reference.to} in another chunk; set allowNonAtomic to send the chunks as separate transactions`);
+    }
+    throw new Error(`Cannot split transaction into ${chunks.length} chunks atomically; set allowNonAtomic to send the chunks as separate transactions`);
+  }
+
+  const responses = new Array(chunks.length);
+  const failures = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < chunks.length && failures.length === 0) {
+      const index = next;
+      next += 1;
+      const chunk = chunks[index];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        responses[index] = await send({ ...bundle, entry: chunk });
+      } catch (error) {
+        if (isTransaction || !(error instanceof FhirRequestError)) {
+          failures.push({ index, error });
+        } else {
+          responses[index] = { entry: errorEntriesFor(chunk, error) };
+        }
+      }
+    }
+  };
+  const workers = Math.max(1, Math.min(concurrency, chunks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  if (failures.length > 0) {
+    const [{ index, error }] = failures.sort((a, b) => a.index - b.index);
+    if (!isTransaction) { throw error; }
+    throw new PartialTransactionError({
+      failedChunk: index,
+      chunks: chunks.length,
+      error,
+      responses,
+    });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    type: `${bundle.type}-response`,
+    entry: [].concat(...responses.map((response) => response.entry || [])),
+  };
+}
+
+module.exports = {
+  chunkEntries,
+  crossChunkReference,
+  sendInChunks,
+};
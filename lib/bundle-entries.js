@@ -0,0 +1,119 @@
+const { textChunksOf } = require('./streams');
+
+/**
+ * Incremental parser that picks the entries out of Bundle JSON text as it
+ * arrives, keeping only the entry being read in memory.
+ *
+ * @private
+ */
+class BundleEntryParser {
+  constructor() {
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.expectKey = false;
+    this.key = undefined;
+    this.keyParts = undefined;
+    this.inEntries = false;
+    this.entryParts = undefined;
+  }
+
+  /**
+   * Parse the next piece of Bundle text.
+   *
+   * @param {String} text - The text following the previous piece
+   *
+   * @return {Object[]} The entries completed by this piece
+   */
+  push(text) {
+    const entries = [];
+    let entryStart = this.entryParts ? 0 : -1;
+    let keyStart = this.keyParts ? 0 : -1;
+
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i];
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+          if (keyStart >= 0) {
+            this.keyParts.push(text.slice(keyStart, i));
+            this.key = JSON.parse(`"${this.keyParts.join('')}"`);
+            this.keyParts = undefined;
+            this.expectKey = false;
+            keyStart = -1;
+          }
+        }
+      } else if (char === '"') {
+        this.inString = true;
+        if (this.depth === 1 && this.expectKey) {
+          this.keyParts = [];
+          keyStart = i + 1;
+        }
+      } else if (char === '{' || char === '[') {
+        this.depth += 1;
+        if (this.depth === 1) {
+          this.expectKey = true;
+        } else if (this.depth === 2 && char === '[' && this.key === 'entry') {
+          this.inEntries = true;
+        } else if (this.depth === 3 && char === '{' && this.inEntries) {
+          this.entryParts = [];
+          entryStart = i;
+        }
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 3 && entryStart >= 0) {
+          this.entryParts.push(text.slice(entryStart, i + 1));
+          entries.push(JSON.parse(this.entryParts.join('')));
+          this.entryParts = undefined;
+          entryStart = -1;
+        } else if (this.depth === 2) {
+          this.inEntries = false;
+        }
+        this.depth -= 1;
+      } else if (char === ',' && this.depth === 1) {
+        this.expectKey = true;
+      }
+    }
+
+    if (entryStart >= 0) { this.entryParts.push(text.slice(entryStart)); }
+    if (keyStart >= 0) { this.keyParts.push(text.slice(keyStart)); }
+    return entries;
+  }
+
+  /**
+   * Whether the text so far is a whole JSON value.
+   *
+   * @return {Boolean} false if the text ends in the middle of the Bundle
+   */
+  isComplete() {
+    return this.depth === 0 && !this.inString;
+  }
+}
+
+/**
+ * Parse the entries of a Bundle response body one at a time as it
+ * downloads, so memory use does not grow with the size of the Bundle.
+ *
+ * @param {Readable|ReadableStream} body - The response body
+ *
+ * @return {AsyncIterableIterator<Object>} The Bundle entries
+ */
+async function* parseBundleEntries(body) {
+  const parser = new BundleEntryParser();
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const text of textChunksOf(body)) {
+    yield* parser.push(text);
+  }
+  if (!parser.isComplete()) {
+    throw new SyntaxError('Unexpected end of Bundle JSON');
+  }
+}
+
+module.exports = {
+  BundleEntryParser,
+  parseBundleEntries,
+};
@@ -1,12 +1,216 @@
+const { Readable } = require('stream');
 const queryString = require('query-string');
 const { authFromCapability, authFromWellKnown } = require('./smart');
 const HttpClient = require('./http-client');
 const ReferenceResolver = require('./reference-resolver');
 const Pagination = require('./pagination');
-const { createQueryString, validResourceType } = require('./utils');
+const {
+  conditionFor,
+  createQueryString,
+  eTagFor,
+  parseLocation,
+  validResourceType,
+  versionIdFromETag,
+} = require('./utils');
+const { mimeVersionFor, registryFor } = require('./fhir-registry');
 const { FetchQueue } = require('./fetch-queue');
 const { deprecatePaginationArgs, deprecateHeaders } = require('./deprecations');
+const { withDeadline } = require('./timeouts');
 const CapabilityTool = require('./capability-tool');
+const SmartAuthorization = require('./smart-authorization');
+const { TokenProvider, RefreshTokenProvider } = require('./token-provider');
+const { BackendServicesTokenProvider } = require('./backend-services');
+const { AwsSigV4Signer } = require('./aws-signature');
+const { HttpMessageSignatures } = require('./message-signatures');
+const BulkExportJob = require('./bulk-export-job');
+const SearchBuilder = require('./search-builder');
+const TransactionBuilder = require('./transaction-builder');
+const FhirPathPatch = require('./fhir-path-patch');
+const { sendInChunks } = require('./bundle-chunks');
+const { MemoryCacheStore, ResponseCache } = require('./response-cache');
+const { contentDigestHeader, digestHeader } = require('./body-digest');
+const {
+  binaryContentFrom,
+  binaryResourceFor,
+  binaryResourceIn,
+  isBinaryResource,
+} = require('./binary');
+const { bufferFrom, isStream } = require('./streams');
+const {
+  FhirRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PreconditionFailedError,
+  VersionConflictError,
+  MultipleMatchesError,
+  RateLimitedError,
+  SearchWarningError,
+  FhirVersionMismatchError,
+  SignatureVerificationError,
+  PartialTransactionError,
+  TimeoutError,
+} = require('./errors');
+
+// The values of the Prefer header preferences the client sets
+const preferenceValues = {
+  return: ['minimal', 'representation', 'OperationOutcome'],
+  handling: ['strict', 'lenient'],
+};
+
+/**
+ * Read the supported and default versions of a $versions response, either
+ * a Parameters resource or the plain JSON form.
+ *
+ * @private
+ *
+ * @param {Object} response - The $versions response
+ *
+ * @return {Object} The `supported` versions and the `defaultVersion`
+ */
+function versionsFrom(response) {
+  if (response.resourceType !== 'Parameters') {
+    return { supported: response.versions || [], defaultVersion: response.default };
+  }
+  const valuesOf = (parameterName) => (response.parameter || [])
+    .filter(({ name }) => name === parameterName)
+    .map(({ valueCode, valueString }) => valueCode || valueString);
+  return { supported: valuesOf('version'), defaultVersion: valuesOf('default')[0] };
+}
+
+/**
+ * Add an If-Match header to the request options, unless they already have
+ * one.
+ *
+ * @private
+ *
+ * @param {Object} options - The request options
+ * @param {String} [eTag] - The ETag to match, if any
+ *
+ * @return {Object} The request options
+ */
+function withIfMatch(options, eTag) {
+  const headers = options.headers || {};
+  if (!eTag || Object.keys(headers).some((key) => key.toLowerCase() === 'if-match')) {
+    return options;
+  }
+  return { ...options, headers: { ...headers, 'If-Match': eTag } };
+}
+
+/**
+ * Add the context of a request for the middleware to the request options.
+ * The interaction, resourceType and id given by the client win over the
+ * context of the caller.
+ *
+ * @private
+ *
+ * @param {Object} options - The request options
+ * @param {Object} context - The context, e.g. `{ interaction: 'read' }`
+ *
+ * @return {Object} The request options
+ */
+function withContext(options, context) {
+  return { ...options, context: { ...options.context, ...context } };
+}
+
+/**
+ * Add a Prefer header with the preferences to the request options, after
+ * those of any Prefer header they already have.
+ *
+ * @private
+ *
+ * @param {Object} options - The request options
+ * @param {Object} [prefer] - The preferences, e.g. `{ return: 'minimal' }`
+ *
+ * @return {Object} The request options
+ */
+function withPrefer(options, prefer = {}) {
+  const preferences = Object.keys(prefer)
+    .filter((name) => prefer[name] !== undefined)
+    .map((name) => {
+      if (!preferenceValues[name] || !preferenceValues[name].includes(prefer[name])) {
+        throw new Error(`Unsupported preference ${name}=${prefer[name]}`);
+      }
+      return `${name}=${prefer[name]}`;
+    });
+  if (preferences.length === 0) { return options; }
+
+  const headers = { ...options.headers };
+  const preferKey = Object.keys(headers).find((key) => key.toLowerCase() === 'prefer');
+  if (preferKey) {
+    preferences.unshift(headers[preferKey]);
+    delete headers[preferKey];
+  }
+  return { ...options, headers: { ...headers, Prefer: preferences.join(', ') } };
+}
+
+/**
+ * The id, versionId and lastUpdated of a written resource, from the
+ * Location, ETag and Last-Modified headers of the response, or its body.
+ *
+ * @private
+ *
+ * @param {Object} data - The write response
+ * @param {String} [id] - The id the resource was written to, if known
+ *
+ * @return {Object} id, versionId, lastUpdated and location
+ */
+function writeResultFrom(data, id) {
+  const response = HttpClient.responseFor(data);
+  const { headers } = response;
+  const location = headers.get('location') || headers.get('content-location') || undefined;
+  const fromLocation = parseLocation(location);
+  const resource = data.resourceType && data.resourceType !== 'OperationOutcome' ? data : {};
+  const meta = resource.meta || {};
+  const lastModified = Date.parse(headers.get('last-modified'));
+  const result = {
+    id: fromLocation.id || resource.id || id,
+    versionId: versionIdFromETag(headers.get('etag')) || fromLocation.versionId || meta.versionId,
+    lastUpdated: Number.isNaN(lastModified)
+      ? meta.lastUpdated
+      : new Date(lastModified).toISOString(),
+    location,
+  };
+  return HttpClient.attachHttp(result, HttpClient.requestFor(data), response);
+}
+
+/**
+ * Reject a search Bundle with warnings, e.g. about search parameters the
+ * server ignored, with a SearchWarningError. The warnings are the issues of
+ * the outcome entries and, from R5, of Bundle.issues.
+ *
+ * @private
+ *
+ * @param {Object} bundle - The search Bundle
+ *
+ * @return {Object} The Bundle, when it has no warnings
+ */
+function rejectSearchWarnings(bundle) {
+  // Streamed entries cannot be checked before they are read
+  if (!bundle || bundle.resourceType !== 'Bundle') { return bundle; }
+
+  const outcomes = (bundle.entry || [])
+    .filter(({ resource, search }) => search && search.mode === 'outcome'
+      && resource && resource.resourceType === 'OperationOutcome')
+    .map(({ resource }) => resource)
+    .concat(bundle.issues || []);
+  const issue = outcomes
+    .flatMap((outcome) => outcome.issue || [])
+    .filter(({ severity }) => severity !== 'information');
+  if (issue.length === 0) { return bundle; }
+
+  const request = HttpClient.requestFor(bundle);
+  const response = HttpClient.responseFor(bundle);
+  throw new SearchWarningError({
+    status: response.status,
+    data: { resourceType: 'OperationOutcome', issue },
+    method: request.method,
+    headers: response.headers,
+    url: request.url,
+    bundle,
+  });
+}
 
 /**
  * @module fhir-kit-client
@@ -35,17 +239,23 @@ class Client {
    *     ca: caFileContent
    *   },
    *   bearerToken: 'eyJhbGci...dQssw5c',
+   *   retry: { maxAttempts: 5, statusCodes: [429, 502, 503, 504] },
    *   requestSigner: (url, requestOptions) => {
+   *      const { host, pathname, search } = new URL(url);
    *      const signed = aws4.sign({
-   *        path: url,
+   *        host,
+   *        path: `${pathname}${search}`,
    *        service: 'healthlake',
    *        region: 'us-west-2',
-   *        method: requestOptions.method
+   *        method: requestOptions.method,
+   *        body: requestOptions.body,
    *      });
    *      Object.keys(signed.headers).forEach((key) => {
-   *        requestOptions.headers.set(key, signed[key]);
+   *        requestOptions.headers.set(key, signed.headers[key]);
    *      });
-   *    }
+   *    },
+   *   // or use the built-in signer instead of requestSigner:
+   *   // awsSigV4: { region: 'us-west-2', credentials: { accessKeyId, secretAccessKey } },
    * };
    *
    * const client = new Client(options);
@@ -55,21 +265,174 @@ class Client {
    * @param {Object} [config.customHeaders] Optional custom headers to send with
    *   each request
    * @param {Object} [config.requestOptions] Optional custom request options for
-   * @param {Function} [config.requestSigner] Optional pass in a function to sign the request.
    *   instantiating the HTTP connection
+   * @param {Function} [config.requestSigner] Optional pass in a function to sign the request.
+   *   It gets the url, the request options and `{ body, digest }`: the bytes
+   *   of the body and their SHA-256 digest, both undefined for streamed
+   *   bodies. It may return a Promise, which is awaited before the request is
+   *   sent; see digestHeader and contentDigestHeader to add a body digest.
    * @param {String} [config.bearerToken] Optional bearerToken to use for each
    *   request.
+   * @param {Boolean|Object} [config.retry] Optional retry policy for failed
+   *   requests. Pass true for the defaults, or an object with any of
+   *   maxAttempts, methods, statusCodes, networkErrors, minDelay, maxDelay,
+   *   factor, jitter and retryAfter. By default GET, HEAD, OPTIONS, PUT and
+   *   DELETE requests are retried up to 3 attempts on 429, 503 and network
+   *   errors; POST and PATCH are only retried when listed in methods. Any
+   *   request can override the policy with `options.retry` (false disables).
+   * @param {TokenProvider} [config.tokenProvider] Optional provider of access
+   *   tokens, e.g. a RefreshTokenProvider. It is asked for a token before each
+   *   request, so it can refresh tokens before they expire, and a request that
+   *   gets a 401 is sent once more with a new token. Takes the place of
+   *   bearerToken.
+   * @param {Object} [config.backendServices] Optional SMART Backend Services
+   *   settings (clientId, privateKey, scope, ...), see
+   *   BackendServicesTokenProvider. Sets up a tokenProvider that discovers
+   *   the token endpoint of baseUrl. Cannot be combined with tokenProvider.
+   * @param {String} [config.format] Optional 'json' (the default) or 'xml'.
+   *   With 'xml', resources are sent as FHIR XML and XML is asked for; XML
+   *   responses are parsed into the same JSON object model either way, by
+   *   the FHIR R4 element definitions of fhir-definitions. Any request can
+   *   override it with `options.format`.
+   * @param {String} [config.fhirVersion] Optional FHIR version of the server,
+   *   a release name like 'R4' or a version like '4.0.1'. Resource types,
+   *   compartments and references are then checked against that version, it
+   *   is asked for with the fhirVersion parameter of Accept and Content-Type,
+   *   and responses in another version are rejected. Without it, resource
+   *   types are checked against the version of the CapabilityStatement once
+   *   it has been read, but no version is asked for; see negotiateVersion.
+   * @param {Boolean|Object} [config.cache] Optional HTTP cache for GET
+   *   requests such as read, vread, search and capabilityStatement. Pass true
+   *   for an in-memory cache of the 100 most recently used responses, or an
+   *   object with maxEntries or a store (an object with get, set, delete and
+   *   keys methods, which may be async). Responses are served while fresh
+   *   according to Cache-Control and revalidated with their ETag or
+   *   Last-Modified; writes drop the cached resource and the searches of its
+   *   type. Responses are kept per credentials; set `shared` when a store
+   *   is used by other clients too, see ResponseCache. Any request can set
+   *   the fetch `options.cache` mode, e.g. 'no-store' to bypass the cache.
+   * @param {String} [config.patchFormat] Optional 'json-patch' (the default)
+   *   or 'fhirpath'. With 'fhirpath', the JSONPatch of patch is converted to
+   *   a FHIRPath Patch, for servers that only accept that form.
+   * @param {Object[]} [config.middleware] Optional middleware around every
+   *   request, see #use.
+   * @param {AwsSigV4Signer|Object} [config.awsSigV4] Optional AWS Signature
+   *   Version 4 signer, or its settings (region, service and credentials),
+   *   to sign requests to AWS HealthLake instead of passing a requestSigner.
+   * @param {HttpMessageSignatures|Object} [config.messageSignatures] Optional
+   *   HTTP Message Signatures (RFC 9421), or their settings, to sign requests
+   *   and verify the Signature of responses instead of passing a
+   *   requestSigner.
+   * @param {Number} [config.timeout] Optional milliseconds each request may
+   *   take, retries included. Any request can override it with
+   *   `options.timeout` (null for none), and calls that send several
+   *   requests, like searchAll, share the timeout passed to them. A request
+   *   that runs out of time rejects with a TimeoutError.
    * @throws An error will be thrown unless baseUrl is a non-empty string.
+   * @throws An error will be thrown if fhirVersion is not a known FHIR version.
    */
-  constructor({ baseUrl, customHeaders, requestOptions, requestSigner, bearerToken } = {}) {
-    this.httpClient = new HttpClient({ baseUrl, customHeaders, requestOptions, requestSigner });
+  constructor({
+    baseUrl,
+    customHeaders,
+    requestOptions,
+    requestSigner,
+    bearerToken,
+    retry,
+    tokenProvider,
+    backendServices,
+    format,
+    fhirVersion,
+    cache,
+    patchFormat = 'json-patch',
+    middleware = [],
+    awsSigV4,
+    messageSignatures,
+    timeout,
+  } = {}) {
+    if (!['json-patch', 'fhirpath'].includes(patchFormat)) {
+      throw new Error(`Unsupported patch format ${patchFormat}`);
+    }
+    if (tokenProvider && backendServices) {
+      throw new Error('Pass either tokenProvider or backendServices, not both');
+    }
+    const signers = Object.entries({ requestSigner, awsSigV4, messageSignatures })
+      .filter(([, setting]) => setting)
+      .map(([name]) => name);
+    if (signers.length > 1) {
+      throw new Error(`Pass either ${signers[0]} or ${signers[1]}, not both`);
+    }
+    const signer = (awsSigV4 && AwsSigV4Signer.for(awsSigV4))
+      || (messageSignatures && HttpMessageSignatures.for(messageSignatures));
+    this.httpClient = new HttpClient({
+      baseUrl,
+      customHeaders,
+      requestOptions,
+      requestSigner: signer
+        ? (url, options, signedBody) => signer.sign(url, options, signedBody)
+        : requestSigner,
+      retry,
+      tokenProvider,
+      format,
+      cache: ResponseCache.for(cache),
+      middleware: signer && signer.middleware ? [...middleware, signer.middleware] : middleware,
+      timeout,
+    });
+    if (backendServices) {
+      this.tokenProvider = new BackendServicesTokenProvider({
+        fhirBaseUrl: baseUrl,
+        requestOptions,
+        ...backendServices,
+      });
+    }
     if (bearerToken) {
       this.httpClient.bearerToken = bearerToken;
     }
+    this.fhirVersion = fhirVersion;
+    this.patchFormat = patchFormat;
     this.resolver = new ReferenceResolver(this);
     this.pagination = new Pagination(this.httpClient);
   }
 
+  /**
+   * Add middleware around every request: an object with any of the async
+   * hooks below. Each gets the request, with the method, url, headers and
+   * body to send, and the context of the client method that sent it: its
+   * `interaction` (e.g. 'read', 'search-type' or 'transaction'),
+   * `resourceType`, `id` and other parameters, and any `options.context`
+   * given to the method.
+   *
+   * - `beforeRequest({ request, context })` runs in the order the middleware
+   *   was added. It can change the request, e.g. rewrite its url or add
+   *   headers, and return a fetch Response to use instead of sending it.
+   * - `afterResponse({ request, response, context })` runs in reverse order
+   *   for each response, and can return another Response. Fresh responses
+   *   of the client cache are not sent for, so it does not run for them; it
+   *   does for the 304 of a revalidation.
+   * - `onError({ request, error, context })` runs in reverse order when the
+   *   request fails. It can throw or return another error, or return a
+   *   result for the request.
+   *
+   * @example
+   *
+   * fhirClient.use({
+   *   beforeRequest: async ({ request, context }) => {
+   *     request.headers['x-request-id'] = uuid();
+   *     audit.log(context.interaction, context.resourceType, context.id);
+   *   },
+   *   onError: async ({ error, context }) => {
+   *     if (context.interaction === 'read' && error.status === 410) { return null; }
+   *   },
+   * });
+   *
+   * @param {Object} middleware - The middleware
+   *
+   * @return {Client} The client
+   */
+  use(middleware) {
+    this.httpClient.use(middleware);
+    return this;
+  }
+
   /**
    * Given a Client response, returns the underlying HTTP request and response
    * objects.
@@ -147,6 +510,45 @@ class Client {
     this.httpClient.bearerToken = token;
   }
 
+  /**
+   * Get the FHIR version of the server, as configured or read from the
+   * CapabilityStatement.
+   *
+   * @return {String|undefined} - The FHIR version, or undefined if unknown
+   */
+  get fhirVersion() {
+    return this.serverFhirVersion;
+  }
+
+  /**
+   * Set the FHIR version of the server. Resource types, compartments and
+   * references are checked against the registry of that version, and
+   * requests ask for it with the fhirVersion media type parameter.
+   *
+   * @param {String} version - A release name like 'R4B' or a version like
+   *   '4.3.0', or undefined to accept any resource type
+   * @throws An error will be thrown if the version is not a known FHIR version.
+   */
+  set fhirVersion(version) {
+    const registry = version === undefined ? undefined : registryFor(version);
+    if (version !== undefined && !registry) {
+      throw new Error(`Unsupported FHIR version ${version}`);
+    }
+    this.serverFhirVersion = version;
+    this.registry = registry;
+    this.httpClient.fhirVersion = mimeVersionFor(version);
+  }
+
+  /**
+   * Set the provider of access tokens for subsequent requests.
+   *
+   * @param {TokenProvider} tokenProvider The token provider, or undefined to
+   *   go back to the bearer token.
+   */
+  set tokenProvider(tokenProvider) {
+    this.httpClient.tokenProvider = tokenProvider;
+  }
+
   /**
    * Resolve a reference and return FHIR resource
    *
@@ -195,7 +597,7 @@ class Client {
     return this.resolver.resolve({
       reference,
       context,
-      options: deprecateHeaders(options, headers),
+      options: withContext(deprecateHeaders(options, headers), { interaction: 'read', reference }),
     });
   }
 
@@ -227,11 +629,11 @@ class Client {
    *   tokenUrl, registerUrl, manageUrl
    */
   async smartAuthMetadata({ headers, options = {} } = {}) {
-    const fetchOptions = { options: deprecateHeaders(options, headers) };
-    if (!(fetchOptions.options.headers)) {
-      fetchOptions.options.headers = {};
-    }
-    fetchOptions.options.headers.accept = 'application/fhir+json,application/json';
+    const requestOptions = withDeadline(deprecateHeaders(options, headers));
+    const fetchOptions = {
+      ...requestOptions,
+      headers: { ...requestOptions.headers, accept: 'application/fhir+json,application/json' },
+    };
 
     const normalizedBaseUrl = this.baseUrl.replace(/\/*$/, '/');
 
@@ -242,7 +644,7 @@ class Client {
 
     const errors = [];
 
-    return new Promise((resolve, reject) => {
+    const metadata = new Promise((resolve, reject) => {
       function handleError(error) {
         if (errors.push(error) === queue.numJobs) {
           reject(new Error(errors.map((e) => e.message).join('; ')));
@@ -258,7 +660,7 @@ class Client {
         })
         .catch((e) => handleError(e));
 
-      this.capabilityStatement(metadataJob.addSignalOption(fetchOptions))
+      this.capabilityStatement({ options: metadataJob.addSignalOption(fetchOptions) })
         .then((r) => {
           queue.safeAbortOthers(metadataJob);
           return resolve(authFromCapability(r));
@@ -274,10 +676,17 @@ class Client {
         })
         .catch((e) => handleError(e));
     });
+    try {
+      return await metadata;
+    } finally {
+      queue.release();
+    }
   }
 
   /**
-   * Get the capability statement.
+   * Get the capability statement. Unless a fhirVersion was configured, the
+   * client checks resource types against the fhirVersion of the statement,
+   * without asking for it in Accept and Content-Type.
    *
    * @async
    *
@@ -301,11 +710,71 @@ class Client {
    */
   capabilityStatement({ headers, options = {} } = {}) {
     if (!this.metadata) {
-      this.metadata = this.httpClient.get('metadata', deprecateHeaders(options, headers));
+      const requestOptions = withContext(deprecateHeaders(options, headers), {
+        interaction: 'capabilities',
+      });
+      this.metadata = this.httpClient.get('metadata', requestOptions)
+        .then((statement) => {
+          const { fhirVersion } = statement || {};
+          if (this.fhirVersion === undefined && fhirVersion && registryFor(fhirVersion)) {
+            // Check against the version of the server, but keep requests and
+            // responses free of the fhirVersion media type parameter
+            this.serverFhirVersion = fhirVersion;
+            this.registry = registryFor(fhirVersion);
+          }
+          return statement;
+        });
     }
     return this.metadata;
   }
 
+  /**
+   * Ask the server which FHIR versions it supports with `$versions`, and
+   * use the first of the wanted versions that it supports, or its default
+   * version. Later requests ask for that version in Accept and Content-Type,
+   * and fail with a FhirVersionMismatchError if the server answers in
+   * another one.
+   *
+   * @async
+   *
+   * @example
+   *
+   * // Use R4 if the server has it, else R4B
+   * const version = await fhirClient.negotiateVersion({ versions: ['4.0', 'R4B'] });
+   * console.log(fhirClient.fhirVersion); // e.g. '4.0'
+   *
+   * @param {Object} [params] - The request parameters.
+   * @param {String[]} [params.versions] - Optional wanted versions, as
+   *   release names or versions, in order of preference; defaults to the
+   *   configured fhirVersion, if any
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional headers to add to the
+   *   request
+   *
+   * @return {Promise<String>} The negotiated major.minor version, e.g. '4.0'
+   * @throws An error will be thrown if the server supports none of the
+   *   wanted versions.
+   */
+  async negotiateVersion({ versions, options = {} } = {}) {
+    const wanted = versions || (this.fhirVersion ? [this.fhirVersion] : []);
+    const response = await this.httpClient.get('$versions', withContext(
+      { ...options, fhirVersion: null },
+      { interaction: 'operation', name: '$versions' },
+    ));
+    const { supported, defaultVersion } = versionsFrom(response);
+
+    const candidates = wanted.length > 0 ? wanted : [defaultVersion, ...supported];
+    const version = candidates
+      .map((candidate) => mimeVersionFor(candidate))
+      .find((candidate) => candidate && supported.some((v) => mimeVersionFor(v) === candidate));
+    if (!version) {
+      throw new Error(`No supported FHIR version: the server has ${supported.join(', ') || 'none'}${wanted.length > 0 ? `, not ${wanted.join(', ')}` : ''}`);
+    }
+
+    this.fhirVersion = version;
+    return version;
+  }
+
   /**
    * Run a request.
    *
@@ -364,10 +833,13 @@ class Client {
    * @return {Promise<Object>} FHIR resource
    */
   read({ resourceType, id, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
-    return this.httpClient.get(`${resourceType}/${id}`, deprecateHeaders(options, headers));
+    return this.httpClient.get(
+      `${resourceType}/${id}`,
+      withContext(deprecateHeaders(options, headers), { interaction: 'read', resourceType, id }),
+    );
   }
 
   /**
@@ -404,12 +876,14 @@ class Client {
    * @return {Promise<Object>} FHIR resource
    */
   vread({ resourceType, id, version, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
     return this.httpClient.get(
       `${resourceType}/${id}/_history/${version}`,
-      deprecateHeaders(options, headers),
+      withContext(deprecateHeaders(options, headers), {
+        interaction: 'vread', resourceType, id, version,
+      }),
     );
   }
 
@@ -438,9 +912,24 @@ class Client {
    * })
    * console.log(response);
    *
+   * // Conditional create: only if no patient has the identifier
+   * const patient = await fhirClient.create({
+   *   resourceType: 'Patient',
+   *   body: newPatient,
+   *   ifNoneExist: { identifier: 'http://example.org/mrn|12345' },
+   * });
+   * const created = Client.httpFor(patient).response.status === 201;
+   *
    * @param {Object} params - The request parameters.
    * @param {String} params.resourceType - The FHIR resource type.
    * @param {String} params.body - The new resource data to create.
+   * @param {Object|String} [params.ifNoneExist] - Optional search parameters,
+   *   or query string, sent as If-None-Exist: the resource is only created
+   *   (201) when nothing matches. A single match is returned with status 200
+   *   instead, and several matches reject with a MultipleMatchesError.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header, see preferredResult: `return` ('minimal', 'representation' or
+   *   'OperationOutcome')
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -449,11 +938,35 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resource
    */
-  create({ resourceType, body, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+  create({
+    resourceType,
+    body,
+    ifNoneExist,
+    prefer,
+    headers,
+    options = {},
+  } = {}) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
-    return this.httpClient.post(resourceType, body, deprecateHeaders(options, headers));
+    const callerOptions = withDeadline(deprecateHeaders(options, headers));
+    const requestOptions = withContext(
+      withPrefer(callerOptions, prefer),
+      { interaction: 'create', resourceType },
+    );
+    if (!ifNoneExist) {
+      const request = this.httpClient.post(resourceType, body, requestOptions);
+      return this.preferredResult(request, { resourceType, prefer, options: callerOptions });
+    }
+    const condition = conditionFor(ifNoneExist);
+    const request = this.httpClient.post(resourceType, body, {
+      ...requestOptions,
+      headers: { ...requestOptions.headers, 'If-None-Exist': condition },
+    });
+    return this.preferredResult(
+      this.rejectMultipleMatches(request, condition),
+      { resourceType, prefer, options: callerOptions },
+    );
   }
 
   /**
@@ -471,9 +984,29 @@ class Client {
    * let response = await fhirClient.delete({ resourceType: 'Patient', id: 12345 });
    * console.log(response);
    *
+   * // Only if nobody changed it since version 3
+   * await fhirClient.delete({ resourceType: 'Patient', id: 12345, ifMatch: '3' });
+   *
+   * // Conditional delete of every match
+   * await fhirClient.delete({
+   *   resourceType: 'Observation',
+   *   searchParams: { subject: 'Patient/12345', status: 'entered-in-error' },
+   *   multiple: true,
+   * });
+   *
    * @param {Object} params - The request parameters.
    * @param {String} params.resourceType - The resource type (e.g. "Patient", "Observation").
    * @param {String} params.id - The FHIR id for the resource.
+   * @param {Object|String} [params.searchParams] - For a conditional delete,
+   *   the search parameters or query string of the resources to delete,
+   *   instead of the id
+   * @param {Boolean} [params.multiple] - Optional, a conditional delete
+   *   matching several resources deletes them all. Servers that refuse to do
+   *   so get a batch deleting each match, whose response Bundle is returned.
+   *   Without it, several matches reject with a MultipleMatchesError.
+   * @param {String} [params.ifMatch] - Optional versionId or ETag the current
+   *   version must match, sent as If-Match. A mismatch rejects with a
+   *   VersionConflictError.
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -482,11 +1015,48 @@ class Client {
    *
    * @return {Promise<Object>} Operation Outcome FHIR resource
    */
-  delete({ resourceType, id, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+  delete({
+    resourceType,
+    id,
+    searchParams,
+    multiple = false,
+    ifMatch,
+    headers,
+    options = {},
+  } = {}) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
-    return this.httpClient.delete(`${resourceType}/${id}`, deprecateHeaders(options, headers));
+    if (id && searchParams) {
+      throw new Error('Conditional delete with search params cannot be with id', resourceType);
+    }
+    const callerOptions = withDeadline(deprecateHeaders(options, headers));
+    const requestOptions = withContext(callerOptions, {
+      interaction: 'delete', resourceType, id, searchParams,
+    });
+    if (searchParams) {
+      const condition = conditionFor(searchParams);
+      const request = this.rejectMultipleMatches(
+        this.httpClient.delete(`${resourceType}?${condition}`, requestOptions),
+        condition,
+      );
+      if (!multiple) { return request; }
+      return request.catch((error) => {
+        if (!(error instanceof MultipleMatchesError)) { throw error; }
+        return this.deleteMatches({ resourceType, searchParams, options: requestOptions });
+      });
+    }
+    const eTag = ifMatch ? eTagFor(ifMatch) : undefined;
+    const request = this.httpClient.delete(
+      `${resourceType}/${id}`,
+      withIfMatch(requestOptions, eTag),
+    );
+    return this.rejectVersionConflicts(request, {
+      resourceType,
+      id,
+      ifMatch: eTag,
+      options: callerOptions,
+    });
   }
 
   /**
@@ -514,12 +1084,30 @@ class Client {
    * });
    * console.log(response);
    *
+   * // Sends If-Match: W/"3" for a body with meta.versionId '3', or the ETag
+   * // of the response it was read from
+   * const { response: readResponse } = Client.httpFor(patient);
+   * await fhirClient.update({
+   *   resourceType: 'Patient',
+   *   id: 12345,
+   *   body: patient,
+   *   ifMatch: readResponse.headers.get('etag'),
+   * });
+   *
    * @param {Object} params - The request parameters.
    * @param {String} params.resourceType - The resource type (e.g. "Patient",
    *   "Observation").
    * @param {String} params.id - The FHIR id for the resource.
    * @param {String} params.searchParams - For a conditional update the searchParams are specified instead of the id, see https://www.hl7.org/fhir/http.html#cond-update
+   *   Several matches reject with a MultipleMatchesError.
    * @param {String} params.body - The resource to be updated.
+   * @param {String|Boolean} [params.ifMatch] - Optional versionId or ETag
+   *   the current version must match, sent as If-Match; defaults to the
+   *   meta.versionId of the body, false sends none. A mismatch rejects with
+   *   a VersionConflictError.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header, see preferredResult: `return` ('minimal', 'representation' or
+   *   'OperationOutcome')
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -528,28 +1116,247 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resource
    */
-  update({ resourceType, id, searchParams, body, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+  update({
+    resourceType,
+    id,
+    searchParams,
+    body,
+    ifMatch,
+    prefer,
+    headers,
+    options = {},
+  } = {}) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
     if (id && searchParams) {
       throw new Error('Conditional update with search params cannot be with id', resourceType);
     }
-    if (searchParams) {
-      const searchQuery = createQueryString(searchParams);
-      return this.httpClient.put(
-        `${resourceType}?${searchQuery}`,
-        body,
-        deprecateHeaders(options, headers),
+    const versionId = ifMatch === undefined && body && body.meta && body.meta.versionId;
+    const version = ifMatch || versionId;
+    const eTag = version ? eTagFor(version) : undefined;
+    const callerOptions = withDeadline(deprecateHeaders(options, headers));
+    const requestOptions = withIfMatch(
+      withContext(withPrefer(callerOptions, prefer), {
+        interaction: 'update', resourceType, id, searchParams,
+      }),
+      eTag,
+    );
+    if (searchParams && !eTag) {
+      const condition = conditionFor(searchParams);
+      const request = this.httpClient.put(`${resourceType}?${condition}`, body, requestOptions);
+      return this.preferredResult(
+        this.rejectMultipleMatches(request, condition),
+        { resourceType, prefer, options: callerOptions },
       );
     }
-    return this.httpClient.put(
-      `${resourceType}/${id}`,
-      body,
-      deprecateHeaders(options, headers),
+    const url = searchParams
+      ? `${resourceType}?${conditionFor(searchParams)}`
+      : `${resourceType}/${id}`;
+    const request = this.httpClient.put(url, body, requestOptions);
+    return this.preferredResult(
+      this.rejectVersionConflicts(request, {
+        resourceType,
+        id,
+        ifMatch: eTag,
+        options: callerOptions,
+      }),
+      {
+        resourceType,
+        id,
+        prefer,
+        options: callerOptions,
+      },
     );
   }
 
+  /**
+   * Update a resource without losing concurrent changes: read it, merge
+   * the changes into it and update it with If-Match. When someone else
+   * updated it in between, the changes are merged into the new version and
+   * the update is sent again.
+   *
+   * @example
+   *
+   * await fhirClient.updateWithRetry({
+   *   resourceType: 'Patient',
+   *   id: 12345,
+   *   merge: (current) => ({ ...current, active: false }),
+   * });
+   *
+   * @param {Object} params - The request parameters.
+   * @param {String} params.resourceType - The resource type (e.g. "Patient",
+   *   "Observation").
+   * @param {String} params.id - The FHIR id for the resource.
+   * @param {Function} params.merge - Gets the current resource and returns,
+   *   or resolves to, the resource to write
+   * @param {Number} [params.maxAttempts] - Optional number of updates to try
+   *   before the VersionConflictError is thrown (default 3)
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} FHIR resource
+   */
+  async updateWithRetry({
+    resourceType,
+    id,
+    merge,
+    maxAttempts = 3,
+    options = {},
+  } = {}) {
+    const current = await this.read({ resourceType, id, options: { ...options, cache: 'no-cache' } });
+    const eTag = HttpClient.responseFor(current).headers.get('etag')
+      || (current.meta && current.meta.versionId);
+    return this.mergeAndUpdate({
+      resourceType, id, merge, maxAttempts, options, current, eTag, attempt: 1,
+    });
+  }
+
+  /**
+   * Merge changes into the current resource and update it, trying again on
+   * version conflicts, see updateWithRetry.
+   *
+   * @private
+   *
+   * @param {Object} params - The updateWithRetry parameters, with the
+   *   `current` resource, its `eTag` and the `attempt` number
+   *
+   * @return {Promise<Object>} FHIR resource
+   */
+  async mergeAndUpdate({
+    resourceType, id, merge, maxAttempts, options, current, eTag, attempt,
+  }) {
+    const body = await merge(current);
+    try {
+      return await this.update({
+        resourceType, id, body, ifMatch: eTag || false, options,
+      });
+    } catch (error) {
+      if (!(error instanceof VersionConflictError) || !error.current || attempt >= maxAttempts) {
+        throw error;
+      }
+      return this.mergeAndUpdate({
+        resourceType,
+        id,
+        merge,
+        maxAttempts,
+        options,
+        current: error.current,
+        eTag: error.currentETag || error.currentVersionId,
+        attempt: attempt + 1,
+      });
+    }
+  }
+
+  /**
+   * Turn the 412 response to a write sent with If-Match into a
+   * VersionConflictError, with the current version of the resource.
+   *
+   * @private
+   *
+   * @param {Promise<Object>} request - The write
+   * @param {Object} params - The written resource
+   * @param {String} params.resourceType - The resource type
+   * @param {String} [params.id] - The resource id, to read the current
+   *   version
+   * @param {String} [params.ifMatch] - The ETag sent in If-Match, if any
+   * @param {Object} [params.options] - The request options of the caller,
+   *   which the read of the current version is sent with
+   *
+   * @return {Promise<Object>} The write result
+   */
+  rejectVersionConflicts(request, {
+    resourceType,
+    id,
+    ifMatch,
+    options = {},
+  }) {
+    if (!ifMatch) { return request; }
+    return request.catch(async (error) => {
+      if (!(error instanceof PreconditionFailedError)) { throw error; }
+
+      let current;
+      let currentETag;
+      if (id) {
+        try {
+          current = await this.read({
+            resourceType,
+            id,
+            options: { ...options, cache: 'no-cache' },
+          });
+          currentETag = HttpClient.responseFor(current).headers.get('etag') || undefined;
+        } catch (_error) {
+          // Report the conflict without the current version
+        }
+      }
+      throw new VersionConflictError({
+        status: error.status,
+        data: error.response.data,
+        method: error.config.method,
+        headers: error.config.headers,
+        url: error.config.url,
+        ifMatch,
+        current,
+        currentETag,
+      });
+    });
+  }
+
+  /**
+   * Turn the 412 response to a conditional interaction into a
+   * MultipleMatchesError.
+   *
+   * @private
+   *
+   * @param {Promise<Object>} request - The conditional interaction
+   * @param {String} condition - Its search, as a query string
+   *
+   * @return {Promise<Object>} The interaction result
+   */
+  rejectMultipleMatches(request, condition) { // eslint-disable-line class-methods-use-this
+    return request.catch((error) => {
+      if (!(error instanceof PreconditionFailedError)) { throw error; }
+      throw new MultipleMatchesError({
+        status: error.status,
+        data: error.response.data,
+        method: error.config.method,
+        headers: error.config.headers,
+        url: error.config.url,
+        condition,
+      });
+    });
+  }
+
+  /**
+   * Delete every resource matching a search with a batch, for servers that
+   * refuse conditional deletes with several matches.
+   *
+   * @private
+   *
+   * @param {Object} params - The request parameters.
+   * @param {String} params.resourceType - The resource type
+   * @param {Object|String} params.searchParams - The search
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} The batch-response Bundle
+   */
+  async deleteMatches({ resourceType, searchParams, options }) {
+    const entry = [];
+    const matches = this.searchAll({
+      resourceType,
+      searchParams: typeof searchParams === 'string'
+        ? { ...queryString.parse(conditionFor(searchParams)) }
+        : searchParams,
+      options: { ...options, cache: 'no-cache' },
+    });
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const { resource, search } of matches) {
+      if (resource && (!search || search.mode !== 'include')) {
+        entry.push({ request: { method: 'DELETE', url: `${resource.resourceType}/${resource.id}` } });
+      }
+    }
+    return this.batch({ body: { resourceType: 'Bundle', type: 'batch', entry }, options });
+  }
+
   /**
    * Patch a resource by FHIR id.
    *
@@ -557,6 +1364,9 @@ class Client {
    * Content-Type is 'application/json-patch+json'
    * Expects a JSON Patch document format, see http://jsonpatch.com/
    *
+   * A FHIRPath Patch, a Parameters resource or a FhirPathPatch, is sent as a
+   * FHIR resource instead, see https://hl7.org/fhir/fhirpatch.html.
+   *
    * @example
    *
    * // JSON Patch document format from http://jsonpatch.com/
@@ -577,12 +1387,33 @@ class Client {
    * });
    * console.log(response);
    *
+   * // FHIRPath Patch
+   * await fhirClient.patch({
+   *   resourceType: 'Patient',
+   *   id: 12345,
+   *   FHIRPathPatch: new FhirPathPatch().replace('Patient.gender', { valueCode: 'male' }),
+   * });
+   *
    * @param {Object} params - The request parameters.
    * @param {String} params.resourceType - The resource type (e.g. "Patient",
    *   "Observation").
    * @param {String} params.id - The FHIR id for the resource.
-   * @param {Array} params.JSONPatch - A JSON Patch document containing an array
-   *   of patch operations, formatted according to http://jsonpatch.com/.
+   * @param {Array} [params.JSONPatch] - A JSON Patch document containing an
+   *   array of patch operations, formatted according to http://jsonpatch.com/.
+   * @param {FhirPathPatch|Object} [params.FHIRPathPatch] - A FHIRPath Patch,
+   *   instead of JSONPatch
+   * @param {String} [params.patchFormat] - Optional 'json-patch' or
+   *   'fhirpath', to convert JSONPatch to a FHIRPath Patch. Defaults to the
+   *   patchFormat of the client.
+   * @param {Object|String} [params.searchParams] - For a conditional patch,
+   *   the search parameters or query string of the resource to patch,
+   *   instead of the id. Several matches reject with a MultipleMatchesError.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header, see preferredResult: `return` ('minimal', 'representation' or
+   *   'OperationOutcome')
+   * @param {String} [params.ifMatch] - Optional versionId or ETag the current
+   *   version must match, sent as If-Match. A mismatch rejects with a
+   *   VersionConflictError.
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -591,19 +1422,323 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resource
    */
-  patch({ resourceType, id, JSONPatch, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+  patch({
+    resourceType,
+    id,
+    searchParams,
+    JSONPatch,
+    FHIRPathPatch,
+    patchFormat = this.patchFormat,
+    ifMatch,
+    prefer,
+    headers,
+    options = {},
+  } = {}) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
-    // Content-Type is 'application/json-patch+json'
-    // Ref: http://hl7.org/fhir/STU3/http.html#patch
-    const customHeaders = deprecateHeaders(options, headers).headers || {};
-    const requestHeaders = { ...customHeaders, 'Content-Type': 'application/json-patch+json' };
-    return this.httpClient.patch(
+    if (id && searchParams) {
+      throw new Error('Conditional patch with search params cannot be with id', resourceType);
+    }
+    if (JSONPatch && FHIRPathPatch) {
+      throw new Error('Patch with both JSONPatch and FHIRPathPatch', resourceType);
+    }
+    const callerOptions = withDeadline(deprecateHeaders(options, headers));
+    const requestOptions = withContext(
+      withPrefer(callerOptions, prefer),
+      { interaction: 'patch', resourceType, id, searchParams },
+    );
+    const customHeaders = requestOptions.headers || {};
+    let body;
+    let requestHeaders;
+    if (FHIRPathPatch || patchFormat === 'fhirpath') {
+      // Sent as a Parameters resource, with the FHIR Content-Type
+      body = FhirPathPatch.parametersFor(
+        FHIRPathPatch || FhirPathPatch.fromJSONPatch(resourceType, JSONPatch),
+      );
+      requestHeaders = customHeaders;
+    } else {
+      // Content-Type is 'application/json-patch+json'
+      // Ref: http://hl7.org/fhir/STU3/http.html#patch
+      body = JSONPatch;
+      requestHeaders = { ...customHeaders, 'Content-Type': 'application/json-patch+json' };
+    }
+    if (searchParams) {
+      const condition = conditionFor(searchParams);
+      const request = this.httpClient.patch(
+        `${resourceType}?${condition}`,
+        body,
+        { ...requestOptions, headers: requestHeaders },
+      );
+      return this.preferredResult(
+        this.rejectMultipleMatches(request, condition),
+        { resourceType, prefer, options: callerOptions },
+      );
+    }
+    const eTag = ifMatch ? eTagFor(ifMatch) : undefined;
+    const request = this.httpClient.patch(
       `${resourceType}/${id}`,
-      JSONPatch,
-      { ...options, headers: requestHeaders },
+      body,
+      withIfMatch({ ...requestOptions, headers: requestHeaders }, eTag),
     );
+    return this.preferredResult(
+      this.rejectVersionConflicts(request, {
+        resourceType,
+        id,
+        ifMatch: eTag,
+        options: callerOptions,
+      }),
+      {
+        resourceType,
+        id,
+        prefer,
+        options: callerOptions,
+      },
+    );
+  }
+
+  /**
+   * Normalize the result of a write to the `return` preference it was sent
+   * with, whatever the server returned:
+   *
+   * - 'minimal': the id, versionId, lastUpdated and location of the written
+   *   resource, parsed from the Location, ETag and Last-Modified headers
+   * - 'representation': the written resource, read from its location when
+   *   the server did not return it
+   * - 'OperationOutcome': the response body as is
+   *
+   * Client.httpFor works on the result, with the HTTP response of the write
+   * unless the resource had to be read.
+   *
+   * @private
+   *
+   * @param {Promise<Object>} request - The write
+   * @param {Object} params - The write parameters
+   * @param {String} params.resourceType - The resource type
+   * @param {String} [params.id] - The resource id, if known
+   * @param {Object} [params.prefer] - The preferences of the write
+   * @param {Object} [params.options] - The caller's request options of the
+   *   write, which the read shares
+   *
+   * @return {Promise<Object>} The write result
+   */
+  preferredResult(request, {
+    resourceType,
+    id,
+    prefer,
+    options = {},
+  }) {
+    const preferred = prefer && prefer.return;
+    if (preferred !== 'minimal' && preferred !== 'representation') { return request; }
+    return request.then((data) => {
+      if (preferred === 'representation' && data.resourceType === resourceType) {
+        return data;
+      }
+      const result = writeResultFrom(data, id);
+      if (preferred === 'minimal' || !result.id) { return result; }
+      return this.read({
+        resourceType,
+        id: result.id,
+        options: { ...options, cache: 'no-cache' },
+      });
+    });
+  }
+
+  /**
+   * Read the raw content of a Binary resource, e.g. a PDF or an image.
+   *
+   * Servers that only speak FHIR JSON answer with the Binary resource; its
+   * base64 data is decoded, so the result looks the same either way. Any
+   * other JSON, e.g. a document Bundle, is the content itself.
+   *
+   * @example
+   *
+   * const { contentType, content } = await fhirClient.readBinary({
+   *   id: 'report-pdf',
+   *   contentType: 'application/pdf',
+   * });
+   * fs.writeFileSync('report.pdf', content);
+   *
+   * // Stream large content
+   * const { content: stream } = await fhirClient.readBinary({ id: 'scan', stream: true });
+   * stream.pipe(fs.createWriteStream('scan.dcm'));
+   *
+   * @param {Object} params - The request parameters.
+   * @param {String} params.id - The FHIR id of the Binary.
+   * @param {String} [params.contentType] - Optional MIME type to ask for,
+   *   defaults to any type
+   * @param {Boolean} [params.stream] - Optional, resolve the content as a
+   *   stream instead of a Buffer
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional headers to add to the
+   *   request
+   *
+   * @return {Promise<Object>} contentType, securityContext (the
+   *   X-Security-Context reference, if any) and content (a Buffer, or the
+   *   body stream)
+   */
+  async readBinary({
+    id,
+    contentType = '*/*',
+    stream = false,
+    options = {},
+  } = {}) {
+    const body = await this.httpClient.get(`Binary/${id}`, withContext({
+      ...options,
+      responseType: 'stream',
+      headers: { accept: contentType, ...HttpClient.lcKeys(options.headers) },
+    }, { interaction: 'read', resourceType: 'Binary', id }));
+    const { headers } = HttpClient.responseFor(body);
+    const responseType = headers.get('content-type') || undefined;
+
+    let content = body;
+    if (responseType && isBinaryResource(responseType, contentType)) {
+      content = await bufferFrom(body);
+      const resource = binaryResourceIn(content);
+      if (resource) { return binaryContentFrom(resource, stream); }
+    }
+    if (isStream(content) !== stream) {
+      content = stream ? Readable.from([content]) : await bufferFrom(content);
+    }
+
+    return {
+      contentType: responseType,
+      securityContext: headers.get('x-security-context') || undefined,
+      content,
+    };
+  }
+
+  /**
+   * Create a Binary resource from raw content, sent with its own
+   * Content-Type.
+   *
+   * If the server rejects the raw content with 415 Unsupported Media Type,
+   * the content is sent again as a Binary resource with base64 data (unless
+   * it is a stream, which cannot be sent twice).
+   *
+   * @example
+   *
+   * const binary = await fhirClient.createBinary({
+   *   content: fs.readFileSync('photo.jpg'),
+   *   contentType: 'image/jpeg',
+   *   securityContext: 'Patient/123',
+   * });
+   *
+   * @param {Object} params - The request parameters.
+   * @param {Buffer|Uint8Array|String|Readable|ReadableStream} params.content -
+   *   The content
+   * @param {String} params.contentType - The MIME type of the content
+   * @param {String} [params.securityContext] - Optional reference to the
+   *   resource that determines access to the content (X-Security-Context)
+   * @param {Boolean} [params.asResource] - Optional, send a Binary resource
+   *   with base64 data right away
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional headers to add to the
+   *   request
+   *
+   * @return {Promise<Object>} The response body, usually the Binary resource
+   */
+  createBinary({
+    content,
+    contentType,
+    securityContext,
+    asResource = false,
+    options = {},
+  } = {}) {
+    return this.sendBinary('POST', 'Binary', {
+      content,
+      contentType,
+      securityContext,
+      asResource,
+      options: withContext(options, { interaction: 'create', resourceType: 'Binary' }),
+    });
+  }
+
+  /**
+   * Update a Binary resource with raw content, sent with its own
+   * Content-Type. Falls back to a Binary resource with base64 data like
+   * #createBinary.
+   *
+   * @param {Object} params - The request parameters.
+   * @param {String} params.id - The FHIR id of the Binary.
+   * @param {Buffer|Uint8Array|String|Readable|ReadableStream} params.content -
+   *   The content
+   * @param {String} params.contentType - The MIME type of the content
+   * @param {String} [params.securityContext] - Optional reference to the
+   *   resource that determines access to the content (X-Security-Context)
+   * @param {Boolean} [params.asResource] - Optional, send a Binary resource
+   *   with base64 data right away
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional headers to add to the
+   *   request
+   *
+   * @return {Promise<Object>} The response body, usually the Binary resource
+   */
+  updateBinary({
+    id,
+    content,
+    contentType,
+    securityContext,
+    asResource = false,
+    options = {},
+  } = {}) {
+    return this.sendBinary('PUT', `Binary/${id}`, {
+      id,
+      content,
+      contentType,
+      securityContext,
+      asResource,
+      options: withContext(options, { interaction: 'update', resourceType: 'Binary', id }),
+    });
+  }
+
+  /**
+   * Send Binary content raw, or as a Binary resource.
+   *
+   * @private
+   *
+   * @param {String} method - POST or PUT
+   * @param {String} url - The Binary URL
+   * @param {Object} params - See #createBinary, plus the id for updates
+   *
+   * @return {Promise<Object>} The response body
+   */
+  async sendBinary(method, url, {
+    id,
+    content,
+    contentType,
+    securityContext,
+    asResource,
+    options,
+  }) {
+    const headers = HttpClient.lcKeys(options.headers);
+    const requestOptions = withDeadline(options);
+    const sendResource = async () => this.httpClient.request(method, url, {
+      ...requestOptions,
+      format: 'json',
+      headers: { 'content-type': 'application/fhir+json', ...headers },
+    }, binaryResourceFor({
+      id,
+      content: isStream(content) ? await bufferFrom(content) : content,
+      contentType,
+      securityContext,
+    }));
+
+    if (asResource) { return sendResource(); }
+
+    try {
+      return await this.httpClient.request(method, url, {
+        ...requestOptions,
+        headers: {
+          'content-type': contentType,
+          ...(securityContext ? { 'x-security-context': securityContext } : {}),
+          ...headers,
+        },
+      }, content);
+    } catch (error) {
+      if (error.status !== 415 || isStream(content)) { throw error; }
+      return sendResource();
+    }
   }
 
   /**
@@ -660,14 +1795,36 @@ class Client {
    * @param {string} params.body - The request body with a type of 'batch'.
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
+   * @param {Number} [params.chunkSize] - Optional, send the entries in
+   *   chunks of at most this many, merging the responses in order. A chunk
+   *   the server rejects gets an error response for each of its entries
+   * @param {Number} [params.concurrency] - Optional number of chunks sent at
+   *   once, defaults to 1
    * @param {Object} [params.options] - Optional options object
    * @param {Object} [params.options.headers] - Optional headers to add to the
    *   request
    *
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
-  batch({ body, headers, options = {} } = {}) {
-    return this.httpClient.post('/', body, deprecateHeaders(options, headers));
+  batch({
+    body,
+    headers,
+    chunkSize,
+    concurrency,
+    options = {},
+  } = {}) {
+    const requestOptions = withContext(withDeadline(deprecateHeaders(options, headers)), {
+      interaction: 'batch',
+    });
+    if (chunkSize && body && body.entry && body.entry.length > chunkSize) {
+      return sendInChunks({
+        bundle: body,
+        send: (chunk) => this.httpClient.post('/', chunk, requestOptions),
+        chunkSize,
+        concurrency,
+      });
+    }
+    return this.httpClient.post('/', body, requestOptions);
   }
 
   /**
@@ -729,14 +1886,71 @@ class Client {
    *   'transaction'.
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
+   * @param {Number} [params.chunkSize] - Optional, with allowNonAtomic, send
+   *   the entries as separate transactions of at most this many, merging the
+   *   responses in order. Each chunk is committed on its own
+   * @param {Number} [params.concurrency] - Optional number of chunks sent at
+   *   once, defaults to 1
+   * @param {Boolean} [params.allowNonAtomic] - Optional, allow splitting the
+   *   transaction with chunkSize, even when entries reference entries of
+   *   other chunks
    * @param {Object} [params.options] - Optional options object
    * @param {Object} [params.options.headers] - Optional headers to add to the
    *   request
    *
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
+   *
+   * @throws {Error} if the transaction would be split without allowNonAtomic
+   * @throws {PartialTransactionError} if a chunk fails; earlier chunks may
+   *   have been committed
    */
-  transaction({ body, headers, options = {} } = {}) {
-    return this.httpClient.post('/', body, deprecateHeaders(options, headers));
+  transaction({
+    body,
+    headers,
+    chunkSize,
+    concurrency,
+    allowNonAtomic,
+    options = {},
+  } = {}) {
+    const requestOptions = withContext(withDeadline(deprecateHeaders(options, headers)), {
+      interaction: 'transaction',
+    });
+    if (chunkSize && body && body.entry && body.entry.length > chunkSize) {
+      return sendInChunks({
+        bundle: body,
+        send: (chunk) => this.httpClient.post('/', chunk, requestOptions),
+        chunkSize,
+        concurrency,
+        allowNonAtomic,
+      });
+    }
+    return this.httpClient.post('/', body, requestOptions);
+  }
+
+  /**
+   * Build a transaction or batch Bundle one request at a time. Entries get
+   * urn:uuid fullUrls, references to resources created in the Bundle are
+   * rewritten to them, and commit matches each entry with its response.
+   *
+   * @example
+   *
+   * const transaction = fhirClient.transactionBuilder();
+   * const patient = transaction.create({ resourceType: 'Patient', id: 'p1' });
+   * transaction.create({
+   *   resourceType: 'Observation',
+   *   subject: { reference: 'Patient/p1' },
+   * });
+   *
+   * const { results } = await transaction.commit();
+   * console.log(results.get(patient).location);
+   *
+   * @param {Object} [params] - The builder parameters
+   * @param {String} [params.type] - 'transaction' (default) or 'batch'
+   *
+   * @return {TransactionBuilder} The transaction builder
+   */
+  transactionBuilder({ type = 'transaction' } = {}) {
+    return new TransactionBuilder({ client: this, type });
   }
 
   /**
@@ -781,26 +1995,116 @@ class Client {
     const url = ['/'];
 
     if (resourceType) {
-      if (!validResourceType(resourceType)) {
+      if (!validResourceType(resourceType, this.registry)) {
         throw new Error('Invalid resourceType', resourceType);
       }
       url.push(`${resourceType}/`);
     }
     if (id) { url.push(`${id}/`); }
 
-    url.push(`${name.startsWith('$') ? name : `$${name}`}`);
+    const operationName = name.startsWith('$') ? name : `$${name}`;
+    url.push(operationName);
+    const requestOptions = withContext(options, {
+      interaction: 'operation', name: operationName, resourceType, id,
+    });
 
     if (method.toUpperCase() === 'POST') {
-      return this.httpClient.post(url.join(''), input, options);
+      return this.httpClient.post(url.join(''), input, requestOptions);
     }
     if (method.toUpperCase() === 'GET') {
       if (input) {
         url.push(`?${queryString.stringify(input)}`);
       }
-      return this.httpClient.get(url.join(''), options);
+      return this.httpClient.get(url.join(''), requestOptions);
     }
   }
 
+  /**
+   * Start a Bulk Data export, and return the job to poll for completion and
+   * stream the exported NDJSON files from.
+   *
+   * - To export all data, omit the resourceType and id parameters.
+   * - To export all patients' data, use resourceType 'Patient'.
+   * - To export a group's data, use resourceType 'Group' and its id.
+   *
+   * @see https://hl7.org/fhir/uv/bulkdata/export.html
+   *
+   * @example
+   *
+   * const job = await client.bulkExport({ type: ['Patient', 'Condition'] });
+   * await job.waitForCompletion();
+   * for await (const resource of job.resources()) {
+   *   console.log(resource.resourceType, resource.id);
+   * }
+   *
+   * @param {Object} [params] - The request parameters.
+   * @param {String} [params.resourceType] - Optional 'Patient' or 'Group'
+   * @param {String} [params.id] - Optional Group id
+   * @param {String|String[]} [params.type] - Optional resource types to
+   *   export (_type)
+   * @param {Date|String} [params.since] - Optional time after which
+   *   resources were changed (_since)
+   * @param {String|String[]} [params.typeFilter] - Optional FHIR searches
+   *   that resources must match (_typeFilter)
+   * @param {String} [params.outputFormat] - Optional output format
+   *   (_outputFormat)
+   * @param {Object} [params.params] - Optional additional kick-off parameters
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional headers to add to the
+   *   request
+   *
+   * @return {Promise<BulkExportJob>} The started export
+   */
+  async bulkExport({
+    resourceType,
+    id,
+    type,
+    since,
+    typeFilter,
+    outputFormat,
+    params = {},
+    options = {},
+  } = {}) {
+    if (resourceType && !['Patient', 'Group'].includes(resourceType)) {
+      throw new Error(`Bulk export is not defined for ${resourceType}`);
+    }
+    if (resourceType === 'Group' && !id) {
+      throw new Error('Group bulk export requires an id');
+    }
+
+    const path = [resourceType, resourceType === 'Group' ? id : undefined, '$export']
+      .filter(Boolean).join('/');
+    const query = createQueryString({
+      _type: Array.isArray(type) ? type.join(',') : type,
+      _since: since instanceof Date ? since.toISOString() : since,
+      _typeFilter: typeFilter,
+      _outputFormat: outputFormat,
+      ...params,
+    });
+
+    return BulkExportJob.kickOff({
+      httpClient: this.httpClient,
+      url: query ? `${path}?${query}` : path,
+      options: withContext(options, {
+        interaction: 'operation', name: '$export', resourceType, id,
+      }),
+    });
+  }
+
+  /**
+   * Return the job for a Bulk Data export started earlier, e.g. by another
+   * process.
+   *
+   * @param {Object} params - The job parameters.
+   * @param {String} params.statusUrl - The Content-Location of the kick-off
+   *   response
+   *
+   * @return {BulkExportJob} The export
+   */
+  bulkExportJob({ statusUrl }) {
+    return new BulkExportJob({ httpClient: this.httpClient, statusUrl });
+  }
+
   /**
    * Return the next page of results.
    *
@@ -839,6 +2143,124 @@ class Client {
     return this.pagination.prevPage(bundle, options);
   }
 
+  /**
+   * Iterate over a Bundle and all of the pages that follow it.
+   *
+   * Works with the results of any search or history request. Iteration stops
+   * when there are no more "next" links, when a limit is reached, or when the
+   * signal is aborted.
+   *
+   * @example
+   *
+   * const bundle = await fhirClient.search({ resourceType: 'Patient' });
+   * for await (const page of fhirClient.paginate({ bundle, maxPages: 10 })) {
+   *   console.log(page.entry.length);
+   * }
+   *
+   * @param {Object} params - The request parameters.
+   * @param {Object} params.bundle - The first page of results
+   * @param {Number} [params.maxPages] - Optional maximum number of pages,
+   *   including the first one
+   * @param {Number} [params.maxResources] - Optional number of entries after
+   *   which no further pages are fetched. Every entry counts, including
+   *   included resources and OperationOutcomes.
+   * @param {AbortSignal} [params.signal] - Optional signal to stop paging
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional headers to add to each
+   *   page request
+   *
+   * @return {AsyncIterableIterator<Object>} FHIR Bundles, one per page.
+   */
+  paginate({ bundle, maxPages, maxResources, signal, options = {} } = {}) {
+    return this.pagination.pages(bundle, { maxPages, maxResources, signal, options });
+  }
+
+  /**
+   * Search for FHIR resources and iterate over the entries of every page of
+   * results. Accepts the same parameters as Client#search.
+   *
+   * @example
+   *
+   * const controller = new AbortController();
+   * const entries = fhirClient.searchAll({
+   *   resourceType: 'Observation',
+   *   compartment: { resourceType: 'Patient', id: 123 },
+   *   maxResources: 500,
+   *   signal: controller.signal,
+   * });
+   * for await (const entry of entries) {
+   *   console.log(entry.resource.id);
+   * }
+   *
+   * @param {Object} params - The request parameters, see Client#search.
+   * @param {Number} [params.maxPages] - Optional maximum number of pages
+   * @param {Number} [params.maxResources] - Optional maximum number of
+   *   entries, included resources and OperationOutcomes among them
+   * @param {AbortSignal} [params.signal] - Optional signal to stop iterating
+   *
+   * @return {AsyncIterableIterator<Object>} Bundle entries
+   */
+  searchAll({ maxPages, maxResources, signal, ...params } = {}) {
+    const strict = params.prefer && params.prefer.handling === 'strict';
+    return this.allEntries((options) => this.search({ ...params, options }), {
+      maxPages,
+      maxResources,
+      signal,
+      checkPage: strict ? rejectSearchWarnings : undefined,
+      options: params.options,
+    });
+  }
+
+  /**
+   * Retrieve change history and iterate over the entries of every page.
+   * Accepts the same parameters as Client#history.
+   *
+   * @example
+   *
+   * for await (const entry of fhirClient.historyAll({ resourceType: 'Patient' })) {
+   *   console.log(entry.request.method, entry.fullUrl);
+   * }
+   *
+   * @param {Object} [params] - The request parameters, see Client#history.
+   * @param {Number} [params.maxPages] - Optional maximum number of pages
+   * @param {Number} [params.maxResources] - Optional maximum number of
+   *   entries, included resources and OperationOutcomes among them
+   * @param {AbortSignal} [params.signal] - Optional signal to stop iterating
+   *
+   * @return {AsyncIterableIterator<Object>} Bundle entries
+   */
+  historyAll({ maxPages, maxResources, signal, ...params } = {}) {
+    return this.allEntries(
+      (options) => this.history({ ...params, options }),
+      { maxPages, maxResources, signal, options: params.options },
+    );
+  }
+
+  /**
+   * Run the first request lazily, then iterate over all entries.
+   *
+   * @private
+   *
+   * @param {Function} firstPage - Called with request options, returns the
+   *   first Bundle
+   * @param {Object} params - Iteration parameters, see Pagination#pages
+   *
+   * @return {AsyncIterableIterator<Object>} Bundle entries
+   */
+  async* allEntries(firstPage, params) {
+    const { signal, maxResources } = params;
+    if (maxResources <= 0) { return; }
+    const options = withDeadline(params.options);
+    let bundle;
+    try {
+      bundle = await firstPage(signal ? { ...options, signal } : options);
+    } catch (error) {
+      if (signal && signal.aborted) { return; }
+      throw error;
+    }
+    yield* this.pagination.entries(bundle, { ...params, options });
+  }
+
   /**
    * Search for a FHIR resource, with or without compartments, or the entire
    * system
@@ -865,6 +2287,10 @@ class Client {
    *   (e.g. "Patient", "Observation"), optional.
    * @param {Object} [params.compartment] - The search compartment, optional.
    * @param {Object} [params.searchParams] - The search parameters, optional.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header: `handling` 'strict' asks the server to reject unknown search
+   *   parameters, and rejects a Bundle with warnings with a
+   *   SearchWarningError; 'lenient' asks it to ignore them
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -878,8 +2304,8 @@ class Client {
    *
    * @throws {Error} if neither searchParams nor resourceType are supplied
    */
-  search({ resourceType, compartment, searchParams, headers, options = {} } = {}) {
-    if (resourceType && !validResourceType(resourceType)) {
+  search({ resourceType, compartment, searchParams, prefer, headers, options = {} } = {}) {
+    if (resourceType && !validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
 
@@ -888,17 +2314,20 @@ class Client {
         resourceType,
         compartment,
         searchParams,
+        prefer,
         options: deprecateHeaders(options, headers),
       });
     } if (resourceType) {
       return this.resourceSearch({
         resourceType,
         searchParams,
+        prefer,
         options: deprecateHeaders(options, headers),
       });
     } if (searchParams instanceof Object && Object.keys(searchParams).length > 0) {
       return this.systemSearch({
         searchParams,
+        prefer,
         options: deprecateHeaders(options, headers),
       });
     }
@@ -906,6 +2335,30 @@ class Client {
     throw new Error('search requires either searchParams or a resourceType');
   }
 
+  /**
+   * Build a search with a fluent API, compiled to the searchParams of
+   * Client#search. Repeating a parameter matches all of its values (AND),
+   * several values in one call match any of them (OR).
+   *
+   * @example
+   *
+   * const bundle = await fhirClient.searchBuilder('Observation')
+   *   .where('code').is('http://loinc.org|1234')
+   *   .and('date').ge('2024-01-01')
+   *   .include('Observation:subject')
+   *   .sort('-date')
+   *   .count(50)
+   *   .execute();
+   *
+   * @param {String} [resourceType] - The resource type (e.g. "Patient",
+   *   "Observation"), omit for a system search
+   *
+   * @return {SearchBuilder} The search builder
+   */
+  searchBuilder(resourceType) {
+    return new SearchBuilder(this, resourceType);
+  }
+
   /**
    * Search for a FHIR resource.
    *
@@ -928,6 +2381,10 @@ class Client {
    * @param {String} params.resourceType - The resource type (e.g. "Patient",
    *   "Observation").
    * @param {Object} params.searchParams - The search parameters.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header: `handling` 'strict' asks the server to reject unknown search
+   *   parameters, and rejects a Bundle with warnings with a
+   *   SearchWarningError; 'lenient' asks it to ignore them
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -939,8 +2396,8 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resources in a Bundle
    */
-  resourceSearch({ resourceType, searchParams, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+  resourceSearch({ resourceType, searchParams, prefer, headers, options = {} } = {}) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
 
@@ -950,7 +2407,14 @@ class Client {
       searchPath += '/_search';
     }
 
-    return this.baseSearch({ searchPath, searchParams, headers, options });
+    return this.baseSearch({
+      searchPath,
+      searchParams,
+      prefer,
+      headers,
+      options,
+      context: { interaction: 'search-type', resourceType },
+    });
   }
 
   /**
@@ -970,6 +2434,10 @@ class Client {
    *
    * @param {Object} params - The request parameters.
    * @param {Object} params.searchParams - The search parameters.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header: `handling` 'strict' asks the server to reject unknown search
+   *   parameters, and rejects a Bundle with warnings with a
+   *   SearchWarningError; 'lenient' asks it to ignore them
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -981,10 +2449,17 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resources in a Bundle
    */
-  systemSearch({ searchParams, headers, options = {} } = {}) {
+  systemSearch({ searchParams, prefer, headers, options = {} } = {}) {
     const searchPath = '/_search';
 
-    return this.baseSearch({ searchPath, searchParams, headers, options });
+    return this.baseSearch({
+      searchPath,
+      searchParams,
+      prefer,
+      headers,
+      options,
+      context: { interaction: 'search-system' },
+    });
   }
 
   /**
@@ -1013,6 +2488,10 @@ class Client {
    *   "Observation").
    * @param {Object} params.compartment - The search compartment.
    * @param {Object} [params.searchParams] - The search parameters, optional.
+   * @param {Object} [params.prefer] - Optional preferences sent in the Prefer
+   *   header: `handling` 'strict' asks the server to reject unknown search
+   *   parameters, and rejects a Bundle with warnings with a
+   *   SearchWarningError; 'lenient' asks it to ignore them
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -1024,14 +2503,22 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resources in a Bundle
    */
-  compartmentSearch({ resourceType, compartment, searchParams, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+  compartmentSearch({
+    resourceType,
+    compartment,
+    searchParams,
+    prefer,
+    headers,
+    options = {},
+  } = {}) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
 
     const { resourceType: compartmentType, id: compartmentId } = compartment;
 
-    if (!validResourceType(compartmentType)) {
+    if (!validResourceType(compartmentType, this.registry)
+      || (this.registry && !this.registry.compartments.has(compartmentType))) {
       throw new Error('Invalid compartmentType', compartmentType);
     }
 
@@ -1041,7 +2528,14 @@ class Client {
       searchPath += '/_search';
     }
 
-    return this.baseSearch({ searchPath, searchParams, headers, options });
+    return this.baseSearch({
+      searchPath,
+      searchParams,
+      prefer,
+      headers,
+      options,
+      context: { interaction: 'search-type', resourceType, compartment },
+    });
   }
 
   /**
@@ -1052,6 +2546,9 @@ class Client {
    * @param {Object} params - The request parameters.
    * @param {String} params.searchPath - The url path
    * @param {Object} [params.searchParams] - The search parameters, optional
+   * @param {Object} [params.prefer] - The preferences, optional
+   * @param {Object} [params.context] - The context of the search for the
+   *   middleware
    * @param {Object} [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param {Object} [params.options] - Optional options object
@@ -1063,12 +2560,24 @@ class Client {
    *
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle
    */
-  baseSearch({ searchPath, searchParams, headers, options }) {
+  baseSearch({
+    searchPath,
+    searchParams,
+    prefer,
+    headers,
+    options,
+    context,
+  }) {
     const searchQuery = createQueryString(searchParams);
-    const searchOptions = deprecateHeaders(options, headers);
+    const searchOptions = withContext(
+      withPrefer(deprecateHeaders(options, headers), prefer),
+      { ...context, searchParams },
+    );
     const searchFunction = options.postSearch ? 'postSearch' : 'getSearch';
 
-    return this[searchFunction](searchPath, searchQuery, searchOptions);
+    const request = this[searchFunction](searchPath, searchQuery, searchOptions);
+    if (!prefer || prefer.handling !== 'strict') { return request; }
+    return request.then(rejectSearchWarnings);
   }
 
   /**
@@ -1143,7 +2652,7 @@ class Client {
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
   history({ resourceType, id, headers, options = {} } = {}) {
-    if (resourceType && !validResourceType(resourceType)) {
+    if (resourceType && !validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
 
@@ -1189,13 +2698,15 @@ class Client {
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
   resourceHistory({ resourceType, id, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
 
     return this.httpClient.get(
       `${resourceType}/${id}/_history`,
-      deprecateHeaders(options, headers),
+      withContext(deprecateHeaders(options, headers), {
+        interaction: 'history-instance', resourceType, id,
+      }),
     );
   }
 
@@ -1224,13 +2735,15 @@ class Client {
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
   typeHistory({ resourceType, headers, options = {} } = {}) {
-    if (!validResourceType(resourceType)) {
+    if (!validResourceType(resourceType, this.registry)) {
       throw new Error('Invalid resourceType', resourceType);
     }
 
     return this.httpClient.get(
       `${resourceType}/_history`,
-      deprecateHeaders(options, headers),
+      withContext(deprecateHeaders(options, headers), {
+        interaction: 'history-type', resourceType,
+      }),
     );
   }
 
@@ -1257,9 +2770,40 @@ class Client {
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
   systemHistory({ headers, options = {} } = {}) {
-    return this.httpClient.get('_history', deprecateHeaders(options, headers));
+    return this.httpClient.get(
+      '_history',
+      withContext(deprecateHeaders(options, headers), { interaction: 'history-system' }),
+    );
   }
 }
 
 module.exports = Client;
 module.exports.CapabilityTool = CapabilityTool;
+module.exports.SmartAuthorization = SmartAuthorization;
+module.exports.TokenProvider = TokenProvider;
+module.exports.RefreshTokenProvider = RefreshTokenProvider;
+module.exports.BackendServicesTokenProvider = BackendServicesTokenProvider;
+module.exports.AwsSigV4Signer = AwsSigV4Signer;
+module.exports.HttpMessageSignatures = HttpMessageSignatures;
+module.exports.BulkExportJob = BulkExportJob;
+module.exports.SearchBuilder = SearchBuilder;
+module.exports.TransactionBuilder = TransactionBuilder;
+module.exports.FhirPathPatch = FhirPathPatch;
+module.exports.ResponseCache = ResponseCache;
+module.exports.MemoryCacheStore = MemoryCacheStore;
+module.exports.FhirRequestError = FhirRequestError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.GoneError = GoneError;
+module.exports.PreconditionFailedError = PreconditionFailedError;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.MultipleMatchesError = MultipleMatchesError;
+module.exports.RateLimitedError = RateLimitedError;
+module.exports.SearchWarningError = SearchWarningError;
+module.exports.FhirVersionMismatchError = FhirVersionMismatchError;
+module.exports.SignatureVerificationError = SignatureVerificationError;
+module.exports.PartialTransactionError = PartialTransactionError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.digestHeader = digestHeader;
+module.exports.contentDigestHeader = contentDigestHeader;
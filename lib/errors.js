@@ -0,0 +1,333 @@
+/* eslint-disable max-classes-per-file */
+const { parseRetryAfter } = require('./retry-policy');
+const { versionIdFromETag } = require('./utils');
+
+/**
+ * Pull the issues out of an OperationOutcome.
+ *
+ * @private
+ *
+ * @param {Object} [operationOutcome] - OperationOutcome FHIR resource
+ *
+ * @return {Object[]} Issues with severity, code, diagnostics, expression and
+ *   details fields
+ */
+function issuesFrom(operationOutcome) {
+  if (!operationOutcome || !Array.isArray(operationOutcome.issue)) { return []; }
+  return operationOutcome.issue.map((issue) => ({
+    severity: issue.severity,
+    code: issue.code,
+    diagnostics: issue.diagnostics,
+    expression: issue.expression || issue.location || [],
+    details: issue.details && issue.details.text,
+  }));
+}
+
+/**
+ * Error thrown for unsuccessful FHIR requests.
+ *
+ * Keeps the `response` and `config` fields that errors have always had, and
+ * exposes the OperationOutcome returned by the server, if any.
+ *
+ * @example
+ *
+ * try {
+ *   await fhirClient.read({ resourceType: 'Patient', id: 'abc' });
+ * } catch (error) {
+ *   if (error instanceof NotFoundError) {
+ *     console.log(error.issues.map((issue) => issue.diagnostics));
+ *   }
+ * }
+ */
+class FhirRequestError extends Error {
+  /**
+   * Create a request error.
+   *
+   * @param {Object} details - The failed request
+   * @param {Number} details.status - HTTP status code
+   * @param {Object|String} details.data - Response body
+   * @param {String} details.method - HTTP method
+   * @param {Headers} details.headers - Response headers
+   * @param {String} details.url - Request URL
+   */
+  constructor({
+    status,
+    data,
+    method,
+    headers,
+    url,
+  }) {
+    const operationOutcome = data && data.resourceType === 'OperationOutcome' ? data : undefined;
+    const issues = issuesFrom(operationOutcome);
+    const summary = issues.map((issue) => issue.diagnostics || issue.details).filter(Boolean);
+    const message = `${method} ${url} failed with status ${status}`;
+    super(summary.length > 0 ? `${message}: ${summary.join('; ')}` : message);
+
+    this.name = this.constructor.name;
+    this.status = status;
+    this.response = { status, data };
+    this.config = { method, url, headers };
+    this.operationOutcome = operationOutcome;
+    this.issues = issues;
+  }
+
+  /**
+   * Build the error class that matches the response status.
+   *
+   * @param {Object} details - The failed request, see constructor
+   *
+   * @return {FhirRequestError} An instance of the matching subclass
+   */
+  static from(details) {
+    // eslint-disable-next-line no-use-before-define
+    const ErrorClass = errorClassesByStatus[details.status] || FhirRequestError;
+    return new ErrorClass(details);
+  }
+}
+
+/** Error for 401 Unauthorized responses. */
+class UnauthorizedError extends FhirRequestError {}
+
+/** Error for 404 Not Found responses. */
+class NotFoundError extends FhirRequestError {}
+
+/** Error for 409 Conflict responses. */
+class ConflictError extends FhirRequestError {}
+
+/** Error for 410 Gone responses, e.g. reading a deleted resource. */
+class GoneError extends FhirRequestError {}
+
+/** Error for 412 Precondition Failed responses. */
+class PreconditionFailedError extends FhirRequestError {}
+
+/**
+ * Error for writes rejected with 412 Precondition Failed because the
+ * resource changed since the version given in If-Match. Has the ETag that
+ * was sent as `ifMatch` and, when it could be read, the `current` resource
+ * on the server, its `currentVersionId` and `currentETag`.
+ */
+class VersionConflictError extends PreconditionFailedError {
+  /**
+   * Create a version conflict error.
+   *
+   * @param {Object} details - The failed request, see FhirRequestError
+   * @param {String} details.ifMatch - The ETag sent in If-Match
+   * @param {Object} [details.current] - The current resource, if read
+   * @param {String} [details.currentETag] - The ETag of the current
+   *   resource, if read
+   */
+  constructor(details) {
+    super(details);
+    const { ifMatch, current, currentETag } = details;
+    this.ifMatch = ifMatch;
+    this.current = current;
+    this.currentETag = currentETag;
+    this.currentVersionId = (current && current.meta && current.meta.versionId)
+      || versionIdFromETag(currentETag);
+  }
+}
+
+/**
+ * Error for conditional creates, updates, patches and deletes rejected with
+ * 412 Precondition Failed because their search matched more than one
+ * resource. Has the search as `condition`, e.g. 'identifier=123'.
+ */
+class MultipleMatchesError extends PreconditionFailedError {
+  /**
+   * Create a multiple matches error.
+   *
+   * @param {Object} details - The failed request, see FhirRequestError
+   * @param {String} details.condition - The search of the request
+   */
+  constructor(details) {
+    super(details);
+    this.condition = details.condition;
+  }
+}
+
+/** Error for 429 Too Many Requests responses. */
+class RateLimitedError extends FhirRequestError {
+  /**
+   * Create a rate limit error, with the server's Retry-After in
+   * milliseconds as `retryAfter` when it was sent.
+   *
+   * @param {Object} details - The failed request, see FhirRequestError
+   */
+  constructor(details) {
+    super(details);
+    const { headers } = details;
+    this.retryAfter = headers && typeof headers.get === 'function'
+      ? parseRetryAfter(headers.get('retry-after'))
+      : undefined;
+  }
+}
+
+/**
+ * Error for searches sent with `Prefer: handling=strict` whose Bundle has
+ * warnings, e.g. about unknown search parameters the server ignored. Has
+ * the `issues` of the outcome entries and the search `bundle`.
+ */
+class SearchWarningError extends FhirRequestError {
+  /**
+   * Create a search warning error.
+   *
+   * @param {Object} details - The search, see FhirRequestError
+   * @param {Object} details.data - An OperationOutcome with the warnings
+   * @param {Object} details.bundle - The search Bundle
+   */
+  constructor(details) {
+    super(details);
+    const summary = this.issues.map((issue) => issue.diagnostics || issue.details).filter(Boolean);
+    this.message = `${details.method} ${details.url} returned warnings: ${summary.join('; ')}`;
+    this.bundle = details.bundle;
+  }
+}
+
+/**
+ * Error thrown when the server answers in another FHIR version than the one
+ * asked for with the fhirVersion parameter of Accept.
+ */
+class FhirVersionMismatchError extends Error {
+  /**
+   * Create a version mismatch error.
+   *
+   * @param {Object} details - The mismatched response
+   * @param {String} details.expected - The FHIR version asked for
+   * @param {String} details.actual - The FHIR version of the response
+   * @param {String} details.method - HTTP method
+   * @param {String} details.url - Request URL
+   * @param {Response} details.response - The response
+   */
+  constructor({
+    expected,
+    actual,
+    method,
+    url,
+    response,
+  }) {
+    super(`${method} ${url} returned FHIR version ${actual} instead of ${expected}`);
+    this.name = this.constructor.name;
+    this.expected = expected;
+    this.actual = actual;
+    this.response = response;
+  }
+}
+
+/**
+ * Error thrown when the Signature of a response (RFC 9421) is missing or
+ * does not verify.
+ */
+class SignatureVerificationError extends Error {
+  /**
+   * Create a signature verification error.
+   *
+   * @param {Object} details - The unverified response
+   * @param {String} details.reason - Why the signature does not verify
+   * @param {String} details.method - HTTP method
+   * @param {String} details.url - Request URL
+   * @param {Response} details.response - The response
+   */
+  constructor({
+    reason,
+    method,
+    url,
+    response,
+  }) {
+    super(`${method} ${url} returned a response that failed signature verification: ${reason}`);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.response = response;
+  }
+}
+
+/**
+ * Error thrown when a chunk of a transaction sent in chunks fails after
+ * other chunks may have been committed. Has the `error` of the chunk, its
+ * index as `failedChunk`, and `responses`: the transaction-response Bundle
+ * of each chunk that was committed, by chunk index.
+ */
+class PartialTransactionError extends Error {
+  /**
+   * Create a partial transaction error.
+   *
+   * @param {Object} details - The chunks
+   * @param {Number} details.failedChunk - The index of the failed chunk
+   * @param {Number} details.chunks - The number of chunks
+   * @param {Error} details.error - The error of the failed chunk
+   * @param {Object[]} details.responses - The response Bundles of the
+   *   committed chunks, undefined for the others
+   */
+  constructor({
+    failedChunk,
+    chunks,
+    error,
+    responses,
+  }) {
+    const committed = responses.filter(Boolean).length;
+    super(`Chunk ${failedChunk + 1} of ${chunks} of the transaction failed after ${committed} chunks were committed: ${error.message}`);
+    this.name = this.constructor.name;
+    this.failedChunk = failedChunk;
+    this.error = error;
+    this.responses = responses;
+  }
+}
+
+const phaseDescriptions = {
+  connect: 'the connection',
+  headers: 'the response headers',
+  body: 'the response body',
+};
+
+/**
+ * Error thrown when a request runs out of time. The phase says what it was
+ * waiting for: 'connect', 'headers' or 'body'.
+ */
+class TimeoutError extends Error {
+  /**
+   * Create a timeout error.
+   *
+   * @param {Object} details - The request that ran out of time
+   * @param {String} details.phase - 'connect', 'headers' or 'body'
+   * @param {Number} details.timeout - The milliseconds the request had
+   * @param {String} details.method - HTTP method
+   * @param {String} details.url - Request URL
+   */
+  constructor({
+    phase,
+    timeout,
+    method,
+    url,
+  }) {
+    super(`${method} ${url} timed out after ${timeout} ms waiting for ${phaseDescriptions[phase]}`);
+    this.name = this.constructor.name;
+    this.phase = phase;
+    this.timeout = timeout;
+  }
+}
+
+const errorClassesByStatus = {
+  401: UnauthorizedError,
+  404: NotFoundError,
+  409: ConflictError,
+  410: GoneError,
+  412: PreconditionFailedError,
+  429: RateLimitedError,
+};
+
+module.exports = {
+  FhirRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PreconditionFailedError,
+  VersionConflictError,
+  MultipleMatchesError,
+  RateLimitedError,
+  SearchWarningError,
+  FhirVersionMismatchError,
+  SignatureVerificationError,
+  PartialTransactionError,
+  TimeoutError,
+  issuesFrom,
+};
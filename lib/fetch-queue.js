@@ -1,5 +1,5 @@
 /* eslint-disable max-classes-per-file */
-const { AbortController } = require('node-abort-controller');
+const { AbortController, anySignal } = require('./timeouts');
 
 class FetchJob {
   constructor() {
@@ -8,10 +8,9 @@ class FetchJob {
   }
 
   addSignalOption(options) {
-    return {
-      signal: this.controller.signal,
-      ...options,
-    };
+    const { signal, release } = anySignal([this.controller.signal, options.signal]);
+    this.release = release;
+    return { ...options, signal };
   }
 
   safeAbort() {
@@ -33,6 +32,10 @@ class FetchQueue {
     return job;
   }
 
+  release() {
+    this.jobs.forEach((job) => job.release && job.release());
+  }
+
   safeAbortOthers(currentJob) {
     currentJob.resolving = true; // eslint-disable-line no-param-reassign
     for (let a = 0, l = this.numJobs; a < l; a += 1) {
@@ -0,0 +1,299 @@
+const elementName = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * The type suffix of a value[x] for a JavaScript primitive.
+ *
+ * @private
+ *
+ * @param {*} value - A string, boolean or number
+ *
+ * @return {String} The value[x] name, e.g. 'valueString'
+ */
+function primitiveValueName(value) {
+  switch (typeof value) {
+    case 'boolean':
+      return 'valueBoolean';
+    case 'number':
+      return Number.isInteger(value) ? 'valueInteger' : 'valueDecimal';
+    case 'string':
+      return 'valueString';
+    default:
+      throw new Error(`Unsupported FHIRPath Patch value ${value}`);
+  }
+}
+
+/**
+ * Is the value already typed, e.g. `{ valueCode: 'male' }`?
+ *
+ * @private
+ *
+ * @param {*} value - The value
+ *
+ * @return {Boolean} Whether it has a single value[x] key
+ */
+function isTypedValue(value) {
+  const keys = Object.keys(value);
+  return keys.length === 1 && /^value[A-Z]/.test(keys[0]);
+}
+
+/**
+ * The Parameters part of a value, without its name. Primitives become a
+ * value[x] of the matching type, typed values are kept, and other objects
+ * (e.g. a BackboneElement) become parts, one per element.
+ *
+ * @private
+ *
+ * @param {*} value - The value
+ *
+ * @return {Object} The part, e.g. `{ valueString: 'Jo' }`
+ */
+function partFor(value) {
+  if (value === null || value === undefined || Array.isArray(value)) {
+    throw new Error(`Unsupported FHIRPath Patch value ${JSON.stringify(value)}`);
+  }
+  if (typeof value !== 'object') {
+    return { [primitiveValueName(value)]: value };
+  }
+  if (isTypedValue(value)) {
+    return value;
+  }
+  const part = [];
+  Object.keys(value).forEach((name) => {
+    [].concat(value[name]).forEach((item) => part.push({ name, ...partFor(item) }));
+  });
+  return { part };
+}
+
+/**
+ * Split a JSON Pointer in its unescaped segments.
+ *
+ * @private
+ *
+ * @param {String} pointer - The pointer, e.g. '/name/0/given'
+ *
+ * @return {String[]} The segments
+ */
+function pointerSegments(pointer) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Patch path ${pointer}`);
+  }
+  return pointer.slice(1).split('/')
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Builder for FHIRPath Patch documents: a Parameters resource with an
+ * `operation` parameter per change. Values are given as JavaScript values
+ * and typed from their JavaScript type (string, boolean, integer or decimal);
+ * pass a typed value such as `{ valueCode: 'male' }` when the element has
+ * another type.
+ *
+ * @see https://hl7.org/fhir/fhirpatch.html
+ *
+ * @example
+ *
+ * const patch = new FhirPathPatch()
+ *   .replace('Patient.gender', { valueCode: 'female' })
+ *   .add('Patient', 'birthDate', { valueDate: '1970-01-01' })
+ *   .insert('Patient.name[0].given', 'Jo', 0)
+ *   .delete('Patient.telecom.where(system = \'fax\')');
+ *
+ * await client.patch({ resourceType: 'Patient', id: '12', FHIRPathPatch: patch });
+ */
+class FhirPathPatch {
+  /**
+   * Create an empty patch.
+   */
+  constructor() {
+    this.operations = [];
+  }
+
+  /**
+   * Add an operation.
+   *
+   * @private
+   *
+   * @param {String} type - The operation type
+   * @param {Object} parts - The other parts, by name
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  operation(type, parts) {
+    const part = [{ name: 'type', valueCode: type }];
+    Object.keys(parts).forEach((name) => {
+      if (parts[name] === undefined) { return; }
+      part.push(name === 'value'
+        ? { name, ...partFor(parts[name]) }
+        : { name, [primitiveValueName(parts[name])]: parts[name] });
+    });
+    this.operations.push(part);
+    return this;
+  }
+
+  /**
+   * Add an element to a list, or set it on a complex element.
+   *
+   * @param {String} path - FHIRPath of the element the value is added to
+   * @param {String} name - The name of the added element
+   * @param {*} value - The value
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  add(path, name, value) {
+    return this.operation('add', { path, name, value });
+  }
+
+  /**
+   * Insert a value in a list.
+   *
+   * @param {String} path - FHIRPath of the list
+   * @param {*} value - The value
+   * @param {Number} index - The position of the value in the list
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  insert(path, value, index) {
+    return this.operation('insert', { path, index, value });
+  }
+
+  /**
+   * Delete an element. Paths that match nothing are ignored by servers.
+   *
+   * @param {String} path - FHIRPath of the element, matching at most one
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  delete(path) {
+    return this.operation('delete', { path });
+  }
+
+  /**
+   * Replace the value of an element.
+   *
+   * @param {String} path - FHIRPath of the element
+   * @param {*} value - The new value
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  replace(path, value) {
+    return this.operation('replace', { path, value });
+  }
+
+  /**
+   * Move an element within a list.
+   *
+   * @param {String} path - FHIRPath of the list
+   * @param {Number} source - The index of the element
+   * @param {Number} destination - Its new index
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  move(path, source, destination) {
+    return this.operation('move', { path, source, destination });
+  }
+
+  /**
+   * The patch as a Parameters resource, to send with Content-Type
+   * application/fhir+json.
+   *
+   * @return {Object} The Parameters resource
+   */
+  toParameters() {
+    return {
+      resourceType: 'Parameters',
+      parameter: this.operations.map((part) => ({ name: 'operation', part })),
+    };
+  }
+
+  /**
+   * The Parameters resource of a patch given as a builder or a resource.
+   *
+   * @param {FhirPathPatch|Object} patch - The patch
+   *
+   * @return {Object} The Parameters resource
+   */
+  static parametersFor(patch) {
+    return patch instanceof FhirPathPatch ? patch.toParameters() : patch;
+  }
+
+  /**
+   * Convert JSON Patch operations to FHIRPath Patch. Only operations with an
+   * equivalent are supported: add, remove and replace, and move within a
+   * list; test, copy and moves between elements throw an error. Values are
+   * typed from their JavaScript type, so every string is sent as a
+   * valueString, also for elements such as codes and dates. Give those values
+   * typed instead, e.g. `{ valueCode: 'female' }`, and they are sent as is.
+   *
+   * Unlike JSON Patch, adding an element that is already set to a resource
+   * may fail rather than replace it.
+   *
+   * @example
+   *
+   * FhirPathPatch.fromJSONPatch('Patient', [
+   *   { op: 'replace', path: '/name/0/family', value: 'Doe' },
+   *   { op: 'add', path: '/name/0/given/-', value: 'Jo' },
+   *   { op: 'replace', path: '/gender', value: { valueCode: 'female' } },
+   * ]);
+   * // replace Patient.name[0].family, add given to Patient.name[0],
+   * // replace Patient.gender with the code female
+   *
+   * @param {String} resourceType - The type of the patched resource
+   * @param {Array} JSONPatch - The JSON Patch operations
+   *
+   * @return {FhirPathPatch} The patch
+   */
+  static fromJSONPatch(resourceType, JSONPatch) {
+    const unsupported = ({ op, path }) => new Error(
+      `JSON Patch operation ${op} ${path} has no FHIRPath Patch equivalent`,
+    );
+    const isIndex = (segment) => /^\d+$/.test(segment);
+    const fhirPath = (segments) => segments.reduce(
+      (path, segment) => (isIndex(segment) ? `${path}[${segment}]` : `${path}.${segment}`),
+      resourceType,
+    );
+    const segmentsOf = (pointer, operation) => {
+      const segments = pointerSegments(pointer);
+      const valid = segments.every((segment, i) => elementName.test(segment)
+        || (i > 0 && isIndex(segment))
+        || (i === segments.length - 1 && segment === '-' && operation.op === 'add'));
+      if (!valid) { throw unsupported(operation); }
+      return segments;
+    };
+
+    return JSONPatch.reduce((patch, operation) => {
+      const segments = segmentsOf(operation.path, operation);
+      const last = segments[segments.length - 1];
+      const parent = segments.slice(0, -1);
+      switch (operation.op) {
+        case 'replace':
+          return patch.replace(fhirPath(segments), operation.value);
+        case 'remove':
+          return patch.delete(fhirPath(segments));
+        case 'add':
+          if (last === '-') {
+            // Appending to a list adds the element to the list's parent
+            const list = parent[parent.length - 1];
+            if (!list || isIndex(list)) { throw unsupported(operation); }
+            return patch.add(fhirPath(parent.slice(0, -1)), list, operation.value);
+          }
+          if (isIndex(last)) {
+            return patch.insert(fhirPath(parent), operation.value, Number(last));
+          }
+          return patch.add(fhirPath(parent), last, operation.value);
+        case 'move': {
+          const from = segmentsOf(operation.from, operation);
+          const fromParent = from.slice(0, -1);
+          if (!isIndex(last) || !isIndex(from[from.length - 1])
+            || fhirPath(fromParent) !== fhirPath(parent)) {
+            throw unsupported(operation);
+          }
+          return patch.move(fhirPath(parent), Number(from[from.length - 1]), Number(last));
+        }
+        default:
+          throw unsupported(operation);
+      }
+    }, new FhirPathPatch());
+  }
+}
+
+module.exports = FhirPathPatch;
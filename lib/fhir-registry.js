@@ -0,0 +1,228 @@
+const dstu2ResourceTypes = [
+  'Account', 'AllergyIntolerance', 'Appointment', 'AppointmentResponse', 'AuditEvent', 'Basic',
+  'Binary', 'BodySite', 'Bundle', 'CarePlan', 'Claim', 'ClaimResponse', 'ClinicalImpression',
+  'Communication', 'CommunicationRequest', 'Composition', 'ConceptMap', 'Condition',
+  'Conformance', 'Contract', 'Coverage', 'DataElement', 'DetectedIssue', 'Device',
+  'DeviceComponent', 'DeviceMetric', 'DeviceUseRequest', 'DeviceUseStatement', 'DiagnosticOrder',
+  'DiagnosticReport', 'DocumentManifest', 'DocumentReference', 'EligibilityRequest',
+  'EligibilityResponse', 'Encounter', 'EnrollmentRequest', 'EnrollmentResponse', 'EpisodeOfCare',
+  'ExplanationOfBenefit', 'FamilyMemberHistory', 'Flag', 'Goal', 'Group', 'HealthcareService',
+  'ImagingObjectSelection', 'ImagingStudy', 'Immunization', 'ImmunizationRecommendation',
+  'ImplementationGuide', 'List', 'Location', 'Media', 'Medication', 'MedicationAdministration',
+  'MedicationDispense', 'MedicationOrder', 'MedicationStatement', 'MessageHeader', 'NamingSystem',
+  'NutritionOrder', 'Observation', 'OperationDefinition', 'OperationOutcome', 'Order',
+  'OrderResponse', 'Organization', 'Parameters', 'Patient', 'PaymentNotice',
+  'PaymentReconciliation', 'Person', 'Practitioner', 'Procedure', 'ProcedureRequest',
+  'ProcessRequest', 'ProcessResponse', 'Provenance', 'Questionnaire', 'QuestionnaireResponse',
+  'ReferralRequest', 'RelatedPerson', 'RiskAssessment', 'Schedule', 'SearchParameter', 'Slot',
+  'Specimen', 'StructureDefinition', 'Subscription', 'Substance', 'SupplyDelivery',
+  'SupplyRequest', 'TestScript', 'ValueSet', 'VisionPrescription',
+];
+
+const stu3ResourceTypes = [
+  'Account', 'ActivityDefinition', 'AdverseEvent', 'AllergyIntolerance', 'Appointment',
+  'AppointmentResponse', 'AuditEvent', 'Basic', 'Binary', 'BodySite', 'Bundle',
+  'CapabilityStatement', 'CarePlan', 'CareTeam', 'ChargeItem', 'Claim', 'ClaimResponse',
+  'ClinicalImpression', 'CodeSystem', 'Communication', 'CommunicationRequest',
+  'CompartmentDefinition', 'Composition', 'ConceptMap', 'Condition', 'Consent', 'Contract',
+  'Coverage', 'DataElement', 'DetectedIssue', 'Device', 'DeviceComponent', 'DeviceMetric',
+  'DeviceRequest', 'DeviceUseStatement', 'DiagnosticReport', 'DocumentManifest',
+  'DocumentReference', 'EligibilityRequest', 'EligibilityResponse', 'Encounter', 'Endpoint',
+  'EnrollmentRequest', 'EnrollmentResponse', 'EpisodeOfCare', 'ExpansionProfile',
+  'ExplanationOfBenefit', 'FamilyMemberHistory', 'Flag', 'Goal', 'GraphDefinition', 'Group',
+  'GuidanceResponse', 'HealthcareService', 'ImagingManifest', 'ImagingStudy', 'Immunization',
+  'ImmunizationRecommendation', 'ImplementationGuide', 'Library', 'Linkage', 'List', 'Location',
+  'Measure', 'MeasureReport', 'Media', 'Medication', 'MedicationAdministration',
+  'MedicationDispense', 'MedicationRequest', 'MedicationStatement', 'MessageDefinition',
+  'MessageHeader', 'NamingSystem', 'NutritionOrder', 'Observation', 'OperationDefinition',
+  'OperationOutcome', 'Organization', 'Parameters', 'Patient', 'PaymentNotice',
+  'PaymentReconciliation', 'Person', 'PlanDefinition', 'Practitioner', 'PractitionerRole',
+  'Procedure', 'ProcedureRequest', 'ProcessRequest', 'ProcessResponse', 'Provenance',
+  'Questionnaire', 'QuestionnaireResponse', 'ReferralRequest', 'RelatedPerson', 'RequestGroup',
+  'ResearchStudy', 'ResearchSubject', 'RiskAssessment', 'Schedule', 'SearchParameter', 'Sequence',
+  'ServiceDefinition', 'Slot', 'Specimen', 'StructureDefinition', 'StructureMap', 'Subscription',
+  'Substance', 'SupplyDelivery', 'SupplyRequest', 'Task', 'TestReport', 'TestScript', 'ValueSet',
+  'VisionPrescription',
+];
+
+const r4ResourceTypes = [
+  'Account', 'ActivityDefinition', 'AdverseEvent', 'AllergyIntolerance', 'Appointment',
+  'AppointmentResponse', 'AuditEvent', 'Basic', 'Binary', 'BiologicallyDerivedProduct',
+  'BodyStructure', 'Bundle', 'CapabilityStatement', 'CarePlan', 'CareTeam', 'CatalogEntry',
+  'ChargeItem', 'ChargeItemDefinition', 'Claim', 'ClaimResponse', 'ClinicalImpression',
+  'CodeSystem', 'Communication', 'CommunicationRequest', 'CompartmentDefinition', 'Composition',
+  'ConceptMap', 'Condition', 'Consent', 'Contract', 'Coverage', 'CoverageEligibilityRequest',
+  'CoverageEligibilityResponse', 'DetectedIssue', 'Device', 'DeviceDefinition', 'DeviceMetric',
+  'DeviceRequest', 'DeviceUseStatement', 'DiagnosticReport', 'DocumentManifest',
+  'DocumentReference', 'EffectEvidenceSynthesis', 'Encounter', 'Endpoint', 'EnrollmentRequest',
+  'EnrollmentResponse', 'EpisodeOfCare', 'EventDefinition', 'Evidence', 'EvidenceVariable',
+  'ExampleScenario', 'ExplanationOfBenefit', 'FamilyMemberHistory', 'Flag', 'Goal',
+  'GraphDefinition', 'Group', 'GuidanceResponse', 'HealthcareService', 'ImagingStudy',
+  'Immunization', 'ImmunizationEvaluation', 'ImmunizationRecommendation', 'ImplementationGuide',
+  'InsurancePlan', 'Invoice', 'Library', 'Linkage', 'List', 'Location', 'Measure',
+  'MeasureReport', 'Media', 'Medication', 'MedicationAdministration', 'MedicationDispense',
+  'MedicationKnowledge', 'MedicationRequest', 'MedicationStatement', 'MedicinalProduct',
+  'MedicinalProductAuthorization', 'MedicinalProductContraindication',
+  'MedicinalProductIndication', 'MedicinalProductIngredient', 'MedicinalProductInteraction',
+  'MedicinalProductManufactured', 'MedicinalProductPackaged', 'MedicinalProductPharmaceutical',
+  'MedicinalProductUndesirableEffect', 'MessageDefinition', 'MessageHeader', 'MolecularSequence',
+  'NamingSystem', 'NutritionOrder', 'Observation', 'ObservationDefinition', 'OperationDefinition',
+  'OperationOutcome', 'Organization', 'OrganizationAffiliation', 'Parameters', 'Patient',
+  'PaymentNotice', 'PaymentReconciliation', 'Person', 'PlanDefinition', 'Practitioner',
+  'PractitionerRole', 'Procedure', 'Provenance', 'Questionnaire', 'QuestionnaireResponse',
+  'RelatedPerson', 'RequestGroup', 'ResearchDefinition', 'ResearchElementDefinition',
+  'ResearchStudy', 'ResearchSubject', 'RiskAssessment', 'RiskEvidenceSynthesis', 'Schedule',
+  'SearchParameter', 'ServiceRequest', 'Slot', 'Specimen', 'SpecimenDefinition',
+  'StructureDefinition', 'StructureMap', 'Subscription', 'Substance', 'SubstanceNucleicAcid',
+  'SubstancePolymer', 'SubstanceProtein', 'SubstanceReferenceInformation',
+  'SubstanceSourceMaterial', 'SubstanceSpecification', 'SupplyDelivery', 'SupplyRequest', 'Task',
+  'TerminologyCapabilities', 'TestReport', 'TestScript', 'ValueSet', 'VerificationResult',
+  'VisionPrescription',
+];
+
+// R4B replaced the medicinal product and evidence synthesis resources
+const r4bResourceTypes = r4ResourceTypes
+  .filter((type) => !/^MedicinalProduct|EvidenceSynthesis$|^SubstanceSpecification$/.test(type))
+  .concat([
+    'AdministrableProductDefinition', 'Citation', 'ClinicalUseDefinition', 'EvidenceReport',
+    'Ingredient', 'ManufacturedItemDefinition', 'MedicinalProductDefinition', 'NutritionProduct',
+    'PackagedProductDefinition', 'RegulatedAuthorization', 'SubscriptionStatus',
+    'SubscriptionTopic', 'SubstanceDefinition',
+  ]);
+
+const r5RemovedTypes = [
+  'CatalogEntry', 'DeviceUseStatement', 'DocumentManifest', 'Media', 'RequestGroup',
+  'ResearchDefinition', 'ResearchElementDefinition',
+];
+const r5ResourceTypes = r4bResourceTypes
+  .filter((type) => !r5RemovedTypes.includes(type))
+  .concat([
+    'ActorDefinition', 'ArtifactAssessment', 'BiologicallyDerivedProductDispense',
+    'ConditionDefinition', 'DeviceDispense', 'DeviceUsage', 'EncounterHistory', 'FormularyItem',
+    'GenomicStudy', 'ImagingSelection', 'InventoryItem', 'InventoryReport', 'NutritionIntake',
+    'Permission', 'RequestOrchestration', 'Requirements', 'TestPlan', 'Transport',
+  ]);
+
+const primitiveTypes = [
+  'base64Binary', 'boolean', 'code', 'date', 'dateTime', 'decimal', 'id', 'instant', 'integer',
+  'markdown', 'oid', 'positiveInt', 'string', 'time', 'unsignedInt', 'uri', 'xhtml',
+];
+
+const dstu2DataTypes = primitiveTypes.concat([
+  'Address', 'Age', 'Annotation', 'Attachment', 'CodeableConcept', 'Coding', 'ContactPoint',
+  'Count', 'Distance', 'Duration', 'ElementDefinition', 'Extension', 'HumanName', 'Identifier',
+  'Meta', 'Money', 'Narrative', 'Period', 'Quantity', 'Range', 'Ratio', 'Reference',
+  'SampledData', 'Signature', 'SimpleQuantity', 'Timing',
+]);
+
+const stu3DataTypes = dstu2DataTypes.concat([
+  'ContactDetail', 'Contributor', 'DataRequirement', 'Dosage', 'ParameterDefinition',
+  'RelatedArtifact', 'TriggerDefinition', 'UsageContext',
+]);
+
+const r4DataTypes = stu3DataTypes.concat([
+  'canonical', 'url', 'uuid', 'Expression', 'MarketingStatus', 'MoneyQuantity', 'Population',
+  'ProdCharacteristic', 'ProductShelfLife', 'SubstanceAmount',
+]);
+
+const r4bDataTypes = r4DataTypes.concat(['CodeableReference', 'RatioRange']);
+
+const r5DataTypes = r4bDataTypes
+  .filter((type) => !['Population', 'ProdCharacteristic', 'SubstanceAmount'].includes(type))
+  .concat([
+    'integer64', 'Availability', 'ExtendedContactDetail', 'MonetaryComponent',
+    'VirtualServiceDetail',
+  ]);
+
+const compartments = ['Device', 'Encounter', 'Patient', 'Practitioner', 'RelatedPerson'];
+
+function registry(name, version, resourceTypes, dataTypes, compartmentTypes = compartments) {
+  return Object.freeze({
+    name,
+    version,
+    resourceTypes: new Set(resourceTypes),
+    dataTypes: new Set(dataTypes),
+    compartments: new Set(compartmentTypes),
+  });
+}
+
+/**
+ * The resource types, data types and compartments of each FHIR release.
+ */
+const fhirReleases = Object.freeze({
+  DSTU2: registry('DSTU2', '1.0.2', dstu2ResourceTypes, dstu2DataTypes),
+  STU3: registry('STU3', '3.0.2', stu3ResourceTypes, stu3DataTypes),
+  R4: registry('R4', '4.0.1', r4ResourceTypes, r4DataTypes),
+  R4B: registry('R4B', '4.3.0', r4bResourceTypes, r4bDataTypes),
+  R5: registry('R5', '5.0.0', r5ResourceTypes, r5DataTypes, compartments.concat('EpisodeOfCare')),
+});
+
+/**
+ * The types of all releases, for clients that do not know their version.
+ */
+const anyRelease = (() => {
+  const releases = Object.values(fhirReleases);
+  const all = (key) => releases.reduce((types, release) => types.concat([...release[key]]), []);
+  return registry(undefined, undefined, all('resourceTypes'), all('dataTypes'), all('compartments'));
+})();
+
+// Versions by major.minor, including the ballots that led to each release
+const releasesByVersion = new Map([
+  ['1.0', 'DSTU2'],
+  ['1.1', 'STU3'], ['1.4', 'STU3'], ['1.6', 'STU3'], ['1.8', 'STU3'], ['3.0', 'STU3'],
+  ['3.2', 'R4'], ['3.3', 'R4'], ['3.5', 'R4'], ['4.0', 'R4'],
+  ['4.1', 'R4B'], ['4.3', 'R4B'],
+  ['4.2', 'R5'], ['4.4', 'R5'], ['4.5', 'R5'], ['4.6', 'R5'], ['5.0', 'R5'],
+]);
+
+/**
+ * Find the registry of a FHIR version.
+ *
+ * @example
+ *
+ * registryFor('4.0.1').resourceTypes.has('Patient'); // true
+ * registryFor('R5').name; // 'R5'
+ *
+ * @param {String} fhirVersion - A release name (e.g. 'R4') or version
+ *   (e.g. '4.0.1' or '4.0')
+ *
+ * @return {Object|undefined} The registry with name, version,
+ *   resourceTypes, dataTypes and compartments, or undefined for unknown
+ *   versions
+ */
+function registryFor(fhirVersion) {
+  if (!fhirVersion) { return undefined; }
+  const version = String(fhirVersion);
+  const name = fhirReleases[version.toUpperCase()]
+    ? version.toUpperCase()
+    : releasesByVersion.get(version.split('.').slice(0, 2).join('.'));
+  return fhirReleases[name];
+}
+
+/**
+ * The major.minor form of a FHIR version, as used by the fhirVersion
+ * parameter of the FHIR media types and by $versions.
+ *
+ * @example
+ *
+ * mimeVersionFor('4.0.1'); // '4.0'
+ * mimeVersionFor('R4B'); // '4.3'
+ *
+ * @param {String} fhirVersion - A release name or version
+ *
+ * @return {String|undefined} The major.minor version, or undefined for
+ *   unknown versions
+ */
+function mimeVersionFor(fhirVersion) {
+  const release = registryFor(fhirVersion);
+  if (!release) { return undefined; }
+  const version = /^\d+\.\d+/.test(fhirVersion) ? String(fhirVersion) : release.version;
+  return version.split('.').slice(0, 2).join('.');
+}
+
+module.exports = {
+  anyRelease,
+  fhirReleases,
+  mimeVersionFor,
+  registryFor,
+};
@@ -0,0 +1,419 @@
+const {
+  elementFor,
+  elementsOf,
+  namesOf,
+  numberTypes,
+  primitiveTypes,
+} = require('./fhir-definitions');
+
+const fhirNamespace = 'http://hl7.org/fhir';
+
+const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+const entities = {
+  amp: '&',
+  apos: "'",
+  gt: '>',
+  lt: '<',
+  quot: '"',
+};
+
+/**
+ * Whether a Content-Type is an XML media type, e.g. application/fhir+xml.
+ *
+ * @param {String} [contentType] - The Content-Type header
+ *
+ * @return {Boolean} true for XML
+ */
+function isXmlMediaType(contentType) {
+  return /[/+]xml\b/i.test(contentType || '');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') { return entities[entity] || match; }
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+}
+
+/**
+ * Parse XML into a tree of elements with their attributes, children and
+ * position in the text. Text content is skipped, as FHIR only has text in
+ * xhtml narrative, which is kept as written.
+ *
+ * @private
+ *
+ * @param {String} text - The XML document
+ *
+ * @return {Object} The root element
+ *
+ * @throws {SyntaxError} for malformed XML
+ */
+function parseElements(text) {
+  const stack = [{ children: [] }];
+  let i = 0;
+
+  const skipPast = (marker) => {
+    const end = text.indexOf(marker, i);
+    if (end < 0) { throw new SyntaxError(`Invalid FHIR XML: missing ${marker}`); }
+    i = end + marker.length;
+  };
+
+  while (i < text.length) {
+    const start = text.indexOf('<', i);
+    if (start < 0) { break; }
+    i = start;
+
+    if (text.startsWith('<?', i)) {
+      skipPast('?>');
+    } else if (text.startsWith('<!--', i)) {
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', i)) {
+      skipPast(']]>');
+    } else if (text.startsWith('<!', i)) {
+      skipPast('>');
+    } else if (text.startsWith('</', i)) {
+      skipPast('>');
+      const name = text.slice(start + 2, i - 1).trim().replace(/^.*:/, '');
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== name) {
+        throw new SyntaxError(`Invalid FHIR XML: unexpected </${name}>`);
+      }
+      element.end = i;
+    } else {
+      tagPattern.lastIndex = i;
+      const tag = tagPattern.exec(text);
+      if (!tag) { throw new SyntaxError(`Invalid FHIR XML at position ${i}`); }
+      i += tag[0].length;
+
+      const attributes = {};
+      tag[2].replace(/([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (match, name, double, single) => {
+        attributes[name.replace(/^.*:/, '')] = decodeEntities(double !== undefined ? double : single);
+      });
+      const element = {
+        name: tag[1].replace(/^.*:/, ''),
+        attributes,
+        children: [],
+        start,
+        end: i,
+      };
+      stack[stack.length - 1].children.push(element);
+      if (!tag[3]) { stack.push(element); }
+    }
+  }
+
+  const [root] = stack[0].children;
+  if (stack.length !== 1 || !root) {
+    throw new SyntaxError('Invalid FHIR XML: unexpected end of document');
+  }
+  return root;
+}
+
+/**
+ * Whether the element is a resource wrapper, e.g. `<resource><Patient>`.
+ *
+ * @private
+ *
+ * @param {Object} element - The parsed element
+ *
+ * @return {Boolean} true for a wrapper
+ */
+function isResourceWrapper(element) {
+  return element.children.length === 1
+    && /^[A-Z]/.test(element.children[0].name)
+    && Object.keys(element.attributes).length === 0;
+}
+
+function primitiveFrom(value, type) {
+  if (type === 'boolean' && (value === 'true' || value === 'false')) { return value === 'true'; }
+  if (numberTypes.has(type) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * How to read an element that the definitions do not have, e.g. one of a
+ * later FHIR release: a list when it repeats, and primitive values as they
+ * are written.
+ *
+ * @private
+ *
+ * @param {String} name - The element name
+ * @param {Object[]} children - The parsed elements of that name
+ *
+ * @return {Object} The element with whether it repeats (array) and its
+ *   type, undefined for complex elements of unknown type
+ */
+function genericElementFor(name, children) {
+  if (name === 'extension' || name === 'modifierExtension') {
+    return { name, array: true, type: 'Extension' };
+  }
+  const [child] = children;
+  let type;
+  if (name === 'div') {
+    type = 'xhtml';
+  } else if (child.attributes.value !== undefined) {
+    type = 'string';
+  } else if (isResourceWrapper(child)) {
+    type = 'Resource';
+  }
+  return { name, array: children.length > 1, type };
+}
+
+/**
+ * Convert the children of an element into the properties of its JSON
+ * object, with the `_name` properties of primitive extensions. The element
+ * definitions of the type tell which children repeat and which primitives
+ * are booleans or numbers.
+ *
+ * @private
+ *
+ * @param {Object} target - The JSON object
+ * @param {Object} element - The parsed element
+ * @param {String} [type] - The type of the element, e.g. 'Patient.contact',
+ *   if known
+ * @param {String} text - The XML document
+ *
+ * @return {Object} The JSON object
+ */
+function addChildren(target, element, type, text) {
+  const groups = new Map();
+  element.children.forEach((child) => {
+    if (!groups.has(child.name)) { groups.set(child.name, []); }
+    groups.get(child.name).push(child);
+  });
+
+  groups.forEach((children, name) => {
+    const definition = (type && elementFor(type, name)) || genericElementFor(name, children);
+    if (children.length > 1 && !definition.array) {
+      throw new SyntaxError(`Invalid FHIR XML: ${type}.${name} does not repeat`);
+    }
+
+    const values = [];
+    const extras = [];
+    children.forEach((child) => {
+      const extra = {};
+      let value;
+      if (definition.type === 'xhtml') {
+        value = text.slice(child.start, child.end);
+      } else if (primitiveTypes.has(definition.type)) {
+        if (child.attributes.value !== undefined) {
+          value = primitiveFrom(child.attributes.value, definition.type);
+        }
+        if (child.attributes.id) { extra.id = child.attributes.id; }
+        const extensions = child.children.filter((c) => c.name === 'extension');
+        if (extensions.length > 0) {
+          extra.extension = extensions
+            // eslint-disable-next-line no-use-before-define
+            .map((extension) => complexFrom(extension, 'Extension', text));
+        }
+      } else if (definition.type === 'Resource') {
+        if (!isResourceWrapper(child)) {
+          throw new SyntaxError(`Invalid FHIR XML: ${type}.${name} does not hold a resource`);
+        }
+        // eslint-disable-next-line no-use-before-define
+        value = resourceFrom(child.children[0], text);
+      } else {
+        // eslint-disable-next-line no-use-before-define
+        value = complexFrom(child, definition.type, text);
+      }
+      values.push(value === undefined ? null : value);
+      extras.push(Object.keys(extra).length > 0 ? extra : null);
+    });
+
+    if (values.some((value) => value !== null)) {
+      // eslint-disable-next-line no-param-reassign
+      target[name] = definition.array ? values : values[0];
+    }
+    if (extras.some((extra) => extra !== null)) {
+      // eslint-disable-next-line no-param-reassign
+      target[`_${name}`] = definition.array ? extras : extras[0];
+    }
+  });
+  return target;
+}
+
+function complexFrom(element, type, text) {
+  const object = {};
+  if (element.attributes.id !== undefined) { object.id = element.attributes.id; }
+  if (type === 'Extension' && element.attributes.url !== undefined) {
+    object.url = element.attributes.url;
+  }
+  return addChildren(object, element, elementsOf(type) && type, text);
+}
+
+function resourceFrom(element, text) {
+  const type = elementsOf(element.name) ? element.name : 'DomainResource';
+  return addChildren({ resourceType: element.name }, element, type, text);
+}
+
+/**
+ * Parse a FHIR XML resource into the FHIR JSON object model, with `_name`
+ * properties for the ids and extensions of primitives, and the xhtml of
+ * narrative as a string.
+ *
+ * Which elements are arrays, booleans or numbers is taken from the FHIR R4
+ * element definitions of lib/fhir-definitions.js. Resources and elements
+ * they do not have, e.g. of later releases, are read as written: a list
+ * when they repeat, and primitive values as strings.
+ *
+ * @param {String} text - The FHIR XML
+ *
+ * @return {Object} The resource
+ *
+ * @throws {SyntaxError} for malformed XML
+ */
+function fhirFromXml(text) {
+  const root = parseElements(text);
+  return resourceFrom(root, text);
+}
+
+function elementXml(name, value, extra, type) {
+  if (type === 'Resource') {
+    // eslint-disable-next-line no-use-before-define
+    return value ? `<${name}>${resourceXml(value)}</${name}>` : '';
+  }
+  if (type === 'xhtml') {
+    return typeof value === 'string' ? value : '';
+  }
+
+  const attributes = [];
+  let content;
+  if (primitiveTypes.has(type)) {
+    if (extra && extra.id) { attributes.push(`id="${escapeXml(extra.id)}"`); }
+    if (value !== null && value !== undefined) { attributes.push(`value="${escapeXml(value)}"`); }
+    const extensions = (extra && extra.extension) || [];
+    content = extensions
+      .map((extension) => elementXml('extension', extension, null, 'Extension'))
+      .join('');
+  } else if (value) {
+    const isAttribute = (key) => key === 'id' || (type === 'Extension' && key === 'url');
+    Object.keys(value).filter(isAttribute).forEach((key) => {
+      attributes.push(`${key}="${escapeXml(value[key])}"`);
+    });
+    // eslint-disable-next-line no-use-before-define
+    content = childrenXml(value, type, isAttribute);
+  }
+  if (attributes.length === 0 && !content) {
+    return '';
+  }
+
+  const attributeText = attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+  return content ? `<${name}${attributeText}>${content}</${name}>` : `<${name}${attributeText}/>`;
+}
+
+/**
+ * The type of a property that the definitions do not have, from its value.
+ *
+ * @private
+ *
+ * @param {String} name - The property name
+ * @param {*} value - The value, or the values of a list
+ *
+ * @return {String|undefined} The type, undefined for complex values
+ */
+function genericTypeOf(name, value) {
+  const [first] = [].concat(value).filter((item) => item !== null && item !== undefined);
+  if (name === 'extension' || name === 'modifierExtension') { return 'Extension'; }
+  if (name === 'div' && typeof first === 'string') { return 'xhtml'; }
+  if (first instanceof Object) { return first.resourceType ? 'Resource' : undefined; }
+  return 'string';
+}
+
+function propertyXml(object, name, type) {
+  const value = object[name];
+  const extra = object[`_${name}`];
+  if (value === undefined && extra === undefined) { return ''; }
+
+  if (Array.isArray(value) || Array.isArray(extra)) {
+    const values = Array.isArray(value) ? value : [];
+    const extras = Array.isArray(extra) ? extra : [];
+    const length = Math.max(values.length, extras.length);
+    return Array.from({ length }, (_, index) => (
+      elementXml(name, values[index], extras[index], type)
+    )).join('');
+  }
+  return elementXml(name, value, extra, type);
+}
+
+/**
+ * Serialize the properties of a JSON object as the child elements of its
+ * type, in the order of the element definitions. Properties the definitions
+ * do not have, e.g. of later FHIR releases, follow in the order of the
+ * object.
+ *
+ * @private
+ *
+ * @param {Object} object - The JSON object
+ * @param {String} [type] - Its type, e.g. 'Patient' or 'HumanName', if known
+ * @param {Function} isAttribute - Whether a property is written as an
+ *   attribute instead
+ *
+ * @return {String} The child elements
+ */
+function childrenXml(object, type, isAttribute) {
+  const written = new Set(['resourceType']);
+  const elements = (type && elementsOf(type)) || [];
+  const known = elements.map((element) => namesOf(element)
+    .filter((name) => !isAttribute(name))
+    .map((name) => {
+      written.add(name);
+      written.add(`_${name}`);
+      return propertyXml(object, name, elementFor(type, name).type);
+    })
+    .join('')).join('');
+
+  const others = [];
+  Object.keys(object).forEach((key) => {
+    const name = key.replace(/^_/, '');
+    if (!written.has(key) && !isAttribute(key) && !others.includes(name)) {
+      others.push(name);
+    }
+  });
+  const unknown = others
+    .map((name) => propertyXml(object, name, genericTypeOf(name, object[name])))
+    .join('');
+  return known + unknown;
+}
+
+function resourceXml(resource, namespace) {
+  const { resourceType } = resource;
+  const xmlns = namespace ? ` xmlns="${namespace}"` : '';
+  const type = elementsOf(resourceType) ? resourceType : 'DomainResource';
+  const content = childrenXml(resource, type, () => false);
+  return `<${resourceType}${xmlns}>${content}</${resourceType}>`;
+}
+
+/**
+ * Serialize a FHIR JSON resource as FHIR XML, with its elements in the order
+ * of the FHIR R4 element definitions of lib/fhir-definitions.js. Properties
+ * they do not have follow in the order of the object.
+ *
+ * @param {Object} resource - The resource
+ *
+ * @return {String} The FHIR XML
+ */
+function fhirToXml(resource) {
+  return resourceXml(resource, fhirNamespace);
+}
+
+module.exports = {
+  fhirFromXml,
+  fhirToXml,
+  isXmlMediaType,
+};
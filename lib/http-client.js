@@ -1,10 +1,28 @@
 /* global Request, Headers */
 require('es6-promise').polyfill();
 require('cross-fetch/polyfill');
-
-const { logRequestError, logRequestInfo, logResponseInfo } = require('./logging');
-
-const defaultHeaders = { accept: 'application/fhir+json' };
+const crypto = require('crypto');
+
+const {
+  logRequestError,
+  logRequestInfo,
+  logResponseInfo,
+  logRetryInfo,
+} = require('./logging');
+const { RetryPolicy, wait } = require('./retry-policy');
+const { FhirRequestError, FhirVersionMismatchError } = require('./errors');
+const { parseNdjson } = require('./ndjson');
+const { parseBundleEntries } = require('./bundle-entries');
+const { cancelBody, isRawBody, isStream } = require('./streams');
+const { fhirFromXml, fhirToXml, isXmlMediaType } = require('./fhir-xml');
+const { ResponseCache } = require('./response-cache');
+const { bodyBytesFor, sha256 } = require('./body-digest');
+const { RequestTimer } = require('./timeouts');
+
+const mediaTypes = {
+  json: 'application/fhir+json',
+  xml: 'application/fhir+xml',
+};
 
 const responseAttributeKey = '__response';
 const requestAttributeKey = '__request';
@@ -47,29 +65,90 @@ function responseErrorBuilder({
   headers,
   url,
 }) {
-  const error = {
-    response: {
-      status,
-      data,
-    },
-    config: {
-      method,
-      url,
-      headers,
-    },
-  };
+  const error = FhirRequestError.from({
+    status,
+    data,
+    method,
+    headers,
+    url,
+  });
 
   logRequestError(error);
   return error;
 }
 
-function stringifyBody(body) {
-  if (typeof body === 'string') {
+// Readers for the streaming response types
+const responseReaders = {
+  stream: (response) => response.body,
+  ndjson: (response) => parseNdjson(response.body),
+  entries: (response) => parseBundleEntries(response.body),
+};
+
+function stringifyBody(body, format) {
+  if (typeof body === 'string' || isRawBody(body)) {
     return body;
   }
+  if (format === 'xml' && body && body.resourceType) {
+    return fhirToXml(body);
+  }
   return JSON.stringify(body);
 }
 
+// XML responses are parsed into the JSON object model, whatever the format
+function parseBody(bodyText, headers) {
+  return isXmlMediaType(headers.get('content-type'))
+    ? fhirFromXml(bodyText)
+    : JSON.parse(bodyText);
+}
+
+function mediaTypeFor(format, fhirVersion) {
+  const mediaType = mediaTypes[format];
+  if (!mediaType) {
+    throw new Error(`Unsupported format ${format}`);
+  }
+  return fhirVersion ? `${mediaType}; fhirVersion=${fhirVersion}` : mediaType;
+}
+
+// The major.minor version of the fhirVersion parameter of a media type
+function fhirVersionOf(contentType) {
+  const match = /;\s*fhirVersion\s*=\s*"?(\d+\.\d+)/i.exec(contentType || '');
+  return match ? match[1] : undefined;
+}
+
+// Add __response and __request
+function attachHttp(data, request, response) {
+  Object.defineProperty(data, responseAttributeKey, {
+    writable: false,
+    enumerable: false,
+    value: response,
+  });
+
+  Object.defineProperty(data, requestAttributeKey, {
+    writable: false,
+    enumerable: false,
+    value: request,
+  });
+
+  return data;
+}
+
+// Writes change resources; POST searches and reads do not
+function isWrite(method, url) {
+  const upperMethod = method.toUpperCase();
+  if (['GET', 'HEAD', 'OPTIONS'].includes(upperMethod)) { return false; }
+  return !(upperMethod === 'POST' && /\/_search(\?|$)/.test(url));
+}
+
+// Hooks may return a fetch Response, e.g. a canned one
+function isResponse(value) {
+  return Boolean(value) && typeof value.status === 'number' && typeof value.text === 'function';
+}
+
+// Stream bodies can only be sent once, so those requests are not resent
+function retryPolicyFor(clientPolicy, retry, body) {
+  return isStream(body) ? undefined : RetryPolicy.for(clientPolicy, retry);
+}
+
 /**
  * Class used by Client to make HTTP requests. Do not use this class directly,
  * use Client#read, Client#create, etc.
@@ -96,13 +175,69 @@ module.exports = class HttpClient {
    *                 requests
    * @param {Object} [config.requestOptions] Optional Additional options for fetch/agent
    * @param {Function} [config.requestSigner] Optional pass in a function to sign the request.
+   *   It gets the url, the request options and the body bytes and SHA-256
+   *   digest, and may return a Promise, which is awaited before the request
+   *   is sent.
+   * @param {Boolean|Object} [config.retry] Optional retry policy settings, see
+   *   RetryPolicy. Requests are not retried unless this is set.
+   * @param {TokenProvider} [config.tokenProvider] Optional provider of access
+   *   tokens, asked for a token before each request and again after a 401.
+   * @param {String} [config.format] Optional 'json' (the default) or 'xml',
+   *   the format of request and response bodies.
+   * @param {String} [config.fhirVersion] Optional major.minor FHIR version
+   *   (e.g. '4.0') to ask for with the fhirVersion media type parameter.
+   *   Responses in another version are rejected.
+   * @param {ResponseCache} [config.cache] Optional cache for GET responses.
+   * @param {Object[]} [config.middleware] Optional middleware, objects with
+   *   any of the async beforeRequest, afterResponse and onError hooks, see
+   *   #request.
+   * @param {Number} [config.timeout] Optional milliseconds each request may
+   *   take, see #request.
    * @throws An error will be thrown on unsuccessful requests.
    */
-  constructor({ baseUrl, customHeaders = {}, requestOptions = {}, requestSigner = undefined }) {
+  constructor({
+    baseUrl,
+    customHeaders = {},
+    requestOptions = {},
+    requestSigner = undefined,
+    retry = undefined,
+    tokenProvider = undefined,
+    format = 'json',
+    fhirVersion = undefined,
+    cache = undefined,
+    middleware = [],
+    timeout = undefined,
+  }) {
+    mediaTypeFor(format);
     this.baseUrl = baseUrl;
     this.customHeaders = customHeaders;
     this.baseRequestOptions = requestOptions;
     this.requestSigner = requestSigner;
+    this.retryPolicy = RetryPolicy.for(undefined, retry);
+    this.tokenProvider = tokenProvider;
+    this.format = format;
+    this.fhirVersion = fhirVersion;
+    this.cache = cache;
+    this.timeout = timeout;
+    this.middleware = [];
+    middleware.forEach((entry) => this.use(entry));
+  }
+
+  /**
+   * Add middleware to the end of the chain.
+   *
+   * @param {Object} middleware - Object with any of the beforeRequest,
+   *   afterResponse and onError hooks
+   *
+   * @return {HttpClient} The HTTP client
+   */
+  use(middleware) {
+    const hooks = ['beforeRequest', 'afterResponse', 'onError'];
+    if (!middleware || !hooks.some((hook) => typeof middleware[hook] === 'function')) {
+      throw new Error('Middleware needs a beforeRequest, afterResponse or onError hook');
+    }
+    this.middleware.push(middleware);
+    return this;
   }
 
   set baseUrl(url) {
@@ -127,18 +262,46 @@ module.exports = class HttpClient {
     return requestResponse[requestAttributeKey];
   }
 
+  static attachHttp(data, request, response) {
+    return attachHttp(data, request, response);
+  }
+
   set bearerToken(token) {
     const header = `Bearer ${token}`;
     this.authHeader = { authorization: header };
   }
 
-  requestBuilder(method, url, options, body) {
+  /**
+   * The fetch options of a request, before it is signed.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} url - Absolute request URL
+   * @param {Object} options - Request options
+   * @param {Object} [body] - Request body
+   * @param {String} [accessToken] - Access token to send instead of the
+   *   bearer token
+   *
+   * @return {Object} The fetch options
+   */
+  requestOptionsFor(method, url, options, body, accessToken) {
+    const {
+      format = this.format,
+      fhirVersion,
+      timer,
+      ...fetchOptions
+    } = options;
     const requestOptions = {
       ...this.baseRequestOptions,
-      ...options,
+      ...fetchOptions,
       method,
-      body: stringifyBody(body),
+      body: stringifyBody(body, format),
     };
+    if (isStream(body)) {
+      // Required by fetch implementations that support streaming uploads
+      requestOptions.duplex = 'half';
+    }
 
     let keepalive = {};
     if (!agentIsAvailable) {
@@ -152,32 +315,334 @@ module.exports = class HttpClient {
 
     Object.assign(requestOptions,
       keepalive,
-      { headers: new Headers(this.mergeHeaders(options.headers)) },
+      {
+        headers: new Headers(this.mergeHeaders(
+          options.headers, accessToken, format, this.fhirVersionFor(options),
+        )),
+      },
       agentBuilder(this.baseUrl, requestOptions));
 
+    if (timer) {
+      const agent = timer.track(requestOptions.agent);
+      if (agent) { requestOptions.agent = agent; }
+    }
+    return requestOptions;
+  }
+
+  /**
+   * Build the fetch Request for a request, signed by the request signer, if
+   * there is one.
+   *
+   * @param {String} method - HTTP method
+   * @param {String} url - Absolute request URL
+   * @param {Object} options - Request options
+   * @param {Object} [body] - Request body
+   * @param {String} [accessToken] - Access token to send instead of the
+   *   bearer token
+   *
+   * @return {Promise<Request>} The request
+   */
+  async requestBuilder(method, url, options, body, accessToken) {
+    const requestOptions = this.requestOptionsFor(method, url, options, body, accessToken);
     if (this.requestSigner) {
-      this.requestSigner(url, requestOptions);
+      const bytes = await bodyBytesFor(requestOptions.body);
+      await this.requestSigner(url, requestOptions, {
+        body: bytes,
+        digest: bytes && sha256(bytes),
+      });
     }
 
     return new Request(url, requestOptions);
   }
 
+  /**
+   * Send a request and read the response.
+   *
+   * @param {String} method - HTTP method
+   * @param {String} requestUrl - Absolute or relative URL
+   * @param {Object} [options] - Request options
+   * @param {String} [options.responseType] - Optional 'json' (the default) to
+   *   parse the whole body, 'stream' for the body stream, 'ndjson' for an
+   *   async iterator of the parsed lines, or 'entries' for an async iterator
+   *   of the entries of a Bundle, parsed as they download
+   * @param {String} [options.format] - Optional 'json' or 'xml' for this
+   *   request, defaults to the client format
+   * @param {String|null} [options.fhirVersion] - Optional major.minor FHIR
+   *   version for this request, or null to ask for none; defaults to the
+   *   client fhirVersion
+   * @param {String} [options.cache] - Optional fetch cache mode for the
+   *   client cache: 'no-store' bypasses it, 'reload' skips cached responses,
+   *   'no-cache' revalidates them even when fresh and 'force-cache' uses them
+   *   even when stale
+   * @param {Object} [options.context] - Optional context of the request for
+   *   the middleware, e.g. `{ interaction: 'read', resourceType, id }`
+   * @param {Number|null} [options.timeout] - Optional milliseconds the
+   *   request may take, retries included; defaults to the client timeout,
+   *   null for none. A request that runs out of time is aborted and rejects
+   *   with a TimeoutError. Streamed bodies are not timed.
+   * @param {Number} [options.deadline] - Optional time (ms since the epoch)
+   *   by which the request must be done, e.g. shared by the requests of a
+   *   call that sends several
+   * @param {AbortSignal} [options.signal] - Optional signal to abort the
+   *   request
+   * @param {Object} [body] - Request body
+   *
+   * The request goes through the middleware chain. The beforeRequest hooks
+   * run in order with `{ request, context }`, where request has the method,
+   * url, headers and body to send: they can change them, and return a
+   * Response to use instead of sending the request. The afterResponse hooks
+   * run in reverse order with `{ request, response, context }` for each
+   * response, and can return another Response; fresh responses of the cache
+   * skip them. The onError hooks run in
+   * reverse order with `{ request, error, context }` when the request fails:
+   * they can throw or return another error, or return a result for the
+   * request.
+   *
+   * @return {Promise<Object>} The parsed body, or the stream or iterator for
+   *   streaming response types
+   */
   async request(method, requestUrl, options = {}, body) {
+    const { context = {}, ...requestOptions } = options;
+    if (this.middleware.length === 0) {
+      return this.send(method, requestUrl, requestOptions, body);
+    }
+
+    const exchange = {
+      request: {
+        method,
+        url: this.expandUrl(requestUrl),
+        headers: HttpClient.lcKeys(requestOptions.headers) || {},
+        body,
+      },
+      context,
+    };
+    try {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const { beforeRequest } of this.middleware) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = beforeRequest && await beforeRequest(exchange);
+        if (isResponse(response)) {
+          exchange.response = response;
+          break;
+        }
+      }
+      const { request } = exchange;
+      return await this.send(
+        request.method,
+        request.url,
+        { ...requestOptions, headers: request.headers },
+        request.body,
+        exchange,
+      );
+    } catch (error) {
+      return this.recover(error, exchange);
+    }
+  }
+
+  /**
+   * Run the onError hooks of the middleware for a failed request.
+   *
+   * @private
+   *
+   * @param {Error} error - The error
+   * @param {Object} exchange - The request and context of the middleware
+   *
+   * @return {Promise<Object>} The result an onError hook gave the request
+   * @throws The error, or the one the hooks replaced it with
+   */
+  async recover(error, exchange) {
+    let current = error;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { onError } of [...this.middleware].reverse()) {
+      if (onError) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const result = await onError({ ...exchange, error: current });
+          if (result instanceof Error) {
+            current = result;
+          } else if (result !== undefined) {
+            return result;
+          }
+        } catch (replaced) {
+          current = replaced;
+        }
+      }
+    }
+    throw current;
+  }
+
+  /**
+   * Send the request, or use the canned response of a beforeRequest hook,
+   * and run the afterResponse hooks of the middleware.
+   *
+   * @private
+   *
+   * @param {Object} params - The request parameters, see #fetchWithRetry
+   * @param {Object} [exchange] - The request and context of the middleware,
+   *   if any
+   *
+   * @return {Promise<Object>} The final request and response
+   */
+  async fetchThroughMiddleware(params, exchange) {
+    if (!exchange) {
+      return this.fetchAuthorized(params);
+    }
+    const { request, response: fetched } = exchange.response
+      ? {
+        request: await this.requestBuilder(params.method, params.url, params.options, params.body),
+        response: exchange.response,
+      }
+      : await this.fetchAuthorized(params);
+
+    let response = fetched;
+    // eslint-disable-next-line no-restricted-syntax
+    for (const { afterResponse } of [...this.middleware].reverse()) {
+      // eslint-disable-next-line no-await-in-loop
+      const replaced = afterResponse && await afterResponse({ ...exchange, response });
+      if (isResponse(replaced)) {
+        response = replaced;
+      }
+    }
+    return { request, response };
+  }
+
+  /**
+   * Send a request and read the response, see #request.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} requestUrl - Absolute or relative URL
+   * @param {Object} [options] - Request options
+   * @param {Object} [body] - Request body
+   * @param {Object} [exchange] - The request and context of the middleware,
+   *   if any
+   *
+   * @return {Promise<Object>} The parsed body, or the stream or iterator for
+   *   streaming response types
+   */
+  async send(method, requestUrl, options = {}, body, exchange) {
+    const { responseType = 'json', ...fetchOptions } = options;
+    if (responseType !== 'json') {
+      return this.requestStreaming(method, requestUrl, fetchOptions, body, responseType, exchange);
+    }
+
     const url = this.expandUrl(requestUrl);
+    return this.withTimer(
+      { method, url, options: fetchOptions },
+      (timedOptions) => this.sendWithin(method, url, timedOptions, body, exchange),
+    );
+  }
 
-    const request = this.requestBuilder(method, url, options, body);
-    logRequestInfo(method, url, request.headers);
+  /**
+   * Run a request with a timer for its timeout or deadline, if it has one.
+   *
+   * @private
+   *
+   * @param {Object} params - The request
+   * @param {String} params.method - HTTP method
+   * @param {String} params.url - Absolute request URL
+   * @param {Object} params.options - Request options
+   * @param {Boolean} [params.streaming] - Whether the body is left to the
+   *   caller, so only the wait for the headers is timed
+   * @param {Function} sendRequest - Sends the request, called with the
+   *   options with the signal and timer of the deadline
+   *
+   * @return {Promise<Object>} The result of sendRequest
+   * @throws {TimeoutError} When the request runs out of time
+   */
+  async withTimer({
+    method,
+    url,
+    options,
+    streaming = false,
+  }, sendRequest) {
+    const { timeout = this.timeout, deadline, ...requestOptions } = options;
+    const limits = [timeout, deadline === undefined ? undefined : deadline - Date.now()]
+      .filter((limit) => typeof limit === 'number');
+    const timer = RequestTimer.start({
+      timeout: limits.length > 0 ? Math.min(...limits) : undefined,
+      signal: requestOptions.signal,
+      method,
+      url,
+    });
+    if (!timer) {
+      return sendRequest(requestOptions);
+    }
 
-    const response = await fetch(request);
+    let result;
+    try {
+      result = await sendRequest({ ...requestOptions, signal: timer.signal, timer });
+    } catch (error) {
+      timer.release();
+      throw timer.errorFor(error);
+    }
+    if (streaming) {
+      timer.handOver(result.body);
+    } else {
+      timer.release();
+    }
+    return result;
+  }
+
+  /**
+   * Send a request and read and parse the whole response, within the time
+   * of its timer, if any.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} url - Absolute request URL
+   * @param {Object} options - Request options
+   * @param {Object} [body] - Request body
+   * @param {Object} [exchange] - The request and context of the middleware,
+   *   if any
+   *
+   * @return {Promise<Object>} The parsed body
+   */
+  async sendWithin(method, url, options, body, exchange) {
+    const { retry, ...requestOptions } = options;
+    const retryPolicy = retryPolicyFor(this.retryPolicy, retry, body);
+
+    // Canned responses of the middleware neither come from nor go to the cache
+    const cacheKey = !(exchange && exchange.response)
+      && this.cacheKeyFor(method, url, requestOptions);
+    const cached = cacheKey && await this.cache.lookup(cacheKey, requestOptions.cache);
+    if (cached && cached.fresh) {
+      const cachedResponse = ResponseCache.responseFor(cached);
+      const data = parseBody(cached.body, cachedResponse.headers);
+      // Nothing is sent, so the request is not signed
+      const request = new Request(url, this.requestOptionsFor(method, url, requestOptions));
+      return attachHttp(data, request, cachedResponse);
+    }
+
+    const { request, response } = await this.fetchThroughMiddleware({
+      method,
+      url,
+      options: cached ? {
+        ...requestOptions,
+        headers: { ...ResponseCache.conditionalHeaders(cached), ...requestOptions.headers },
+      } : requestOptions,
+      body,
+      retryPolicy,
+    }, exchange);
     const { status, headers } = response;
     logResponseInfo({ status, response });
+    if (cached && status === 304) {
+      const entry = await this.cache.revalidated(cacheKey, cached, response);
+      const cachedResponse = ResponseCache.responseFor(entry);
+      return attachHttp(parseBody(entry.body, cachedResponse.headers), request, cachedResponse);
+    }
+    if (response.ok) {
+      await this.checkFhirVersion({ method, url, response, options: requestOptions });
+    }
 
     const bodyText = await response.text();
 
     let data = {};
     if (bodyText) {
       try {
-        data = JSON.parse(bodyText);
+        data = parseBody(bodyText, headers);
       } catch (_error) {
         data = bodyText;
         throw responseErrorBuilder({ status, data, method, headers, url });
@@ -188,20 +653,300 @@ module.exports = class HttpClient {
       throw responseErrorBuilder({ status, data, method, headers, url });
     }
 
-    // Add __response and __request
+    if (cacheKey) {
+      await this.cache.save(cacheKey, response, bodyText, {
+        authorized: this.cacheScopeFor(requestOptions) !== undefined,
+      });
+    } else if (this.cache && isWrite(method, url)) {
+      await this.cache.invalidate(url, this.baseUrl);
+    }
+
+    return attachHttp(data, request, response);
+  }
+
+  /**
+   * The cache key of a request, if its response may come from or go to the
+   * cache: GET requests, unless the cache mode is 'no-store' or the request
+   * is already conditional.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} url - Absolute request URL
+   * @param {Object} options - Request options
+   *
+   * @return {String|undefined} The cache key
+   */
+  cacheKeyFor(method, url, options) {
+    if (!this.cache || method.toUpperCase() !== 'GET' || options.cache === 'no-store') {
+      return undefined;
+    }
+    const headers = HttpClient.lcKeys(options.headers) || {};
+    if (headers['if-none-match'] || headers['if-modified-since']) { return undefined; }
+
+    const { format = this.format } = options;
+    const { accept } = this.mergeHeaders(
+      options.headers, undefined, format, this.fhirVersionFor(options),
+    );
+    return ResponseCache.keyFor(url, accept, this.cacheScopeFor(options));
+  }
+
+  /**
+   * Who a cached response belongs to: a digest of the Authorization header,
+   * or this client when it gets its credentials from a token provider or a
+   * request signer. Undefined for requests without credentials, whose
+   * responses any client may share.
+   *
+   * @private
+   *
+   * @param {Object} options - Request options
+   *
+   * @return {String|undefined} The scope of the cache key
+   */
+  cacheScopeFor(options) {
+    const { authorization } = this.mergeHeaders(options.headers);
+    if (authorization) {
+      return sha256(authorization).toString('hex');
+    }
+    if (this.tokenProvider || this.requestSigner) {
+      if (!this.cacheIdentity) {
+        this.cacheIdentity = `client:${crypto.randomUUID()}`;
+      }
+      return this.cacheIdentity;
+    }
+    return undefined;
+  }
+
+  /**
+   * Send a request and return the response body as a stream or iterator.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} requestUrl - Absolute or relative URL
+   * @param {Object} options - Request options
+   * @param {Object} [body] - Request body
+   * @param {String} responseType - 'stream', 'ndjson' or 'entries'
+   * @param {Object} [exchange] - The request and context of the middleware,
+   *   if any
+   *
+   * @return {Promise<Object>} The body stream or iterator
+   */
+  async requestStreaming(method, requestUrl, options, body, responseType, exchange) {
+    const reader = responseReaders[responseType];
+    if (!reader) {
+      throw new Error(`Unsupported responseType ${responseType}`);
+    }
+
+    const response = await this.requestStream(method, requestUrl, options, body, exchange);
+    const data = reader(response);
     Object.defineProperty(data, responseAttributeKey, {
       writable: false,
       enumerable: false,
       value: response,
     });
+    return data;
+  }
 
-    Object.defineProperty(data, requestAttributeKey, {
-      writable: false,
-      enumerable: false,
-      value: request,
-    });
+  /**
+   * Send a request and return the fetch Response without reading its body,
+   * so the caller can stream it.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} requestUrl - Absolute or relative URL
+   * @param {Object} [options] - Request options
+   * @param {Object} [body] - Request body
+   * @param {Object} [exchange] - The request and context of the middleware,
+   *   if any
+   *
+   * @return {Promise<Response>} The successful response
+   * @throws {FhirRequestError} for unsuccessful responses
+   */
+  async requestStream(method, requestUrl, options = {}, body, exchange) {
+    const url = this.expandUrl(requestUrl);
+    return this.withTimer(
+      {
+        method,
+        url,
+        options,
+        streaming: true,
+      },
+      (timedOptions) => this.fetchStream(method, url, timedOptions, body, exchange),
+    );
+  }
 
-    return data;
+  /**
+   * Send a request and return the fetch Response once its headers arrive.
+   *
+   * @private
+   *
+   * @param {String} method - HTTP method
+   * @param {String} url - Absolute request URL
+   * @param {Object} options - Request options
+   * @param {Object} [body] - Request body
+   * @param {Object} [exchange] - The request and context of the middleware,
+   *   if any
+   *
+   * @return {Promise<Response>} The successful response
+   */
+  async fetchStream(method, url, options, body, exchange) {
+    const { retry, ...requestOptions } = options;
+    const retryPolicy = retryPolicyFor(this.retryPolicy, retry, body);
+
+    const { response } = await this.fetchThroughMiddleware({
+      method, url, options: requestOptions, body, retryPolicy,
+    }, exchange);
+    const { status, headers } = response;
+    logResponseInfo({ status, response });
+
+    if (!response.ok) {
+      const bodyText = await response.text();
+      let data = bodyText;
+      try {
+        data = parseBody(bodyText, headers);
+      } catch (_error) {
+        // Keep the body text
+      }
+      throw responseErrorBuilder({ status, data, method, headers, url });
+    }
+    await this.checkFhirVersion({ method, url, response, options: requestOptions });
+
+    return response;
+  }
+
+  /**
+   * The FHIR version to ask for in a request.
+   *
+   * @private
+   *
+   * @param {Object} [options] - Request options
+   *
+   * @return {String|undefined} The major.minor version, if any
+   */
+  fhirVersionFor(options = {}) {
+    const { fhirVersion = this.fhirVersion } = options;
+    return fhirVersion || undefined;
+  }
+
+  /**
+   * Reject a response whose Content-Type declares another FHIR version than
+   * the one asked for, after cancelling its body. Responses without a
+   * fhirVersion parameter are accepted.
+   *
+   * @private
+   *
+   * @param {Object} params - The request and response
+   * @param {String} params.method - HTTP method
+   * @param {String} params.url - Request URL
+   * @param {Response} params.response - The response
+   * @param {Object} [params.options] - Request options
+   *
+   * @return {Promise<String|undefined>} The FHIR version of the response, if
+   *   declared
+   * @throws {FhirVersionMismatchError} if the versions differ
+   */
+  async checkFhirVersion({
+    method,
+    url,
+    response,
+    options,
+  }) {
+    const expected = this.fhirVersionFor(options);
+    const actual = fhirVersionOf(response.headers.get('content-type'));
+    if (expected && actual && actual !== expected) {
+      await cancelBody(response.body);
+      const error = new FhirVersionMismatchError({
+        expected, actual, method, url, response,
+      });
+      logRequestError(error);
+      throw error;
+    }
+    return actual;
+  }
+
+  /**
+   * Send a request with a token from the token provider, if there is one.
+   * After a 401, the request is sent once more with a new token.
+   *
+   * @private
+   *
+   * @param {Object} params - The request parameters, see #fetchWithRetry
+   *
+   * @return {Promise<Object>} The final request and response
+   */
+  async fetchAuthorized(params) {
+    if (!this.tokenProvider) {
+      return this.fetchWithRetry(params);
+    }
+
+    const staleToken = await this.tokenProvider.getAccessToken();
+    const result = await this.fetchWithRetry({ ...params, accessToken: staleToken });
+    if (result.response.status !== 401 || isStream(params.body)) {
+      return result;
+    }
+
+    await result.response.text().catch(() => {});
+    const accessToken = await this.tokenProvider.getAccessToken({ staleToken });
+    return this.fetchWithRetry({ ...params, accessToken });
+  }
+
+  /**
+   * Send a request, retrying failed attempts as the retry policy allows.
+   *
+   * @private
+   *
+   * @param {Object} params - The request parameters
+   * @param {String} params.method - HTTP method
+   * @param {String} params.url - Absolute request URL
+   * @param {Object} params.options - Request options
+   * @param {Object} [params.body] - Request body
+   * @param {RetryPolicy} [params.retryPolicy] - Retry policy, if any
+   * @param {String} [params.accessToken] - Access token to send instead of
+   *   the bearer token
+   * @param {Number} [params.attempt] - Attempt number, starting at 1
+   *
+   * @return {Promise<Object>} The final request and response
+   */
+  async fetchWithRetry({
+    method, url, options, body, retryPolicy, accessToken, attempt = 1,
+  }) {
+    const request = await this.requestBuilder(method, url, options, body, accessToken);
+    logRequestInfo(method, url, request.headers);
+
+    let response;
+    let delay;
+    try {
+      response = await fetch(request);
+      if (!response.ok && retryPolicy) {
+        delay = retryPolicy.retryDelay({
+          attempt,
+          method,
+          status: response.status,
+          retryAfter: response.headers.get('retry-after'),
+        });
+      }
+    } catch (error) {
+      delay = retryPolicy && retryPolicy.retryDelay({ attempt, method, error });
+      if (delay === undefined) { throw error; }
+    }
+
+    if (delay === undefined) {
+      if (options.timer) { options.timer.received(); }
+      return { request, response };
+    }
+
+    if (response) {
+      // Release the connection before waiting
+      await response.text().catch(() => {});
+    }
+    logRetryInfo({ method, url, attempt, delay, status: response && response.status });
+    await wait(delay, options.signal);
+
+    return this.fetchWithRetry({
+      method, url, options, body, retryPolicy, accessToken, attempt: attempt + 1,
+    });
   }
 
   async get(url, options) {
@@ -214,7 +959,7 @@ module.exports = class HttpClient {
 
   async put(url, body, options = {}) {
     const headers = {
-      ...{ 'content-type': 'application/fhir+json' },
+      ...{ 'content-type': mediaTypeFor(options.format || this.format, this.fhirVersionFor(options)) },
       ...HttpClient.lcKeys(options.headers),
     };
     const putOptions = { ...options, headers };
@@ -224,7 +969,7 @@ module.exports = class HttpClient {
 
   async post(url, body, options = {}) {
     const headers = {
-      ...{ 'content-type': 'application/fhir+json' },
+      ...{ 'content-type': mediaTypeFor(options.format || this.format, this.fhirVersionFor(options)) },
       ...HttpClient.lcKeys(options.headers),
     };
     const postOptions = { ...options, headers };
@@ -232,8 +977,14 @@ module.exports = class HttpClient {
     return this.request('POST', url, postOptions, body);
   }
 
-  async patch(url, body, options) {
-    return this.request('PATCH', url, options, body);
+  async patch(url, body, options = {}) {
+    const headers = {
+      ...{ 'content-type': mediaTypeFor(options.format || this.format, this.fhirVersionFor(options)) },
+      ...HttpClient.lcKeys(options.headers),
+    };
+    const patchOptions = { ...options, headers };
+
+    return this.request('PATCH', url, patchOptions, body);
   }
 
   expandUrl(url = '') {
@@ -249,12 +1000,13 @@ module.exports = class HttpClient {
     return `${this.baseUrl}/${url}`;
   }
 
-  mergeHeaders(requestHeaders) {
+  mergeHeaders(requestHeaders, accessToken, format = this.format, fhirVersion) {
     const { lcKeys } = HttpClient;
+    const authHeader = accessToken ? { authorization: `Bearer ${accessToken}` } : this.authHeader;
 
     return {
-      ...lcKeys(defaultHeaders),
-      ...lcKeys(this.authHeader),
+      accept: mediaTypeFor(format, fhirVersion),
+      ...lcKeys(authHeader),
       ...lcKeys(this.customHeaders),
       ...lcKeys(requestHeaders),
     };
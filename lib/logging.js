@@ -44,6 +44,18 @@ function logResponseInfo(response) {
   }
 }
 
+function logRetryInfo({
+  method,
+  url,
+  attempt,
+  delay,
+  status,
+}) {
+  if (!infoLogger.enabled) { return; }
+  const reason = status ? `status ${status}` : 'network error';
+  infoLogger(`Retry: ${method.toUpperCase()} ${url.toString()} failed attempt ${attempt} (${reason}), retrying in ${delay}ms`);
+}
+
 function logError(error) {
   if (!errorLogger.enabled) { return; }
   errorLogger(error);
@@ -53,5 +65,6 @@ module.exports = {
   logRequestError,
   logRequestInfo,
   logResponseInfo,
+  logRetryInfo,
   logError,
 };
@@ -0,0 +1,471 @@
+/* global Response */
+const crypto = require('crypto');
+const { SignatureVerificationError } = require('./errors');
+const { contentDigestHeader } = require('./body-digest');
+
+const algorithms = {
+  ed25519: {
+    hash: null,
+    options: {},
+  },
+  'ecdsa-p256-sha256': {
+    hash: 'sha256',
+    options: { dsaEncoding: 'ieee-p1363' },
+  },
+  'rsa-pss-sha512': {
+    hash: 'sha512',
+    options: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  },
+};
+
+const derivedComponents = {
+  '@method': ({ method }) => method && method.toUpperCase(),
+  '@target-uri': ({ url }) => url && url.href,
+  '@authority': ({ url }) => url && url.host.toLowerCase(),
+  '@scheme': ({ url }) => url && url.protocol.slice(0, -1),
+  '@request-target': ({ url }) => url && `${url.pathname}${url.search}`,
+  '@path': ({ url }) => url && url.pathname,
+  '@query': ({ url }) => url && (url.search || '?'),
+  '@status': ({ status }) => (status === undefined ? undefined : String(status)),
+};
+
+const digestAlgorithms = { 'sha-256': 'sha256', 'sha-512': 'sha512' };
+
+/**
+ * Turn a JWK, PEM string or KeyObject into a KeyObject.
+ *
+ * @private
+ *
+ * @param {Object|String|KeyObject} key - The key
+ * @param {String} type - 'private' or 'public'
+ *
+ * @return {KeyObject} The key
+ */
+function keyFrom(key, type) {
+  if (key instanceof crypto.KeyObject) { return key; }
+  const create = type === 'private' ? crypto.createPrivateKey : crypto.createPublicKey;
+  if (typeof key === 'string' || Buffer.isBuffer(key)) { return create(key); }
+  return create({ key, format: 'jwk' });
+}
+
+/**
+ * Pick the signature algorithm that matches a key.
+ *
+ * @private
+ *
+ * @param {KeyObject} key - The key
+ *
+ * @return {String} ed25519, ecdsa-p256-sha256 or rsa-pss-sha512
+ */
+function algorithmFor(key) {
+  const { asymmetricKeyType: keyType, asymmetricKeyDetails: details = {} } = key;
+  if (keyType === 'ed25519') { return 'ed25519'; }
+  if (keyType === 'ec' && details.namedCurve === 'prime256v1') { return 'ecdsa-p256-sha256'; }
+  if (keyType === 'rsa' || keyType === 'rsa-pss') { return 'rsa-pss-sha512'; }
+  throw new Error(`Unsupported key type ${keyType} for HTTP message signatures`);
+}
+
+function algorithmSettingsFor(algorithm) {
+  const settings = algorithms[algorithm];
+  if (!settings) {
+    throw new Error(`Unsupported HTTP message signature algorithm ${algorithm}`);
+  }
+  return settings;
+}
+
+/**
+ * Split a structured field dictionary (RFC 8941) into its members, keeping
+ * each member value as sent.
+ *
+ * @private
+ *
+ * @param {String} [value] - The header value
+ *
+ * @return {Map<String, String>} The member values by key
+ */
+function dictionaryMembers(value) {
+  const members = new Map();
+  let member = '';
+  let quoted = false;
+  let depth = 0;
+  [...`${value || ''},`].forEach((char, index, chars) => {
+    if (char === ',' && !quoted && depth === 0) {
+      const separator = member.indexOf('=');
+      if (separator > 0) {
+        members.set(member.slice(0, separator).trim(), member.slice(separator + 1).trim());
+      }
+      member = '';
+      return;
+    }
+    if (char === '"' && chars[index - 1] !== '\\') { quoted = !quoted; }
+    if (!quoted && char === '(') { depth += 1; }
+    if (!quoted && char === ')') { depth -= 1; }
+    member += char;
+  });
+  return members;
+}
+
+/**
+ * Read the covered components and parameters of a Signature-Input member.
+ *
+ * @private
+ *
+ * @param {String} signatureParams - The member value
+ *
+ * @return {Object} The components and params
+ */
+function parseSignatureParams(signatureParams) {
+  const match = /^\(([^)]*)\)(.*)$/.exec(signatureParams);
+  if (!match) {
+    throw new Error(`Invalid Signature-Input ${signatureParams}`);
+  }
+  const items = match[1].trim().split(/\s+/).filter(Boolean);
+  const components = items.map((item) => {
+    const component = /^"([^"]+)"$/.exec(item);
+    if (!component) {
+      throw new Error(`Unsupported signature component ${item}`);
+    }
+    return component[1];
+  });
+  const params = {};
+  [...match[2].matchAll(/;([a-z*][a-z0-9_.*-]*)=("(?:[^"\\]|\\.)*"|[^;]*)/g)]
+    .forEach(([, key, paramValue]) => {
+      params[key] = paramValue.startsWith('"') ? paramValue.slice(1, -1) : Number(paramValue);
+    });
+  return { components, params };
+}
+
+/**
+ * Serialize the covered components and parameters of a signature, the
+ * value of @signature-params and of its Signature-Input member.
+ *
+ * @private
+ *
+ * @param {String[]} components - The covered components
+ * @param {Object} params - The parameters, in order
+ *
+ * @return {String} The serialized inner list
+ */
+function serializeSignatureParams(components, params) {
+  const list = `(${components.map((component) => `"${component}"`).join(' ')})`;
+  return Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .reduce((serialized, key) => {
+      const value = typeof params[key] === 'number' ? params[key] : `"${params[key]}"`;
+      return `${serialized};${key}=${value}`;
+    }, list);
+}
+
+/**
+ * Read the value of a component of a message.
+ *
+ * @private
+ *
+ * @param {String} component - A derived component like @method, or a
+ *   lower-case header name
+ * @param {Object} message - The method, url (a URL), status and headers
+ *
+ * @return {String|undefined} The value, undefined when not in the message
+ */
+function componentValue(component, message) {
+  if (component.startsWith('@')) {
+    const derive = derivedComponents[component];
+    if (!derive) {
+      throw new Error(`Unsupported signature component ${component}`);
+    }
+    return derive(message);
+  }
+  const value = message.headers.get(component);
+  return value === null ? undefined : value.trim();
+}
+
+/**
+ * Build the signature base of a message (RFC 9421, section 2.5): a line for
+ * each covered component, then the signature parameters.
+ *
+ * @example
+ *
+ * signatureBase({
+ *   components: ['@method', '@path'],
+ *   signatureParams: '("@method" "@path");created=1618884473;keyid="key-1"',
+ *   message: { method: 'GET', url: new URL('https://example.com/fhir/Patient') },
+ * });
+ * // "@method": GET
+ * // "@path": /fhir/Patient
+ * // "@signature-params": ("@method" "@path");created=1618884473;keyid="key-1"
+ *
+ * @param {Object} params - The signature base parameters
+ * @param {String[]} params.components - The covered components
+ * @param {String} params.signatureParams - The serialized signature
+ *   parameters
+ * @param {Object} params.message - The method, url (a URL), status and
+ *   headers of the message
+ *
+ * @return {String} The signature base
+ */
+function signatureBase({ components, signatureParams, message }) {
+  const lines = components.map((component) => {
+    const value = componentValue(component, message);
+    if (value === undefined) {
+      throw new Error(`Signature component ${component} is not in the message`);
+    }
+    return `"${component}": ${value}`;
+  });
+  return [...lines, `"@signature-params": ${signatureParams}`].join('\n');
+}
+
+/**
+ * Check the Content-Digest of a body. Digests in unknown algorithms are
+ * ignored, but at least one must be known.
+ *
+ * @private
+ *
+ * @param {String} header - The Content-Digest header
+ * @param {Buffer} body - The body bytes
+ *
+ * @return {Boolean} true when the digests match the body
+ */
+function contentDigestMatches(header, body) {
+  const digests = [...dictionaryMembers(header)]
+    .filter(([algorithm]) => digestAlgorithms[algorithm]);
+  return digests.length > 0 && digests.every(([algorithm, value]) => {
+    const expected = crypto.createHash(digestAlgorithms[algorithm]).update(body).digest('base64');
+    return value === `:${expected}:`;
+  });
+}
+
+/**
+ * HTTP Message Signatures (RFC 9421): signs requests and, optionally,
+ * verifies the Signature of responses, with Ed25519, ECDSA P-256 or
+ * RSA-PSS keys.
+ *
+ * @example
+ *
+ * const client = new Client({
+ *   baseUrl,
+ *   messageSignatures: {
+ *     keyId: 'client-key',
+ *     privateKey: fs.readFileSync('client-key.pem'),
+ *     verify: { keys: { 'server-key': fs.readFileSync('server-key.pub') } },
+ *   },
+ * });
+ */
+class HttpMessageSignatures {
+  /**
+   * Create a signer and verifier.
+   *
+   * @param {Object} settings - The signature settings
+   * @param {String} [settings.keyId] - The keyid of the private key
+   * @param {Object|String|KeyObject} [settings.privateKey] - The private key
+   *   to sign requests with, as a JWK, PEM string or KeyObject. Requests are
+   *   not signed without one.
+   * @param {String} [settings.algorithm] - Optional ed25519,
+   *   ecdsa-p256-sha256 or rsa-pss-sha512, defaults to the one matching the
+   *   key type
+   * @param {String[]} [settings.components] - The components to sign,
+   *   defaults to @method, @target-uri, content-digest and authorization.
+   *   Headers that a request does not have are left out.
+   * @param {String} [settings.label] - The signature label, defaults to
+   *   'sig1'
+   * @param {Number} [settings.lifetime] - Optional seconds until signatures
+   *   expire
+   * @param {String} [settings.tag] - Optional application tag
+   * @param {Object} [settings.verify] - Optional settings to verify the
+   *   Signature of responses
+   * @param {Object|Function} settings.verify.keys - The public keys by
+   *   keyid, or a function that returns the key of a keyid or a Promise of it
+   * @param {String[]} [settings.verify.components] - The components
+   *   signatures must cover, defaults to @status and content-digest
+   * @param {String} [settings.verify.label] - Optional label of the signature
+   *   to verify, defaults to the first one
+   * @param {Number} [settings.verify.maxAge] - Seconds since a signature was
+   *   created after which it is rejected, defaults to 300
+   */
+  constructor({
+    keyId,
+    privateKey,
+    algorithm,
+    components = ['@method', '@target-uri', 'content-digest', 'authorization'],
+    label = 'sig1',
+    lifetime,
+    tag,
+    verify,
+  }) {
+    if (!privateKey && !verify) {
+      throw new Error('HTTP message signatures need a privateKey or verify settings');
+    }
+    if (privateKey) {
+      this.privateKey = keyFrom(privateKey, 'private');
+      this.algorithm = algorithm || algorithmFor(this.privateKey);
+      algorithmSettingsFor(this.algorithm);
+    }
+    this.keyId = keyId;
+    this.components = components;
+    this.label = label;
+    this.lifetime = lifetime;
+    this.tag = tag;
+    if (verify) {
+      if (!verify.keys) {
+        throw new Error('HTTP message signature verification needs keys');
+      }
+      this.verifySettings = {
+        components: ['@status', 'content-digest'],
+        maxAge: 300,
+        ...verify,
+      };
+      this.middleware = {
+        afterResponse: ({ request, response }) => this.verifyResponse(request, response),
+      };
+    }
+  }
+
+  /**
+   * Get signatures for the messageSignatures setting of a client.
+   *
+   * @param {HttpMessageSignatures|Object} signaturesOrSettings - Signatures,
+   *   or the settings of new ones
+   *
+   * @return {HttpMessageSignatures} The signatures
+   */
+  static for(signaturesOrSettings) {
+    return signaturesOrSettings instanceof HttpMessageSignatures
+      ? signaturesOrSettings
+      : new HttpMessageSignatures(signaturesOrSettings);
+  }
+
+  /**
+   * Sign a request, as the requestSigner of a client: sets the
+   * Content-Digest of the body (when content-digest is signed), and the
+   * Signature-Input and Signature headers.
+   *
+   * @param {String} url - Absolute request URL
+   * @param {Object} requestOptions - The request options, with Headers
+   * @param {Object} [signedBody] - The body bytes and SHA-256 digest
+   *
+   * @return {Promise<undefined>} Resolves once the headers are set
+   */
+  async sign(url, requestOptions, { body, digest } = {}) {
+    if (!this.privateKey) { return; }
+    const { headers } = requestOptions;
+    if (this.components.includes('content-digest') && body && body.length > 0) {
+      headers.set('content-digest', contentDigestHeader(digest));
+    }
+
+    const message = { method: requestOptions.method, url: new URL(url), headers };
+    const components = this.components
+      .filter((component) => component.startsWith('@') || headers.has(component));
+    const created = Math.floor(Date.now() / 1000);
+    const signatureParams = serializeSignatureParams(components, {
+      created,
+      expires: this.lifetime && created + this.lifetime,
+      keyid: this.keyId,
+      tag: this.tag,
+    });
+    const base = signatureBase({ components, signatureParams, message });
+    const { hash, options } = algorithmSettingsFor(this.algorithm);
+    const signature = crypto.sign(hash, Buffer.from(base), { key: this.privateKey, ...options });
+
+    headers.set('signature-input', `${this.label}=${signatureParams}`);
+    headers.set('signature', `${this.label}=:${signature.toString('base64')}:`);
+  }
+
+  /**
+   * Verify the Signature of a response, and the Content-Digest of its body.
+   *
+   * @param {Object} request - The method and url of the request
+   * @param {Response} response - The response
+   *
+   * @return {Promise<Response>} A response with the body that was verified
+   * @throws {SignatureVerificationError} When the response is not signed as
+   *   required
+   */
+  async verifyResponse(request, response) {
+    const body = Buffer.from(await response.arrayBuffer());
+    const reason = await this.verificationFailure(response, body);
+    if (reason) {
+      throw new SignatureVerificationError({
+        reason,
+        method: request.method,
+        url: request.url,
+        response,
+      });
+    }
+    return new Response(body.length > 0 ? body : null, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  /**
+   * Find why the signature of a response does not verify.
+   *
+   * @private
+   *
+   * @param {Response} response - The response
+   * @param {Buffer} body - The body bytes
+   *
+   * @return {Promise<String|undefined>} The reason, undefined when it
+   *   verifies
+   */
+  async verificationFailure(response, body) {
+    const {
+      keys, components: required, label, maxAge,
+    } = this.verifySettings;
+    const inputs = dictionaryMembers(response.headers.get('signature-input'));
+    const signatures = dictionaryMembers(response.headers.get('signature'));
+    const signatureLabel = label || [...inputs.keys()][0];
+    if (!inputs.has(signatureLabel) || !signatures.has(signatureLabel)) {
+      return label ? `no signature labelled ${label}` : 'no Signature-Input and Signature';
+    }
+
+    let parsed;
+    try {
+      parsed = parseSignatureParams(inputs.get(signatureLabel));
+    } catch (error) {
+      return error.message;
+    }
+    const { components, params } = parsed;
+    const uncovered = required.find((component) => !components.includes(component));
+    if (uncovered) {
+      return `signature does not cover ${uncovered}`;
+    }
+    const now = Date.now() / 1000;
+    if (maxAge !== undefined && params.created !== undefined && now - params.created > maxAge) {
+      return `signature is older than ${maxAge} seconds`;
+    }
+    if (params.expires !== undefined && now > params.expires) {
+      return 'signature has expired';
+    }
+    const contentDigest = response.headers.get('content-digest');
+    if (contentDigest !== null && !contentDigestMatches(contentDigest, body)) {
+      return 'Content-Digest does not match the body';
+    }
+
+    const publicKey = typeof keys === 'function' ? await keys(params.keyid) : keys[params.keyid];
+    if (!publicKey) {
+      return `unknown key ${params.keyid}`;
+    }
+    try {
+      const key = keyFrom(publicKey, 'public');
+      const { hash, options } = algorithmSettingsFor(params.alg || algorithmFor(key));
+      const base = signatureBase({
+        components,
+        signatureParams: inputs.get(signatureLabel),
+        message: { status: response.status, headers: response.headers },
+      });
+      const signature = Buffer.from(signatures.get(signatureLabel).replace(/^:|:$/g, ''), 'base64');
+      if (!crypto.verify(hash, Buffer.from(base), { key, ...options }, signature)) {
+        return 'signature does not match';
+      }
+    } catch (error) {
+      return error.message;
+    }
+    return undefined;
+  }
+}
+
+module.exports = {
+  HttpMessageSignatures,
+  signatureBase,
+};
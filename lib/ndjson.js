@@ -0,0 +1,54 @@
+const { textChunksOf } = require('./streams');
+
+/**
+ * Iterate over the non-blank lines of a response body, decoding it as UTF-8
+ * one chunk at a time.
+ *
+ * @param {Readable|ReadableStream} body - The response body
+ *
+ * @return {AsyncIterableIterator<String>} The lines, without line endings
+ */
+async function* linesOf(body) {
+  let buffered = '';
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const text of textChunksOf(body)) {
+    buffered += text;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    // eslint-disable-next-line no-restricted-syntax
+    for (const line of lines) {
+      if (line.trim()) { yield line.trim(); }
+    }
+  }
+
+  if (buffered.trim()) { yield buffered.trim(); }
+}
+
+/**
+ * Parse an NDJSON (newline delimited JSON) response body line by line, e.g.
+ * an application/fhir+ndjson Bulk Data output file.
+ *
+ * @param {Readable|ReadableStream} body - The response body
+ *
+ * @return {AsyncIterableIterator<Object>} The parsed objects
+ */
+async function* parseNdjson(body) {
+  let recordNumber = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const line of linesOf(body)) {
+    recordNumber += 1;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new SyntaxError(`Invalid NDJSON record ${recordNumber}: ${error.message}`);
+    }
+    yield record;
+  }
+}
+
+module.exports = {
+  linesOf,
+  parseNdjson,
+};
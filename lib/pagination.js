@@ -1,3 +1,5 @@
+const { withDeadline } = require('./timeouts');
+
 /**
   * Class for paging Bundles.
   * @private
@@ -21,12 +23,15 @@ class Pagination {
    * @param {Object} [options] - Optional options object
    * @param {Object} [options.headers] - Optional custom headers to add to the
    *   request
+   * @param {Number} [options.timeout] - Optional timeout of the request
+   * @param {AbortSignal} [options.signal] - Optional signal to abort the
+   *   request
    *
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
-  nextPage(results, { headers } = {}) {
+  nextPage(results, options = {}) {
     const nextLink = results.link.find((link) => link.relation === 'next');
-    return nextLink ? this.httpClient.get(nextLink.url, { headers }) : undefined;
+    return nextLink ? this.httpClient.get(nextLink.url, options) : undefined;
   }
 
   /**
@@ -36,12 +41,100 @@ class Pagination {
    * @param {Object} [options] - Optional options object
    * @param {Object} [options.headers] - Optional custom headers to add to the
    *   request
+   * @param {Number} [options.timeout] - Optional timeout of the request
+   * @param {AbortSignal} [options.signal] - Optional signal to abort the
+   *   request
    *
    * @return {Promise<Object>} FHIR resources in a FHIR Bundle structure.
    */
-  prevPage(results, { headers } = {}) {
+  prevPage(results, options = {}) {
     const prevLink = results.link.find((link) => link.relation.match(/^prev(ious)?$/));
-    return prevLink ? this.httpClient.get(prevLink.url, { headers }) : undefined;
+    return prevLink ? this.httpClient.get(prevLink.url, options) : undefined;
+  }
+
+  /**
+   * Iterate over a bundle and every page that follows it by "next" link.
+   *
+   * Iteration stops quietly when the signal is aborted, when there is no
+   * further "next" link, or when maxPages or maxResources is reached.
+   *
+   * @param {Object} bundle - First page, a FHIR search or history Bundle
+   * @param {Object} [params] - Optional iteration parameters
+   * @param {Number} [params.maxPages] - Optional maximum number of pages to
+   *   yield, including the first one
+   * @param {Number} [params.maxResources] - Optional number of entries after
+   *   which no further pages are fetched. Every entry counts, including
+   *   included resources and OperationOutcomes.
+   * @param {AbortSignal} [params.signal] - Optional signal to stop paging
+   * @param {Function} [params.checkPage] - Optional function that every
+   *   fetched page is passed through, and that may reject it by throwing
+   * @param {Object} [params.options] - Optional options object
+   * @param {Object} [params.options.headers] - Optional custom headers to add
+   *   to each page request
+   * @param {Number} [params.options.timeout] - Optional milliseconds all of
+   *   the page requests may take together
+   *
+   * @return {AsyncIterableIterator<Object>} FHIR resources in a FHIR Bundle
+   *   structure, one page at a time.
+   */
+  async* pages(bundle, {
+    maxPages = Infinity,
+    maxResources = Infinity,
+    signal,
+    checkPage = (page) => page,
+    options = {},
+  } = {}) {
+    const pageOptions = { ...withDeadline(options) };
+    if (signal) { pageOptions.signal = signal; }
+    let page = bundle;
+    let pageCount = 0;
+    let resourceCount = 0;
+
+    while (page) {
+      yield page;
+
+      pageCount += 1;
+      resourceCount += (page.entry || []).length;
+      if (pageCount >= maxPages || resourceCount >= maxResources) { return; }
+      if (signal && signal.aborted) { return; }
+
+      const nextLink = (page.link || []).find((link) => link.relation === 'next');
+      if (!nextLink) { return; }
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        page = checkPage(await this.httpClient.get(nextLink.url, pageOptions));
+      } catch (error) {
+        if (signal && signal.aborted) { return; }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Iterate over the entries of a bundle and every page that follows it.
+   *
+   * @param {Object} bundle - First page, a FHIR search or history Bundle
+   * @param {Object} [params] - Optional iteration parameters, see #pages.
+   *   maxResources limits the number of entries yielded, included resources
+   *   and OperationOutcomes among them.
+   *
+   * @return {AsyncIterableIterator<Object>} Bundle entries, in server order.
+   */
+  async* entries(bundle, params = {}) {
+    const { maxResources = Infinity } = params;
+    if (maxResources <= 0) { return; }
+    let count = 0;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.pages(bundle, params)) {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const entry of page.entry || []) {
+        yield entry;
+        count += 1;
+        if (count >= maxResources) { return; }
+      }
+    }
   }
 }
 
@@ -1,4 +1,5 @@
 const { splitReference } = require('./utils');
+const { anyRelease } = require('./fhir-registry');
 const { deprecateHeaders } = require('./deprecations');
 
 /**
@@ -92,9 +93,11 @@ module.exports = class {
     if (reference.startsWith(this.client.baseUrl)) {
       return this.client.httpClient.get(reference, options);
     }
-    const { baseUrl, resourceType, id } = splitReference(reference);
+    const registry = this.client.registry || anyRelease;
+    const { baseUrl, resourceType, id } = splitReference(reference, registry);
     const Client = require('./client'); // eslint-disable-line global-require
-    return (new Client({ baseUrl })).read({ resourceType, id, options });
+    const { timeout } = this.client.httpClient;
+    return (new Client({ baseUrl, timeout })).read({ resourceType, id, options });
   }
 
   /**
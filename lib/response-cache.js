@@ -0,0 +1,344 @@
+/* eslint-disable max-classes-per-file */
+/* global Response */
+
+/**
+ * Parse a Cache-Control header into its directives, e.g.
+ * `{ 'max-age': 60, 'no-cache': true }`.
+ *
+ * @param {String} [value] - The Cache-Control header value
+ *
+ * @return {Object} The directives, by lowercase name
+ */
+function parseCacheControl(value) {
+  return (value || '').split(',').reduce((directives, directive) => {
+    const [name, argument] = directive.trim().split('=');
+    if (!name) { return directives; }
+    const parsed = argument === undefined ? true : argument.replace(/^"|"$/g, '');
+    const seconds = /^\d+$/.test(parsed) ? parseInt(parsed, 10) : parsed;
+    return { ...directives, [name.toLowerCase()]: seconds };
+  }, {});
+}
+
+/**
+ * How long a response stays fresh, in seconds, from its Cache-Control
+ * max-age or its Expires header.
+ *
+ * @private
+ *
+ * @param {Headers} headers - The response headers
+ * @param {Object} directives - The Cache-Control directives
+ *
+ * @return {Number|undefined} The freshness lifetime, or undefined when the
+ *   response must be revalidated before each use
+ */
+function freshnessLifetime(headers, directives) {
+  if (directives['no-cache']) { return undefined; }
+  if (typeof directives['max-age'] === 'number') { return directives['max-age']; }
+  const expires = Date.parse(headers.get('expires'));
+  if (Number.isNaN(expires)) { return undefined; }
+  const date = Date.parse(headers.get('date'));
+  return Math.max(0, (expires - (Number.isNaN(date) ? Date.now() : date)) / 1000);
+}
+
+/**
+ * The path of a URL relative to the base URL, without the query, split in
+ * segments. Undefined for URLs of other servers.
+ *
+ * @private
+ *
+ * @param {String} url - The absolute URL
+ * @param {String} baseUrl - The FHIR base URL
+ *
+ * @return {String[]|undefined} The path segments
+ */
+function pathSegments(url, baseUrl) {
+  const base = baseUrl.replace(/\/*$/, '');
+  if (!url.startsWith(base)) { return undefined; }
+  const [path] = url.slice(base.length).split('?');
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Default cache store: keeps the most recently used entries in memory.
+ *
+ * A store is any object with get(key), set(key, entry), delete(key) and
+ * keys() methods, which may return promises, e.g. to share a cache through
+ * Redis. Entries are plain JSON objects.
+ */
+class MemoryCacheStore {
+  /**
+   * Create an in-memory store.
+   *
+   * @param {Object} [settings] - Store settings
+   * @param {Number} [settings.maxEntries] - Entries kept before the least
+   *   recently used one is dropped (default 100)
+   */
+  constructor({ maxEntries = 100 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Look up an entry, marking it as recently used.
+   *
+   * @param {String} key - The cache key
+   *
+   * @return {Object|undefined} The entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store an entry, dropping the least recently used one when full.
+   *
+   * @param {String} key - The cache key
+   * @param {Object} entry - The entry
+   *
+   * @return {MemoryCacheStore} The store
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return this;
+  }
+
+  /**
+   * Remove an entry.
+   *
+   * @param {String} key - The cache key
+   *
+   * @return {Boolean} Whether there was an entry
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * List the cache keys.
+   *
+   * @return {String[]} The keys
+   */
+  keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * HTTP cache for GET responses. Responses are stored with their ETag and
+ * Last-Modified, served while fresh according to Cache-Control, and
+ * revalidated with If-None-Match and If-Modified-Since once stale, a 304
+ * response being served from the cache. Successful writes drop the cached
+ * responses of the resource they change and the searches of its type.
+ *
+ * Pass the same cache to several clients to share it. Responses to requests
+ * with credentials are kept apart per Authorization header or client, and a
+ * shared cache does not keep them at all, nor responses marked private,
+ * unless Cache-Control marks them public.
+ */
+class ResponseCache {
+  /**
+   * Create a response cache.
+   *
+   * @param {Object} [settings] - Cache settings
+   * @param {Object} [settings.store] - Optional store with get, set, delete
+   *   and keys methods, defaults to a MemoryCacheStore
+   * @param {Number} [settings.maxEntries] - Entries kept by the default
+   *   store (default 100)
+   * @param {Boolean} [settings.shared] - Whether several clients use the
+   *   cache (default true); the cache of `cache: true` is not shared
+   */
+  constructor({ store, maxEntries, shared = true } = {}) {
+    this.store = store || new MemoryCacheStore({ maxEntries });
+    this.shared = shared;
+  }
+
+  /**
+   * Build the cache of a client from its `cache` setting.
+   *
+   * @param {Boolean|Object|ResponseCache} [setting] - true for an in-memory
+   *   cache, cache settings, or a cache to share
+   *
+   * @return {ResponseCache|undefined} The cache, if any
+   */
+  static for(setting) {
+    if (!setting) { return undefined; }
+    if (setting instanceof ResponseCache) { return setting; }
+    return new ResponseCache({ shared: false, ...(setting === true ? {} : setting) });
+  }
+
+  /**
+   * The cache key of a request. Responses are kept per URL and Accept
+   * header, as the format and FHIR version change the body, and per the
+   * credentials they were sent with.
+   *
+   * @param {String} url - The absolute request URL
+   * @param {String} [accept] - The Accept header
+   * @param {String} [scope] - Who the response belongs to, e.g. a digest
+   *   of the Authorization header
+   *
+   * @return {String} The key
+   */
+  static keyFor(url, accept = '', scope = undefined) {
+    return scope === undefined ? `${url} ${accept}` : `${url} ${accept} ${scope}`;
+  }
+
+  /**
+   * Look up the entry of a request.
+   *
+   * @param {String} key - The cache key
+   * @param {String} [mode] - The fetch cache mode of the request: 'reload'
+   *   skips the cached entry, 'no-cache' revalidates it even when fresh,
+   *   'force-cache' uses it even when stale
+   * @param {Number} [now] - The current time in milliseconds
+   *
+   * @return {Promise<Object|undefined>} The entry, with `fresh` set when it
+   *   can be used without revalidation
+   */
+  async lookup(key, mode = 'default', now = Date.now()) {
+    if (mode === 'reload') { return undefined; }
+    const entry = await this.store.get(key);
+    if (!entry) { return undefined; }
+
+    const age = (now - entry.storedAt) / 1000;
+    const fresh = mode === 'force-cache'
+      || (mode !== 'no-cache' && entry.maxAge !== undefined && age < entry.maxAge);
+    return { ...entry, fresh };
+  }
+
+  /**
+   * The headers that revalidate an entry.
+   *
+   * @param {Object} entry - The cached entry
+   *
+   * @return {Object} If-None-Match and If-Modified-Since headers
+   */
+  static conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) { headers['if-none-match'] = entry.etag; }
+    if (entry.lastModified) { headers['if-modified-since'] = entry.lastModified; }
+    return headers;
+  }
+
+  /**
+   * Store a successful response, unless Cache-Control forbids it or it can
+   * neither stay fresh nor be revalidated. A shared cache does not store
+   * responses marked private, nor responses to requests with credentials
+   * unless they are marked public.
+   *
+   * @param {String} key - The cache key
+   * @param {Response} response - The response
+   * @param {String} body - The response body
+   * @param {Object} [request] - About the request
+   * @param {Boolean} [request.authorized] - Whether the request was sent
+   *   with credentials
+   * @param {Number} [request.now] - The current time in milliseconds
+   *
+   * @return {Promise<Object|undefined>} The stored entry, if any
+   */
+  async save(key, response, body, { authorized = false, now = Date.now() } = {}) {
+    const { headers } = response;
+    const directives = parseCacheControl(headers.get('cache-control'));
+    if (response.status !== 200 || directives['no-store']) { return undefined; }
+    if (this.shared && (directives.private || (authorized && !directives.public))) {
+      return undefined;
+    }
+
+    const entry = {
+      status: response.status,
+      headers: Array.from(headers.entries()),
+      body,
+      etag: headers.get('etag') || undefined,
+      lastModified: headers.get('last-modified') || undefined,
+      maxAge: freshnessLifetime(headers, directives),
+      storedAt: now - (parseInt(headers.get('age'), 10) || 0) * 1000,
+    };
+    if (!entry.etag && !entry.lastModified && !entry.maxAge) { return undefined; }
+
+    await this.store.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Refresh an entry after a 304 Not Modified response, taking the new
+   * Cache-Control and validators of the response.
+   *
+   * @param {String} key - The cache key
+   * @param {Object} entry - The revalidated entry
+   * @param {Response} response - The 304 response
+   * @param {Number} [now] - The current time in milliseconds
+   *
+   * @return {Promise<Object>} The refreshed entry
+   */
+  async revalidated(key, entry, response, now = Date.now()) {
+    const { headers } = response;
+    const { fresh, ...stored } = entry;
+    const refreshed = { ...stored, storedAt: now };
+    if (headers.get('etag')) { refreshed.etag = headers.get('etag'); }
+    if (headers.get('last-modified')) { refreshed.lastModified = headers.get('last-modified'); }
+    if (headers.get('cache-control') || headers.get('expires')) {
+      refreshed.maxAge = freshnessLifetime(headers, parseCacheControl(headers.get('cache-control')));
+    }
+    await this.store.set(key, refreshed);
+    return refreshed;
+  }
+
+  /**
+   * Drop the entries a write may have changed: those of the resource, its
+   * history, the searches and history of its type, compartment searches of
+   * its type (e.g. Patient/1/Observation) or of all types, and system
+   * searches. A write to the base URL, i.e. a batch or transaction, drops
+   * everything.
+   *
+   * @param {String} url - The absolute URL of the write
+   * @param {String} baseUrl - The FHIR base URL
+   *
+   * @return {Promise<Number>} The number of entries dropped
+   */
+  async invalidate(url, baseUrl) {
+    const written = pathSegments(url, baseUrl);
+    if (!written) { return 0; }
+    const [type, id] = written;
+    const isId = id && !/^[_$]/.test(id);
+
+    const keys = await this.store.keys();
+    const stale = keys.filter((key) => {
+      const segments = pathSegments(key.slice(0, key.indexOf(' ')), baseUrl);
+      if (!segments) { return false; }
+      if (!type || segments.length === 0) { return true; }
+      const [keyType, keyId, compartmentType] = segments;
+      if (segments.length === 3 && (compartmentType === type || compartmentType === '*')) {
+        return true;
+      }
+      return keyType === type
+        && (!keyId || keyId.startsWith('_') || (isId && keyId === id));
+    });
+    await Promise.all(stale.map((key) => this.store.delete(key)));
+    return stale.length;
+  }
+
+  /**
+   * Rebuild the response of an entry.
+   *
+   * @param {Object} entry - The cached entry
+   *
+   * @return {Response} The response
+   */
+  static responseFor(entry) {
+    return new Response(entry.body, { status: entry.status, headers: entry.headers });
+  }
+}
+
+module.exports = {
+  MemoryCacheStore,
+  ResponseCache,
+  parseCacheControl,
+};
@@ -0,0 +1,150 @@
+const defaults = {
+  maxAttempts: 3,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  statusCodes: [429, 503],
+  networkErrors: true,
+  minDelay: 100,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  retryAfter: true,
+};
+
+/**
+ * Parse a Retry-After header value, which is either a number of seconds or
+ * an HTTP date.
+ *
+ * @private
+ *
+ * @param {String} value - The Retry-After header value
+ * @param {Number} [now] - The current time in milliseconds
+ *
+ * @return {Number} The delay in milliseconds, or undefined if the value
+ *   cannot be parsed
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) { return undefined; }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) { return undefined; }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Wait for the given time, resolving early if the signal is aborted.
+ *
+ * @private
+ *
+ * @param {Number} ms - Time to wait in milliseconds
+ * @param {AbortSignal} [signal] - Optional signal to stop waiting
+ *
+ * @return {Promise} Resolves when the time has passed
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) { resolve(); return; }
+    const done = () => {
+      clearTimeout(timer); // eslint-disable-line no-use-before-define
+      if (signal) { signal.removeEventListener('abort', done); }
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) { signal.addEventListener('abort', done); }
+  });
+}
+
+/**
+ * Decides whether and when a failed request is retried.
+ *
+ * @private
+ */
+class RetryPolicy {
+  /**
+   * Create a retry policy. All settings are optional.
+   *
+   * @param {Object} [settings] - Retry settings
+   * @param {Number} [settings.maxAttempts] - Total attempts, including the
+   *   first one (default 3)
+   * @param {String[]} [settings.methods] - HTTP methods that may be retried
+   *   (default GET, HEAD, OPTIONS, PUT and DELETE). POST and PATCH are not
+   *   idempotent and are only retried when listed here.
+   * @param {Number[]} [settings.statusCodes] - Response statuses to retry
+   *   (default 429 and 503)
+   * @param {Boolean} [settings.networkErrors] - Retry when the request fails
+   *   without a response (default true)
+   * @param {Number} [settings.minDelay] - Delay before the first retry in
+   *   milliseconds (default 100)
+   * @param {Number} [settings.maxDelay] - Longest delay in milliseconds
+   *   (default 30000). A Retry-After longer than this is not retried.
+   * @param {Number} [settings.factor] - Backoff multiplier (default 2)
+   * @param {Boolean} [settings.jitter] - Randomize each delay between zero
+   *   and the backoff value (default true)
+   * @param {Boolean} [settings.retryAfter] - Honor the Retry-After response
+   *   header (default true)
+   */
+  constructor(settings = {}) {
+    Object.assign(this, defaults);
+    Object.keys(settings).forEach((key) => {
+      if (settings[key] !== undefined) { this[key] = settings[key]; }
+    });
+    this.methods = this.methods.map((method) => method.toUpperCase());
+  }
+
+  /**
+   * Build the policy for one request from the client policy and the
+   * per-request option.
+   *
+   * @param {RetryPolicy} [clientPolicy] - The policy configured on the client
+   * @param {Boolean|Object} [requestOption] - false to disable retries, true
+   *   for the defaults, or settings that override the client policy
+   *
+   * @return {RetryPolicy} The policy, or undefined when retries are disabled
+   */
+  static for(clientPolicy, requestOption) {
+    if (requestOption === false) { return undefined; }
+    if (requestOption === undefined) { return clientPolicy; }
+    if (requestOption === true) { return clientPolicy || new RetryPolicy(); }
+    return new RetryPolicy({ ...clientPolicy, ...requestOption });
+  }
+
+  /**
+   * Return the delay before the next attempt, or undefined when the request
+   * should not be retried.
+   *
+   * @param {Object} params - The failed attempt
+   * @param {Number} params.attempt - Number of the attempt that failed,
+   *   starting at 1
+   * @param {String} params.method - HTTP method
+   * @param {Number} [params.status] - Response status, if there was one
+   * @param {String} [params.retryAfter] - Retry-After header, if any
+   * @param {Error} [params.error] - Network error, if there was no response
+   *
+   * @return {Number} Delay in milliseconds
+   */
+  retryDelay({ attempt, method, status, retryAfter, error }) {
+    if (attempt >= this.maxAttempts) { return undefined; }
+    if (!this.methods.includes(method.toUpperCase())) { return undefined; }
+
+    if (error) {
+      if (!this.networkErrors || error.name === 'AbortError') { return undefined; }
+    } else if (!this.statusCodes.includes(status)) {
+      return undefined;
+    }
+
+    const serverDelay = this.retryAfter ? parseRetryAfter(retryAfter) : undefined;
+    if (serverDelay !== undefined) {
+      return serverDelay <= this.maxDelay ? serverDelay : undefined;
+    }
+
+    const backoff = Math.min(this.maxDelay, this.minDelay * (this.factor ** (attempt - 1)));
+    return this.jitter ? Math.floor(Math.random() * backoff) : backoff;
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  parseRetryAfter,
+  wait,
+};
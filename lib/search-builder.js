@@ -0,0 +1,361 @@
+/* eslint-disable max-classes-per-file */
+const { createQueryString } = require('./utils');
+
+const prefixes = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb', 'ap'];
+
+/**
+ * Escape the characters that separate search values: commas (OR), dollar
+ * signs (composite parts) and backslashes. Pipes are left alone, as they
+ * separate the system and code of token values.
+ *
+ * @private
+ *
+ * @param {*} value - A search value
+ *
+ * @return {String} The escaped value
+ */
+function escapeValue(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return text.replace(/[\\,$]/g, (char) => `\\${char}`);
+}
+
+/**
+ * The values of one search parameter, e.g. `builder.where('date')`. Every
+ * method adds the parameter to the search and returns the builder.
+ *
+ * Passing several values to a method matches any of them (OR); adding the
+ * same parameter again matches all of them (AND).
+ *
+ * @private
+ */
+class SearchParameterClause {
+  constructor(builder, name) {
+    this.builder = builder;
+    this.name = name;
+
+    // eq, ne, gt, lt, ge, le, sa, eb and ap, e.g. `where('date').ge('2024-01-01')`
+    prefixes.forEach((prefix) => {
+      this[prefix] = (...values) => this.add(this.name, values, prefix);
+    });
+  }
+
+  /**
+   * Add the parameter with its values joined for OR.
+   *
+   * @private
+   *
+   * @param {String} name - The parameter name, with any modifier
+   * @param {Array} values - The unescaped values
+   * @param {String} [prefix] - Optional comparison prefix for each value
+   *
+   * @return {SearchBuilder} The builder
+   */
+  add(name, values, prefix = '') {
+    if (values.length === 0) {
+      throw new Error(`No value given for search parameter ${this.name}`);
+    }
+    const value = values.map((v) => `${prefix}${escapeValue(v)}`).join(',');
+    return this.builder.param(name, value);
+  }
+
+  /**
+   * Match any of the values, e.g. `where('code').is('http://loinc.org|1234')`.
+   *
+   * @param {...*} values - The values; Dates become ISO strings
+   *
+   * @return {SearchBuilder} The builder
+   */
+  is(...values) {
+    return this.modifier(undefined, ...values);
+  }
+
+  /**
+   * Match any of the values, with a modifier, e.g.
+   * `where('code').modifier('in', valueSetUrl)`.
+   *
+   * @param {String} [modifier] - The modifier, without the colon
+   * @param {...*} values - The values
+   *
+   * @return {SearchBuilder} The builder
+   */
+  modifier(modifier, ...values) {
+    return this.add(modifier ? `${this.name}:${modifier}` : this.name, values);
+  }
+
+  /**
+   * Match strings exactly (`:exact`).
+   *
+   * @param {...String} values - The values
+   *
+   * @return {SearchBuilder} The builder
+   */
+  exact(...values) {
+    return this.modifier('exact', ...values);
+  }
+
+  /**
+   * Match strings anywhere in the value (`:contains`).
+   *
+   * @param {...String} values - The values
+   *
+   * @return {SearchBuilder} The builder
+   */
+  contains(...values) {
+    return this.modifier('contains', ...values);
+  }
+
+  /**
+   * Match resources that do or do not have a value (`:missing`).
+   *
+   * @param {Boolean} [missing] - Whether the value is missing, defaults to
+   *   true
+   *
+   * @return {SearchBuilder} The builder
+   */
+  missing(missing = true) {
+    return this.modifier('missing', missing);
+  }
+
+  /**
+   * Match resources without any of the token values (`:not`).
+   *
+   * @param {...String} values - The values
+   *
+   * @return {SearchBuilder} The builder
+   */
+  not(...values) {
+    return this.modifier('not', ...values);
+  }
+
+  /**
+   * Match the text of tokens or references (`:text`).
+   *
+   * @param {...String} values - The values
+   *
+   * @return {SearchBuilder} The builder
+   */
+  text(...values) {
+    return this.modifier('text', ...values);
+  }
+
+  /**
+   * Match composite parameters, each value being the list of its parts,
+   * e.g. `where('code-value-quantity').composite(['http://loinc.org|8480-6', 'gt150'])`.
+   *
+   * @param {...Array} values - The values, as arrays of parts
+   *
+   * @return {SearchBuilder} The builder
+   */
+  composite(...values) {
+    if (values.length === 0) {
+      throw new Error(`No value given for search parameter ${this.name}`);
+    }
+    const value = values
+      .map((parts) => parts.map((part) => escapeValue(part)).join('$'))
+      .join(',');
+    return this.builder.param(this.name, value);
+  }
+}
+
+/**
+ * Fluent builder for FHIR searches, compiled to Client#search. Use
+ * Client#searchBuilder to create one.
+ *
+ * @example
+ *
+ * const bundle = await client.searchBuilder('Observation')
+ *   .where('code').is('http://loinc.org|1234')
+ *   .and('date').ge('2024-01-01')
+ *   .and('subject:Patient.name').exact('Smith')
+ *   .include('Observation:subject')
+ *   .sort('-date')
+ *   .count(50)
+ *   .execute();
+ *
+ * // Reverse chaining: patients with a blood pressure observation
+ * client.searchBuilder('Patient')
+ *   .has('Observation', 'patient', 'code').is('http://loinc.org|85354-9')
+ *   .revInclude('Provenance:target', { iterate: true })
+ *   .execute({ post: true });
+ */
+class SearchBuilder {
+  /**
+   * Create a search builder.
+   *
+   * @param {Client} client - The client that runs the search
+   * @param {String} [resourceType] - Optional resource type, omit for a
+   *   system search
+   */
+  constructor(client, resourceType) {
+    this.client = client;
+    this.resourceType = resourceType;
+    this.params = [];
+  }
+
+  /**
+   * Start a condition on a search parameter. The name can include a chain,
+   * e.g. 'subject:Patient.name'.
+   *
+   * @param {String} name - The search parameter name
+   *
+   * @return {SearchParameterClause} The condition, see its methods
+   */
+  where(name) {
+    return new SearchParameterClause(this, name);
+  }
+
+  /**
+   * Add another condition; all conditions must match.
+   *
+   * @param {String} name - The search parameter name
+   *
+   * @return {SearchParameterClause} The condition, see its methods
+   */
+  and(name) {
+    return this.where(name);
+  }
+
+  /**
+   * Start a reverse chain (`_has`) condition: match resources that are
+   * referenced by resources of another type matching the parameter.
+   *
+   * @param {String} resourceType - The referring resource type
+   * @param {String} referenceParam - Its search parameter that references
+   *   the searched resources
+   * @param {String} param - Its search parameter to match, which may itself
+   *   be a `_has` parameter
+   *
+   * @return {SearchParameterClause} The condition, see its methods
+   */
+  has(resourceType, referenceParam, param) {
+    return this.where(`_has:${resourceType}:${referenceParam}:${param}`);
+  }
+
+  /**
+   * Add a parameter as is, without escaping.
+   *
+   * @param {String} name - The parameter name, with any modifier
+   * @param {String|Number} value - The parameter value
+   *
+   * @return {SearchBuilder} The builder
+   */
+  param(name, value) {
+    this.params.push([name, String(value)]);
+    return this;
+  }
+
+  /**
+   * Include the resources referenced by matches (`_include`).
+   *
+   * @param {String} value - The include, e.g. 'Observation:subject'
+   * @param {Object} [params] - The include options
+   * @param {Boolean} [params.iterate] - Include from included resources too
+   *
+   * @return {SearchBuilder} The builder
+   */
+  include(value, { iterate = false } = {}) {
+    return this.param(iterate ? '_include:iterate' : '_include', value);
+  }
+
+  /**
+   * Include the resources that reference matches (`_revinclude`).
+   *
+   * @param {String} value - The reverse include, e.g. 'Provenance:target'
+   * @param {Object} [params] - The include options
+   * @param {Boolean} [params.iterate] - Include for included resources too
+   *
+   * @return {SearchBuilder} The builder
+   */
+  revInclude(value, { iterate = false } = {}) {
+    return this.param(iterate ? '_revinclude:iterate' : '_revinclude', value);
+  }
+
+  /**
+   * Sort the results (`_sort`). Prefix a parameter with '-' to sort in
+   * descending order; later calls add sort keys.
+   *
+   * @param {...String} fields - The parameters to sort by
+   *
+   * @return {SearchBuilder} The builder
+   */
+  sort(...fields) {
+    this.sortFields = [...(this.sortFields || []), ...fields];
+    return this;
+  }
+
+  /**
+   * Set the page size (`_count`).
+   *
+   * @param {Number} count - The number of results per page
+   *
+   * @return {SearchBuilder} The builder
+   */
+  count(count) {
+    this.pageSize = count;
+    return this;
+  }
+
+  /**
+   * Limit the search to a compartment, e.g. a patient's resources.
+   *
+   * @param {Object} compartment - The compartment
+   * @param {String} compartment.resourceType - The compartment type
+   * @param {String} compartment.id - The compartment id
+   *
+   * @return {SearchBuilder} The builder
+   */
+  compartment(compartment) {
+    this.searchCompartment = compartment;
+    return this;
+  }
+
+  /**
+   * Compile the search to the searchParams of Client#search. Parameters
+   * given more than once have an array of values.
+   *
+   * @return {Object} The search parameters
+   */
+  toSearchParams() {
+    const params = [...this.params];
+    if (this.sortFields) { params.push(['_sort', this.sortFields.join(',')]); }
+    if (this.pageSize !== undefined) { params.push(['_count', String(this.pageSize)]); }
+
+    return params.reduce((searchParams, [name, value]) => {
+      const current = searchParams[name];
+      if (current === undefined) {
+        return { ...searchParams, [name]: value };
+      }
+      return { ...searchParams, [name]: [].concat(current, value) };
+    }, {});
+  }
+
+  /**
+   * Compile the search to a query string.
+   *
+   * @return {String} The query string, without '?'
+   */
+  toString() {
+    return createQueryString(this.toSearchParams()) || '';
+  }
+
+  /**
+   * Run the search with Client#search.
+   *
+   * @param {Object} [params] - The request parameters
+   * @param {Boolean} [params.post] - Optional, search with POST
+   *   `_search` instead of GET
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} FHIR resources in a Bundle
+   */
+  execute({ post = false, options = {} } = {}) {
+    return this.client.search({
+      resourceType: this.resourceType,
+      compartment: this.searchCompartment,
+      searchParams: this.toSearchParams(),
+      options: post ? { ...options, postSearch: true } : options,
+    });
+  }
+}
+
+module.exports = SearchBuilder;
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const { RefreshTokenProvider, postTokenRequest } = require('./token-provider');
+
+/**
+ * Encode a buffer as base64url without padding.
+ *
+ * @private
+ *
+ * @param {Buffer} buffer - The bytes to encode
+ *
+ * @return {String} base64url string
+ */
+function base64url(buffer) {
+  return buffer.toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Create a PKCE code verifier and its S256 code challenge.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7636
+ *
+ * @private
+ *
+ * @return {Object} codeVerifier, codeChallenge and codeChallengeMethod
+ */
+function createPkcePair() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
+}
+
+/**
+ * Read the claims of a JWT without verifying it.
+ *
+ * @private
+ *
+ * @param {String} token - The JWT
+ *
+ * @return {Object} The claims, or an empty object if the token is malformed
+ */
+function decodeJwtClaims(token) {
+  try {
+    const [, payload] = token.split('.');
+    return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+  } catch (_error) {
+    return {};
+  }
+}
+
+/* eslint-disable camelcase */
+/**
+ * Pull the SMART launch context out of a token response.
+ *
+ * fhirUser is read from the id_token claims, which are not verified here;
+ * verify the id_token separately before relying on it for authentication.
+ *
+ * @private
+ *
+ * @param {Object} tokenResponse - The token endpoint response
+ *
+ * @return {Object} The launch context
+ */
+function launchContextFrom(tokenResponse) {
+  const {
+    patient,
+    encounter,
+    need_patient_banner,
+    smart_style_url,
+    intent,
+    tenant,
+    fhirContext,
+    id_token,
+  } = tokenResponse;
+
+  return {
+    patient,
+    encounter,
+    fhirUser: id_token ? decodeJwtClaims(id_token).fhirUser : undefined,
+    needPatientBanner: need_patient_banner,
+    smartStyleUrl: smart_style_url,
+    intent,
+    tenant,
+    fhirContext,
+  };
+}
+/* eslint-enable camelcase */
+
+/**
+ * SMART App Launch using the OAuth2 authorization code flow with PKCE.
+ *
+ * Works for both EHR launch (pass `launch`) and standalone launch. Public
+ * clients omit the clientSecret; confidential clients authenticate to the
+ * token endpoint with HTTP Basic.
+ *
+ * @see http://hl7.org/fhir/smart-app-launch/app-launch.html
+ *
+ * @example
+ *
+ * const fhirClient = new Client({ baseUrl: iss });
+ * const smart = new SmartAuthorization({
+ *   client: fhirClient,
+ *   clientId: 'my-app',
+ *   redirectUri: 'https://app.example.com/callback',
+ *   scope: 'launch openid fhirUser patient/*.read',
+ * });
+ *
+ * // In the launch route, keep state and codeVerifier in the session
+ * const { url, state, codeVerifier } = await smart.authorizeUrl({ launch });
+ * res.redirect(url);
+ *
+ * // In the callback route
+ * const { client, context } = await smart.completeAuthorization({
+ *   code: req.query.code,
+ *   state: req.query.state,
+ *   expectedState: session.state,
+ *   codeVerifier: session.codeVerifier,
+ * });
+ * const patient = await client.read({ resourceType: 'Patient', id: context.patient });
+ */
+class SmartAuthorization {
+  /**
+   * Create a SMART authorization helper.
+   *
+   * @param {Object} config - Authorization configuration
+   * @param {Client} config.client - FHIR client for the server (the `iss`)
+   * @param {String} config.clientId - The registered client id
+   * @param {String} [config.clientSecret] - Optional secret of a
+   *   confidential client
+   * @param {String} config.redirectUri - The registered redirect URI
+   * @param {String} [config.scope] - Optional default scopes to request
+   * @param {String|URL} [config.authorizeUrl] - Optional authorization
+   *   endpoint, discovered with Client#smartAuthMetadata when not given
+   * @param {String|URL} [config.tokenUrl] - Optional token endpoint,
+   *   discovered with Client#smartAuthMetadata when not given
+   */
+  constructor({
+    client,
+    clientId,
+    clientSecret,
+    redirectUri,
+    scope,
+    authorizeUrl,
+    tokenUrl,
+  }) {
+    this.client = client;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.scope = scope;
+    if (authorizeUrl && tokenUrl) {
+      this.metadata = Promise.resolve({
+        authorizeUrl: new URL(authorizeUrl),
+        tokenUrl: new URL(tokenUrl),
+      });
+    }
+  }
+
+  /**
+   * Discover the authorization and token endpoints.
+   *
+   * @return {Promise<Object>} authorizeUrl and tokenUrl
+   */
+  endpoints() {
+    if (!this.metadata) {
+      this.metadata = this.client.smartAuthMetadata().then((metadata) => {
+        if (!metadata.authorizeUrl || !metadata.tokenUrl) {
+          throw new Error(`${this.client.baseUrl} does not advertise SMART authorize and token endpoints`);
+        }
+        return metadata;
+      });
+      this.metadata.catch(() => { this.metadata = undefined; });
+    }
+    return this.metadata;
+  }
+
+  /**
+   * Build the URL to redirect the user to, with state, aud, launch, scope
+   * and a PKCE S256 challenge. Keep the returned state and codeVerifier
+   * (e.g. in the session) for #completeAuthorization.
+   *
+   * @param {Object} [params] - The authorization request parameters
+   * @param {String} [params.launch] - Optional launch id from an EHR launch
+   * @param {String} [params.scope] - Optional scopes, defaults to the
+   *   configured scope
+   * @param {String} [params.state] - Optional state, random by default
+   * @param {String} [params.aud] - Optional audience, defaults to the FHIR
+   *   base URL
+   *
+   * @return {Promise<Object>} url, state and codeVerifier
+   */
+  async authorizeUrl({
+    launch,
+    scope = this.scope,
+    state = base64url(crypto.randomBytes(16)),
+    aud = this.client.baseUrl,
+  } = {}) {
+    const { authorizeUrl } = await this.endpoints();
+    const { codeVerifier, codeChallenge, codeChallengeMethod } = createPkcePair();
+
+    const url = new URL(authorizeUrl);
+    const params = {
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope,
+      state,
+      aud,
+      launch,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+    };
+    Object.keys(params).forEach((key) => {
+      if (params[key] !== undefined) { url.searchParams.set(key, params[key]); }
+    });
+
+    return { url: url.toString(), state, codeVerifier };
+  }
+
+  /**
+   * Exchange the authorization code for a token, and return an authenticated
+   * client along with the launch context.
+   *
+   * @param {Object} params - The callback parameters
+   * @param {String} params.code - The `code` query parameter
+   * @param {String} params.state - The `state` query parameter
+   * @param {String} params.expectedState - The state returned by
+   *   #authorizeUrl, which `state` must match
+   * @param {String} params.codeVerifier - The verifier returned by
+   *   #authorizeUrl
+   *
+   * @return {Promise<Object>} client (an authenticated Client with the
+   *   settings of the original one, which refreshes its token when a
+   *   refresh_token was issued), context
+   *   (patient, encounter, fhirUser, needPatientBanner, ...) and
+   *   tokenResponse
+   * @throws {Error} When expectedState is missing or state does not match it
+   */
+  async completeAuthorization({
+    code,
+    state,
+    expectedState,
+    codeVerifier,
+  }) {
+    if (!expectedState) {
+      throw new Error('SMART authorization needs the expectedState returned by authorizeUrl');
+    }
+    if (state !== expectedState) {
+      throw new Error('SMART authorization state does not match');
+    }
+    const tokenResponse = await this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      code_verifier: codeVerifier,
+    });
+
+    return {
+      client: await this.authenticatedClient(tokenResponse),
+      context: launchContextFrom(tokenResponse),
+      tokenResponse,
+    };
+  }
+
+  /**
+   * Post a grant to the token endpoint.
+   *
+   * @private
+   *
+   * @param {Object} grant - Form parameters for the token request
+   *
+   * @return {Promise<Object>} The token response
+   */
+  async requestToken(grant) {
+    const { tokenUrl } = await this.endpoints();
+    return postTokenRequest({
+      tokenUrl,
+      form: grant,
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      requestOptions: this.client.httpClient.baseRequestOptions,
+    });
+  }
+
+  /**
+   * Build a Client for the same server that sends the access token. It keeps
+   * the settings of the original client, e.g. its middleware, request
+   * signer, timeout, format and cache. When the server issued a refresh
+   * token, the client refreshes the access token before it expires.
+   *
+   * @private
+   *
+   * @param {Object} tokenResponse - The token response
+   *
+   * @return {Promise<Client>} The authenticated client
+   */
+  async authenticatedClient(tokenResponse) {
+    const { httpClient } = this.client;
+    let tokenProvider;
+    if (tokenResponse.refresh_token) {
+      const { tokenUrl } = await this.endpoints();
+      tokenProvider = new RefreshTokenProvider({
+        tokenUrl,
+        clientId: this.clientId,
+        clientSecret: this.clientSecret,
+        requestOptions: httpClient.baseRequestOptions,
+        accessToken: tokenResponse.access_token,
+        expiresIn: tokenResponse.expires_in,
+        refreshToken: tokenResponse.refresh_token,
+      });
+    }
+    const ClientClass = this.client.constructor;
+    return new ClientClass({
+      baseUrl: httpClient.baseUrl,
+      customHeaders: httpClient.customHeaders,
+      requestOptions: httpClient.baseRequestOptions,
+      // The signer middleware, e.g. response verification, is already part of
+      // the middleware of the original client
+      requestSigner: httpClient.requestSigner,
+      middleware: httpClient.middleware,
+      retry: httpClient.retryPolicy,
+      timeout: httpClient.timeout,
+      format: httpClient.format,
+      // Only a configured or negotiated version is asked for, see
+      // Client#capabilityStatement
+      fhirVersion: httpClient.fhirVersion && this.client.fhirVersion,
+      cache: httpClient.cache,
+      patchFormat: this.client.patchFormat,
+      bearerToken: tokenResponse.access_token,
+      tokenProvider,
+    });
+  }
+}
+
+module.exports = SmartAuthorization;
+module.exports.createPkcePair = createPkcePair;
+module.exports.launchContextFrom = launchContextFrom;
@@ -0,0 +1,118 @@
+/* global Blob */
+
+/**
+ * Iterate over the chunks of a response body, which is a Node.js Readable
+ * (node-fetch) or a WHATWG ReadableStream (browsers and native fetch). The
+ * body is cancelled if iteration stops early.
+ *
+ * @param {Readable|ReadableStream} body - The response body
+ *
+ * @return {AsyncIterableIterator<Uint8Array|String>} The body chunks
+ */
+async function* chunksOf(body) {
+  if (body && typeof body.getReader === 'function') {
+    const reader = body.getReader();
+    let result = { done: false };
+    try {
+      result = await reader.read();
+      while (!result.done) {
+        yield result.value;
+        // eslint-disable-next-line no-await-in-loop
+        result = await reader.read();
+      }
+    } finally {
+      if (!result.done) { await reader.cancel().catch(() => {}); }
+      reader.releaseLock();
+    }
+  } else {
+    yield* body;
+  }
+}
+
+/**
+ * Iterate over a response body as text, decoding it as UTF-8 one chunk at a
+ * time.
+ *
+ * @param {Readable|ReadableStream} body - The response body
+ *
+ * @return {AsyncIterableIterator<String>} The decoded text chunks
+ */
+async function* textChunksOf(body) {
+  const decoder = new TextDecoder('utf-8');
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of chunksOf(body)) {
+    yield typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+  }
+
+  const rest = decoder.decode();
+  if (rest) { yield rest; }
+}
+
+/**
+ * Read a whole body stream into a Buffer.
+ *
+ * @param {Readable|ReadableStream} body - The response body
+ *
+ * @return {Promise<Buffer>} The body bytes
+ */
+async function bufferFrom(body) {
+  const chunks = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of chunksOf(body)) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Whether a value is a Node.js Readable or a WHATWG ReadableStream.
+ *
+ * @param {*} value - The value to check
+ *
+ * @return {Boolean} true for streams
+ */
+function isStream(value) {
+  return Boolean(value)
+    && (typeof value.pipe === 'function' || typeof value.getReader === 'function');
+}
+
+/**
+ * Whether a request body should be sent as is rather than as JSON: bytes,
+ * blobs and streams.
+ *
+ * @param {*} body - The request body
+ *
+ * @return {Boolean} true for raw bodies
+ */
+function isRawBody(body) {
+  return isStream(body)
+    || body instanceof ArrayBuffer
+    || ArrayBuffer.isView(body)
+    || (typeof Blob !== 'undefined' && body instanceof Blob);
+}
+
+/**
+ * Stop a response body that will not be read, so that its connection is
+ * freed rather than left to download it.
+ *
+ * @param {Readable|ReadableStream} [body] - The response body
+ *
+ * @return {Promise<undefined>} Resolves once the body is cancelled
+ */
+async function cancelBody(body) {
+  if (body && typeof body.cancel === 'function') {
+    await body.cancel().catch(() => {});
+  } else if (body && typeof body.destroy === 'function') {
+    body.destroy();
+  }
+}
+
+module.exports = {
+  bufferFrom,
+  cancelBody,
+  chunksOf,
+  isRawBody,
+  isStream,
+  textChunksOf,
+};
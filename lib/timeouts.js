@@ -0,0 +1,205 @@
+// The native AbortController where there is one: fetch implementations
+// such as the one built into Node.js do not accept other signals
+const Controller = typeof AbortController === 'function'
+  ? AbortController
+  : require('node-abort-controller').AbortController;
+const { TimeoutError } = require('./errors');
+
+/**
+ * Combine abort signals into one that aborts when any of them does.
+ *
+ * @param {AbortSignal[]} signals - The signals; missing ones are ignored
+ *
+ * @return {Object} signal, the combined signal (undefined without signals),
+ *   and release, which stops listening to the signals
+ */
+function anySignal(signals) {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) { return { signal: present[0], release: () => {} }; }
+
+  const controller = new Controller();
+  const abort = () => controller.abort();
+  const release = () => {
+    present.forEach((signal) => signal.removeEventListener('abort', abort));
+  };
+  present.forEach((signal) => {
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort);
+    }
+  });
+  return { signal: controller.signal, release };
+}
+
+/**
+ * Turn the timeout of a call that sends several requests (e.g. paging or
+ * a write followed by a read) into a deadline they share.
+ *
+ * @param {Object} [options] - Request options
+ * @param {Number} [options.timeout] - Milliseconds the whole call may take
+ * @param {Number} [options.deadline] - Time (ms since the epoch) by which
+ *   the call must be done
+ *
+ * @return {Object} The options with a deadline instead of a timeout
+ */
+function withDeadline(options = {}) {
+  const { timeout, ...rest } = options;
+  if (typeof timeout !== 'number') { return options; }
+  const deadline = Date.now() + timeout;
+  return {
+    ...rest,
+    deadline: rest.deadline === undefined ? deadline : Math.min(rest.deadline, deadline),
+  };
+}
+
+/**
+ * Aborts a request at its deadline, and knows what the request was waiting
+ * for at the time: the connection, the response headers or the body.
+ *
+ * @private
+ */
+class RequestTimer {
+  /**
+   * Start the timer.
+   *
+   * @param {Object} params - The timer parameters
+   * @param {Number} params.timeout - Milliseconds until the request is
+   *   aborted
+   * @param {AbortSignal} [params.signal] - Optional signal of the caller,
+   *   which aborts the request too
+   * @param {String} params.method - HTTP method
+   * @param {String} params.url - Request URL
+   */
+  constructor({
+    timeout,
+    signal,
+    method,
+    url,
+  }) {
+    this.method = method;
+    this.url = url;
+    this.timeout = Math.max(0, Math.round(timeout));
+    this.phase = 'headers';
+    this.timedOut = false;
+    this.controller = new Controller();
+    this.signal = this.controller.signal;
+    this.callerSignal = signal;
+    this.abort = () => this.controller.abort();
+    if (signal && signal.aborted) {
+      this.abort();
+    } else if (signal) {
+      signal.addEventListener('abort', this.abort);
+    }
+    this.timer = setTimeout(() => {
+      this.timedOut = true;
+      this.abort();
+    }, this.timeout);
+  }
+
+  /**
+   * Start a timer for a request with a timeout.
+   *
+   * @param {Object} params - The timer parameters, see constructor
+   *
+   * @return {RequestTimer|undefined} The timer, undefined without a timeout
+   */
+  static start(params) {
+    return params.timeout === undefined ? undefined : new RequestTimer(params);
+  }
+
+  /**
+   * Note that an attempt is being sent, and watch the connection of the
+   * agent it is sent with. Without an agent (e.g. in browsers), connecting
+   * counts as waiting for the headers.
+   *
+   * @param {Object} [agent] - The http.Agent of the attempt
+   *
+   * @return {Object|undefined} An agent that reports when it connects
+   */
+  track(agent) {
+    this.phase = 'headers';
+    if (!agent) { return undefined; }
+
+    const tracked = Object.create(agent);
+    tracked.addRequest = (request, options) => {
+      this.phase = 'connect';
+      request.once('socket', (socket) => {
+        if (!socket.connecting) {
+          this.phase = 'headers';
+          return;
+        }
+        socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => {
+          this.phase = 'headers';
+        });
+      });
+      return agent.addRequest(request, options);
+    };
+    return tracked;
+  }
+
+  /**
+   * Note that the response headers arrived, so only the body is left.
+   *
+   * @return {undefined}
+   */
+  received() {
+    this.phase = 'body';
+  }
+
+  /**
+   * Stop the timer and stop listening to the caller's signal, once the
+   * request is done.
+   *
+   * @return {undefined}
+   */
+  release() {
+    clearTimeout(this.timer);
+    if (this.callerSignal) {
+      this.callerSignal.removeEventListener('abort', this.abort);
+    }
+  }
+
+  /**
+   * Stop the timer once the headers of a streamed response arrived. The
+   * caller's signal still aborts a Node.js body stream until it closes;
+   * other bodies are left to the caller to cancel.
+   *
+   * @param {Object} [body] - The body of the response
+   *
+   * @return {undefined}
+   */
+  handOver(body) {
+    clearTimeout(this.timer);
+    if (body && typeof body.once === 'function' && !body.destroyed) {
+      body.once('close', () => this.release());
+    } else {
+      this.release();
+    }
+  }
+
+  /**
+   * The error to reject the request with.
+   *
+   * @param {Error} error - The error the request failed with
+   *
+   * @return {Error} A TimeoutError if the deadline passed, otherwise the
+   *   error
+   */
+  errorFor(error) {
+    if (!this.timedOut) { return error; }
+    return new TimeoutError({
+      phase: this.phase,
+      timeout: this.timeout,
+      method: this.method,
+      url: this.url,
+    });
+  }
+}
+
+module.exports = {
+  AbortController: Controller,
+  RequestTimer,
+  anySignal,
+  withDeadline,
+};
@@ -0,0 +1,214 @@
+/* eslint-disable max-classes-per-file */
+const queryString = require('query-string');
+const HttpClient = require('./http-client');
+
+/**
+ * Post a form to an OAuth2 token endpoint. Confidential clients authenticate
+ * with HTTP Basic, public clients send their client_id in the form.
+ *
+ * @private
+ *
+ * @param {Object} params - The token request
+ * @param {String|URL} params.tokenUrl - The token endpoint
+ * @param {Object} params.form - Form parameters, e.g. grant_type
+ * @param {String} [params.clientId] - Optional client id
+ * @param {String} [params.clientSecret] - Optional client secret
+ * @param {Object} [params.requestOptions] - Optional fetch/agent options
+ *
+ * @return {Promise<Object>} The token response
+ */
+async function postTokenRequest({
+  tokenUrl,
+  form,
+  clientId,
+  clientSecret,
+  requestOptions,
+}) {
+  const headers = {
+    accept: 'application/json',
+    'content-type': 'application/x-www-form-urlencoded',
+  };
+  const body = { ...form };
+
+  if (clientSecret) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else if (clientId) {
+    body.client_id = clientId;
+  }
+
+  const url = tokenUrl.toString();
+  const httpClient = new HttpClient({ baseUrl: url, requestOptions });
+  return httpClient.post(url, queryString.stringify(body), { headers });
+}
+
+/**
+ * Supplies access tokens to a Client, and fetches a new one when the current
+ * token is missing, about to expire, or was rejected by the server.
+ *
+ * Concurrent callers share a single token request. Subclasses implement
+ * #requestToken; any object with a compatible #getAccessToken method can be
+ * used as a Client tokenProvider.
+ */
+class TokenProvider {
+  /**
+   * Create a token provider.
+   *
+   * @param {Object} [config] - Token provider configuration
+   * @param {String} [config.accessToken] - Optional current access token
+   * @param {Number} [config.expiresIn] - Optional lifetime of the current
+   *   access token, in seconds
+   * @param {Number} [config.refreshWindow] - Milliseconds before expiry at
+   *   which a new token is fetched, defaults to 60000
+   */
+  constructor({ accessToken, expiresIn, refreshWindow = 60000 } = {}) {
+    this.refreshWindow = refreshWindow;
+    this.accessToken = accessToken;
+    this.expiresAt = expiresIn === undefined ? undefined : Date.now() + expiresIn * 1000;
+  }
+
+  /**
+   * Return a valid access token, fetching a new one if needed.
+   *
+   * @param {Object} [params] - The request parameters
+   * @param {String} [params.staleToken] - Optional token that the server
+   *   rejected; a new token is fetched unless it was already replaced
+   *
+   * @return {Promise<String>} The access token
+   */
+  async getAccessToken({ staleToken } = {}) {
+    if (this.accessToken && staleToken !== this.accessToken && !this.expiresSoon()) {
+      return this.accessToken;
+    }
+    if (!this.pending) {
+      this.pending = this.requestToken()
+        .then((tokenResponse) => this.setToken(tokenResponse))
+        .finally(() => { this.pending = undefined; });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Whether the current token expires within the refresh window.
+   *
+   * @return {Boolean} true if a new token should be fetched
+   */
+  expiresSoon() {
+    return this.expiresAt !== undefined && this.expiresAt - Date.now() <= this.refreshWindow;
+  }
+
+  /**
+   * Store the token from a token endpoint response.
+   *
+   * @param {Object} tokenResponse - The token response, with access_token
+   *   and optional expires_in
+   *
+   * @return {String} The new access token
+   */
+  setToken(tokenResponse) {
+    const { access_token: accessToken, expires_in: expiresIn } = tokenResponse;
+    if (!accessToken) {
+      throw new Error('Token response does not include an access_token');
+    }
+    this.accessToken = accessToken;
+    this.expiresAt = expiresIn === undefined ? undefined : Date.now() + expiresIn * 1000;
+    return accessToken;
+  }
+
+  /**
+   * Fetch a new token. Implemented by subclasses.
+   *
+   * @return {Promise<Object>} The token endpoint response
+   */
+  async requestToken() {
+    throw new Error(`${this.constructor.name} cannot fetch a new access token`);
+  }
+}
+
+/**
+ * Token provider that uses an OAuth2 refresh token to fetch new access
+ * tokens.
+ *
+ * @example
+ *
+ * const tokenProvider = new RefreshTokenProvider({
+ *   tokenUrl: 'https://auth.example.com/token',
+ *   clientId: 'my-app',
+ *   accessToken: tokenResponse.access_token,
+ *   expiresIn: tokenResponse.expires_in,
+ *   refreshToken: tokenResponse.refresh_token,
+ * });
+ * const client = new Client({ baseUrl, tokenProvider });
+ */
+class RefreshTokenProvider extends TokenProvider {
+  /**
+   * Create a refresh token provider.
+   *
+   * @param {Object} config - Token provider configuration, see also
+   *   TokenProvider
+   * @param {String|URL} config.tokenUrl - The token endpoint
+   * @param {String} config.refreshToken - The refresh token
+   * @param {String} [config.clientId] - Optional client id
+   * @param {String} [config.clientSecret] - Optional secret of a
+   *   confidential client
+   * @param {String} [config.scope] - Optional scopes to request, defaults to
+   *   the scopes of the original grant
+   * @param {Object} [config.requestOptions] - Optional fetch/agent options
+   *   for token requests
+   */
+  constructor({
+    tokenUrl,
+    refreshToken,
+    clientId,
+    clientSecret,
+    scope,
+    requestOptions,
+    ...config
+  }) {
+    super(config);
+    this.tokenUrl = tokenUrl;
+    this.refreshToken = refreshToken;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.requestOptions = requestOptions;
+  }
+
+  /**
+   * Store the token, and the rotated refresh token if the server sent one.
+   *
+   * @param {Object} tokenResponse - The token response
+   *
+   * @return {String} The new access token
+   */
+  setToken(tokenResponse) {
+    if (tokenResponse.refresh_token) {
+      this.refreshToken = tokenResponse.refresh_token;
+    }
+    return super.setToken(tokenResponse);
+  }
+
+  /**
+   * Fetch a new token with the refresh_token grant.
+   *
+   * @return {Promise<Object>} The token endpoint response
+   */
+  async requestToken() {
+    if (!this.refreshToken) {
+      throw new Error('Cannot refresh the access token without a refresh token');
+    }
+    return postTokenRequest({
+      tokenUrl: this.tokenUrl,
+      form: { grant_type: 'refresh_token', refresh_token: this.refreshToken, scope: this.scope },
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      requestOptions: this.requestOptions,
+    });
+  }
+}
+
+module.exports = {
+  TokenProvider,
+  RefreshTokenProvider,
+  postTokenRequest,
+};
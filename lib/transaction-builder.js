@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const { conditionFor, validResourceType } = require('./utils');
+const FhirPathPatch = require('./fhir-path-patch');
+
+/**
+ * Copy a resource, replacing references to pending entries with their
+ * urn:uuid fullUrls.
+ *
+ * @private
+ *
+ * @param {*} value - The resource, or a part of it
+ * @param {Map} pending - fullUrls by local reference, e.g. 'Patient/p1'
+ *
+ * @return {*} The copy
+ */
+function rewriteReferences(value, pending) {
+  if (Array.isArray(value)) {
+    return value.map((item) => rewriteReferences(item, pending));
+  }
+  if (!(value instanceof Object)) { return value; }
+
+  return Object.keys(value).reduce((copy, key) => {
+    const item = value[key];
+    const rewritten = key === 'reference' && pending.has(item)
+      ? pending.get(item)
+      : rewriteReferences(item, pending);
+    return { ...copy, [key]: rewritten };
+  }, {});
+}
+
+/**
+ * The url of an entry for a resource, or for the resource matching a
+ * search.
+ *
+ * @private
+ *
+ * @param {String} resourceType - The resource type
+ * @param {String} [id] - The resource id
+ * @param {Object|String} [searchParams] - The search of a conditional entry
+ *
+ * @return {String} The entry request url
+ */
+function targetUrl(resourceType, id, searchParams) {
+  return searchParams
+    ? `${resourceType}?${conditionFor(searchParams)}`
+    : `${resourceType}/${id}`;
+}
+
+/**
+ * Read the response entry of one request.
+ *
+ * @private
+ *
+ * @param {Object} [responseEntry] - The response Bundle entry
+ *
+ * @return {Object} status, location, etag, lastModified, resource and
+ *   outcome
+ */
+function entryResultFor(responseEntry = {}) {
+  const { response = {}, resource } = responseEntry;
+  return {
+    status: parseInt(response.status, 10),
+    location: response.location,
+    etag: response.etag,
+    lastModified: response.lastModified,
+    resource,
+    outcome: response.outcome,
+  };
+}
+
+/**
+ * Build a transaction or batch Bundle one request at a time. Every entry
+ * gets a urn:uuid fullUrl, and references to resources created in the same
+ * Bundle are rewritten to it, so the server can resolve them.
+ *
+ * @example
+ *
+ * const transaction = fhirClient.transactionBuilder();
+ * // Local ids are replaced with urn:uuid references
+ * const patient = transaction.create({ resourceType: 'Patient', id: 'p1' });
+ * transaction.create({
+ *   resourceType: 'Observation',
+ *   subject: { reference: 'Patient/p1' },
+ * });
+ * transaction.update(encounter);
+ * transaction.delete({ resourceType: 'Flag', id: '7' });
+ * // Conditional entries
+ * transaction.create(organization, { ifNoneExist: { identifier: 'urn:oid:1.2.3|42' } });
+ * transaction.delete({ resourceType: 'Flag', searchParams: { subject: 'Patient/9' } });
+ *
+ * const { results } = await transaction.commit();
+ * console.log(results.get(patient).location);
+ */
+class TransactionBuilder {
+  /**
+   * Create a transaction builder.
+   *
+   * @param {Object} params - The builder parameters
+   * @param {Client} params.client - The client that commits the Bundle
+   * @param {String} [params.type] - 'transaction' (default) or 'batch'
+   */
+  constructor({ client, type = 'transaction' }) {
+    if (!['transaction', 'batch'].includes(type)) {
+      throw new Error(`Unsupported Bundle type ${type}`);
+    }
+    this.client = client;
+    this.type = type;
+    this.entries = [];
+    this.pending = new Map();
+  }
+
+  /**
+   * Add a request to the Bundle.
+   *
+   * @param {Object} params - The entry
+   * @param {Object} params.request - The entry request, with method and url
+   * @param {Object} [params.resource] - Optional entry resource
+   *
+   * @return {Object} The entry handle, with its fullUrl and request, to
+   *   look up its result after commit
+   */
+  add({ request, resource }) {
+    const fullUrl = `urn:uuid:${crypto.randomUUID()}`;
+    const entryRequest = Object.keys(request)
+      .filter((key) => request[key] !== undefined)
+      .reduce((fields, key) => ({ ...fields, [key]: request[key] }), {});
+    const handle = Object.freeze({ fullUrl, request: Object.freeze(entryRequest) });
+    this.entries.push({ handle, resource });
+    return handle;
+  }
+
+  /**
+   * Add a create. A resource with an id is created with a server assigned
+   * id instead, and references to it like 'Patient/<id>' are rewritten.
+   *
+   * @param {Object} resource - The resource to create
+   * @param {Object} [params] - The create options
+   * @param {Object|String} [params.ifNoneExist] - Optional search
+   *   parameters, or query string, for a conditional create: nothing is
+   *   created when a resource matches, and references resolve to the match
+   *
+   * @return {Object} The entry handle, with its fullUrl and request
+   */
+  create(resource, { ifNoneExist } = {}) {
+    const { resourceType, id, ...body } = resource;
+    if (!validResourceType(resourceType, this.client && this.client.registry)) {
+      throw new Error('Invalid resourceType', resourceType);
+    }
+    const handle = this.add({
+      request: {
+        method: 'POST',
+        url: resourceType,
+        ifNoneExist: ifNoneExist ? conditionFor(ifNoneExist) : undefined,
+      },
+      resource: { resourceType, ...body },
+    });
+    if (id) { this.pending.set(`${resourceType}/${id}`, handle.fullUrl); }
+    return handle;
+  }
+
+  /**
+   * Add an update by id, or a conditional update.
+   *
+   * @param {Object} resource - The resource to update
+   * @param {Object} [params] - The update options
+   * @param {Object} [params.searchParams] - Optional search parameters for
+   *   a conditional update, instead of the resource id
+   * @param {String} [params.ifMatch] - Optional ETag the current version
+   *   must match
+   *
+   * @return {Object} The entry handle, with its fullUrl and request
+   */
+  update(resource, { searchParams, ifMatch } = {}) {
+    const { resourceType, id } = resource;
+    if (!validResourceType(resourceType, this.client && this.client.registry)) {
+      throw new Error('Invalid resourceType', resourceType);
+    }
+    const url = searchParams
+      ? `${resourceType}?${conditionFor(searchParams)}`
+      : `${resourceType}/${id}`;
+    return this.add({ request: { method: 'PUT', url, ifMatch }, resource });
+  }
+
+  /**
+   * Add a JSON Patch, sent as a Binary as the FHIR specification requires,
+   * or a FHIRPath Patch, sent as its Parameters resource. The JSON Patch is
+   * converted to a FHIRPath Patch when the patchFormat of the client is
+   * 'fhirpath'.
+   *
+   * @param {Object} params - The patch
+   * @param {String} params.resourceType - The resource type
+   * @param {String} [params.id] - The resource id
+   * @param {Object|String} [params.searchParams] - Optional search
+   *   parameters, or query string, for a conditional patch, instead of the id
+   * @param {Array} [params.JSONPatch] - The JSON Patch operations
+   * @param {FhirPathPatch|Object} [params.FHIRPathPatch] - A FHIRPath Patch,
+   *   instead of JSONPatch
+   * @param {String} [params.ifMatch] - Optional ETag the current version
+   *   must match
+   *
+   * @return {Object} The entry handle, with its fullUrl and request
+   */
+  patch({
+    resourceType,
+    id,
+    searchParams,
+    JSONPatch,
+    FHIRPathPatch,
+    ifMatch,
+  }) {
+    if (!validResourceType(resourceType, this.client && this.client.registry)) {
+      throw new Error('Invalid resourceType', resourceType);
+    }
+    const request = { method: 'PATCH', url: targetUrl(resourceType, id, searchParams), ifMatch };
+    if (FHIRPathPatch || (this.client && this.client.patchFormat === 'fhirpath')) {
+      const patch = FHIRPathPatch || FhirPathPatch.fromJSONPatch(resourceType, JSONPatch);
+      return this.add({ request, resource: FhirPathPatch.parametersFor(patch) });
+    }
+    return this.add({
+      request,
+      resource: {
+        resourceType: 'Binary',
+        contentType: 'application/json-patch+json',
+        data: Buffer.from(JSON.stringify(JSONPatch)).toString('base64'),
+      },
+    });
+  }
+
+  /**
+   * Add a delete.
+   *
+   * @param {Object} params - The delete
+   * @param {String} params.resourceType - The resource type
+   * @param {String} [params.id] - The resource id
+   * @param {Object|String} [params.searchParams] - Optional search
+   *   parameters, or query string, for a conditional delete, instead of the
+   *   id
+   * @param {String} [params.ifMatch] - Optional ETag the current version
+   *   must match
+   *
+   * @return {Object} The entry handle, with its fullUrl and request
+   */
+  delete({
+    resourceType,
+    id,
+    searchParams,
+    ifMatch,
+  }) {
+    if (!validResourceType(resourceType, this.client && this.client.registry)) {
+      throw new Error('Invalid resourceType', resourceType);
+    }
+    return this.add({
+      request: { method: 'DELETE', url: targetUrl(resourceType, id, searchParams), ifMatch },
+    });
+  }
+
+  /**
+   * Build the Bundle, rewriting references to pending creates.
+   *
+   * @return {Object} The transaction or batch Bundle
+   */
+  toBundle() {
+    return {
+      resourceType: 'Bundle',
+      type: this.type,
+      entry: this.entries.map(({ handle, resource }) => {
+        const entry = { fullUrl: handle.fullUrl };
+        if (resource) { entry.resource = rewriteReferences(resource, this.pending); }
+        return { ...entry, request: { ...handle.request } };
+      }),
+    };
+  }
+
+  /**
+   * Send the Bundle with Client#transaction or Client#batch, and match the
+   * response entries with the requests, which the server returns in the
+   * same order.
+   *
+   * @param {Object} [params] - The request parameters
+   * @param {Number} [params.chunkSize] - Optional, send the entries in
+   *   chunks of at most this many
+   * @param {Number} [params.concurrency] - Optional number of chunks sent at
+   *   once
+   * @param {Boolean} [params.allowNonAtomic] - Optional, allow splitting
+   *   transactions, even when entries reference entries of other chunks
+   * @param {Object} [params.options] - Optional options object
+   *
+   * @return {Promise<Object>} The response `bundle`, and `results`: a Map
+   *   from each entry handle to its status, location, etag, lastModified,
+   *   resource and outcome
+   *
+   * @throws {Error} if the response does not have an entry per request
+   */
+  async commit({
+    chunkSize,
+    concurrency,
+    allowNonAtomic,
+    options = {},
+  } = {}) {
+    const bundle = await this.client[this.type]({
+      body: this.toBundle(),
+      chunkSize,
+      concurrency,
+      allowNonAtomic,
+      options,
+    });
+    const responseEntries = bundle.entry || [];
+    if (responseEntries.length !== this.entries.length) {
+      throw new Error(`${this.type} response has ${responseEntries.length} entries for ${this.entries.length} requests`);
+    }
+
+    const results = new Map(this.entries.map(({ handle }, index) => (
+      [handle, entryResultFor(responseEntries[index])]
+    )));
+    return { bundle, results };
+  }
+}
+
+module.exports = TransactionBuilder;
@@ -1,5 +1,7 @@
 const queryString = require('query-string');
-const { fhirReferenceRegEx } = require('./fhir-regular-expressions');
+const { anyRelease } = require('./fhir-registry');
+
+const fhirReferenceRegEx = /^((http|https):\/\/([A-Za-z0-9\\.:%$]*\/)*)?([A-Za-z]+)\/[A-Za-z0-9\-.]{1,256}(\/_history\/[A-Za-z0-9\-.]{1,256})?$/;
 
 /**
  * Split a FHIR reference into its baseUrl (if present), type, and id
@@ -14,19 +16,26 @@ const { fhirReferenceRegEx } = require('./fhir-regular-expressions');
  * { resourceType, id } = splitReference('Patient/1');
  * console.log('${resourceType}/${id}');
  *
+ * // Only accept the resource types of a FHIR version
+ * splitReference('Transport/1', registryFor('R5'));
+ *
  * @param {String} reference the FHIR reference
+ * @param {Object} [registry] the registry of the FHIR version to accept,
+ * see registryFor; defaults to the resource types of any version
  *
  * @return {Object} Contains baseUrl, resourceType, and id fields. baseUrl will be
  * undefined for relative references
  */
-function splitReference(reference) {
-  if (!reference.match(fhirReferenceRegEx)) {
-    throw new Error(`${reference} is not a recognized FHIR reference`);
+function splitReference(reference, registry = anyRelease) {
+  const match = fhirReferenceRegEx.exec(reference);
+  if (!match || !registry.resourceTypes.has(match[4])) {
+    const version = registry.name ? ` in FHIR ${registry.name}` : '';
+    throw new Error(`${reference} is not a recognized FHIR reference${version}`);
   }
   let baseUrl;
   let relativeReference = reference;
   if (reference.startsWith('http')) {
-    [, baseUrl] = fhirReferenceRegEx.exec(reference);
+    [, baseUrl] = match;
     relativeReference = reference.slice(baseUrl.length);
     if (baseUrl.endsWith('/')) {
       baseUrl = baseUrl.slice(0, -1);
@@ -52,18 +61,22 @@ function splitReference(reference) {
  *
  * Since this is a library to request resource, we can assume we will never
  * be dealing with logical models. Also, since the binding is extensible,
- * this implementation does not use a valueset of resourceTypes to test.
+ * only the form of the type is tested, unless the registry of the server's
+ * FHIR version is given.
  *
  * @see https://www.hl7.org/fhir/references-definitions.html#Reference.type
  *
  * @param {String} resourceType the FHIR resource type
+ * @param {Object} [registry] the registry of the FHIR version, see
+ * registryFor; the type must be one of its resource types
  * @return {boolean} is valid resource type
  */
-function validResourceType(resourceType) {
+function validResourceType(resourceType, registry) {
   return (
     !resourceType.startsWith('/')
     && !resourceType.includes(':')
     && /\S/.test(resourceType)
+    && (!registry || registry.resourceTypes.has(resourceType))
   );
 }
 
@@ -73,8 +86,78 @@ function createQueryString(queryParams) {
   }
 }
 
+/**
+ * Turn the search of a conditional interaction (e.g. If-None-Exist or
+ * `DELETE Patient?identifier=...`) into a query string.
+ *
+ * @param {Object|String} searchParams the search parameters, or a query
+ * string
+ * @return {String} the query string, without '?'
+ */
+function conditionFor(searchParams) {
+  return typeof searchParams === 'string'
+    ? searchParams.replace(/^\?/, '')
+    : createQueryString(searchParams);
+}
+
+/**
+ * Turn a versionId into the weak ETag FHIR servers use for it. ETags are
+ * returned as is.
+ *
+ * @example
+ *
+ * eTagFor('3'); // 'W/"3"'
+ * eTagFor('W/"3"'); // 'W/"3"'
+ *
+ * @param {String|Number} version - A versionId or an ETag
+ * @return {String} The ETag
+ */
+function eTagFor(version) {
+  const value = String(version);
+  return /^(W\/)?"/.test(value) ? value : `W/"${value}"`;
+}
+
+/**
+ * Read the versionId of an ETag.
+ *
+ * @example
+ *
+ * versionIdFromETag('W/"3"'); // '3'
+ *
+ * @param {String} [eTag] - The ETag
+ * @return {String|undefined} The versionId
+ */
+function versionIdFromETag(eTag) {
+  const match = /^(W\/)?"(.*)"$/.exec(eTag || '');
+  return match ? match[2] : undefined;
+}
+
+/**
+ * Read the resource type, id and versionId of a Location or
+ * Content-Location header.
+ *
+ * @example
+ *
+ * parseLocation('http://example.com/fhir/Patient/12/_history/3');
+ * // { resourceType: 'Patient', id: '12', versionId: '3' }
+ *
+ * @param {String} [location] - The header value
+ * @return {Object} The resourceType, id and versionId, undefined when not
+ * in the location
+ */
+function parseLocation(location) {
+  const [path] = (location || '').split('?');
+  const match = /(?:^|\/)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/([A-Za-z0-9\-.]{1,64}))?\/?$/.exec(path);
+  if (!match) { return {}; }
+  return { resourceType: match[1], id: match[2], versionId: match[4] };
+}
+
 module.exports = {
+  conditionFor,
   createQueryString,
+  eTagFor,
+  parseLocation,
   splitReference,
   validResourceType,
+  versionIdFromETag,
 };
@@ -0,0 +1,169 @@
+/* eslint-disable func-names, no-unused-expressions */
+const crypto = require('crypto');
+const nock = require('nock');
+const { expect } = require('chai');
+const Client = require('../lib/client');
+const { AwsSigV4Signer, signatureV4 } = require('../lib/aws-signature');
+
+// Credentials and requests of the AWS SigV4 test suite
+const credentials = {
+  accessKeyId: 'AKIDEXAMPLE',
+  secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+};
+const emptyHash = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+function suiteSignature(method) {
+  return signatureV4({
+    method,
+    url: 'https://example.amazonaws.com/',
+    headers: {
+      Host: 'example.amazonaws.com',
+      'X-Amz-Date': '20150830T123600Z',
+    },
+    payloadHash: emptyHash,
+    credentials,
+    region: 'us-east-1',
+    service: 'service',
+  });
+}
+
+describe('AWS SigV4', function () {
+  describe('signatureV4', function () {
+    it('signs the get-vanilla request', function () {
+      const { authorization, canonicalRequest } = suiteSignature('GET');
+
+      expect(canonicalRequest).to.equal([
+        'GET',
+        '/',
+        '',
+        'host:example.amazonaws.com',
+        'x-amz-date:20150830T123600Z',
+        '',
+        'host;x-amz-date',
+        emptyHash,
+      ].join('\n'));
+      expect(authorization).to.equal('AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31');
+    });
+
+    it('signs the post-vanilla request', function () {
+      const { signature, stringToSign } = suiteSignature('POST');
+
+      expect(stringToSign).to.equal([
+        'AWS4-HMAC-SHA256',
+        '20150830T123600Z',
+        '20150830/us-east-1/service/aws4_request',
+        '553f88c9e4d10fc9e109e2aeb65f030801b70c2f6468faca261d401ae622fc87',
+      ].join('\n'));
+      expect(signature).to.equal('5da7c1a2acd57cee7505fc6676e4e544621c30862966e37dddb68e92efbe5d6b');
+    });
+
+    it('sorts and encodes the query', function () {
+      const { canonicalRequest } = signatureV4({
+        method: 'GET',
+        url: 'https://example.amazonaws.com/Patient%20List/?name=O%27Brien&_count=10&name=A+B',
+        headers: { host: 'example.amazonaws.com', 'x-amz-date': '20150830T123600Z' },
+        payloadHash: emptyHash,
+        credentials,
+        region: 'us-east-1',
+        service: 'service',
+      });
+
+      expect(canonicalRequest.split('\n').slice(1, 3)).to.deep.equal([
+        '/Patient%2520List/',
+        '_count=10&name=A%20B&name=O%27Brien',
+      ]);
+    });
+  });
+
+  describe('AwsSigV4Signer', function () {
+    const baseUrl = 'https://healthlake.us-east-1.amazonaws.com/datastore/1/r4';
+
+    afterEach(function () {
+      nock.cleanAll();
+    });
+
+    it('signs client requests with the body hash and session token', async function () {
+      let sent;
+      const fhirClient = new Client({
+        baseUrl,
+        awsSigV4: {
+          region: 'us-east-1',
+          credentials: async () => ({ ...credentials, sessionToken: 'TOKEN' }),
+        },
+      });
+      nock(baseUrl)
+        .post('/Patient')
+        .reply(201, function (uri, body) {
+          sent = { headers: this.req.headers, body };
+          return { resourceType: 'Patient', id: '1' };
+        });
+
+      await fhirClient.create({ resourceType: 'Patient', body: { resourceType: 'Patient' } });
+
+      const [amzDate] = sent.headers['x-amz-date'];
+      expect(amzDate).to.match(/^\d{8}T\d{6}Z$/);
+      expect(sent.headers['x-amz-security-token']).to.deep.equal(['TOKEN']);
+      const { authorization } = signatureV4({
+        method: 'POST',
+        url: `${baseUrl}/Patient`,
+        headers: {
+          host: 'healthlake.us-east-1.amazonaws.com',
+          'content-type': 'application/fhir+json',
+          'x-amz-date': amzDate,
+          'x-amz-security-token': 'TOKEN',
+        },
+        payloadHash: crypto.createHash('sha256').update(sent.body).digest('hex'),
+        credentials,
+        region: 'us-east-1',
+        service: 'healthlake',
+      });
+      expect(sent.headers.authorization).to.deep.equal([authorization]);
+    });
+
+    it('corrects the clock from the Date of responses', async function () {
+      const signer = new AwsSigV4Signer({ region: 'us-east-1', credentials });
+      const fhirClient = new Client({ baseUrl, awsSigV4: signer });
+      const serverTime = Date.now() + 60 * 60 * 1000;
+      const serverHour = new Date(serverTime).toISOString().replace(/-/g, '').slice(0, 11);
+      nock(baseUrl)
+        .get('/Patient/1')
+        .reply(403, { message: 'Signature not yet current' }, { Date: new Date(serverTime).toUTCString() });
+      nock(baseUrl)
+        .matchHeader('x-amz-date', (value) => String(value).startsWith(serverHour))
+        .get('/Patient/2')
+        .reply(200, { resourceType: 'Patient', id: '2' });
+
+      await fhirClient.read({ resourceType: 'Patient', id: '1' }).catch(() => {});
+
+      expect(signer.clockOffset).to.be.within(59 * 60 * 1000, 61 * 60 * 1000);
+      await fhirClient.read({ resourceType: 'Patient', id: '2' });
+    });
+
+    it('keeps the clock when it is close to the server', function () {
+      const signer = new AwsSigV4Signer({ region: 'us-east-1', credentials });
+
+      signer.correctClock(new Date(Date.now() + 60 * 1000).toUTCString());
+
+      expect(signer.clockOffset).to.equal(0);
+    });
+
+    it('rejects incomplete credentials', async function () {
+      const fhirClient = new Client({
+        baseUrl,
+        awsSigV4: { region: 'us-east-1', credentials: () => ({ accessKeyId: 'AKIDEXAMPLE' }) },
+      });
+
+      const error = await fhirClient.read({ resourceType: 'Patient', id: '1' }).catch((e) => e);
+
+      expect(error.message).to.equal('AWS credentials need an accessKeyId and a secretAccessKey');
+    });
+
+    it('cannot be combined with a requestSigner', function () {
+      expect(() => new Client({
+        baseUrl,
+        requestSigner: () => {},
+        awsSigV4: { region: 'us-east-1', credentials },
+      })).to.throw('Pass either requestSigner or awsSigV4, not both');
+    });
+  });
+});
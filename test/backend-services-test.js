@@ -0,0 +1,138 @@
+/* eslint-disable func-names, no-unused-expressions */
+const crypto = require('crypto');
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { createClientAssertion } = require('../lib/backend-services');
+const { readStreamFor } = require('./test-utils');
+
+const { BackendServicesTokenProvider } = Client;
+
+function decodeJwt(jwt) {
+  const [header, claims, signature] = jwt.split('.');
+  return {
+    header: JSON.parse(Buffer.from(header, 'base64').toString()),
+    claims: JSON.parse(Buffer.from(claims, 'base64').toString()),
+    signingInput: Buffer.from(`${header}.${claims}`),
+    signature: Buffer.from(signature, 'base64'),
+  };
+}
+
+describe('Backend services', function () {
+  const tokenUrl = 'https://launch.smarthealthit.org/v/r4/auth/token';
+  const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' });
+  const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('createClientAssertion', function () {
+    it('signs ES384 assertions from a JWK', function () {
+      const jwk = { ...ecKeys.privateKey.export({ format: 'jwk' }), kid: 'key-1' };
+      const jwt = createClientAssertion({ clientId: 'bulk-worker', tokenUrl, privateKey: jwk });
+      const {
+        header, claims, signingInput, signature,
+      } = decodeJwt(jwt);
+
+      expect(header).to.deep.equal({ alg: 'ES384', typ: 'JWT', kid: 'key-1' });
+      expect(claims).to.include({ iss: 'bulk-worker', sub: 'bulk-worker', aud: tokenUrl });
+      expect(claims.exp - Math.floor(Date.now() / 1000)).to.be.within(299, 300);
+      expect(claims.jti).to.have.length(32);
+      expect(crypto.verify('sha384', signingInput, {
+        key: ecKeys.publicKey,
+        dsaEncoding: 'ieee-p1363',
+      }, signature)).to.be.true;
+    });
+
+    it('signs RS384 assertions from a PEM', function () {
+      const pem = rsaKeys.privateKey.export({ format: 'pem', type: 'pkcs8' });
+      const jwt = createClientAssertion({
+        clientId: 'bulk-worker',
+        tokenUrl,
+        privateKey: pem,
+        keyId: 'rsa-1',
+        jku: 'https://app.example.com/jwks.json',
+      });
+      const { header, signingInput, signature } = decodeJwt(jwt);
+
+      expect(header).to.deep.equal({
+        alg: 'RS384', typ: 'JWT', kid: 'rsa-1', jku: 'https://app.example.com/jwks.json',
+      });
+      expect(crypto.verify('sha384', signingInput, rsaKeys.publicKey, signature)).to.be.true;
+    });
+
+    it('rejects other key types', function () {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      expect(() => createClientAssertion({ clientId: 'bulk-worker', tokenUrl, privateKey }))
+        .to.throw(/Unsupported client assertion algorithm ed25519/);
+    });
+  });
+
+  describe('BackendServicesTokenProvider', function () {
+    it('requests system scopes with a client assertion and caches the token', async function () {
+      let form;
+      const scope = nock('https://launch.smarthealthit.org')
+        .post('/v/r4/auth/token', (body) => { form = body; return true; })
+        .once()
+        .reply(200, { access_token: 'system-token', token_type: 'bearer', expires_in: 300 });
+
+      const provider = new BackendServicesTokenProvider({
+        clientId: 'bulk-worker',
+        privateKey: ecKeys.privateKey,
+        tokenUrl,
+        scope: 'system/Patient.rs',
+      });
+
+      expect(await provider.getAccessToken()).to.equal('system-token');
+      expect(await provider.getAccessToken()).to.equal('system-token');
+      expect(scope.isDone()).to.be.true;
+      expect(form).to.include({
+        grant_type: 'client_credentials',
+        scope: 'system/Patient.rs',
+        client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+      });
+      expect(decodeJwt(form.client_assertion).claims.aud).to.equal(tokenUrl);
+    });
+
+    it('requires a token endpoint or a FHIR server to discover it from', function () {
+      expect(() => new BackendServicesTokenProvider({
+        clientId: 'bulk-worker',
+        privateKey: ecKeys.privateKey,
+      })).to.throw(/needs a tokenUrl or a fhirBaseUrl/);
+    });
+  });
+
+  describe('Client', function () {
+    it('discovers the token endpoint and authorizes requests', async function () {
+      const baseUrl = 'https://example.com/fhir';
+      nock(baseUrl)
+        .get('/.well-known/smart-configuration')
+        .reply(200, () => readStreamFor('well-known.json'));
+      nock('https://launch.smarthealthit.org')
+        .post('/v/r4/auth/token')
+        .reply(200, { access_token: 'system-token', expires_in: 300 });
+      const scope = nock(baseUrl)
+        .matchHeader('authorization', 'Bearer system-token')
+        .get('/Patient/123')
+        .reply(200, () => readStreamFor('patient.json'));
+
+      const client = new Client({
+        baseUrl,
+        backendServices: { clientId: 'bulk-worker', privateKey: ecKeys.privateKey },
+      });
+      await client.read({ resourceType: 'Patient', id: '123' });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('cannot be combined with a tokenProvider', function () {
+      expect(() => new Client({
+        baseUrl: 'https://example.com/fhir',
+        tokenProvider: new Client.TokenProvider(),
+        backendServices: { clientId: 'bulk-worker', privateKey: ecKeys.privateKey },
+      })).to.throw('Pass either tokenProvider or backendServices, not both');
+    });
+  });
+});
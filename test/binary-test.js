@@ -0,0 +1,186 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { Readable } = require('stream');
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { bufferFrom } = require('../lib/streams');
+
+describe('Binary', function () {
+  const baseUrl = 'https://example.com';
+  // Not valid UTF-8, so nock hands request bodies over as hex
+  const pdf = Buffer.concat([Buffer.from('%PDF-1.4 '), Buffer.from([0xff, 0xfe, 0x00, 0x80])]);
+
+  beforeEach(function () {
+    this.client = new Client({ baseUrl });
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('#readBinary', function () {
+    it('reads raw content with its content type', async function () {
+      nock(baseUrl)
+        .matchHeader('accept', 'application/pdf')
+        .get('/Binary/report')
+        .reply(200, pdf, {
+          'Content-Type': 'application/pdf',
+          'X-Security-Context': 'Patient/123',
+        });
+
+      const binary = await this.client.readBinary({ id: 'report', contentType: 'application/pdf' });
+
+      expect(binary.contentType).to.equal('application/pdf');
+      expect(binary.securityContext).to.equal('Patient/123');
+      expect(binary.content.equals(pdf)).to.be.true;
+    });
+
+    it('streams raw content', async function () {
+      nock(baseUrl)
+        .get('/Binary/scan')
+        .reply(200, pdf, { 'Content-Type': 'application/dicom' });
+
+      const binary = await this.client.readBinary({ id: 'scan', stream: true });
+
+      expect(binary.contentType).to.equal('application/dicom');
+      expect((await bufferFrom(binary.content)).equals(pdf)).to.be.true;
+    });
+
+    it('decodes the Binary resource of FHIR JSON servers', async function () {
+      nock(baseUrl)
+        .get('/Binary/report')
+        .reply(200, {
+          resourceType: 'Binary',
+          id: 'report',
+          contentType: 'application/pdf',
+          securityContext: { reference: 'Patient/123' },
+          data: pdf.toString('base64'),
+        }, { 'Content-Type': 'application/fhir+json' });
+
+      const binary = await this.client.readBinary({ id: 'report', contentType: 'application/pdf' });
+
+      expect(binary.contentType).to.equal('application/pdf');
+      expect(binary.securityContext).to.equal('Patient/123');
+      expect(binary.content.equals(pdf)).to.be.true;
+    });
+
+    it('keeps JSON content that was asked for', async function () {
+      nock(baseUrl)
+        .get('/Binary/settings')
+        .reply(200, { theme: 'dark' }, { 'Content-Type': 'application/json' });
+
+      const binary = await this.client.readBinary({ id: 'settings', contentType: 'application/json' });
+
+      expect(JSON.parse(binary.content.toString())).to.deep.equal({ theme: 'dark' });
+    });
+
+    it('keeps JSON content that is not a Binary resource', async function () {
+      const bundle = { resourceType: 'Bundle', type: 'document', entry: [] };
+      nock(baseUrl)
+        .get('/Binary/settings')
+        .reply(200, { hello: 'world' }, { 'Content-Type': 'application/json' });
+      nock(baseUrl)
+        .get('/Binary/document')
+        .reply(200, bundle, { 'Content-Type': 'application/fhir+json' });
+      nock(baseUrl)
+        .get('/Binary/label')
+        .reply(200, pdf, { 'Content-Type': 'application/json' });
+
+      const settings = await this.client.readBinary({ id: 'settings' });
+      const document = await this.client.readBinary({ id: 'document', stream: true });
+      const label = await this.client.readBinary({ id: 'label' });
+
+      expect(settings.contentType).to.equal('application/json');
+      expect(JSON.parse(settings.content.toString())).to.deep.equal({ hello: 'world' });
+      expect(document.contentType).to.equal('application/fhir+json');
+      expect(JSON.parse(await bufferFrom(document.content))).to.deep.equal(bundle);
+      expect(label.content.equals(pdf)).to.be.true;
+    });
+  });
+
+  describe('#createBinary', function () {
+    it('sends raw content with its content type and security context', async function () {
+      let body;
+      nock(baseUrl)
+        .matchHeader('content-type', 'image/jpeg')
+        .matchHeader('x-security-context', 'Patient/123')
+        .post('/Binary', (requestBody) => { body = requestBody; return true; })
+        .reply(201, { resourceType: 'Binary', id: 'photo', contentType: 'image/jpeg' });
+
+      const binary = await this.client.createBinary({
+        content: pdf,
+        contentType: 'image/jpeg',
+        securityContext: 'Patient/123',
+      });
+
+      expect(binary.id).to.equal('photo');
+      expect(Buffer.from(body, 'hex').equals(pdf)).to.be.true;
+    });
+
+    it('sends stream content', async function () {
+      const scope = nock(baseUrl)
+        .matchHeader('content-type', 'application/dicom')
+        .post('/Binary', (requestBody) => Buffer.from(requestBody, 'hex').equals(pdf))
+        .reply(201, { resourceType: 'Binary', id: 'scan' });
+
+      await this.client.createBinary({
+        content: Readable.from([pdf.subarray(0, 5), pdf.subarray(5)]),
+        contentType: 'application/dicom',
+      });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('falls back to base64 data on 415', async function () {
+      const scope = nock(baseUrl)
+        .matchHeader('content-type', 'application/pdf')
+        .post('/Binary')
+        .reply(415);
+      let body;
+      const fallbackScope = nock(baseUrl)
+        .matchHeader('content-type', 'application/fhir+json')
+        .post('/Binary', (requestBody) => { body = requestBody; return true; })
+        .reply(201, { resourceType: 'Binary', id: 'report' });
+
+      await this.client.createBinary({
+        content: pdf,
+        contentType: 'application/pdf',
+        securityContext: 'Patient/123',
+      });
+
+      expect(scope.isDone()).to.be.true;
+      expect(fallbackScope.isDone()).to.be.true;
+      expect(body).to.deep.equal({
+        resourceType: 'Binary',
+        contentType: 'application/pdf',
+        securityContext: { reference: 'Patient/123' },
+        data: pdf.toString('base64'),
+      });
+    });
+  });
+
+  describe('#updateBinary', function () {
+    it('sends a Binary resource with asResource', async function () {
+      let body;
+      nock(baseUrl)
+        .matchHeader('content-type', 'application/fhir+json')
+        .put('/Binary/report', (requestBody) => { body = requestBody; return true; })
+        .reply(200, { resourceType: 'Binary', id: 'report' });
+
+      await this.client.updateBinary({
+        id: 'report',
+        content: 'plain text',
+        contentType: 'text/plain',
+        asResource: true,
+      });
+
+      expect(body).to.deep.equal({
+        resourceType: 'Binary',
+        id: 'report',
+        contentType: 'text/plain',
+        data: Buffer.from('plain text').toString('base64'),
+      });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { Readable } = require('stream');
+const { expect } = require('chai');
+const {
+  bodyBytesFor, contentDigestHeader, digestHeader, sha256,
+} = require('../lib/body-digest');
+
+describe('body digest', function () {
+  // The example of RFC 9530, section 2
+  const body = '{"hello": "world"}\n';
+  const base64Digest = 'RK/0qy18MlBSVnWgjwz6lZEWjP/lF5HF9bvEF8FabDg=';
+
+  describe('bodyBytesFor', function () {
+    it('encodes strings as UTF-8', async function () {
+      const bytes = await bodyBytesFor('héllo');
+
+      expect(bytes.toString('hex')).to.equal('68c3a96c6c6f');
+    });
+
+    it('reads typed arrays and array buffers', async function () {
+      const array = new Uint8Array([0, 1, 2, 3]);
+
+      expect([...await bodyBytesFor(array.subarray(1, 3))]).to.deep.equal([1, 2]);
+      expect([...await bodyBytesFor(array.buffer)]).to.deep.equal([0, 1, 2, 3]);
+    });
+
+    it('is empty without a body', async function () {
+      expect(await bodyBytesFor(undefined)).to.have.lengthOf(0);
+    });
+
+    it('is undefined for streams', async function () {
+      expect(await bodyBytesFor(Readable.from(['data']))).to.be.undefined;
+    });
+  });
+
+  describe('headers', function () {
+    it('formats a Digest header', function () {
+      expect(digestHeader(sha256(body))).to.equal(`SHA-256=${base64Digest}`);
+    });
+
+    it('formats a Content-Digest header', function () {
+      expect(contentDigestHeader(sha256(body))).to.equal(`sha-256=:${base64Digest}:`);
+    });
+  });
+});
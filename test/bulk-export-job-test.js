@@ -0,0 +1,206 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { collect } = require('./test-utils');
+
+const { BulkExportJob } = Client;
+
+describe('Bulk export', function () {
+  const baseUrl = 'https://example.com/fhir';
+  const statusUrl = 'https://example.com/fhir/bulkstatus/123';
+  const manifest = {
+    transactionTime: '2023-06-01T12:00:00Z',
+    request: `${baseUrl}/$export`,
+    requiresAccessToken: true,
+    output: [
+      { type: 'Patient', url: 'https://example.com/fhir/files/patient.ndjson' },
+      { type: 'Observation', url: 'https://example.com/fhir/files/observation.ndjson' },
+    ],
+    error: [],
+  };
+
+  beforeEach(function () {
+    this.client = new Client({ baseUrl, bearerToken: 'abc' });
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('#bulkExport', function () {
+    it('kicks off a group export with its parameters', async function () {
+      const scope = nock(baseUrl)
+        .matchHeader('prefer', 'respond-async')
+        .matchHeader('accept', 'application/fhir+json')
+        .get('/Group/cohort/$export')
+        .query({
+          _type: 'Patient,Observation',
+          _since: '2023-01-01T00:00:00.000Z',
+          _typeFilter: ['Observation?category=laboratory', 'Patient?active=true'],
+        })
+        .reply(202, '', { 'Content-Location': statusUrl });
+
+      const job = await this.client.bulkExport({
+        resourceType: 'Group',
+        id: 'cohort',
+        type: ['Patient', 'Observation'],
+        since: new Date('2023-01-01T00:00:00Z'),
+        typeFilter: ['Observation?category=laboratory', 'Patient?active=true'],
+      });
+
+      expect(scope.isDone()).to.be.true;
+      expect(job).to.be.an.instanceof(BulkExportJob);
+      expect(job.statusUrl).to.equal(statusUrl);
+    });
+
+    it('kicks off system and patient exports', async function () {
+      const scope = nock(baseUrl)
+        .get('/$export')
+        .reply(202, '', { 'Content-Location': statusUrl })
+        .get('/Patient/$export')
+        .query({ _outputFormat: 'application/fhir+ndjson' })
+        .reply(202, '', { 'Content-Location': statusUrl });
+
+      await this.client.bulkExport();
+      await this.client.bulkExport({
+        resourceType: 'Patient',
+        outputFormat: 'application/fhir+ndjson',
+      });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('rejects other levels', async function () {
+      let error;
+      try {
+        await this.client.bulkExport({ resourceType: 'Observation' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('Bulk export is not defined for Observation');
+    });
+  });
+
+  describe('BulkExportJob', function () {
+    beforeEach(function () {
+      this.job = this.client.bulkExportJob({ statusUrl });
+    });
+
+    it('polls until complete, honoring Retry-After', async function () {
+      nock(baseUrl)
+        .get('/bulkstatus/123')
+        .reply(202, '', { 'X-Progress': 'Exporting Patient', 'Retry-After': '0' })
+        .get('/bulkstatus/123')
+        .reply(202, '', { 'X-Progress': 'Exporting Observation', 'Retry-After': '0' })
+        .get('/bulkstatus/123')
+        .reply(200, manifest);
+
+      const progress = [];
+      const result = await this.job.waitForCompletion({
+        onProgress: (status) => progress.push(status.progress),
+      });
+
+      expect(progress).to.deep.equal(['Exporting Patient', 'Exporting Observation']);
+      expect(result).to.deep.equal(manifest);
+    });
+
+    it('throws the OperationOutcome of a failed export', async function () {
+      nock(baseUrl)
+        .get('/bulkstatus/123')
+        .reply(500, {
+          resourceType: 'OperationOutcome',
+          issue: [{ severity: 'error', code: 'exception', diagnostics: 'Export failed' }],
+        });
+
+      let error;
+      try {
+        await this.job.waitForCompletion();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(Client.FhirRequestError);
+      expect(error.issues[0].diagnostics).to.equal('Export failed');
+    });
+
+    it('stops polling when aborted', async function () {
+      nock(baseUrl)
+        .get('/bulkstatus/123')
+        .reply(202, '', { 'Retry-After': '120' });
+
+      const controller = new AbortController();
+      const { signal } = controller;
+      const waiting = this.job.waitForCompletion({ signal });
+      setTimeout(() => controller.abort(), 10);
+
+      let error;
+      try {
+        await waiting;
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.name).to.equal('AbortError');
+    });
+
+    it('stops polling when the signal of the options is aborted', async function () {
+      nock(baseUrl)
+        .get('/bulkstatus/123')
+        .reply(202, '', { 'Retry-After': '120' });
+
+      const controller = new AbortController();
+      const waiting = this.job.waitForCompletion({ options: { signal: controller.signal } });
+      setTimeout(() => controller.abort(), 10);
+
+      const error = await waiting.catch((e) => e);
+
+      expect(error.name).to.equal('AbortError');
+    });
+
+    it('cancels with DELETE', async function () {
+      const scope = nock(baseUrl)
+        .delete('/bulkstatus/123')
+        .reply(202);
+
+      await this.job.cancel();
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('streams the resources of the output files', async function () {
+      nock(baseUrl)
+        .get('/bulkstatus/123')
+        .reply(200, manifest);
+      const scope = nock(baseUrl)
+        .matchHeader('authorization', 'Bearer abc')
+        .matchHeader('accept', 'application/fhir+ndjson')
+        .get('/files/observation.ndjson')
+        .reply(200, '{"resourceType":"Observation","id":"1"}\n{"resourceType":"Observation","id":"2"}\n');
+
+      const resources = await collect(this.job.resources({ types: ['Observation'] }));
+
+      expect(resources.map((resource) => resource.id)).to.deep.equal(['1', '2']);
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('does not send credentials for files that do not require them', async function () {
+      const scope = nock('https://storage.example.com', { badheaders: ['authorization'] })
+        .get('/patient.ndjson')
+        .reply(200, '{"resourceType":"Patient","id":"1"}\n');
+
+      const resources = await collect(this.job.resources({
+        manifest: {
+          ...manifest,
+          requiresAccessToken: false,
+          output: [{ type: 'Patient', url: 'https://storage.example.com/patient.ndjson' }],
+        },
+      }));
+
+      expect(resources).to.deep.equal([{ resourceType: 'Patient', id: '1' }]);
+      expect(scope.isDone()).to.be.true;
+    });
+  });
+});
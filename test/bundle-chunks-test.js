@@ -0,0 +1,185 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { chunkEntries, crossChunkReference } = require('../lib/bundle-chunks');
+
+function deleteEntry(id) {
+  return { request: { method: 'DELETE', url: `Flag/${id}` } };
+}
+
+function responseFor(requestBody) {
+  const body = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody;
+  return {
+    resourceType: 'Bundle',
+    type: `${body.type}-response`,
+    entry: body.entry.map((entry) => ({ response: { status: '204 No Content', location: entry.request.url } })),
+  };
+}
+
+describe('Bundle chunks', function () {
+  const baseUrl = 'https://example.com';
+
+  beforeEach(function () {
+    this.client = new Client({ baseUrl });
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('chunkEntries', function () {
+    it('splits entries into chunks', function () {
+      expect(chunkEntries([1, 2, 3, 4, 5], 2)).to.deep.equal([[1, 2], [3, 4], [5]]);
+    });
+
+    it('rejects invalid chunk sizes', function () {
+      expect(() => chunkEntries([1], 0)).to.throw('Invalid chunkSize 0');
+    });
+  });
+
+  describe('crossChunkReference', function () {
+    const patient = { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient' } };
+    const observation = {
+      fullUrl: 'urn:uuid:2',
+      resource: { resourceType: 'Observation', subject: { reference: 'urn:uuid:1' } },
+    };
+
+    it('finds references to other chunks', function () {
+      expect(crossChunkReference([[patient], [observation]]))
+        .to.deep.equal({ from: 'urn:uuid:2', to: 'urn:uuid:1' });
+    });
+
+    it('finds references in conditional urls', function () {
+      const conditional = { request: { method: 'PUT', url: 'Observation?subject=urn:uuid:1' } };
+
+      expect(crossChunkReference([[patient], [conditional]]).to).to.equal('urn:uuid:1');
+    });
+
+    it('allows references within a chunk', function () {
+      expect(crossChunkReference([[patient, observation], [deleteEntry('1')]])).to.be.undefined;
+    });
+  });
+
+  describe('#batch', function () {
+    it('sends chunks and merges the responses in order', async function () {
+      const sizes = [];
+      nock(baseUrl)
+        .post('/')
+        .times(3)
+        .reply(200, (uri, body) => {
+          sizes.push(JSON.parse(body).entry.length);
+          return responseFor(body);
+        });
+
+      const entry = [1, 2, 3, 4, 5].map(deleteEntry);
+      const response = await this.client.batch({
+        body: { resourceType: 'Bundle', type: 'batch', entry },
+        chunkSize: 2,
+        concurrency: 2,
+      });
+
+      expect(sizes.sort()).to.deep.equal([1, 2, 2]);
+      expect(response.type).to.equal('batch-response');
+      expect(response.entry.map((e) => e.response.location))
+        .to.deep.equal(['Flag/1', 'Flag/2', 'Flag/3', 'Flag/4', 'Flag/5']);
+    });
+
+    it('turns a rejected chunk into error entries', async function () {
+      const outcome = { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'too-costly' }] };
+      nock(baseUrl)
+        .post('/', (body) => body.entry[0].request.url === 'Flag/1')
+        .reply(200, (uri, body) => responseFor(body))
+        .post('/', (body) => body.entry[0].request.url === 'Flag/3')
+        .reply(413, outcome);
+
+      const entry = [1, 2, 3].map(deleteEntry);
+      const response = await this.client.batch({
+        body: { resourceType: 'Bundle', type: 'batch', entry },
+        chunkSize: 2,
+      });
+
+      expect(response.entry[1].response.status).to.equal('204 No Content');
+      expect(response.entry[2].response).to.deep.equal({ status: '413', outcome });
+    });
+
+    it('sends small batches in one request', async function () {
+      const scope = nock(baseUrl)
+        .post('/')
+        .reply(200, (uri, body) => ({ ...responseFor(body), id: 'whole' }));
+
+      const response = await this.client.batch({
+        body: { resourceType: 'Bundle', type: 'batch', entry: [deleteEntry('1')] },
+        chunkSize: 2,
+      });
+
+      expect(scope.isDone()).to.be.true;
+      expect(response.id).to.equal('whole');
+    });
+  });
+
+  describe('#transaction', function () {
+    it('refuses to split entries that reference each other', async function () {
+      const transaction = this.client.transactionBuilder();
+      transaction.create({ resourceType: 'Patient', id: 'p1' });
+      transaction.create({ resourceType: 'Observation', subject: { reference: 'Patient/p1' } });
+
+      let error;
+      try {
+        await transaction.commit({ chunkSize: 1 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.match(/^Cannot split transaction: urn:uuid:\S+ references urn:uuid:\S+ in another chunk/);
+    });
+
+    it('refuses to split without allowNonAtomic', async function () {
+      const error = await this.client.transaction({
+        body: { resourceType: 'Bundle', type: 'transaction', entry: [1, 2].map(deleteEntry) },
+        chunkSize: 1,
+      }).catch((e) => e);
+
+      expect(error.message).to.equal('Cannot split transaction into 2 chunks atomically; set allowNonAtomic to send the chunks as separate transactions');
+    });
+
+    it('rejects with the committed chunks when a chunk fails', async function () {
+      const outcome = { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'conflict' }] };
+      const scope = nock(baseUrl)
+        .post('/', (body) => body.entry[0].request.url === 'Flag/1')
+        .reply(200, (uri, body) => responseFor(body))
+        .post('/', (body) => body.entry[0].request.url === 'Flag/2')
+        .reply(409, outcome);
+
+      const error = await this.client.transaction({
+        body: { resourceType: 'Bundle', type: 'transaction', entry: [1, 2, 3].map(deleteEntry) },
+        chunkSize: 1,
+        allowNonAtomic: true,
+      }).catch((e) => e);
+
+      expect(error).to.be.an.instanceof(Client.PartialTransactionError);
+      expect(error.failedChunk).to.equal(1);
+      expect(error.error).to.be.an.instanceof(Client.ConflictError);
+      expect(error.responses).to.have.length(3);
+      expect(error.responses[0].entry[0].response.location).to.equal('Flag/1');
+      expect(error.responses.slice(1)).to.deep.equal([undefined, undefined]);
+      expect(error.message).to.match(/^Chunk 2 of 3 of the transaction failed after 1 chunks were committed: /);
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('splits them with allowNonAtomic', async function () {
+      nock(baseUrl)
+        .post('/')
+        .times(2)
+        .reply(200, (uri, body) => responseFor(body));
+
+      const transaction = this.client.transactionBuilder();
+      const patient = transaction.create({ resourceType: 'Patient', id: 'p1' });
+      transaction.create({ resourceType: 'Observation', subject: { reference: 'Patient/p1' } });
+      const { results } = await transaction.commit({ chunkSize: 1, allowNonAtomic: true });
+
+      expect(results.get(patient).location).to.equal('Patient');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { Readable } = require('stream');
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { BundleEntryParser, parseBundleEntries } = require('../lib/bundle-entries');
+const { collect, readFixture, readStreamFor } = require('./test-utils');
+
+describe('Bundle entries', function () {
+  const bundle = readFixture('search-results.json');
+  const text = JSON.stringify(bundle, null, 2);
+
+  describe('BundleEntryParser', function () {
+    it('parses entries split at any point', function () {
+      [1, 7, 64, 1000].forEach((size) => {
+        const parser = new BundleEntryParser();
+        const entries = [];
+        for (let i = 0; i < text.length; i += size) {
+          entries.push(...parser.push(text.slice(i, i + size)));
+        }
+
+        expect(entries).to.deep.equal(bundle.entry);
+        expect(parser.isComplete()).to.be.true;
+      });
+    });
+
+    it('ignores nested and escaped "entry" keys', function () {
+      const parser = new BundleEntryParser();
+      const entries = parser.push(JSON.stringify({
+        resourceType: 'Bundle',
+        meta: { entry: [{ nested: true }] },
+        'x\\"entry': [{ escaped: true }],
+        entry: [{ resource: { resourceType: 'Basic', note: 'a "}" brace' } }],
+      }));
+
+      expect(entries).to.deep.equal([{ resource: { resourceType: 'Basic', note: 'a "}" brace' } }]);
+    });
+  });
+
+  describe('parseBundleEntries', function () {
+    it('rejects a truncated Bundle', async function () {
+      let error;
+      try {
+        await collect(parseBundleEntries(Readable.from([text.slice(0, -10)])));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(SyntaxError);
+    });
+  });
+
+  describe('streaming responses', function () {
+    const baseUrl = 'https://example.com';
+
+    beforeEach(function () {
+      this.client = new Client({ baseUrl });
+    });
+
+    afterEach(function () {
+      nock.cleanAll();
+    });
+
+    it('iterates over search entries with responseType entries', async function () {
+      nock(baseUrl)
+        .get('/Patient')
+        .query({ name: 'abbott' })
+        .reply(200, () => readStreamFor('search-results.json'));
+
+      const entries = await this.client.search({
+        resourceType: 'Patient',
+        searchParams: { name: 'abbott' },
+        options: { responseType: 'entries' },
+      });
+
+      expect(Client.httpFor(entries).response.status).to.equal(200);
+      expect(await collect(entries)).to.deep.equal(bundle.entry);
+    });
+
+    it('iterates over NDJSON with responseType ndjson', async function () {
+      nock(baseUrl)
+        .get('/Patient/$everything')
+        .reply(200, '{"resourceType":"Patient","id":"1"}\n{"resourceType":"Condition","id":"2"}\n');
+
+      const resources = await this.client.operation({
+        resourceType: 'Patient',
+        name: '$everything',
+        method: 'GET',
+        options: { responseType: 'ndjson' },
+      });
+
+      expect((await collect(resources)).map((resource) => resource.id)).to.deep.equal(['1', '2']);
+    });
+
+    it('returns the body stream with responseType stream', async function () {
+      nock(baseUrl)
+        .get('/Patient/123')
+        .reply(200, () => readStreamFor('patient.json'));
+
+      const body = await this.client.read({
+        resourceType: 'Patient',
+        id: '123',
+        options: { responseType: 'stream' },
+      });
+      const chunks = await collect(body);
+
+      expect(JSON.parse(Buffer.concat(chunks).toString())).to.deep.equal(readFixture('patient.json'));
+    });
+
+    it('throws request errors before streaming', async function () {
+      nock(baseUrl)
+        .get('/Patient/abcdef')
+        .reply(404, () => readStreamFor('patient-not-found.json'));
+
+      let error;
+      try {
+        await this.client.read({
+          resourceType: 'Patient',
+          id: 'abcdef',
+          options: { responseType: 'stream' },
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(Client.NotFoundError);
+      expect(error.issues).to.have.length(1);
+    });
+
+    it('rejects unknown response types', async function () {
+      let error;
+      try {
+        await this.client.read({
+          resourceType: 'Patient',
+          id: '123',
+          options: { responseType: 'xml' },
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('Unsupported responseType xml');
+    });
+  });
+});
@@ -7,10 +7,11 @@ const { expect } = require('chai');
 
 const nock = require('nock');
 
-const { readStreamFor, readFixture } = require('./test-utils');
+const { collect, readStreamFor, readFixture } = require('./test-utils');
 
 const Client = require('../lib/client');
 const Pagination = require('../lib/pagination');
+const FhirPathPatch = require('../lib/fhir-path-patch');
 
 /**
  * Mock out and assert behavior for client verbs without passing params
@@ -228,6 +229,94 @@ describe('Client', function () {
       expect(scope.activeMocks()).to.contain('GET https://example.com:443/metadata');
       expect(capabilityStatement.resourceType).to.equal('CapabilityStatement');
     });
+
+    it('adopts the fhirVersion of the statement', async function () {
+      nock(this.baseUrl)
+        .get('/metadata')
+        .reply(200, () => readStreamFor('no-smart-oauth-uri-capability-statement.json'));
+
+      await this.fhirClient.capabilityStatement();
+
+      expect(this.fhirClient.fhirVersion).to.equal('3.0.1');
+      expect(this.fhirClient.registry.name).to.equal('STU3');
+    });
+
+    it('does not ask for the adopted fhirVersion', async function () {
+      nock(this.baseUrl)
+        .get('/metadata')
+        .reply(200, () => readStreamFor('no-smart-oauth-uri-capability-statement.json'));
+      nock(this.baseUrl)
+        .matchHeader('accept', 'application/fhir+json')
+        .get('/Patient/1')
+        .reply(200, { resourceType: 'Patient', id: '1' }, { 'content-type': 'application/fhir+json; fhirVersion=4.0' });
+
+      await this.fhirClient.capabilityStatement();
+      const patient = await this.fhirClient.read({ resourceType: 'Patient', id: '1' });
+
+      expect(patient.id).to.equal('1');
+      expect(this.fhirClient.httpClient.fhirVersion).to.be.undefined;
+    });
+
+    it('keeps a configured fhirVersion', async function () {
+      nock(this.baseUrl)
+        .get('/metadata')
+        .reply(200, () => readStreamFor('no-smart-oauth-uri-capability-statement.json'));
+      const client = new Client({ baseUrl: this.baseUrl, fhirVersion: 'R4' });
+
+      await client.capabilityStatement();
+
+      expect(client.fhirVersion).to.equal('R4');
+      expect(client.registry.name).to.equal('R4');
+    });
+  });
+
+  describe('#fhirVersion=', function () {
+    it('accepts any resource type when unknown', async function () {
+      nock(this.baseUrl)
+        .get('/Transport/1')
+        .reply(200, { resourceType: 'Transport', id: '1' });
+
+      expect(this.fhirClient.fhirVersion).to.be.undefined;
+      const response = await this.fhirClient.read({ resourceType: 'Transport', id: '1' });
+
+      expect(response.id).to.equal('1');
+    });
+
+    it('rejects resource types of other versions', function () {
+      this.fhirClient.fhirVersion = '4.0.1';
+
+      expect(() => this.fhirClient.read({ resourceType: 'Transport', id: '1' }))
+        .to.throw('Invalid resourceType');
+    });
+
+    it('rejects compartments of other versions', function () {
+      this.fhirClient.fhirVersion = 'R4';
+
+      expect(() => this.fhirClient.compartmentSearch({
+        resourceType: 'Observation',
+        compartment: { resourceType: 'EpisodeOfCare', id: '1' },
+      })).to.throw('Invalid compartmentType');
+    });
+
+    it('rejects references to types of other versions', async function () {
+      this.fhirClient.fhirVersion = 'R4';
+
+      let error;
+      try {
+        await this.fhirClient.resolve({ reference: 'https://other.example.com/fhir/Transport/1' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('https://other.example.com/fhir/Transport/1 is not a recognized FHIR reference in FHIR R4');
+    });
+
+    it('throws on an unknown version', function () {
+      expect(() => { this.fhirClient.fhirVersion = '9.9.9'; })
+        .to.throw('Unsupported FHIR version 9.9.9');
+      expect(() => new Client({ baseUrl: this.baseUrl, fhirVersion: 'R6' }))
+        .to.throw('Unsupported FHIR version R6');
+    });
   });
 
   describe('#resolve', async function () {
@@ -270,6 +359,112 @@ describe('Client', function () {
     });
   });
 
+  describe('FHIR version negotiation', function () {
+    const versionsResponse = {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'version', valueCode: '3.0' },
+        { name: 'version', valueCode: '4.0' },
+        { name: 'default', valueCode: '3.0' },
+      ],
+    };
+
+    it('sends the fhirVersion parameter in Accept and Content-Type', async function () {
+      const client = new Client({ baseUrl: this.baseUrl, fhirVersion: '4.0.1' });
+      nock(this.baseUrl)
+        .matchHeader('accept', 'application/fhir+json; fhirVersion=4.0')
+        .matchHeader('content-type', 'application/fhir+json; fhirVersion=4.0')
+        .post('/Patient')
+        .reply(201, { resourceType: 'Patient', id: '1' }, { 'content-type': 'application/fhir+json; fhirVersion=4.0' });
+
+      const response = await client.create({ resourceType: 'Patient', body: { resourceType: 'Patient' } });
+
+      expect(response.id).to.equal('1');
+    });
+
+    it('rejects responses in another FHIR version', async function () {
+      const client = new Client({ baseUrl: this.baseUrl, fhirVersion: 'R4' });
+      nock(this.baseUrl)
+        .get('/Patient/1')
+        .reply(200, { resourceType: 'Patient', id: '1' }, { 'content-type': 'application/fhir+json; fhirVersion=3.0' });
+
+      let error;
+      try {
+        await client.read({ resourceType: 'Patient', id: '1' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(Client.FhirVersionMismatchError);
+      expect(error.expected).to.equal('4.0');
+      expect(error.actual).to.equal('3.0');
+      expect(error.message).to.equal('GET https://example.com/Patient/1 returned FHIR version 3.0 instead of 4.0');
+    });
+
+    it('cancels the body of responses in another FHIR version', async function () {
+      const client = new Client({ baseUrl: this.baseUrl, fhirVersion: 'R4' });
+      nock(this.baseUrl)
+        .get('/Patient/1')
+        .reply(200, { resourceType: 'Patient', id: '1' }, { 'content-type': 'application/fhir+json; fhirVersion=3.0' });
+
+      const error = await client.read({ resourceType: 'Patient', id: '1' }).catch((e) => e);
+
+      expect(error).to.be.an.instanceof(Client.FhirVersionMismatchError);
+      expect(error.response.body.destroyed).to.be.true;
+    });
+
+    it('accepts responses that do not declare a version', async function () {
+      const client = new Client({ baseUrl: this.baseUrl, fhirVersion: 'R4' });
+      nock(this.baseUrl)
+        .get('/Patient/1')
+        .reply(200, { resourceType: 'Patient', id: '1' }, { 'content-type': 'application/fhir+json' });
+
+      const response = await client.read({ resourceType: 'Patient', id: '1' });
+
+      expect(response.id).to.equal('1');
+    });
+
+    it('uses the first wanted version the server supports', async function () {
+      nock(this.baseUrl)
+        .matchHeader('accept', 'application/fhir+json')
+        .get('/$versions')
+        .reply(200, versionsResponse);
+
+      const version = await this.fhirClient.negotiateVersion({ versions: ['R5', '4.0.1'] });
+
+      expect(version).to.equal('4.0');
+      expect(this.fhirClient.fhirVersion).to.equal('4.0');
+      expect(this.fhirClient.registry.name).to.equal('R4');
+      expect(this.fhirClient.httpClient.fhirVersion).to.equal('4.0');
+    });
+
+    it('uses the default version of the server', async function () {
+      nock(this.baseUrl)
+        .get('/$versions')
+        .reply(200, { versions: ['3.0', '4.0'], default: '4.0' }, { 'content-type': 'application/json' });
+
+      const version = await this.fhirClient.negotiateVersion();
+
+      expect(version).to.equal('4.0');
+    });
+
+    it('throws when no wanted version is supported', async function () {
+      nock(this.baseUrl)
+        .get('/$versions')
+        .reply(200, versionsResponse);
+
+      let error;
+      try {
+        await this.fhirClient.negotiateVersion({ versions: ['R5'] });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('No supported FHIR version: the server has 3.0, 4.0, not R5');
+      expect(this.fhirClient.fhirVersion).to.be.undefined;
+    });
+  });
+
   describe('#bearerToken=', function () {
     it('sets the header Authorization to a Bearer token', async function () {
       this.fhirClient.bearerToken = 'XYZ';
@@ -1045,6 +1240,106 @@ describe('Client', function () {
           expect(response.link[0].url).to.equal(url);
         });
       });
+
+      describe('async iteration', function () {
+        const page2Path = '/?_getpages=678cd733-8823-4324-88a7-51d369cf78a9&_getpagesoffset=3&_count=3&_pretty=true&_bundletype=searchset';
+        const lastPage = () => {
+          const bundle = readFixture('search-results-page-2.json');
+          bundle.link = bundle.link.filter((link) => link.relation !== 'next');
+          return bundle;
+        };
+
+        it('#searchAll yields the entries of every page', async function () {
+          nock(this.baseUrl)
+            .matchHeader('abc', 'XYZ')
+            .get('/Patient?_count=3&gender=female')
+            .reply(200, () => readStreamFor('search-results-page-1.json'))
+            .get(page2Path)
+            .reply(200, lastPage);
+
+          const entries = await collect(this.fhirClient.searchAll({
+            resourceType: 'Patient',
+            searchParams: { _count: 3, gender: 'female' },
+            options: { headers: { abc: 'XYZ' } },
+          }));
+
+          expect(entries.map((entry) => entry.resource.id)).to.deep.equal([
+            'a18e455c-c6ce-4413-a51f-cb5658e6c1dc',
+            'd8f61c31-3025-40eb-92f1-7a299fc06a9d',
+            'SMART-PROMs-1',
+            '2e27c71e-30c8-4ceb-8c1c-5641e066c0a4',
+            '0aa6e35b-7268-42bf-aa42-9fc1df86248b',
+            'smart-644201',
+          ]);
+        });
+
+        it('#searchAll stops at maxResources without fetching more pages', async function () {
+          const scope = nock(this.baseUrl)
+            .get('/Patient?_count=3&gender=female')
+            .reply(200, () => readStreamFor('search-results-page-1.json'));
+
+          const entries = await collect(this.fhirClient.searchAll({
+            resourceType: 'Patient',
+            searchParams: { _count: 3, gender: 'female' },
+            maxResources: 2,
+          }));
+
+          expect(entries).to.have.length(2);
+          expect(scope.isDone()).to.be.true;
+        });
+
+        it('#searchAll yields nothing without a request when maxResources is 0', async function () {
+          const scope = nock(this.baseUrl)
+            .get('/Patient?_count=3&gender=female')
+            .reply(200, () => readStreamFor('search-results-page-1.json'));
+
+          const entries = await collect(this.fhirClient.searchAll({
+            resourceType: 'Patient',
+            searchParams: { _count: 3, gender: 'female' },
+            maxResources: 0,
+          }));
+
+          expect(entries).to.deep.equal([]);
+          expect(scope.isDone()).to.be.false;
+        });
+
+        it('#paginate stops at maxPages', async function () {
+          nock(this.baseUrl)
+            .get(page2Path)
+            .reply(200, () => readStreamFor('search-results-page-2.json'));
+
+          const bundle = readFixture('search-results-page-1.json');
+          const pages = await collect(this.fhirClient.paginate({ bundle, maxPages: 2 }));
+
+          expect(pages).to.have.length(2);
+          expect(pages[1].entry[0].resource.id).to.equal('2e27c71e-30c8-4ceb-8c1c-5641e066c0a4');
+        });
+
+        it('#paginate stops when the signal is aborted', async function () {
+          const controller = new AbortController();
+          const bundle = readFixture('search-results-page-1.json');
+          const { signal } = controller;
+          const pages = [];
+
+          // eslint-disable-next-line no-restricted-syntax
+          for await (const page of this.fhirClient.paginate({ bundle, signal })) {
+            pages.push(page);
+            controller.abort();
+          }
+
+          expect(pages).to.have.length(1);
+        });
+
+        it('#historyAll yields history entries', async function () {
+          nock(this.baseUrl)
+            .get('/_history')
+            .reply(200, () => readStreamFor('system-history.json'));
+
+          const entries = await collect(this.fhirClient.historyAll({ maxPages: 1 }));
+
+          expect(entries).to.deep.equal(readFixture('system-history.json').entry);
+        });
+      });
     });
 
     describe('#create', function () {
@@ -1350,6 +1645,582 @@ describe('Client', function () {
         }
         expect(response).to.be.undefined; // eslint-disable-line no-unused-expressions
       });
+
+      it('sends a FHIRPath Patch as a Parameters resource', async function () {
+        const FHIRPathPatch = new FhirPathPatch().replace('Patient.gender', { valueCode: 'male' });
+
+        nock(this.baseUrl)
+          .matchHeader('content-type', 'application/fhir+json')
+          .patch('/Patient/152747', FHIRPathPatch.toParameters())
+          .reply(200, { resourceType: 'Patient', id: '152747', gender: 'male' });
+
+        const response = await this.fhirClient.patch({
+          resourceType: 'Patient',
+          id: '152747',
+          FHIRPathPatch,
+        });
+
+        expect(response.gender).to.equal('male');
+      });
+
+      it('converts JSON Patch with the fhirpath patch format', async function () {
+        const fhirClient = new Client({ baseUrl: this.baseUrl, patchFormat: 'fhirpath' });
+        const parameters = FhirPathPatch.fromJSONPatch('Patient', [
+          { op: 'remove', path: '/telecom/0' },
+        ]).toParameters();
+
+        nock(this.baseUrl)
+          .matchHeader('content-type', 'application/fhir+json')
+          .patch('/Patient/152747', parameters)
+          .reply(200, { resourceType: 'Patient', id: '152747' });
+
+        const response = await fhirClient.patch({
+          resourceType: 'Patient',
+          id: '152747',
+          JSONPatch: [{ op: 'remove', path: '/telecom/0' }],
+        });
+
+        expect(response.id).to.equal('152747');
+      });
+
+      it('rejects both JSONPatch and FHIRPathPatch', function () {
+        expect(() => this.fhirClient.patch({
+          resourceType: 'Patient',
+          id: '152747',
+          JSONPatch: [],
+          FHIRPathPatch: new FhirPathPatch(),
+        })).to.throw('Patch with both JSONPatch and FHIRPathPatch');
+      });
+
+      it('rejects unknown patch formats', function () {
+        expect(() => new Client({ baseUrl: this.baseUrl, patchFormat: 'merge' }))
+          .to.throw('Unsupported patch format merge');
+      });
+    });
+
+    describe('optimistic concurrency', function () {
+      const patient = { resourceType: 'Patient', id: '1', meta: { versionId: '3' } };
+      const currentPatient = { resourceType: 'Patient', id: '1', meta: { versionId: '4' } };
+
+      it('sends the versionId of the body as If-Match on update', async function () {
+        nock(this.baseUrl)
+          .matchHeader('if-match', 'W/"3"')
+          .put('/Patient/1')
+          .reply(200, currentPatient);
+
+        const response = await this.fhirClient.update({ resourceType: 'Patient', id: '1', body: patient });
+
+        expect(response.meta.versionId).to.equal('4');
+      });
+
+      it('sends a given ETag, or none with ifMatch false', async function () {
+        const withETag = nock(this.baseUrl)
+          .matchHeader('if-match', 'W/"7"')
+          .put('/Patient/1')
+          .reply(200, currentPatient);
+        const withoutETag = nock(this.baseUrl, { badheaders: ['if-match'] })
+          .put('/Patient/1')
+          .reply(200, currentPatient);
+
+        await this.fhirClient.update({
+          resourceType: 'Patient', id: '1', body: patient, ifMatch: 'W/"7"',
+        });
+        await this.fhirClient.update({
+          resourceType: 'Patient', id: '1', body: patient, ifMatch: false,
+        });
+
+        expect(withETag.isDone()).to.be.true;
+        expect(withoutETag.isDone()).to.be.true;
+      });
+
+      it('sends If-Match on patch and delete', async function () {
+        const scope = nock(this.baseUrl)
+          .matchHeader('if-match', 'W/"3"')
+          .patch('/Patient/1')
+          .reply(200, currentPatient)
+          .delete('/Patient/1')
+          .reply(204);
+
+        await this.fhirClient.patch({
+          resourceType: 'Patient', id: '1', JSONPatch: [], ifMatch: '3',
+        });
+        await this.fhirClient.delete({ resourceType: 'Patient', id: '1', ifMatch: 3 });
+
+        expect(scope.isDone()).to.be.true;
+      });
+
+      it('rejects a 412 with a VersionConflictError with the current version', async function () {
+        nock(this.baseUrl)
+          .put('/Patient/1')
+          .reply(412, {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'error', code: 'conflict', diagnostics: 'Version 3 is not current' }],
+          })
+          .get('/Patient/1')
+          .reply(200, currentPatient, { etag: 'W/"4"' });
+
+        let error;
+        try {
+          await this.fhirClient.update({ resourceType: 'Patient', id: '1', body: patient });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(Client.VersionConflictError);
+        expect(error).to.be.an.instanceof(Client.PreconditionFailedError);
+        expect(error.status).to.equal(412);
+        expect(error.ifMatch).to.equal('W/"3"');
+        expect(error.currentVersionId).to.equal('4');
+        expect(error.currentETag).to.equal('W/"4"');
+        expect(error.current).to.deep.equal(currentPatient);
+        expect(error.message).to.have.string('Version 3 is not current');
+      });
+
+      it('reads the current version with the headers of the caller', async function () {
+        nock(this.baseUrl)
+          .matchHeader('x-tenant', 'a')
+          .matchHeader('if-match', 'W/"3"')
+          .delete('/Patient/1')
+          .reply(412);
+        const scope = nock(this.baseUrl)
+          .matchHeader('x-tenant', 'a')
+          .matchHeader('if-match', (value) => value === undefined)
+          .get('/Patient/1')
+          .reply(200, currentPatient, { etag: 'W/"4"' });
+
+        const error = await this.fhirClient.delete({
+          resourceType: 'Patient',
+          id: '1',
+          ifMatch: '3',
+          options: { headers: { 'x-tenant': 'a' } },
+        }).catch((e) => e);
+
+        expect(error).to.be.an.instanceof(Client.VersionConflictError);
+        expect(error.current).to.deep.equal(currentPatient);
+        expect(scope.isDone()).to.be.true;
+      });
+
+      it('keeps a 412 without If-Match a PreconditionFailedError', async function () {
+        nock(this.baseUrl)
+          .put('/Patient/1')
+          .reply(412);
+
+        let error;
+        try {
+          await this.fhirClient.update({ resourceType: 'Patient', id: '1', body: { resourceType: 'Patient' } });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(Client.PreconditionFailedError);
+        expect(error).not.to.be.an.instanceof(Client.VersionConflictError);
+      });
+
+      describe('#updateWithRetry', function () {
+        it('merges into the current version after a conflict', async function () {
+          nock(this.baseUrl)
+            .get('/Patient/1')
+            .reply(200, patient, { etag: 'W/"3"' })
+            .put('/Patient/1')
+            .reply(412)
+            .get('/Patient/1')
+            .reply(200, currentPatient, { etag: 'W/"4"' });
+          nock(this.baseUrl)
+            .matchHeader('if-match', 'W/"4"')
+            .put('/Patient/1', { ...currentPatient, active: false })
+            .reply(200, { ...currentPatient, active: false, meta: { versionId: '5' } });
+
+          const merges = [];
+          const response = await this.fhirClient.updateWithRetry({
+            resourceType: 'Patient',
+            id: '1',
+            merge: (current) => {
+              merges.push(current.meta.versionId);
+              return { ...current, active: false };
+            },
+          });
+
+          expect(merges).to.deep.equal(['3', '4']);
+          expect(response.meta.versionId).to.equal('5');
+        });
+
+        it('gives up after maxAttempts', async function () {
+          nock(this.baseUrl)
+            .get('/Patient/1')
+            .reply(200, patient)
+            .put('/Patient/1')
+            .reply(412)
+            .get('/Patient/1')
+            .reply(200, currentPatient);
+
+          let error;
+          try {
+            await this.fhirClient.updateWithRetry({
+              resourceType: 'Patient',
+              id: '1',
+              merge: (current) => current,
+              maxAttempts: 1,
+            });
+          } catch (e) {
+            error = e;
+          }
+
+          expect(error).to.be.an.instanceof(Client.VersionConflictError);
+          expect(error.ifMatch).to.equal('W/"3"');
+        });
+      });
+    });
+
+    describe('Prefer', function () {
+      const patient = { resourceType: 'Patient', active: true };
+
+      it('parses the write result of return=minimal', async function () {
+        nock(this.baseUrl)
+          .matchHeader('prefer', 'return=minimal')
+          .post('/Patient')
+          .reply(201, '', {
+            Location: `${this.baseUrl}/Patient/7/_history/2`,
+            ETag: 'W/"2"',
+            'Last-Modified': 'Wed, 01 May 2024 10:00:00 GMT',
+          });
+
+        const result = await this.fhirClient.create({
+          resourceType: 'Patient', body: patient, prefer: { return: 'minimal' },
+        });
+
+        expect(result).to.deep.equal({
+          id: '7',
+          versionId: '2',
+          lastUpdated: '2024-05-01T10:00:00.000Z',
+          location: `${this.baseUrl}/Patient/7/_history/2`,
+        });
+        expect(Client.httpFor(result).response.status).to.equal(201);
+      });
+
+      it('reduces a returned resource to the minimal result', async function () {
+        nock(this.baseUrl)
+          .put('/Patient/7')
+          .reply(200, { ...patient, id: '7', meta: { versionId: '4', lastUpdated: '2024-05-01T10:00:00Z' } });
+
+        const result = await this.fhirClient.update({
+          resourceType: 'Patient', id: '7', body: patient, prefer: { return: 'minimal' },
+        });
+
+        expect(result).to.deep.equal({
+          id: '7', versionId: '4', lastUpdated: '2024-05-01T10:00:00Z', location: undefined,
+        });
+      });
+
+      it('reads the resource the server did not return with return=representation', async function () {
+        const scope = nock(this.baseUrl)
+          .matchHeader('prefer', 'return=representation')
+          .post('/Patient')
+          .reply(201, '', { Location: `${this.baseUrl}/Patient/7/_history/1` });
+        const readScope = nock(this.baseUrl)
+          .get('/Patient/7')
+          .reply(200, { ...patient, id: '7' });
+
+        const result = await this.fhirClient.create({
+          resourceType: 'Patient', body: patient, prefer: { return: 'representation' },
+        });
+
+        expect(scope.isDone() && readScope.isDone()).to.be.true;
+        expect(result).to.deep.equal({ ...patient, id: '7' });
+      });
+
+      it('reads the resource with the request options of the write', async function () {
+        nock(this.baseUrl)
+          .put('/Patient/7')
+          .reply(200, '', { Location: `${this.baseUrl}/Patient/7/_history/2` });
+        const readScope = nock(this.baseUrl, { badheaders: ['if-match', 'prefer'] })
+          .matchHeader('x-tenant', 'north')
+          .get('/Patient/7')
+          .reply(200, { ...patient, id: '7' });
+
+        const result = await this.fhirClient.update({
+          resourceType: 'Patient',
+          id: '7',
+          body: patient,
+          ifMatch: 'W/"1"',
+          prefer: { return: 'representation' },
+          options: { headers: { 'X-Tenant': 'north' } },
+        });
+
+        expect(readScope.isDone()).to.be.true;
+        expect(result).to.deep.equal({ ...patient, id: '7' });
+      });
+
+      it('returns the OperationOutcome as is', async function () {
+        const outcome = { resourceType: 'OperationOutcome', issue: [] };
+        nock(this.baseUrl)
+          .matchHeader('prefer', 'return=OperationOutcome')
+          .patch('/Patient/7')
+          .reply(200, outcome);
+
+        const result = await this.fhirClient.patch({
+          resourceType: 'Patient',
+          id: '7',
+          JSONPatch: [],
+          prefer: { return: 'OperationOutcome' },
+        });
+
+        expect(result).to.deep.equal(outcome);
+      });
+
+      it('adds to a Prefer header of the request', async function () {
+        const scope = nock(this.baseUrl)
+          .matchHeader('prefer', 'respond-async, return=minimal')
+          .post('/Patient')
+          .reply(201, '', { Location: `${this.baseUrl}/Patient/7/_history/1` });
+
+        await this.fhirClient.create({
+          resourceType: 'Patient',
+          body: patient,
+          prefer: { return: 'minimal' },
+          options: { headers: { prefer: 'respond-async' } },
+        });
+
+        expect(scope.isDone()).to.be.true;
+      });
+
+      it('rejects unknown preferences', function () {
+        expect(() => this.fhirClient.create({
+          resourceType: 'Patient', body: patient, prefer: { return: 'everything' },
+        })).to.throw('Unsupported preference return=everything');
+      });
+
+      it('rejects searches with warnings with handling=strict', async function () {
+        const bundle = {
+          resourceType: 'Bundle',
+          type: 'searchset',
+          entry: [{
+            resource: {
+              resourceType: 'OperationOutcome',
+              issue: [{ severity: 'warning', code: 'not-supported', diagnostics: 'Unknown parameter foo' }],
+            },
+            search: { mode: 'outcome' },
+          }],
+        };
+        nock(this.baseUrl)
+          .matchHeader('prefer', 'handling=strict')
+          .get('/Patient')
+          .query({ foo: 'bar' })
+          .reply(200, bundle);
+
+        let error;
+        try {
+          await this.fhirClient.search({
+            resourceType: 'Patient', searchParams: { foo: 'bar' }, prefer: { handling: 'strict' },
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(Client.SearchWarningError);
+        expect(error.issues[0].diagnostics).to.equal('Unknown parameter foo');
+        expect(error.bundle).to.deep.equal(bundle);
+      });
+
+      it('rejects later pages with warnings of searchAll with handling=strict', async function () {
+        const outcome = {
+          resourceType: 'OperationOutcome',
+          issue: [{ severity: 'warning', code: 'processing', diagnostics: 'Results truncated' }],
+        };
+        nock(this.baseUrl)
+          .get('/Patient')
+          .reply(200, {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            link: [{ relation: 'next', url: `${this.baseUrl}/Patient?page=2` }],
+            entry: [{ resource: { resourceType: 'Patient', id: '1' } }],
+          });
+        nock(this.baseUrl)
+          .get('/Patient')
+          .query({ page: '2' })
+          .reply(200, {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            entry: [{ resource: outcome, search: { mode: 'outcome' } }],
+          });
+
+        const ids = [];
+        let error;
+        try {
+          // eslint-disable-next-line no-restricted-syntax
+          for await (const entry of this.fhirClient.searchAll({
+            resourceType: 'Patient', prefer: { handling: 'strict' },
+          })) {
+            ids.push(entry.resource.id);
+          }
+        } catch (e) {
+          error = e;
+        }
+
+        expect(ids).to.deep.equal(['1']);
+        expect(error).to.be.an.instanceof(Client.SearchWarningError);
+        expect(error.issues[0].diagnostics).to.equal('Results truncated');
+      });
+
+      it('keeps searches with only information with handling=strict', async function () {
+        const bundle = {
+          resourceType: 'Bundle',
+          type: 'searchset',
+          issues: {
+            resourceType: 'OperationOutcome',
+            issue: [{ severity: 'information', code: 'informational' }],
+          },
+        };
+        nock(this.baseUrl)
+          .matchHeader('prefer', 'handling=strict')
+          .get('/Observation')
+          .reply(200, bundle);
+
+        const response = await this.fhirClient.resourceSearch({
+          resourceType: 'Observation', prefer: { handling: 'strict' },
+        });
+
+        expect(response).to.deep.equal(bundle);
+      });
+    });
+
+    describe('conditional interactions', function () {
+      const patient = { resourceType: 'Patient', identifier: [{ system: 'mrn', value: '42' }] };
+      const multipleMatches = {
+        resourceType: 'OperationOutcome',
+        issue: [{ severity: 'error', code: 'multiple-matches', diagnostics: 'Found 2 matches' }],
+      };
+
+      it('creates with If-None-Exist', async function () {
+        const scope = nock(this.baseUrl)
+          .matchHeader('if-none-exist', 'identifier=mrn%7C42')
+          .post('/Patient')
+          .reply(201, { ...patient, id: '1' })
+          .post('/Patient')
+          .reply(200, { ...patient, id: '0' });
+
+        const created = await this.fhirClient.create({
+          resourceType: 'Patient', body: patient, ifNoneExist: { identifier: 'mrn|42' },
+        });
+        const existing = await this.fhirClient.create({
+          resourceType: 'Patient', body: patient, ifNoneExist: '?identifier=mrn%7C42',
+        });
+
+        expect(scope.isDone()).to.be.true;
+        expect(Client.httpFor(created).response.status).to.equal(201);
+        expect(Client.httpFor(existing).response.status).to.equal(200);
+        expect(existing.id).to.equal('0');
+      });
+
+      it('rejects conditional creates with several matches', async function () {
+        nock(this.baseUrl)
+          .post('/Patient')
+          .reply(412, multipleMatches);
+
+        let error;
+        try {
+          await this.fhirClient.create({
+            resourceType: 'Patient', body: patient, ifNoneExist: { identifier: 'mrn|42' },
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(Client.MultipleMatchesError);
+        expect(error).to.be.an.instanceof(Client.PreconditionFailedError);
+        expect(error.condition).to.equal('identifier=mrn%7C42');
+        expect(error.message).to.have.string('Found 2 matches');
+      });
+
+      it('updates and patches by search', async function () {
+        const scope = nock(this.baseUrl)
+          .put('/Patient?identifier=mrn%7C42')
+          .reply(200, { ...patient, id: '1' })
+          .patch('/Patient?identifier=mrn%7C42')
+          .reply(412, multipleMatches);
+
+        await this.fhirClient.update({
+          resourceType: 'Patient', searchParams: { identifier: 'mrn|42' }, body: patient,
+        });
+        let error;
+        try {
+          await this.fhirClient.patch({
+            resourceType: 'Patient', searchParams: { identifier: 'mrn|42' }, JSONPatch: [],
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(scope.isDone()).to.be.true;
+        expect(error).to.be.an.instanceof(Client.MultipleMatchesError);
+      });
+
+      it('deletes by search', async function () {
+        const scope = nock(this.baseUrl)
+          .delete('/Observation?status=entered-in-error')
+          .reply(204);
+
+        await this.fhirClient.delete({
+          resourceType: 'Observation', searchParams: { status: 'entered-in-error' },
+        });
+
+        expect(scope.isDone()).to.be.true;
+      });
+
+      it('rejects conditional deletes with several matches', async function () {
+        nock(this.baseUrl)
+          .delete('/Observation?status=entered-in-error')
+          .reply(412, multipleMatches);
+
+        let error;
+        try {
+          await this.fhirClient.delete({
+            resourceType: 'Observation', searchParams: { status: 'entered-in-error' },
+          });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.be.an.instanceof(Client.MultipleMatchesError);
+      });
+
+      it('deletes each match when the server refuses a multiple delete', async function () {
+        const scope = nock(this.baseUrl)
+          .delete('/Observation?status=entered-in-error')
+          .reply(412, multipleMatches)
+          .get('/Observation?status=entered-in-error')
+          .reply(200, {
+            resourceType: 'Bundle',
+            type: 'searchset',
+            entry: [
+              { resource: { resourceType: 'Observation', id: 'a' }, search: { mode: 'match' } },
+              { resource: { resourceType: 'Observation', id: 'b' }, search: { mode: 'match' } },
+              { resource: { resourceType: 'Patient', id: 'p' }, search: { mode: 'include' } },
+            ],
+          })
+          .post('/', (bundle) => bundle.type === 'batch'
+            && bundle.entry.map(({ request }) => request.url).join() === 'Observation/a,Observation/b'
+            && bundle.entry.every(({ request }) => request.method === 'DELETE'))
+          .reply(200, {
+            resourceType: 'Bundle',
+            type: 'batch-response',
+            entry: [{ response: { status: '204' } }, { response: { status: '204' } }],
+          });
+
+        const response = await this.fhirClient.delete({
+          resourceType: 'Observation',
+          searchParams: { status: 'entered-in-error' },
+          multiple: true,
+        });
+
+        expect(scope.isDone()).to.be.true;
+        expect(response.type).to.equal('batch-response');
+      });
+
+      it('does not take both an id and search params', function () {
+        expect(() => this.fhirClient.delete({
+          resourceType: 'Patient', id: '1', searchParams: { identifier: 'mrn|42' },
+        })).to.throw('Conditional delete with search params cannot be with id');
+      });
     });
 
     describe('#batch', function () {
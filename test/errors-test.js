@@ -0,0 +1,130 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { readFixture, readStreamFor } = require('./test-utils');
+
+const {
+  FhirRequestError,
+  NotFoundError,
+  GoneError,
+  ConflictError,
+  PreconditionFailedError,
+  UnauthorizedError,
+  RateLimitedError,
+  SearchWarningError,
+} = Client;
+
+describe('errors', function () {
+  const details = {
+    status: 404,
+    data: readFixture('patient-not-found.json'),
+    method: 'GET',
+    url: 'https://example.com/Patient/abcdefg',
+  };
+
+  describe('FhirRequestError.from', function () {
+    it('builds the subclass for the status', function () {
+      expect(FhirRequestError.from({ ...details, status: 401 }))
+        .to.be.an.instanceof(UnauthorizedError);
+      expect(FhirRequestError.from({ ...details, status: 404 })).to.be.an.instanceof(NotFoundError);
+      expect(FhirRequestError.from({ ...details, status: 409 })).to.be.an.instanceof(ConflictError);
+      expect(FhirRequestError.from({ ...details, status: 410 })).to.be.an.instanceof(GoneError);
+      expect(FhirRequestError.from({ ...details, status: 412 }))
+        .to.be.an.instanceof(PreconditionFailedError);
+      expect(FhirRequestError.from({ ...details, status: 429 }))
+        .to.be.an.instanceof(RateLimitedError);
+    });
+
+    it('falls back to the base class', function () {
+      const error = FhirRequestError.from({ ...details, status: 500 });
+      expect(error.constructor).to.equal(FhirRequestError);
+      expect(error).to.be.an.instanceof(Error);
+    });
+  });
+
+  describe('FhirRequestError', function () {
+    it('keeps the response and config fields', function () {
+      const error = new NotFoundError(details);
+
+      expect(error.response).to.deep.equal({ status: 404, data: details.data });
+      expect(error.config).to.deep.equal({ method: 'GET', url: details.url, headers: undefined });
+      expect(error.status).to.equal(404);
+    });
+
+    it('parses the OperationOutcome issues', function () {
+      const error = new NotFoundError(details);
+
+      expect(error.name).to.equal('NotFoundError');
+      expect(error.operationOutcome).to.equal(details.data);
+      expect(error.issues).to.deep.equal([{
+        severity: 'error',
+        code: 'processing',
+        diagnostics: 'Resource Patient/abcdefg is not known',
+        expression: [],
+        details: undefined,
+      }]);
+      expect(error.message).to.equal('GET https://example.com/Patient/abcdefg failed with status 404: Resource Patient/abcdefg is not known');
+      expect(error.stack).to.be.a('string');
+    });
+
+    it('handles bodies that are not an OperationOutcome', function () {
+      const error = new FhirRequestError({ ...details, status: 500, data: 'Server error' });
+
+      expect(error.operationOutcome).to.be.undefined;
+      expect(error.issues).to.deep.equal([]);
+      expect(error.message).to.equal('GET https://example.com/Patient/abcdefg failed with status 500');
+    });
+  });
+
+  describe('RateLimitedError', function () {
+    it('exposes Retry-After in milliseconds', function () {
+      const headers = { get: (name) => (name === 'retry-after' ? '30' : null) };
+      const error = new RateLimitedError({ ...details, status: 429, headers });
+
+      expect(error.retryAfter).to.equal(30000);
+    });
+  });
+
+  describe('SearchWarningError', function () {
+    it('reports the warnings of a search', function () {
+      const bundle = { resourceType: 'Bundle', type: 'searchset' };
+      const error = new SearchWarningError({
+        status: 200,
+        data: {
+          resourceType: 'OperationOutcome',
+          issue: [{ severity: 'warning', code: 'not-supported', diagnostics: 'Unknown parameter foo' }],
+        },
+        method: 'GET',
+        url: 'https://example.com/Patient?foo=bar',
+        bundle,
+      });
+
+      expect(error).to.be.an.instanceof(FhirRequestError);
+      expect(error.message).to.equal('GET https://example.com/Patient?foo=bar returned warnings: Unknown parameter foo');
+      expect(error.issues[0].severity).to.equal('warning');
+      expect(error.bundle).to.equal(bundle);
+    });
+  });
+
+  describe('Client', function () {
+    it('throws typed errors', async function () {
+      nock('https://example.com')
+        .get('/Patient/abcdef')
+        .reply(404, () => readStreamFor('patient-not-found.json'));
+
+      const client = new Client({ baseUrl: 'https://example.com' });
+      let error;
+      try {
+        await client.read({ resourceType: 'Patient', id: 'abcdef' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(NotFoundError);
+      expect(error.response.status).to.equal(404);
+      expect(error.issues[0].severity).to.equal('error');
+    });
+  });
+});
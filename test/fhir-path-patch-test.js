@@ -0,0 +1,163 @@
+/* eslint-disable func-names, newline-per-chained-call */
+const { expect } = require('chai');
+
+const FhirPathPatch = require('../lib/fhir-path-patch');
+
+describe('FhirPathPatch', function () {
+  describe('#toParameters', function () {
+    it('builds an operation parameter per change', function () {
+      const parameters = new FhirPathPatch()
+        .add('Patient', 'birthDate', { valueDate: '1970-01-01' })
+        .insert('Patient.name[0].given', 'Jo', 0)
+        .delete('Patient.telecom[1]')
+        .replace('Patient.active', false)
+        .move('Patient.name', 1, 0)
+        .toParameters();
+
+      expect(parameters).to.deep.equal({
+        resourceType: 'Parameters',
+        parameter: [
+          {
+            name: 'operation',
+            part: [
+              { name: 'type', valueCode: 'add' },
+              { name: 'path', valueString: 'Patient' },
+              { name: 'name', valueString: 'birthDate' },
+              { name: 'value', valueDate: '1970-01-01' },
+            ],
+          },
+          {
+            name: 'operation',
+            part: [
+              { name: 'type', valueCode: 'insert' },
+              { name: 'path', valueString: 'Patient.name[0].given' },
+              { name: 'index', valueInteger: 0 },
+              { name: 'value', valueString: 'Jo' },
+            ],
+          },
+          {
+            name: 'operation',
+            part: [
+              { name: 'type', valueCode: 'delete' },
+              { name: 'path', valueString: 'Patient.telecom[1]' },
+            ],
+          },
+          {
+            name: 'operation',
+            part: [
+              { name: 'type', valueCode: 'replace' },
+              { name: 'path', valueString: 'Patient.active' },
+              { name: 'value', valueBoolean: false },
+            ],
+          },
+          {
+            name: 'operation',
+            part: [
+              { name: 'type', valueCode: 'move' },
+              { name: 'path', valueString: 'Patient.name' },
+              { name: 'source', valueInteger: 1 },
+              { name: 'destination', valueInteger: 0 },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('sends complex values as parts', function () {
+      const [operation] = new FhirPathPatch()
+        .add('Patient', 'contact', { name: { family: 'Doe', given: ['Jo', 'Ann'] }, gender: 'other' })
+        .toParameters().parameter;
+
+      expect(operation.part[3]).to.deep.equal({
+        name: 'value',
+        part: [
+          {
+            name: 'name',
+            part: [
+              { name: 'family', valueString: 'Doe' },
+              { name: 'given', valueString: 'Jo' },
+              { name: 'given', valueString: 'Ann' },
+            ],
+          },
+          { name: 'gender', valueString: 'other' },
+        ],
+      });
+    });
+
+    it('rejects values it cannot type', function () {
+      expect(() => new FhirPathPatch().replace('Patient.name', ['Jo']))
+        .to.throw('Unsupported FHIRPath Patch value ["Jo"]');
+      expect(() => new FhirPathPatch().replace('Patient.active', null))
+        .to.throw('Unsupported FHIRPath Patch value null');
+    });
+  });
+
+  describe('.parametersFor', function () {
+    it('takes builders and Parameters resources', function () {
+      const patch = new FhirPathPatch().delete('Patient.photo');
+
+      expect(FhirPathPatch.parametersFor(patch)).to.deep.equal(patch.toParameters());
+      expect(FhirPathPatch.parametersFor(patch.toParameters())).to.deep.equal(patch.toParameters());
+    });
+  });
+
+  describe('.fromJSONPatch', function () {
+    it('converts the operations with a FHIRPath equivalent', function () {
+      const patch = FhirPathPatch.fromJSONPatch('Patient', [
+        { op: 'replace', path: '/name/0/family', value: 'Doe' },
+        { op: 'add', path: '/name/0/given/-', value: 'Jo' },
+        { op: 'add', path: '/name/0/given/0', value: 'Ann' },
+        { op: 'add', path: '/gender', value: 'female' },
+        { op: 'remove', path: '/telecom/1' },
+        { op: 'move', from: '/name/1', path: '/name/0' },
+      ]);
+
+      const expected = new FhirPathPatch()
+        .replace('Patient.name[0].family', 'Doe')
+        .add('Patient.name[0]', 'given', 'Jo')
+        .insert('Patient.name[0].given', 'Ann', 0)
+        .add('Patient', 'gender', 'female')
+        .delete('Patient.telecom[1]')
+        .move('Patient.name', 1, 0);
+      expect(patch.toParameters()).to.deep.equal(expected.toParameters());
+    });
+
+    it('sends strings as valueString and keeps typed values', function () {
+      const parameters = FhirPathPatch.fromJSONPatch('Patient', [
+        { op: 'replace', path: '/birthDate', value: '1970-01-01' },
+        { op: 'replace', path: '/gender', value: { valueCode: 'female' } },
+      ]).toParameters();
+
+      expect(parameters.parameter.map(({ part }) => part[part.length - 1])).to.deep.equal([
+        { name: 'value', valueString: '1970-01-01' },
+        { name: 'value', valueCode: 'female' },
+      ]);
+    });
+
+    it('rejects segments that are not element names', function () {
+      expect(() => FhirPathPatch.fromJSONPatch('Patient', [{ op: 'remove', path: '/a~1b' }]))
+        .to.throw('JSON Patch operation remove /a~1b has no FHIRPath Patch equivalent');
+    });
+
+    it('rejects operations without an equivalent', function () {
+      const rejected = [
+        { op: 'test', path: '/active', value: true },
+        { op: 'copy', from: '/name/0', path: '/name/1' },
+        { op: 'move', from: '/name/0', path: '/contact/0' },
+        { op: 'move', from: '/gender', path: '/active' },
+        { op: 'replace', path: '/-', value: 1 },
+        { op: 'add', path: '/name/0/-', value: 1 },
+      ];
+
+      rejected.forEach((operation) => {
+        expect(() => FhirPathPatch.fromJSONPatch('Patient', [operation]))
+          .to.throw(`JSON Patch operation ${operation.op} ${operation.path} has no FHIRPath Patch equivalent`);
+      });
+    });
+
+    it('rejects invalid paths', function () {
+      expect(() => FhirPathPatch.fromJSONPatch('Patient', [{ op: 'remove', path: 'active' }]))
+        .to.throw('Invalid JSON Patch path active');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+
+const {
+  anyRelease,
+  fhirReleases,
+  mimeVersionFor,
+  registryFor,
+} = require('../lib/fhir-registry');
+
+describe('fhir-registry', function () {
+  describe('registryFor', function () {
+    it('finds releases by name', function () {
+      expect(registryFor('R4')).to.equal(fhirReleases.R4);
+      expect(registryFor('r4b')).to.equal(fhirReleases.R4B);
+      expect(registryFor('DSTU2').version).to.equal('1.0.2');
+    });
+
+    it('finds releases by version', function () {
+      expect(registryFor('4.0.1')).to.equal(fhirReleases.R4);
+      expect(registryFor('4.3.0')).to.equal(fhirReleases.R4B);
+      expect(registryFor('5.0.0')).to.equal(fhirReleases.R5);
+      expect(registryFor('3.0.2')).to.equal(fhirReleases.STU3);
+      expect(registryFor('1.0.2')).to.equal(fhirReleases.DSTU2);
+    });
+
+    it('maps ballot versions to their release', function () {
+      expect(registryFor('3.3.0')).to.equal(fhirReleases.R4);
+      expect(registryFor('5.0.0-ballot')).to.equal(fhirReleases.R5);
+    });
+
+    it('returns undefined for unknown versions', function () {
+      expect(registryFor('6.0.0')).to.be.undefined;
+      expect(registryFor('R6')).to.be.undefined;
+      expect(registryFor()).to.be.undefined;
+    });
+  });
+
+  describe('mimeVersionFor', function () {
+    it('returns the major.minor version', function () {
+      expect(mimeVersionFor('4.0.1')).to.equal('4.0');
+      expect(mimeVersionFor('R4B')).to.equal('4.3');
+      expect(mimeVersionFor('r5')).to.equal('5.0');
+      expect(mimeVersionFor('3.3.0')).to.equal('3.3');
+      expect(mimeVersionFor('9.9')).to.be.undefined;
+    });
+  });
+
+  describe('fhirReleases', function () {
+    it('has the resource types of each release', function () {
+      expect(fhirReleases.DSTU2.resourceTypes.has('MedicationOrder')).to.be.true;
+      expect(fhirReleases.R4.resourceTypes.has('MedicationOrder')).to.be.false;
+      expect(fhirReleases.R4.resourceTypes.has('MedicinalProduct')).to.be.true;
+      expect(fhirReleases.R4B.resourceTypes.has('MedicinalProduct')).to.be.false;
+      expect(fhirReleases.R4B.resourceTypes.has('SubscriptionTopic')).to.be.true;
+      expect(fhirReleases.R5.resourceTypes.has('Transport')).to.be.true;
+      expect(fhirReleases.R5.resourceTypes.has('DeviceUseStatement')).to.be.false;
+    });
+
+    it('has the data types and compartments of each release', function () {
+      expect(fhirReleases.R4.dataTypes.has('Quantity')).to.be.true;
+      expect(fhirReleases.R4.compartments.has('Patient')).to.be.true;
+      expect(fhirReleases.R4.compartments.has('EpisodeOfCare')).to.be.false;
+      expect(fhirReleases.R5.compartments.has('EpisodeOfCare')).to.be.true;
+    });
+  });
+
+  describe('anyRelease', function () {
+    it('has the resource types of every release', function () {
+      ['MedicationOrder', 'MedicinalProduct', 'Transport'].forEach((resourceType) => {
+        expect(anyRelease.resourceTypes.has(resourceType)).to.be.true;
+      });
+      expect(anyRelease.name).to.be.undefined;
+    });
+  });
+});
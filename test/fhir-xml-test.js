@@ -0,0 +1,323 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { fhirFromXml, fhirToXml, isXmlMediaType } = require('../lib/fhir-xml');
+
+const patientXml = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Example patient -->
+<Patient xmlns="http://hl7.org/fhir">
+  <id value="example"/>
+  <text>
+    <status value="generated"/>
+    <div xmlns="http://www.w3.org/1999/xhtml"><p>Peter &amp; <b>James</b> Chalmers</p><br/></div>
+  </text>
+  <extension url="http://example.org/rank">
+    <valueInteger value="3"/>
+  </extension>
+  <identifier>
+    <system value="urn:oid:1.2.36.146.595.217.0.1"/>
+    <value value="12345"/>
+  </identifier>
+  <active value="true"/>
+  <name>
+    <family value="Chalmers"/>
+    <given value="Peter"/>
+    <given id="g2" value="James">
+      <extension url="http://example.org/preferred">
+        <valueBoolean value="false"/>
+      </extension>
+    </given>
+  </name>
+  <birthDate value="1974-12-25">
+    <extension url="http://hl7.org/fhir/StructureDefinition/patient-birthTime">
+      <valueDateTime value="1974-12-25T14:35:45-05:00"/>
+    </extension>
+  </birthDate>
+  <contained>
+    <Organization>
+      <id value="org"/>
+      <name value="Clinic &quot;North&quot;&#10;Wing"/>
+    </Organization>
+  </contained>
+  <managingOrganization>
+    <reference value="#org"/>
+  </managingOrganization>
+</Patient>`;
+
+const patient = {
+  resourceType: 'Patient',
+  id: 'example',
+  text: {
+    status: 'generated',
+    div: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Peter &amp; <b>James</b> Chalmers</p><br/></div>',
+  },
+  extension: [{ url: 'http://example.org/rank', valueInteger: 3 }],
+  identifier: [{ system: 'urn:oid:1.2.36.146.595.217.0.1', value: '12345' }],
+  active: true,
+  name: [{
+    family: 'Chalmers',
+    given: ['Peter', 'James'],
+    _given: [null, {
+      id: 'g2',
+      extension: [{ url: 'http://example.org/preferred', valueBoolean: false }],
+    }],
+  }],
+  birthDate: '1974-12-25',
+  _birthDate: {
+    extension: [{
+      url: 'http://hl7.org/fhir/StructureDefinition/patient-birthTime',
+      valueDateTime: '1974-12-25T14:35:45-05:00',
+    }],
+  },
+  contained: [{ resourceType: 'Organization', id: 'org', name: 'Clinic "North"\nWing' }],
+  managingOrganization: { reference: '#org' },
+};
+
+describe('FHIR XML', function () {
+  describe('fhirFromXml', function () {
+    it('parses resources into the JSON object model', function () {
+      expect(fhirFromXml(patientXml)).to.deep.equal(patient);
+    });
+
+    it('parses Bundle entries and Quantity values', function () {
+      const bundle = fhirFromXml(`<Bundle xmlns="http://hl7.org/fhir">
+        <type value="searchset"/>
+        <total value="1"/>
+        <entry>
+          <resource>
+            <Observation>
+              <subject><reference value="Patient/1"/><identifier><value value="7"/></identifier></subject>
+              <valueQuantity><value value="6.30"/><unit value="mmol/l"/></valueQuantity>
+            </Observation>
+          </resource>
+        </entry>
+      </Bundle>`);
+
+      expect(bundle).to.deep.equal({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: 1,
+        entry: [{
+          resource: {
+            resourceType: 'Observation',
+            subject: { reference: 'Patient/1', identifier: { value: '7' } },
+            valueQuantity: { value: 6.3, unit: 'mmol/l' },
+          },
+        }],
+      });
+    });
+
+    it('takes arrays from the element definitions', function () {
+      const condition = fhirFromXml(`<Condition xmlns="http://hl7.org/fhir">
+        <bodySite><text value="Left arm"/></bodySite>
+        <subject><reference value="Patient/1"/></subject>
+      </Condition>`);
+      const valueSet = fhirFromXml(`<ValueSet xmlns="http://hl7.org/fhir">
+        <compose><include><system value="http://loinc.org"/><concept><code value="8480-6"/></concept></include></compose>
+      </ValueSet>`);
+
+      expect(condition.bodySite).to.deep.equal([{ text: 'Left arm' }]);
+      expect(condition.subject).to.deep.equal({ reference: 'Patient/1' });
+      expect(valueSet.compose.include[0].concept[0].code).to.equal('8480-6');
+    });
+
+    it('converts primitives by their declared type', function () {
+      const report = fhirFromXml(`<DiagnosticReport xmlns="http://hl7.org/fhir">
+        <extension url="http://example.org/flag"><valueString value="true"/></extension>
+        <presentedForm><size value="1024"/><title value="12"/></presentedForm>
+      </DiagnosticReport>`);
+
+      expect(report.extension[0].valueString).to.equal('true');
+      expect(report.presentedForm).to.deep.equal([{ size: 1024, title: '12' }]);
+    });
+
+    it('parses any FHIR R4 resource and data type', function () {
+      const bundle = fhirFromXml(`<Bundle xmlns="http://hl7.org/fhir">
+        <type value="searchset"/>
+        <entry>
+          <resource>
+            <Provenance>
+              <target><reference value="Medication/1"/></target>
+              <recorded value="2020-01-01T00:00:00Z"/>
+              <agent><who><reference value="Practitioner/1"/></who></agent>
+            </Provenance>
+          </resource>
+        </entry>
+      </Bundle>`);
+      const medication = fhirFromXml(`<Medication xmlns="http://hl7.org/fhir">
+        <extension url="http://example.org/trigger">
+          <valueTriggerDefinition><type value="named-event"/><name value="refill"/></valueTriggerDefinition>
+        </extension>
+        <ingredient><itemReference><reference value="Substance/1"/></itemReference><isActive value="true"/></ingredient>
+      </Medication>`);
+
+      expect(bundle.entry[0].resource).to.deep.equal({
+        resourceType: 'Provenance',
+        target: [{ reference: 'Medication/1' }],
+        recorded: '2020-01-01T00:00:00Z',
+        agent: [{ who: { reference: 'Practitioner/1' } }],
+      });
+      expect(medication).to.deep.equal({
+        resourceType: 'Medication',
+        extension: [{
+          url: 'http://example.org/trigger',
+          valueTriggerDefinition: { type: 'named-event', name: 'refill' },
+        }],
+        ingredient: [{ itemReference: { reference: 'Substance/1' }, isActive: true }],
+      });
+    });
+
+    it('reads elements without a definition generically', function () {
+      const extended = fhirFromXml(`<Patient xmlns="http://hl7.org/fhir">
+        <color value="12"/>
+        <alias><text value="Pete"/></alias><alias><text value="P."/></alias>
+      </Patient>`);
+      const future = fhirFromXml(`<FutureResource xmlns="http://hl7.org/fhir">
+        <id value="1"/>
+        <extension url="http://example.org/flag"><valueBoolean value="true"/></extension>
+        <status value="active"/>
+      </FutureResource>`);
+
+      expect(extended).to.deep.equal({
+        resourceType: 'Patient',
+        color: '12',
+        alias: [{ text: 'Pete' }, { text: 'P.' }],
+      });
+      expect(future).to.deep.equal({
+        resourceType: 'FutureResource',
+        id: '1',
+        extension: [{ url: 'http://example.org/flag', valueBoolean: true }],
+        status: 'active',
+      });
+    });
+
+    it('rejects malformed XML', function () {
+      expect(() => fhirFromXml('<Patient><id value="1"></Patient>'))
+        .to.throw(SyntaxError, 'Invalid FHIR XML: unexpected </Patient>');
+      expect(() => fhirFromXml('<Patient>')).to.throw(SyntaxError);
+    });
+  });
+
+  describe('fhirToXml', function () {
+    it('serializes resources that parse back to the same JSON', function () {
+      const xml = fhirToXml(patient);
+
+      expect(xml).to.match(/^<Patient xmlns="http:\/\/hl7.org\/fhir"><id value="example"\/><text>/);
+      expect(xml).to.include('<given id="g2" value="James"><extension url="http://example.org/preferred"><valueBoolean value="false"/></extension></given>');
+      expect(xml).to.include('<contained><Organization><id value="org"/>');
+      expect(fhirFromXml(xml)).to.deep.equal(patient);
+    });
+
+    it('writes elements in the order of the definitions', function () {
+      const xml = fhirToXml({
+        resourceType: 'Patient',
+        name: [{ given: ['Peter'], family: 'Chalmers' }],
+        id: 'example',
+        meta: { versionId: '1' },
+      });
+
+      expect(xml).to.equal('<Patient xmlns="http://hl7.org/fhir"><id value="example"/><meta><versionId value="1"/></meta><name><family value="Chalmers"/><given value="Peter"/></name></Patient>');
+    });
+
+    it('serializes any FHIR R4 resource and data type', function () {
+      const medication = {
+        resourceType: 'Medication',
+        ingredient: [{ isActive: true, itemReference: { reference: 'Substance/1' } }],
+        extension: [{
+          url: 'http://example.org/trigger',
+          valueTriggerDefinition: { name: 'refill', type: 'named-event' },
+        }],
+      };
+      const xml = fhirToXml(medication);
+
+      expect(xml).to.equal('<Medication xmlns="http://hl7.org/fhir"><extension url="http://example.org/trigger"><valueTriggerDefinition><type value="named-event"/><name value="refill"/></valueTriggerDefinition></extension><ingredient><itemReference><reference value="Substance/1"/></itemReference><isActive value="true"/></ingredient></Medication>');
+      expect(fhirFromXml(xml)).to.deep.equal(medication);
+    });
+
+    it('writes properties without a definition in the order of the object', function () {
+      const xml = fhirToXml({
+        resourceType: 'Patient',
+        color: 'red',
+        id: 'example',
+        alias: [{ text: 'Pete' }],
+      });
+      const future = fhirToXml({ resourceType: 'FutureResource', status: 'active', id: '1' });
+
+      expect(xml).to.equal('<Patient xmlns="http://hl7.org/fhir"><id value="example"/><color value="red"/><alias><text value="Pete"/></alias></Patient>');
+      expect(future).to.equal('<FutureResource xmlns="http://hl7.org/fhir"><id value="1"/><status value="active"/></FutureResource>');
+    });
+  });
+
+  describe('isXmlMediaType', function () {
+    it('recognizes XML content types', function () {
+      expect(isXmlMediaType('application/fhir+xml;charset=UTF-8')).to.be.true;
+      expect(isXmlMediaType('text/xml')).to.be.true;
+      expect(isXmlMediaType('application/fhir+json')).to.be.false;
+    });
+  });
+
+  describe('format option', function () {
+    const baseUrl = 'https://example.com';
+
+    afterEach(function () {
+      nock.cleanAll();
+    });
+
+    it('sends and receives XML with format xml', async function () {
+      let body;
+      nock(baseUrl)
+        .matchHeader('accept', 'application/fhir+xml')
+        .matchHeader('content-type', 'application/fhir+xml')
+        .put('/Patient/example', (requestBody) => { body = requestBody; return true; })
+        .reply(200, patientXml, { 'Content-Type': 'application/fhir+xml;charset=UTF-8' });
+
+      const client = new Client({ baseUrl, format: 'xml' });
+      const response = await client.update({ resourceType: 'Patient', id: 'example', body: patient });
+
+      expect(body).to.equal(fhirToXml(patient));
+      expect(response).to.deep.equal(patient);
+    });
+
+    it('takes the format per request', async function () {
+      nock(baseUrl)
+        .matchHeader('accept', 'application/fhir+xml')
+        .get('/Patient/example')
+        .reply(200, patientXml, { 'Content-Type': 'application/fhir+xml' });
+
+      const client = new Client({ baseUrl });
+      const response = await client.read({
+        resourceType: 'Patient',
+        id: 'example',
+        options: { format: 'xml' },
+      });
+
+      expect(response.name[0].given).to.deep.equal(['Peter', 'James']);
+    });
+
+    it('reads XML OperationOutcomes of errors', async function () {
+      nock(baseUrl)
+        .get('/Patient/missing')
+        .reply(404, `<OperationOutcome xmlns="http://hl7.org/fhir">
+          <issue><severity value="error"/><code value="not-found"/></issue>
+        </OperationOutcome>`, { 'Content-Type': 'application/fhir+xml' });
+
+      const client = new Client({ baseUrl, format: 'xml' });
+      let error;
+      try {
+        await client.read({ resourceType: 'Patient', id: 'missing' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(Client.NotFoundError);
+      expect(error.issues).to.have.length(1);
+      expect(error.issues[0].code).to.equal('not-found');
+    });
+
+    it('rejects unknown formats', function () {
+      expect(() => new Client({ baseUrl, format: 'turtle' })).to.throw('Unsupported format turtle');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/* eslint-disable func-names, no-unused-expressions, no-param-reassign */
+/* global Response */
+const nock = require('nock');
+const { expect } = require('chai');
+const Client = require('../lib/client');
+
+describe('Client with middleware', function () {
+  const baseUrl = 'https://example.com/fhir';
+  const patient = { resourceType: 'Patient', id: '1' };
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  it('gives the hooks the request and the context of the client method', async function () {
+    const seen = [];
+    const client = new Client({
+      baseUrl,
+      middleware: [{
+        beforeRequest: async ({ request, context }) => { seen.push({ ...request, context }); },
+      }],
+    });
+    nock(baseUrl).get('/Patient/1').reply(200, patient);
+
+    await client.read({ resourceType: 'Patient', id: '1', options: { context: { user: 'jo' } } });
+
+    expect(seen).to.deep.equal([{
+      method: 'GET',
+      url: `${baseUrl}/Patient/1`,
+      headers: {},
+      body: undefined,
+      context: {
+        user: 'jo', interaction: 'read', resourceType: 'Patient', id: '1',
+      },
+    }]);
+  });
+
+  it('sends the url and headers the beforeRequest hooks set', async function () {
+    const client = new Client({ baseUrl }).use({
+      beforeRequest: async ({ request }) => {
+        request.url = request.url.replace('/fhir/', '/fhir-proxy/');
+        request.headers['x-request-id'] = 'abc';
+      },
+    });
+    const scope = nock('https://example.com')
+      .matchHeader('x-request-id', 'abc')
+      .get('/fhir-proxy/Patient')
+      .query({ name: 'Smith' })
+      .reply(200, { resourceType: 'Bundle' });
+
+    await client.search({ resourceType: 'Patient', searchParams: { name: 'Smith' } });
+
+    expect(scope.isDone()).to.be.true;
+  });
+
+  it('uses the canned response of a beforeRequest hook', async function () {
+    const contexts = [];
+    const client = new Client({ baseUrl })
+      .use({ beforeRequest: async () => new Response(JSON.stringify(patient), { status: 200 }) })
+      .use({ beforeRequest: async ({ context }) => { contexts.push(context); } });
+
+    const response = await client.read({ resourceType: 'Patient', id: '1' });
+
+    expect(response).to.deep.equal(patient);
+    expect(Client.httpFor(response).response.status).to.equal(200);
+    expect(contexts).to.be.empty;
+  });
+
+  it('runs the afterResponse hooks in reverse order', async function () {
+    const order = [];
+    const client = new Client({
+      baseUrl,
+      middleware: [
+        { afterResponse: async () => { order.push('first'); } },
+        {
+          afterResponse: async ({ response, context }) => {
+            order.push('second');
+            expect(context.interaction).to.equal('create');
+            expect(response.status).to.equal(201);
+            return new Response(JSON.stringify({ ...patient, id: '2' }), { status: 201 });
+          },
+        },
+      ],
+    });
+    nock(baseUrl).post('/Patient').reply(201, patient);
+
+    const response = await client.create({ resourceType: 'Patient', body: patient });
+
+    expect(order).to.deep.equal(['second', 'first']);
+    expect(response.id).to.equal('2');
+  });
+
+  it('lets onError hooks replace errors or give a result', async function () {
+    const client = new Client({ baseUrl })
+      .use({
+        onError: async ({ error }) => (error.status === 410 ? null : undefined),
+      })
+      .use({
+        onError: async ({ error, context }) => {
+          if (error.status === 404) {
+            throw new Error(`No ${context.resourceType} ${context.id}`);
+          }
+        },
+      });
+    nock(baseUrl)
+      .get('/Patient/gone')
+      .reply(410, {})
+      .get('/Patient/missing')
+      .reply(404, {})
+      .get('/Patient/broken')
+      .reply(500, {});
+
+    const gone = await client.read({ resourceType: 'Patient', id: 'gone' });
+    const missing = await client.read({ resourceType: 'Patient', id: 'missing' }).catch((e) => e);
+    const broken = await client.read({ resourceType: 'Patient', id: 'broken' }).catch((e) => e);
+
+    expect(gone).to.be.null;
+    expect(missing.message).to.equal('No Patient missing');
+    expect(broken).to.be.an.instanceof(Client.FhirRequestError);
+  });
+
+  it('runs for streamed responses', async function () {
+    const contexts = [];
+    const client = new Client({ baseUrl }).use({
+      afterResponse: async ({ context }) => { contexts.push(context); },
+    });
+    nock(baseUrl)
+      .get('/Binary/1')
+      .reply(200, 'content', { 'Content-Type': 'text/plain' });
+
+    const { content } = await client.readBinary({ id: '1' });
+
+    expect(content.toString()).to.equal('content');
+    expect(contexts).to.deep.equal([{ interaction: 'read', resourceType: 'Binary', id: '1' }]);
+  });
+
+  it('skips the afterResponse hooks for fresh cached responses', async function () {
+    let responses = 0;
+    const client = new Client({ baseUrl, cache: true }).use({
+      afterResponse: async () => { responses += 1; },
+    });
+    nock(baseUrl)
+      .get('/Patient/1')
+      .reply(200, patient, { 'Cache-Control': 'max-age=60' });
+
+    await client.read({ resourceType: 'Patient', id: '1' });
+    const cached = await client.read({ resourceType: 'Patient', id: '1' });
+
+    expect(cached).to.deep.equal(patient);
+    expect(responses).to.equal(1);
+  });
+
+  it('rejects middleware without hooks', function () {
+    expect(() => new Client({ baseUrl }).use({ before: () => {} }))
+      .to.throw('Middleware needs a beforeRequest, afterResponse or onError hook');
+  });
+});
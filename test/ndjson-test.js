@@ -0,0 +1,68 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { Readable } = require('stream');
+const { ReadableStream } = require('stream/web');
+const { expect } = require('chai');
+
+const { linesOf, parseNdjson } = require('../lib/ndjson');
+const { collect } = require('./test-utils');
+
+describe('ndjson', function () {
+  const chunks = [
+    '{"resourceType":"Patient","id":"1"}\n{"resourceType":"Pa',
+    'tient","id":"2"}\r\n\n',
+    '{"resourceType":"Patient","id":"3"}',
+  ];
+
+  describe('linesOf', function () {
+    it('splits lines across chunk boundaries', async function () {
+      const body = Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+      const lines = await collect(linesOf(body));
+
+      expect(lines).to.deep.equal([
+        '{"resourceType":"Patient","id":"1"}',
+        '{"resourceType":"Patient","id":"2"}',
+        '{"resourceType":"Patient","id":"3"}',
+      ]);
+    });
+
+    it('decodes multi-byte characters split between chunks', async function () {
+      const bytes = Buffer.from('{"name":"Zoë"}\n');
+      const body = Readable.from([bytes.subarray(0, 12), bytes.subarray(12)]);
+
+      expect(await collect(linesOf(body))).to.deep.equal(['{"name":"Zoë"}']);
+    });
+  });
+
+  describe('parseNdjson', function () {
+    it('parses a Node.js stream', async function () {
+      const resources = await collect(parseNdjson(Readable.from(chunks)));
+
+      expect(resources.map((resource) => resource.id)).to.deep.equal(['1', '2', '3']);
+    });
+
+    it('parses a WHATWG stream', async function () {
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        start(controller) {
+          chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+          controller.close();
+        },
+      });
+      const resources = await collect(parseNdjson(body));
+
+      expect(resources.map((resource) => resource.id)).to.deep.equal(['1', '2', '3']);
+    });
+
+    it('reports the invalid record', async function () {
+      let error;
+      try {
+        await collect(parseNdjson(Readable.from(['{"id":"1"}\n{"id":\n'])));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(SyntaxError);
+      expect(error.message).to.match(/Invalid NDJSON record 2/);
+    });
+  });
+});
@@ -91,4 +91,79 @@ describe('Client with request signer', function () {
         body: { resourceType: 'patient' },
       });
   });
+
+  describe('async', function () {
+    it('awaits the signer and gives it the body bytes and digest', async function () {
+      const signed = [];
+      const fhirClient = new Client({
+        baseUrl,
+        requestSigner: async (url, requestOptions, { body, digest }) => {
+          await new Promise((resolve) => setTimeout(resolve, 1));
+          signed.push({ url, body: body.toString() });
+          requestOptions.headers.set('Content-Digest', Client.contentDigestHeader(digest));
+        },
+      });
+      const scope = nock(baseUrl)
+        .matchHeader('content-digest', 'sha-256=:ts2S8lcz3G7+1MqVQfWVRcY6OcYxDTuHM2P5cMb34MM=:')
+        .post('/Patient', { resourceType: 'Patient' })
+        .reply(201, { resourceType: 'Patient', id: '1' });
+
+      await fhirClient.create({ resourceType: 'Patient', body: { resourceType: 'Patient' } });
+
+      expect(scope.isDone()).to.be.true;
+      expect(signed).to.deep.equal([{
+        url: `${baseUrl}/Patient`,
+        body: '{"resourceType":"Patient"}',
+      }]);
+    });
+
+    it('gives the signer the digest of an empty body', async function () {
+      let signedDigest;
+      const fhirClient = new Client({
+        baseUrl,
+        requestSigner: async (url, requestOptions, { digest }) => {
+          signedDigest = Client.digestHeader(digest);
+        },
+      });
+      nock(baseUrl)
+        .get('/Patient/123')
+        .reply(200, { resourceType: 'Patient', id: '123' });
+
+      await fhirClient.read({ resourceType: 'Patient', id: '123' });
+
+      expect(signedDigest).to.equal('SHA-256=47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=');
+    });
+
+    it('does not sign requests answered from the cache', async function () {
+      let signed = 0;
+      const fhirClient = new Client({
+        baseUrl,
+        cache: true,
+        requestSigner: async () => { signed += 1; },
+      });
+      nock(baseUrl)
+        .get('/Patient/123')
+        .once()
+        .reply(200, { resourceType: 'Patient', id: '123' }, { 'cache-control': 'public, max-age=60' });
+
+      await fhirClient.read({ resourceType: 'Patient', id: '123' });
+      await fhirClient.read({ resourceType: 'Patient', id: '123' });
+      const cached = await fhirClient.read({ resourceType: 'Patient', id: '123' });
+
+      expect(cached.id).to.equal('123');
+      expect(Client.httpFor(cached).request.url).to.equal(`${baseUrl}/Patient/123`);
+      expect(signed).to.equal(1);
+    });
+
+    it('rejects the request when the signer fails', async function () {
+      const fhirClient = new Client({
+        baseUrl,
+        requestSigner: async () => { throw new Error('Key unavailable'); },
+      });
+
+      const error = await fhirClient.read({ resourceType: 'Patient', id: '123' }).catch((e) => e);
+
+      expect(error.message).to.equal('Key unavailable');
+    });
+  });
 });
@@ -0,0 +1,229 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { MemoryCacheStore, ResponseCache, parseCacheControl } = require('../lib/response-cache');
+
+const baseUrl = 'https://example.com/fhir';
+const patient = { resourceType: 'Patient', id: '1' };
+
+describe('response-cache', function () {
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('parseCacheControl', function () {
+    it('parses directives', function () {
+      expect(parseCacheControl('private, max-age=60, no-cache')).to.deep.equal({
+        private: true,
+        'max-age': 60,
+        'no-cache': true,
+      });
+      expect(parseCacheControl(undefined)).to.deep.equal({});
+    });
+  });
+
+  describe('MemoryCacheStore', function () {
+    it('drops the least recently used entry', function () {
+      const store = new MemoryCacheStore({ maxEntries: 2 });
+      store.set('a', 1);
+      store.set('b', 2);
+      store.get('a');
+      store.set('c', 3);
+
+      expect(store.keys()).to.deep.equal(['a', 'c']);
+      expect(store.get('b')).to.be.undefined;
+    });
+  });
+
+  describe('Client with a cache', function () {
+    beforeEach(function () {
+      this.client = new Client({ baseUrl, cache: true });
+    });
+
+    it('serves fresh responses from the cache', async function () {
+      const scope = nock(baseUrl)
+        .get('/Patient/1')
+        .once()
+        .reply(200, patient, { 'cache-control': 'max-age=60' });
+
+      await this.client.read({ resourceType: 'Patient', id: '1' });
+      const cached = await this.client.read({ resourceType: 'Patient', id: '1' });
+
+      expect(scope.isDone()).to.be.true;
+      expect(cached).to.deep.equal(patient);
+      expect(Client.httpFor(cached).response.headers.get('cache-control')).to.equal('max-age=60');
+    });
+
+    it('revalidates stale responses with If-None-Match', async function () {
+      nock(baseUrl)
+        .get('/Patient/1')
+        .reply(200, patient, { etag: 'W/"1"' });
+      nock(baseUrl)
+        .matchHeader('if-none-match', 'W/"1"')
+        .get('/Patient/1')
+        .reply(304);
+
+      await this.client.read({ resourceType: 'Patient', id: '1' });
+      const revalidated = await this.client.read({ resourceType: 'Patient', id: '1' });
+
+      expect(revalidated).to.deep.equal(patient);
+      expect(Client.httpFor(revalidated).response.status).to.equal(200);
+    });
+
+    it('revalidates with If-Modified-Since', async function () {
+      const lastModified = 'Tue, 01 Oct 2024 10:00:00 GMT';
+      nock(baseUrl)
+        .get('/Patient/1')
+        .reply(200, patient, { 'last-modified': lastModified });
+      const scope = nock(baseUrl)
+        .matchHeader('if-modified-since', lastModified)
+        .get('/Patient/1')
+        .reply(200, { ...patient, active: true }, { 'last-modified': lastModified });
+
+      await this.client.read({ resourceType: 'Patient', id: '1' });
+      const updated = await this.client.read({ resourceType: 'Patient', id: '1' });
+
+      expect(scope.isDone()).to.be.true;
+      expect(updated.active).to.be.true;
+    });
+
+    it('does not store responses marked no-store', async function () {
+      const scope = nock(baseUrl)
+        .get('/Patient/1')
+        .twice()
+        .reply(200, patient, { 'cache-control': 'no-store', etag: 'W/"1"' });
+
+      await this.client.read({ resourceType: 'Patient', id: '1' });
+      await this.client.read({ resourceType: 'Patient', id: '1' });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('bypasses the cache with the no-store cache mode', async function () {
+      const scope = nock(baseUrl)
+        .get('/Patient/1')
+        .twice()
+        .reply(200, patient, { 'cache-control': 'max-age=60' });
+
+      await this.client.read({ resourceType: 'Patient', id: '1' });
+      await this.client.read({ resourceType: 'Patient', id: '1', options: { cache: 'no-store' } });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('drops the resource and the searches of its type after a write', async function () {
+      const cacheHeaders = { 'cache-control': 'max-age=60' };
+      nock(baseUrl)
+        .get('/Patient/1')
+        .twice()
+        .reply(200, patient, cacheHeaders)
+        .get('/Patient?name=smith')
+        .twice()
+        .reply(200, { resourceType: 'Bundle' }, cacheHeaders)
+        .get('/Observation/2')
+        .once()
+        .reply(200, { resourceType: 'Observation', id: '2' }, cacheHeaders)
+        .put('/Patient/1')
+        .reply(200, patient);
+
+      const reads = () => Promise.all([
+        this.client.read({ resourceType: 'Patient', id: '1' }),
+        this.client.search({ resourceType: 'Patient', searchParams: { name: 'smith' } }),
+        this.client.read({ resourceType: 'Observation', id: '2' }),
+      ]);
+      await reads();
+      await this.client.update({ resourceType: 'Patient', id: '1', body: patient });
+      await reads();
+
+      expect(nock.isDone()).to.be.true;
+    });
+
+    it('drops the compartment searches of the written type', async function () {
+      const cacheHeaders = { 'cache-control': 'max-age=60' };
+      const bundle = { resourceType: 'Bundle' };
+      nock(baseUrl)
+        .get('/Patient/1/Observation?code=x')
+        .twice()
+        .reply(200, bundle, cacheHeaders)
+        .get('/Patient/1/Condition')
+        .once()
+        .reply(200, bundle, cacheHeaders)
+        .put('/Observation/2')
+        .reply(200, { resourceType: 'Observation', id: '2' });
+
+      const compartment = { resourceType: 'Patient', id: '1' };
+      const reads = () => Promise.all([
+        this.client.search({ resourceType: 'Observation', compartment, searchParams: { code: 'x' } }),
+        this.client.search({ resourceType: 'Condition', compartment }),
+      ]);
+      await reads();
+      await this.client.update({
+        resourceType: 'Observation', id: '2', body: { resourceType: 'Observation', id: '2' },
+      });
+      await reads();
+
+      expect(nock.isDone()).to.be.true;
+    });
+
+    it('works with asynchronous stores', async function () {
+      const entries = new Map();
+      const store = {
+        get: async (key) => entries.get(key),
+        set: async (key, entry) => entries.set(key, JSON.parse(JSON.stringify(entry))),
+        delete: async (key) => entries.delete(key),
+        keys: async () => [...entries.keys()],
+      };
+      const cache = new ResponseCache({ store });
+      const client = new Client({ baseUrl, cache });
+      nock(baseUrl)
+        .get('/Patient/1')
+        .once()
+        .reply(200, patient, { 'cache-control': 'max-age=60' });
+
+      await client.read({ resourceType: 'Patient', id: '1' });
+      const cached = await new Client({ baseUrl, cache }).read({ resourceType: 'Patient', id: '1' });
+
+      expect(cached).to.deep.equal(patient);
+      expect(entries.size).to.equal(1);
+    });
+
+    it('keeps the responses of one client from other clients', async function () {
+      const cache = new ResponseCache();
+      const clientA = new Client({ baseUrl, cache, bearerToken: 'A' });
+      const clientB = new Client({ baseUrl, cache, bearerToken: 'B' });
+      nock(baseUrl)
+        .matchHeader('authorization', 'Bearer A')
+        .get('/Patient/1')
+        .reply(200, patient, { 'cache-control': 'private, max-age=60' });
+      nock(baseUrl)
+        .matchHeader('authorization', 'Bearer B')
+        .get('/Patient/1')
+        .reply(200, { ...patient, id: 'B' }, { 'cache-control': 'public, max-age=60' });
+
+      await clientA.read({ resourceType: 'Patient', id: '1' });
+      const readByB = await clientB.read({ resourceType: 'Patient', id: '1' });
+      const readAgainByB = await clientB.read({ resourceType: 'Patient', id: '1' });
+
+      expect(readByB.id).to.equal('B');
+      expect(readAgainByB.id).to.equal('B');
+      expect(nock.isDone()).to.be.true;
+      expect(await cache.store.keys()).to.have.length(1);
+    });
+
+    it('keeps private responses in the cache of one client', async function () {
+      const client = new Client({ baseUrl, cache: true, bearerToken: 'A' });
+      const scope = nock(baseUrl)
+        .get('/Patient/1')
+        .once()
+        .reply(200, patient, { 'cache-control': 'private, max-age=60' });
+
+      await client.read({ resourceType: 'Patient', id: '1' });
+      const cached = await client.read({ resourceType: 'Patient', id: '1' });
+
+      expect(scope.isDone()).to.be.true;
+      expect(cached).to.deep.equal(patient);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { RetryPolicy, parseRetryAfter } = require('../lib/retry-policy');
+const { readStreamFor } = require('./test-utils');
+
+describe('RetryPolicy', function () {
+  describe('parseRetryAfter', function () {
+    it('parses delay seconds', function () {
+      expect(parseRetryAfter('120')).to.equal(120000);
+    });
+
+    it('parses an HTTP date', function () {
+      const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:05 GMT', now)).to.equal(5000);
+    });
+
+    it('returns undefined for missing or invalid values', function () {
+      expect(parseRetryAfter(null)).to.be.undefined;
+      expect(parseRetryAfter('soon')).to.be.undefined;
+    });
+  });
+
+  describe('#retryDelay', function () {
+    const policy = new RetryPolicy({ minDelay: 100, jitter: false });
+
+    it('backs off exponentially', function () {
+      expect(policy.retryDelay({ attempt: 1, method: 'GET', status: 503 })).to.equal(100);
+      expect(policy.retryDelay({ attempt: 2, method: 'GET', status: 503 })).to.equal(200);
+    });
+
+    it('stops after maxAttempts', function () {
+      expect(policy.retryDelay({ attempt: 3, method: 'GET', status: 503 })).to.be.undefined;
+    });
+
+    it('does not retry non-idempotent methods by default', function () {
+      expect(policy.retryDelay({ attempt: 1, method: 'POST', status: 503 })).to.be.undefined;
+      expect(policy.retryDelay({ attempt: 1, method: 'PATCH', status: 503 })).to.be.undefined;
+    });
+
+    it('does not retry other statuses', function () {
+      expect(policy.retryDelay({ attempt: 1, method: 'GET', status: 500 })).to.be.undefined;
+    });
+
+    it('honors Retry-After up to maxDelay', function () {
+      expect(policy.retryDelay({
+        attempt: 1, method: 'GET', status: 429, retryAfter: '2',
+      })).to.equal(2000);
+      expect(policy.retryDelay({
+        attempt: 1, method: 'GET', status: 429, retryAfter: '3600',
+      })).to.be.undefined;
+    });
+
+    it('keeps jittered delays within the backoff', function () {
+      const jittered = new RetryPolicy({ minDelay: 100 });
+      const delay = jittered.retryDelay({ attempt: 1, method: 'GET', status: 503 });
+      expect(delay).to.be.at.least(0).and.below(100);
+    });
+
+    it('does not retry aborted requests', function () {
+      const error = new Error('aborted');
+      error.name = 'AbortError';
+      expect(policy.retryDelay({ attempt: 1, method: 'GET', error })).to.be.undefined;
+    });
+  });
+
+  describe('RetryPolicy.for', function () {
+    it('lets a request override or disable the client policy', function () {
+      const clientPolicy = new RetryPolicy({ maxAttempts: 5 });
+      expect(RetryPolicy.for(clientPolicy, undefined)).to.equal(clientPolicy);
+      expect(RetryPolicy.for(clientPolicy, false)).to.be.undefined;
+      const requestPolicy = RetryPolicy.for(clientPolicy, { methods: ['POST'] });
+      expect(requestPolicy.maxAttempts).to.equal(5);
+      expect(requestPolicy.methods).to.deep.equal(['POST']);
+    });
+  });
+});
+
+describe('Client with retry policy', function () {
+  const baseUrl = 'https://example.com';
+  const retry = { minDelay: 1, jitter: false };
+
+  it('retries a read after 503 and network failures', async function () {
+    const scope = nock(baseUrl)
+      .get('/Patient/123')
+      .reply(503)
+      .get('/Patient/123')
+      .replyWithError('socket hang up')
+      .get('/Patient/123')
+      .reply(200, () => readStreamFor('patient.json'));
+
+    const client = new Client({ baseUrl, retry: { ...retry, maxAttempts: 3 } });
+    const patient = await client.read({ resourceType: 'Patient', id: '123' });
+
+    expect(patient.resourceType).to.equal('Patient');
+    expect(scope.isDone()).to.be.true;
+  });
+
+  it('honors Retry-After on 429', async function () {
+    const scope = nock(baseUrl)
+      .get('/Patient/123')
+      .reply(429, '', { 'Retry-After': '0' })
+      .get('/Patient/123')
+      .reply(200, () => readStreamFor('patient.json'));
+
+    const client = new Client({ baseUrl, retry });
+    await client.read({ resourceType: 'Patient', id: '123' });
+
+    expect(scope.isDone()).to.be.true;
+  });
+
+  it('throws the last error when attempts run out', async function () {
+    nock(baseUrl)
+      .get('/Patient/123')
+      .times(2)
+      .reply(503);
+
+    const client = new Client({ baseUrl, retry: { ...retry, maxAttempts: 2 } });
+    let error;
+    try {
+      await client.read({ resourceType: 'Patient', id: '123' });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.response.status).to.equal(503);
+  });
+
+  it('does not retry a create unless POST is allowed', async function () {
+    nock(baseUrl)
+      .post('/Patient')
+      .reply(503);
+
+    const client = new Client({ baseUrl, retry });
+    let error;
+    try {
+      await client.create({ resourceType: 'Patient', body: { resourceType: 'Patient' } });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.response.status).to.equal(503);
+
+    const scope = nock(baseUrl)
+      .post('/Patient')
+      .reply(503)
+      .post('/Patient')
+      .reply(201);
+
+    await client.create({
+      resourceType: 'Patient',
+      body: { resourceType: 'Patient' },
+      options: { retry: { methods: ['POST'] } },
+    });
+    expect(scope.isDone()).to.be.true;
+  });
+
+  it('does not retry without a policy', async function () {
+    nock(baseUrl)
+      .get('/Patient/123')
+      .reply(503);
+
+    const client = new Client({ baseUrl });
+    let error;
+    try {
+      await client.read({ resourceType: 'Patient', id: '123' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.response.status).to.equal(503);
+  });
+});
@@ -0,0 +1,141 @@
+/* eslint-disable func-names, no-unused-expressions, newline-per-chained-call */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+
+describe('SearchBuilder', function () {
+  const baseUrl = 'https://example.com';
+
+  beforeEach(function () {
+    this.client = new Client({ baseUrl });
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('#toSearchParams', function () {
+    it('compiles conditions, includes, sort and count', function () {
+      const searchParams = this.client.searchBuilder('Observation')
+        .where('code').is('http://loinc.org|1234')
+        .and('date').ge('2024-01-01')
+        .and('date').lt(new Date('2024-02-01T00:00:00Z'))
+        .include('Observation:subject')
+        .sort('-date')
+        .sort('code')
+        .count(50)
+        .toSearchParams();
+
+      expect(searchParams).to.deep.equal({
+        code: 'http://loinc.org|1234',
+        date: ['ge2024-01-01', 'lt2024-02-01T00:00:00.000Z'],
+        _include: 'Observation:subject',
+        _sort: '-date,code',
+        _count: '50',
+      });
+    });
+
+    it('joins the values of one call for OR and escapes separators', function () {
+      const searchParams = this.client.searchBuilder('Patient')
+        .where('name').is('Smith', 'Jones, Jr')
+        .and('birthdate').gt('1990', '2000')
+        .toSearchParams();
+
+      expect(searchParams).to.deep.equal({
+        name: 'Smith,Jones\\, Jr',
+        birthdate: 'gt1990,gt2000',
+      });
+    });
+
+    it('adds modifiers', function () {
+      const searchParams = this.client.searchBuilder('Patient')
+        .where('family').exact('Smith')
+        .and('address').contains('Main')
+        .and('deceased').missing()
+        .and('gender').not('unknown')
+        .and('language').text('English')
+        .and('general-practitioner').missing(false)
+        .toSearchParams();
+
+      expect(searchParams).to.deep.equal({
+        'family:exact': 'Smith',
+        'address:contains': 'Main',
+        'deceased:missing': 'true',
+        'gender:not': 'unknown',
+        'language:text': 'English',
+        'general-practitioner:missing': 'false',
+      });
+    });
+
+    it('adds chained, reverse chained and composite parameters', function () {
+      const searchParams = this.client.searchBuilder('Patient')
+        .where('general-practitioner:Practitioner.name').is('Welby')
+        .has('Observation', 'patient', 'code').is('http://loinc.org|85354-9')
+        .has('Observation', 'patient', '_has:AuditEvent:entity:agent').is('Practitioner/1')
+        .where('code-value-quantity').composite(['http://loinc.org|8480-6', 'gt150'], ['a$b', 'c'])
+        .revInclude('Provenance:target', { iterate: true })
+        .include('Patient:organization', { iterate: true })
+        .toSearchParams();
+
+      expect(searchParams).to.deep.equal({
+        'general-practitioner:Practitioner.name': 'Welby',
+        '_has:Observation:patient:code': 'http://loinc.org|85354-9',
+        '_has:Observation:patient:_has:AuditEvent:entity:agent': 'Practitioner/1',
+        'code-value-quantity': 'http://loinc.org|8480-6$gt150,a\\$b$c',
+        '_revinclude:iterate': 'Provenance:target',
+        '_include:iterate': 'Patient:organization',
+      });
+    });
+
+    it('requires a value', function () {
+      const builder = this.client.searchBuilder('Patient');
+
+      expect(() => builder.where('name').is()).to.throw('No value given for search parameter name');
+    });
+  });
+
+  describe('#execute', function () {
+    it('searches with GET', async function () {
+      const scope = nock(baseUrl)
+        .get('/Observation')
+        .query({ code: 'http://loinc.org|1234', date: ['ge2024-01-01', 'le2024-12-31'], _count: '10' })
+        .reply(200, { resourceType: 'Bundle', type: 'searchset' });
+
+      const bundle = await this.client.searchBuilder('Observation')
+        .where('code').is('http://loinc.org|1234')
+        .and('date').ge('2024-01-01')
+        .and('date').le('2024-12-31')
+        .count(10)
+        .execute();
+
+      expect(scope.isDone()).to.be.true;
+      expect(bundle.type).to.equal('searchset');
+    });
+
+    it('searches a compartment with POST', async function () {
+      let body;
+      const scope = nock(baseUrl)
+        .post('/Patient/123/Observation/_search', (requestBody) => { body = requestBody; return true; })
+        .reply(200, { resourceType: 'Bundle', type: 'searchset' });
+
+      await this.client.searchBuilder('Observation')
+        .compartment({ resourceType: 'Patient', id: '123' })
+        .where('status').not('cancelled')
+        .execute({ post: true });
+
+      expect(scope.isDone()).to.be.true;
+      expect(body).to.deep.equal({ 'status:not': 'cancelled' });
+    });
+  });
+
+  describe('#toString', function () {
+    it('returns the query string', function () {
+      const query = this.client.searchBuilder('Patient')
+        .where('name').is('Smith')
+        .toString();
+
+      expect(query).to.equal('name=Smith');
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/* eslint-disable func-names, no-unused-expressions */
+const crypto = require('crypto');
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { readStreamFor } = require('./test-utils');
+
+const { SmartAuthorization } = Client;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+describe('SmartAuthorization', function () {
+  const baseUrl = 'https://example.com/fhir';
+  const authUrl = 'https://launch.smarthealthit.org/v/r4/auth';
+
+  beforeEach(function () {
+    this.fhirClient = new Client({ baseUrl });
+    this.smart = new SmartAuthorization({
+      client: this.fhirClient,
+      clientId: 'my-app',
+      redirectUri: 'https://app.example.com/callback',
+      scope: 'launch openid fhirUser patient/*.read',
+    });
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('#authorizeUrl', function () {
+    it('discovers the endpoint and adds state, aud, launch and PKCE', async function () {
+      nock(baseUrl)
+        .get('/.well-known/smart-configuration')
+        .reply(200, () => readStreamFor('well-known.json'));
+
+      const { url, state, codeVerifier } = await this.smart.authorizeUrl({ launch: 'xyz123' });
+      const authorizeUrl = new URL(url);
+      const params = Object.fromEntries(authorizeUrl.searchParams);
+
+      expect(`${authorizeUrl.origin}${authorizeUrl.pathname}`).to.equal(`${authUrl}/authorize`);
+      expect(params).to.include({
+        response_type: 'code',
+        client_id: 'my-app',
+        redirect_uri: 'https://app.example.com/callback',
+        scope: 'launch openid fhirUser patient/*.read',
+        aud: baseUrl,
+        launch: 'xyz123',
+        state,
+        code_challenge_method: 'S256',
+      });
+      expect(state).to.have.length.above(16);
+      expect(codeVerifier).to.match(/^[A-Za-z0-9_-]{43,128}$/);
+      expect(params.code_challenge)
+        .to.equal(base64url(crypto.createHash('sha256').update(codeVerifier).digest()));
+    });
+
+    it('uses configured endpoints and per-call scope', async function () {
+      const smart = new SmartAuthorization({
+        client: this.fhirClient,
+        clientId: 'my-app',
+        redirectUri: 'https://app.example.com/callback',
+        authorizeUrl: 'https://auth.example.com/authorize',
+        tokenUrl: 'https://auth.example.com/token',
+      });
+
+      const { url } = await smart.authorizeUrl({ scope: 'launch/patient', state: 'abc' });
+      const { searchParams } = new URL(url);
+
+      expect(url).to.match(/^https:\/\/auth\.example\.com\/authorize\?/);
+      expect(searchParams.get('scope')).to.equal('launch/patient');
+      expect(searchParams.get('state')).to.equal('abc');
+      expect(searchParams.has('launch')).to.be.false;
+    });
+  });
+
+  describe('#completeAuthorization', function () {
+    const idToken = [
+      base64url(JSON.stringify({ alg: 'RS256' })),
+      base64url(JSON.stringify({ fhirUser: 'Practitioner/456' })),
+      'signature',
+    ].join('.');
+    const tokenResponse = {
+      access_token: 'abc.def',
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: 'launch openid fhirUser patient/*.read',
+      id_token: idToken,
+      patient: '123',
+      encounter: '789',
+      need_patient_banner: true,
+      smart_style_url: 'https://ehr.example.com/style.json',
+    };
+
+    beforeEach(function () {
+      nock(baseUrl)
+        .get('/.well-known/smart-configuration')
+        .reply(200, () => readStreamFor('well-known.json'));
+    });
+
+    it('exchanges the code and returns an authenticated client', async function () {
+      let tokenRequest;
+      nock(authUrl)
+        .matchHeader('content-type', 'application/x-www-form-urlencoded')
+        .post('/token', (body) => { tokenRequest = body; return true; })
+        .reply(200, tokenResponse);
+
+      const { client, context } = await this.smart.completeAuthorization({
+        code: 'code123',
+        state: 'abc',
+        expectedState: 'abc',
+        codeVerifier: 'verifier',
+      });
+
+      expect(tokenRequest).to.deep.equal({
+        grant_type: 'authorization_code',
+        code: 'code123',
+        redirect_uri: 'https://app.example.com/callback',
+        code_verifier: 'verifier',
+        client_id: 'my-app',
+      });
+      expect(context).to.deep.include({
+        patient: '123',
+        encounter: '789',
+        fhirUser: 'Practitioner/456',
+        needPatientBanner: true,
+        smartStyleUrl: 'https://ehr.example.com/style.json',
+      });
+
+      nock(baseUrl)
+        .matchHeader('authorization', 'Bearer abc.def')
+        .get('/Patient/123')
+        .reply(200, () => readStreamFor('patient.json'));
+
+      expect(client).to.be.an.instanceof(Client);
+      expect(client).to.not.equal(this.fhirClient);
+      const patient = await client.read({ resourceType: 'Patient', id: context.patient });
+      expect(patient.resourceType).to.equal('Patient');
+    });
+
+    it('keeps the settings of the original client', async function () {
+      const serverKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const fhirClient = new Client({
+        baseUrl,
+        timeout: 50,
+        format: 'xml',
+        fhirVersion: 'R4',
+        patchFormat: 'fhirpath',
+        messageSignatures: { verify: { keys: { 'server-key': serverKeys.publicKey } } },
+      });
+      const smart = new SmartAuthorization({
+        client: fhirClient,
+        clientId: 'my-app',
+        redirectUri: 'https://app.example.com/callback',
+        authorizeUrl: `${authUrl}/authorize`,
+        tokenUrl: `${authUrl}/token`,
+      });
+      nock(authUrl)
+        .post('/token')
+        .reply(200, tokenResponse);
+      nock(baseUrl)
+        .get('/Patient/1')
+        .reply(200, '<Patient xmlns="http://hl7.org/fhir"/>', { 'Content-Type': 'application/fhir+xml' });
+      nock(baseUrl)
+        .get('/Patient/2')
+        .delay(200)
+        .reply(200, {});
+
+      const { client } = await smart.completeAuthorization({
+        code: 'code123',
+        state: 'abc',
+        expectedState: 'abc',
+        codeVerifier: 'verifier',
+      });
+      const unsigned = await client.read({ resourceType: 'Patient', id: '1' }).catch((e) => e);
+      const late = await client.read({ resourceType: 'Patient', id: '2' }).catch((e) => e);
+
+      expect(unsigned).to.be.an.instanceof(Client.SignatureVerificationError);
+      expect(late).to.be.an.instanceof(Client.TimeoutError);
+      expect(client.httpClient.format).to.equal('xml');
+      expect(client.fhirVersion).to.equal('R4');
+      expect(client.patchFormat).to.equal('fhirpath');
+    });
+
+    it('authenticates confidential clients with HTTP Basic', async function () {
+      const smart = new SmartAuthorization({
+        client: this.fhirClient,
+        clientId: 'my-app',
+        clientSecret: 's3cret',
+        redirectUri: 'https://app.example.com/callback',
+      });
+      const scope = nock(authUrl)
+        .matchHeader('authorization', `Basic ${Buffer.from('my-app:s3cret').toString('base64')}`)
+        .post('/token', (body) => body.client_id === undefined)
+        .reply(200, tokenResponse);
+
+      await smart.completeAuthorization({
+        code: 'code123',
+        state: 'abc',
+        expectedState: 'abc',
+        codeVerifier: 'verifier',
+      });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('rejects a mismatched state', async function () {
+      let error;
+      try {
+        await this.smart.completeAuthorization({
+          code: 'code123',
+          state: 'forged',
+          expectedState: 'abc',
+          codeVerifier: 'verifier',
+        });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.match(/state does not match/);
+    });
+
+    it('requires the expected state', async function () {
+      const error = await this.smart.completeAuthorization({
+        code: 'code123',
+        state: 'abc',
+        codeVerifier: 'verifier',
+      }).catch((e) => e);
+
+      expect(error.message).to.equal('SMART authorization needs the expectedState returned by authorizeUrl');
+    });
+  });
+});
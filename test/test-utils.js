@@ -16,6 +16,22 @@ function readFixture(filename) {
   return JSON.parse(fs.readFileSync(path.normalize(`${__dirname}/fixtures/${filename}`, 'utf8')));
 }
 
+/**
+ * Collect the items of an async iterator
+ *
+ * @param {AsyncIterable} iterator - The iterator
+ *
+ * @returns {Promise<Array>} - The items, in order
+ */
+async function collect(iterator) {
+  const items = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
 module.exports = {
-  readStreamFor, readFixture,
+  collect, readStreamFor, readFixture,
 };
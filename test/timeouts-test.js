@@ -0,0 +1,221 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { EventEmitter, getEventListeners } = require('events');
+const nock = require('nock');
+const { expect } = require('chai');
+const Client = require('../lib/client');
+const { RequestTimer, withDeadline } = require('../lib/timeouts');
+
+describe('Timeouts', function () {
+  const baseUrl = 'https://example.com/fhir';
+  const patient = { resourceType: 'Patient', id: '1' };
+
+  function bundleWithNext(next) {
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      link: next ? [{ relation: 'next', url: `${baseUrl}/Patient?page=${next}` }] : [],
+      entry: [{ resource: patient }],
+    };
+  }
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  it('rejects with a TimeoutError when the headers are late', async function () {
+    const client = new Client({ baseUrl, timeout: 50 });
+    nock(baseUrl)
+      .get('/Patient/1')
+      .delay(200)
+      .reply(200, patient);
+
+    const error = await client.read({ resourceType: 'Patient', id: '1' }).catch((e) => e);
+
+    expect(error).to.be.an.instanceof(Client.TimeoutError);
+    expect(error.phase).to.equal('headers');
+    expect(error.timeout).to.equal(50);
+    expect(error.message).to.equal(`GET ${baseUrl}/Patient/1 timed out after 50 ms waiting for the response headers`);
+  });
+
+  it('rejects with a TimeoutError when the body is late', async function () {
+    const client = new Client({ baseUrl });
+    nock(baseUrl)
+      .get('/Patient/1')
+      .delayBody(200)
+      .reply(200, patient);
+
+    const error = await client.read({ resourceType: 'Patient', id: '1', options: { timeout: 50 } })
+      .catch((e) => e);
+
+    expect(error).to.be.an.instanceof(Client.TimeoutError);
+    expect(error.phase).to.equal('body');
+  });
+
+  it('lets requests override or disable the client timeout', async function () {
+    const client = new Client({ baseUrl, timeout: 20 });
+    nock(baseUrl)
+      .get('/Patient/1')
+      .times(2)
+      .delay(50)
+      .reply(200, patient);
+
+    expect(await client.read({ resourceType: 'Patient', id: '1', options: { timeout: 500 } }))
+      .to.deep.equal(patient);
+    expect(await client.read({ resourceType: 'Patient', id: '1', options: { timeout: null } }))
+      .to.deep.equal(patient);
+  });
+
+  it('rejects with the abort error when the signal of the caller aborts', async function () {
+    const client = new Client({ baseUrl, timeout: 1000 });
+    const controller = new AbortController();
+    nock(baseUrl)
+      .get('/Patient/1')
+      .delay(200)
+      .reply(200, patient);
+
+    const request = client.read({
+      resourceType: 'Patient',
+      id: '1',
+      options: { signal: controller.signal },
+    });
+    controller.abort();
+    const error = await request.catch((e) => e);
+
+    expect(error).not.to.be.an.instanceof(Client.TimeoutError);
+    expect(error.name).to.equal('AbortError');
+  });
+
+  it('stops listening to the signal of the caller once requests are done', async function () {
+    const client = new Client({ baseUrl, timeout: 1000 });
+    const { signal } = new AbortController();
+    nock(baseUrl)
+      .get('/Patient/1')
+      .times(2)
+      .reply(200, patient);
+    nock(baseUrl)
+      .get('/Binary/1')
+      .reply(200, 'content', { 'Content-Type': 'text/plain' });
+    nock(baseUrl)
+      .get('/.well-known/smart-configuration')
+      .reply(200, {});
+    nock(baseUrl)
+      .get('/.well-known/openid-configuration')
+      .delay(50)
+      .reply(404);
+    nock(baseUrl)
+      .get('/metadata')
+      .delay(50)
+      .reply(404);
+
+    await client.read({ resourceType: 'Patient', id: '1', options: { signal } });
+    await client.read({ resourceType: 'Patient', id: '1', options: { signal } });
+    const { content } = await client.readBinary({ id: '1', stream: true, options: { signal } });
+    content.resume();
+    await new Promise((resolve) => { content.on('close', resolve); });
+    await client.smartAuthMetadata({ options: { signal } });
+
+    expect(getEventListeners(signal, 'abort')).to.have.length(0);
+  });
+
+  it('shares the timeout of searchAll between its pages', async function () {
+    const client = new Client({ baseUrl });
+    nock(baseUrl)
+      .get('/Patient')
+      .delay(60)
+      .reply(200, bundleWithNext(2));
+    nock(baseUrl)
+      .get('/Patient')
+      .query({ page: 2 })
+      .delay(60)
+      .reply(200, bundleWithNext());
+
+    const entries = [];
+    const error = await (async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const entry of client.searchAll({ resourceType: 'Patient', options: { timeout: 100 } })) {
+        entries.push(entry);
+      }
+    })().catch((e) => e);
+
+    expect(entries).to.have.length(1);
+    expect(error).to.be.an.instanceof(Client.TimeoutError);
+    expect(error.timeout).to.be.below(100);
+  });
+
+  it('sends the headers of smartAuthMetadata to the well-known endpoints', async function () {
+    const client = new Client({ baseUrl });
+    nock(baseUrl)
+      .matchHeader('abc', 'XYZ')
+      .get('/.well-known/smart-configuration')
+      .reply(200, { authorization_endpoint: 'https://example.com/authorize' });
+    nock(baseUrl)
+      .get('/metadata')
+      .delay(100)
+      .reply(404);
+    nock(baseUrl)
+      .get('/.well-known/openid-configuration')
+      .delay(100)
+      .reply(404);
+
+    const authMetadata = await client.smartAuthMetadata({ options: { headers: { abc: 'XYZ' } } });
+
+    expect(authMetadata.authorizeUrl).to.deep.equal(new URL('https://example.com/authorize'));
+  });
+
+  it('aborts every request of smartAuthMetadata with the signal', async function () {
+    const client = new Client({ baseUrl });
+    const controller = new AbortController();
+    ['/.well-known/smart-configuration', '/.well-known/openid-configuration', '/metadata']
+      .forEach((path) => nock(baseUrl)
+        .get(path)
+        .delay(200)
+        .reply(200, {}));
+
+    const request = client.smartAuthMetadata({ options: { signal: controller.signal } });
+    controller.abort();
+    const error = await request.catch((e) => e);
+
+    const messages = error.message.split('; ');
+    expect(messages).to.have.length(3);
+    messages.forEach((message) => expect(message).to.match(/aborted/));
+  });
+
+  describe('withDeadline', function () {
+    it('turns the timeout into a deadline, keeping an earlier one', function () {
+      const now = Date.now();
+
+      expect(withDeadline({ timeout: 1000 }).deadline).to.be.within(now + 1000, now + 1100);
+      expect(withDeadline({ timeout: 1000, deadline: now })).to.deep.equal({ deadline: now });
+      expect(withDeadline({ timeout: null })).to.deep.equal({ timeout: null });
+    });
+  });
+
+  describe('RequestTimer', function () {
+    it('knows when the request is waiting for the connection', function () {
+      const timer = RequestTimer.start({
+        timeout: 1000,
+        method: 'GET',
+        url: baseUrl,
+      });
+      const agent = { addRequest: () => {} };
+      const request = new EventEmitter();
+      const socket = new EventEmitter();
+      socket.connecting = true;
+
+      timer.track(agent).addRequest(request, {});
+      request.emit('socket', socket);
+      const connectPhase = timer.phase;
+      socket.emit('connect');
+      const headersPhase = timer.phase;
+      timer.received();
+      timer.release();
+
+      expect([connectPhase, headersPhase, timer.phase]).to.deep.equal(['connect', 'headers', 'body']);
+      expect(timer.errorFor(new Error('other')).message).to.equal('other');
+    });
+
+    it('is not started without a timeout', function () {
+      expect(RequestTimer.start({ method: 'GET', url: baseUrl })).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const { readStreamFor } = require('./test-utils');
+
+const { TokenProvider, RefreshTokenProvider } = Client;
+
+describe('TokenProvider', function () {
+  const tokenUrl = 'https://auth.example.com/token';
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('#getAccessToken', function () {
+    it('returns the current token while it is fresh', async function () {
+      const provider = new TokenProvider({ accessToken: 'abc', expiresIn: 3600 });
+
+      expect(await provider.getAccessToken()).to.equal('abc');
+    });
+
+    it('refuses to refresh without an implementation', async function () {
+      const provider = new TokenProvider({ accessToken: 'abc', expiresIn: 3600 });
+      let error;
+      try {
+        await provider.getAccessToken({ staleToken: 'abc' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.match(/TokenProvider cannot fetch a new access token/);
+    });
+
+    it('shares one refresh between concurrent callers', async function () {
+      const provider = new TokenProvider();
+      let calls = 0;
+      provider.requestToken = async () => {
+        calls += 1;
+        return { access_token: `token-${calls}`, expires_in: 3600 };
+      };
+
+      const tokens = await Promise.all([
+        provider.getAccessToken(),
+        provider.getAccessToken(),
+        provider.getAccessToken(),
+      ]);
+
+      expect(tokens).to.deep.equal(['token-1', 'token-1', 'token-1']);
+      expect(calls).to.equal(1);
+    });
+
+    it('does not refresh again for a token that was already replaced', async function () {
+      const provider = new TokenProvider({ accessToken: 'new', expiresIn: 3600 });
+      provider.requestToken = async () => { throw new Error('should not refresh'); };
+
+      expect(await provider.getAccessToken({ staleToken: 'old' })).to.equal('new');
+    });
+  });
+
+  describe('RefreshTokenProvider', function () {
+    it('refreshes before the token expires', async function () {
+      let form;
+      nock('https://auth.example.com')
+        .post('/token', (body) => { form = body; return true; })
+        .reply(200, { access_token: 'fresh', expires_in: 3600, refresh_token: 'rotated' });
+
+      const provider = new RefreshTokenProvider({
+        tokenUrl,
+        clientId: 'my-app',
+        refreshToken: 'refresh',
+        accessToken: 'expiring',
+        expiresIn: 30,
+      });
+
+      expect(await provider.getAccessToken()).to.equal('fresh');
+      expect(form).to.deep.equal({
+        grant_type: 'refresh_token',
+        refresh_token: 'refresh',
+        client_id: 'my-app',
+      });
+      expect(provider.refreshToken).to.equal('rotated');
+      expect(await provider.getAccessToken()).to.equal('fresh');
+    });
+  });
+
+  describe('Client with token provider', function () {
+    const baseUrl = 'https://example.com';
+
+    it('sends the provided token', async function () {
+      const scope = nock(baseUrl)
+        .matchHeader('authorization', 'Bearer abc')
+        .get('/Patient/123')
+        .reply(200, () => readStreamFor('patient.json'));
+
+      const tokenProvider = new TokenProvider({ accessToken: 'abc' });
+      const client = new Client({ baseUrl, bearerToken: 'ignored', tokenProvider });
+      await client.read({ resourceType: 'Patient', id: '123' });
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('refreshes once and retries after a 401', async function () {
+      const revokedScope = nock(baseUrl)
+        .matchHeader('authorization', 'Bearer revoked')
+        .get('/Patient/123')
+        .times(2)
+        .reply(401);
+      const scope = nock(baseUrl)
+        .matchHeader('authorization', 'Bearer fresh')
+        .get('/Patient/123')
+        .times(2)
+        .reply(200, () => readStreamFor('patient.json'));
+      const tokenScope = nock('https://auth.example.com')
+        .post('/token')
+        .once()
+        .reply(200, { access_token: 'fresh', expires_in: 3600 });
+
+      const tokenProvider = new RefreshTokenProvider({
+        tokenUrl,
+        refreshToken: 'refresh',
+        accessToken: 'revoked',
+        expiresIn: 3600,
+      });
+      const client = new Client({ baseUrl, tokenProvider });
+      const patients = await Promise.all([
+        client.read({ resourceType: 'Patient', id: '123' }),
+        client.read({ resourceType: 'Patient', id: '123' }),
+      ]);
+
+      expect(patients.map((patient) => patient.resourceType)).to.deep.equal(['Patient', 'Patient']);
+      expect(revokedScope.isDone()).to.be.true;
+      expect(scope.isDone()).to.be.true;
+      expect(tokenScope.isDone()).to.be.true;
+    });
+
+    it('gives up after a second 401', async function () {
+      nock(baseUrl)
+        .get('/Patient/123')
+        .times(2)
+        .reply(401);
+      nock('https://auth.example.com')
+        .post('/token')
+        .reply(200, { access_token: 'fresh', expires_in: 3600 });
+
+      const tokenProvider = new RefreshTokenProvider({
+        tokenUrl,
+        refreshToken: 'refresh',
+        accessToken: 'revoked',
+      });
+      const client = new Client({ baseUrl, tokenProvider });
+      let error;
+      try {
+        await client.read({ resourceType: 'Patient', id: '123' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(Client.UnauthorizedError);
+    });
+  });
+});
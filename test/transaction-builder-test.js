@@ -0,0 +1,190 @@
+/* eslint-disable func-names, no-unused-expressions */
+const { expect } = require('chai');
+const nock = require('nock');
+
+const Client = require('../lib/client');
+const FhirPathPatch = require('../lib/fhir-path-patch');
+
+describe('TransactionBuilder', function () {
+  const baseUrl = 'https://example.com';
+  const urnUuid = /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+  beforeEach(function () {
+    this.client = new Client({ baseUrl });
+  });
+
+  afterEach(function () {
+    nock.cleanAll();
+  });
+
+  describe('#toBundle', function () {
+    it('gives every entry a urn:uuid fullUrl and request', function () {
+      const transaction = this.client.transactionBuilder();
+      const patient = transaction.update({ resourceType: 'Patient', id: '123', active: true });
+      transaction.update(
+        { resourceType: 'Patient', active: false },
+        { searchParams: { identifier: 'mrn|42' }, ifMatch: 'W/"3"' },
+      );
+      transaction.patch({
+        resourceType: 'Patient',
+        id: '456',
+        JSONPatch: [{ op: 'replace', path: '/gender', value: 'male' }],
+      });
+      transaction.delete({ resourceType: 'Flag', id: '7' });
+
+      const bundle = transaction.toBundle();
+
+      expect(bundle.type).to.equal('transaction');
+      expect(patient.fullUrl).to.match(urnUuid);
+      expect(new Set(bundle.entry.map((entry) => entry.fullUrl)).size).to.equal(4);
+      expect(bundle.entry.map((entry) => entry.request)).to.deep.equal([
+        { method: 'PUT', url: 'Patient/123' },
+        { method: 'PUT', url: 'Patient?identifier=mrn%7C42', ifMatch: 'W/"3"' },
+        { method: 'PATCH', url: 'Patient/456' },
+        { method: 'DELETE', url: 'Flag/7' },
+      ]);
+      expect(bundle.entry[2].resource.contentType).to.equal('application/json-patch+json');
+      expect(JSON.parse(Buffer.from(bundle.entry[2].resource.data, 'base64').toString()))
+        .to.deep.equal([{ op: 'replace', path: '/gender', value: 'male' }]);
+      expect(bundle.entry[3].resource).to.be.undefined;
+    });
+
+    it('rewrites references to pending creates', function () {
+      const transaction = this.client.transactionBuilder();
+      const observation = {
+        resourceType: 'Observation',
+        subject: { reference: 'Patient/p1' },
+        performer: [{ reference: 'Practitioner/1' }],
+        hasMember: [{ reference: 'Observation/o2' }],
+      };
+      transaction.create(observation);
+      const patient = transaction.create({ resourceType: 'Patient', id: 'p1' });
+      const member = transaction.create({ resourceType: 'Observation', id: 'o2' });
+
+      const bundle = transaction.toBundle();
+
+      expect(bundle.entry[0].resource).to.deep.equal({
+        resourceType: 'Observation',
+        subject: { reference: patient.fullUrl },
+        performer: [{ reference: 'Practitioner/1' }],
+        hasMember: [{ reference: member.fullUrl }],
+      });
+      expect(bundle.entry[1].resource).to.deep.equal({ resourceType: 'Patient' });
+      expect(observation.subject.reference).to.equal('Patient/p1');
+    });
+
+    it('adds conditional creates, patches and deletes', function () {
+      const transaction = this.client.transactionBuilder();
+      transaction.create(
+        { resourceType: 'Organization', name: 'ACME' },
+        { ifNoneExist: { identifier: 'urn:oid:1.2.3|42' } },
+      );
+      transaction.patch({
+        resourceType: 'Patient',
+        searchParams: 'identifier=mrn|42',
+        JSONPatch: [{ op: 'replace', path: '/active', value: false }],
+      });
+      transaction.delete({ resourceType: 'Flag', searchParams: { subject: 'Patient/9' } });
+
+      const requests = transaction.toBundle().entry.map(({ request }) => request);
+
+      expect(requests).to.deep.equal([
+        { method: 'POST', url: 'Organization', ifNoneExist: 'identifier=urn%3Aoid%3A1.2.3%7C42' },
+        { method: 'PATCH', url: 'Patient?identifier=mrn|42' },
+        { method: 'DELETE', url: 'Flag?subject=Patient%2F9' },
+      ]);
+    });
+
+    it('adds FHIRPath Patches as Parameters resources', function () {
+      const transaction = this.client.transactionBuilder();
+      const FHIRPathPatch = new FhirPathPatch().delete('Patient.telecom[0]');
+      transaction.patch({ resourceType: 'Patient', id: '9', FHIRPathPatch });
+
+      const [entry] = transaction.toBundle().entry;
+
+      expect(entry.request).to.deep.equal({ method: 'PATCH', url: 'Patient/9' });
+      expect(entry.resource).to.deep.equal(FHIRPathPatch.toParameters());
+    });
+
+    it('rejects unknown Bundle types', function () {
+      expect(() => this.client.transactionBuilder({ type: 'document' }))
+        .to.throw('Unsupported Bundle type document');
+    });
+  });
+
+  describe('#commit', function () {
+    it('matches the response entries with the requests', async function () {
+      let body;
+      nock(baseUrl)
+        .post('/', (requestBody) => { body = requestBody; return true; })
+        .reply(200, {
+          resourceType: 'Bundle',
+          type: 'transaction-response',
+          entry: [
+            {
+              resource: { resourceType: 'Patient', id: '9' },
+              response: {
+                status: '201 Created',
+                location: 'Patient/9/_history/1',
+                etag: 'W/"1"',
+                lastModified: '2024-01-01T00:00:00Z',
+              },
+            },
+            { response: { status: '204 No Content' } },
+          ],
+        });
+
+      const transaction = this.client.transactionBuilder();
+      const patient = transaction.create({ resourceType: 'Patient', id: 'p1' });
+      const flag = transaction.delete({ resourceType: 'Flag', id: '7' });
+      const { bundle, results } = await transaction.commit();
+
+      expect(body.entry[0].fullUrl).to.equal(patient.fullUrl);
+      expect(bundle.type).to.equal('transaction-response');
+      expect(results.get(patient)).to.deep.equal({
+        status: 201,
+        location: 'Patient/9/_history/1',
+        etag: 'W/"1"',
+        lastModified: '2024-01-01T00:00:00Z',
+        resource: { resourceType: 'Patient', id: '9' },
+        outcome: undefined,
+      });
+      expect(results.get(flag).status).to.equal(204);
+    });
+
+    it('sends batches with per-entry outcomes', async function () {
+      const outcome = { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'not-found' }] };
+      nock(baseUrl)
+        .post('/', (requestBody) => requestBody.type === 'batch')
+        .reply(200, {
+          resourceType: 'Bundle',
+          type: 'batch-response',
+          entry: [{ response: { status: '404 Not Found', outcome } }],
+        });
+
+      const batch = this.client.transactionBuilder({ type: 'batch' });
+      const flag = batch.delete({ resourceType: 'Flag', id: '7' });
+      const { results } = await batch.commit();
+
+      expect(results.get(flag).status).to.equal(404);
+      expect(results.get(flag).outcome).to.deep.equal(outcome);
+    });
+
+    it('rejects responses without an entry per request', async function () {
+      nock(baseUrl)
+        .post('/')
+        .reply(200, { resourceType: 'Bundle', type: 'transaction-response', entry: [] });
+
+      const transaction = this.client.transactionBuilder();
+      transaction.delete({ resourceType: 'Flag', id: '7' });
+      let error;
+      try {
+        await transaction.commit();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('transaction response has 0 entries for 1 requests');
+    });
+  });
+});
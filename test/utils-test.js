@@ -1,7 +1,15 @@
 /* eslint-disable func-names, no-unused-expressions */
 const { expect } = require('chai');
 
-const { splitReference } = require('../lib/utils');
+const {
+  conditionFor,
+  eTagFor,
+  parseLocation,
+  splitReference,
+  validResourceType,
+  versionIdFromETag,
+} = require('../lib/utils');
+const { registryFor } = require('../lib/fhir-registry');
 
 describe('utils', function () {
   describe('splitReference', function () {
@@ -58,5 +66,89 @@ describe('utils', function () {
         expect(() => splitReference(absoluteReference)).to.throw(expectedError);
       });
     });
+
+    context('with an R5 reference', function () {
+      it('returns the resource type and id', function () {
+        ['Transport', 'ActorDefinition', 'SubscriptionTopic'].forEach((resourceType) => {
+          expect(splitReference(`${resourceType}/${id}`).resourceType).to.equal(resourceType);
+        });
+      });
+    });
+
+    context('with a registry', function () {
+      it('accepts the resource types of its version', function () {
+        const { resourceType } = splitReference(`Transport/${id}`, registryFor('R5'));
+        expect(resourceType).to.equal('Transport');
+      });
+
+      it('throws for resource types of other versions', function () {
+        const reference = `${baseUrl}/Transport/${id}`;
+        const expectedError = `${reference} is not a recognized FHIR reference in FHIR R4`;
+        expect(() => splitReference(reference, registryFor('4.0.1'))).to.throw(expectedError);
+      });
+    });
+  });
+
+  describe('conditionFor', function () {
+    it('turns search parameters into a query string', function () {
+      expect(conditionFor({ identifier: 'mrn|42' })).to.equal('identifier=mrn%7C42');
+    });
+
+    it('takes query strings with or without "?"', function () {
+      expect(conditionFor('?identifier=mrn|42')).to.equal('identifier=mrn|42');
+      expect(conditionFor('identifier=mrn|42')).to.equal('identifier=mrn|42');
+    });
+  });
+
+  describe('eTagFor', function () {
+    it('turns versionIds into weak ETags', function () {
+      expect(eTagFor('3')).to.equal('W/"3"');
+      expect(eTagFor(3)).to.equal('W/"3"');
+    });
+
+    it('returns ETags as is', function () {
+      expect(eTagFor('W/"3"')).to.equal('W/"3"');
+      expect(eTagFor('"abc"')).to.equal('"abc"');
+    });
+  });
+
+  describe('versionIdFromETag', function () {
+    it('reads the versionId of weak and strong ETags', function () {
+      expect(versionIdFromETag('W/"3"')).to.equal('3');
+      expect(versionIdFromETag('"3"')).to.equal('3');
+      expect(versionIdFromETag(undefined)).to.be.undefined;
+    });
+  });
+
+  describe('parseLocation', function () {
+    it('reads the type, id and version of a location', function () {
+      expect(parseLocation('http://example.com/fhir/Patient/12/_history/3')).to.deep.equal({
+        resourceType: 'Patient', id: '12', versionId: '3',
+      });
+      expect(parseLocation('Patient/12')).to.deep.equal({
+        resourceType: 'Patient', id: '12', versionId: undefined,
+      });
+    });
+
+    it('returns nothing for other locations', function () {
+      expect(parseLocation(undefined)).to.deep.equal({});
+      expect(parseLocation('http://example.com/status?job=1')).to.deep.equal({});
+    });
+  });
+
+  describe('validResourceType', function () {
+    it('checks the form of the type without a registry', function () {
+      expect(validResourceType('Transport')).to.be.true;
+      expect(validResourceType('Patent')).to.be.true;
+      expect(validResourceType('/Patient')).to.be.false;
+      expect(validResourceType('Patient:1')).to.be.false;
+      expect(validResourceType(' ')).to.be.false;
+    });
+
+    it('checks the type against a registry', function () {
+      expect(validResourceType('Transport', registryFor('R5'))).to.be.true;
+      expect(validResourceType('Transport', registryFor('R4'))).to.be.false;
+      expect(validResourceType('Patent', registryFor('R4'))).to.be.false;
+    });
   });
 });
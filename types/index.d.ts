@@ -10,7 +10,116 @@ type HttpMethods = 'GET'
   | 'TRACE'
   | 'PATCH';
 
-interface RequestInitWithoutMethod extends Omit<RequestInit, 'method'> {}
+interface RetryOptions {
+  maxAttempts?: number;
+  methods?: HttpMethods[];
+  statusCodes?: number[];
+  networkErrors?: boolean;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  retryAfter?: boolean;
+}
+
+interface FhirRequestOptions extends RequestInit {
+  retry?: boolean | RetryOptions;
+  /**
+   * 'json' (the default) parses the whole body. 'stream' resolves to the
+   * body stream, 'ndjson' to an async iterator of parsed lines, and 'entries'
+   * to an async iterator of Bundle entries parsed as they download.
+   */
+  responseType?: 'json' | 'stream' | 'ndjson' | 'entries';
+  /** Overrides the client format for this request */
+  format?: FhirFormat;
+  /**
+   * Overrides the major.minor FHIR version asked for in this request, e.g.
+   * '4.0'; null asks for none
+   */
+  fhirVersion?: string | null;
+  /** Added to the context the middleware gets for this request */
+  context?: Record<string, any>;
+  /**
+   * Milliseconds the request may take, retries included; overrides the
+   * client timeout, null for none. Calls that send several requests share it.
+   */
+  timeout?: number | null;
+  /** Time (ms since the epoch) by which the request must be done */
+  deadline?: number;
+}
+
+/** The request a middleware sees, which beforeRequest hooks can change */
+interface MiddlewareRequest {
+  method: HttpMethods;
+  url: string;
+  headers: Record<string, string>;
+  body?: any;
+}
+
+/**
+ * The client method a request is for: its interaction (e.g. 'read',
+ * 'search-type' or 'transaction'), resourceType, id and other parameters,
+ * and any `options.context`
+ */
+interface RequestContext {
+  interaction?: string;
+  resourceType?: string;
+  id?: string;
+  [key: string]: any;
+}
+
+interface Middleware {
+  beforeRequest?: (exchange: {
+    request: MiddlewareRequest;
+    context: RequestContext;
+  }) => Promise<Response | void> | Response | void;
+  afterResponse?: (exchange: {
+    request: MiddlewareRequest;
+    response: Response;
+    context: RequestContext;
+  }) => Promise<Response | void> | Response | void;
+  onError?: (exchange: {
+    request: MiddlewareRequest;
+    error: Error;
+    context: RequestContext;
+  }) => Promise<any> | any;
+}
+
+/**
+ * 'json' (the default) or 'xml'. XML responses are parsed into the JSON
+ * object model with either format, by the FHIR R4 element definitions, see
+ * the XML section of the README.
+ */
+type FhirFormat = 'json' | 'xml';
+
+/**
+ * The bytes a request body is sent as and their SHA-256 digest, both
+ * undefined for streamed bodies
+ */
+interface SignedBody {
+  body: Buffer | undefined;
+  digest: Buffer | undefined;
+}
+
+type RequestSigner = (
+  url: string,
+  requestOptions: RequestInit,
+  signedBody: SignedBody,
+) => void | undefined | Promise<void>;
+
+/**
+ * Format a SHA-256 digest as a `Digest` header value (RFC 3230), e.g.
+ * 'SHA-256=X48E9q...'
+ */
+export declare function digestHeader(digest: Buffer): string;
+
+/**
+ * Format a SHA-256 digest as a `Content-Digest` header value (RFC 9530),
+ * e.g. 'sha-256=:X48E9q...:'
+ */
+export declare function contentDigestHeader(digest: Buffer): string;
+
+interface RequestInitWithoutMethod extends Omit<FhirRequestOptions, 'method'> {}
 
 interface RequestResponse {
   request: Request;
@@ -39,6 +148,17 @@ interface Compartment  {
 
 type ResourceType = string;
 
+interface BundleEntry extends Record<string, any> {
+  fullUrl?: string;
+  resource?: FhirResource;
+}
+
+interface PaginationLimits {
+  maxPages?: number;
+  maxResources?: number;
+  signal?: AbortSignal;
+}
+
 /**
  * Access capabilities
  * @param capabilityStatement - capability statement FHIR resource
@@ -211,6 +331,604 @@ declare class CapabilityTool {
   serverCapabilities(): any;
 }
 
+interface OperationOutcomeIssue {
+  severity: string;
+  code: string;
+  diagnostics?: string;
+  expression: string[];
+  details?: string;
+}
+
+/**
+ * Error thrown for unsuccessful FHIR requests.
+ *
+ * Keeps the `response` and `config` fields that errors have always had, and
+ * exposes the OperationOutcome returned by the server, if any.
+ */
+export declare class FhirRequestError extends Error {
+  constructor(details: {
+    status: number;
+    data: any;
+    method: string;
+    headers?: Headers;
+    url: string;
+  });
+  status: number;
+  response: { status: number; data: any };
+  config: { method: string; url: string; headers?: Headers };
+  operationOutcome?: FhirResource;
+  issues: OperationOutcomeIssue[];
+  /**
+   * Build the error class that matches the response status.
+   */
+  static from(details: {
+    status: number;
+    data: any;
+    method: string;
+    headers?: Headers;
+    url: string;
+  }): FhirRequestError;
+}
+/** Error for 401 Unauthorized responses. */
+export declare class UnauthorizedError extends FhirRequestError {}
+/** Error for 404 Not Found responses. */
+export declare class NotFoundError extends FhirRequestError {}
+/** Error for 409 Conflict responses. */
+export declare class ConflictError extends FhirRequestError {}
+/** Error for 410 Gone responses, e.g. reading a deleted resource. */
+export declare class GoneError extends FhirRequestError {}
+/** Error for 412 Precondition Failed responses. */
+export declare class PreconditionFailedError extends FhirRequestError {}
+/**
+ * Error for writes rejected with 412 because the resource changed since the
+ * version sent in If-Match.
+ */
+export declare class VersionConflictError extends PreconditionFailedError {
+  /** The ETag sent in If-Match */
+  ifMatch: string;
+  /** The current resource on the server, when it could be read */
+  current?: FhirResource;
+  currentVersionId?: string;
+  currentETag?: string;
+}
+/**
+ * Error for conditional interactions rejected with 412 because their search
+ * matched more than one resource.
+ */
+export declare class MultipleMatchesError extends PreconditionFailedError {
+  /** The query string of the condition */
+  condition: string;
+}
+/**
+ * Error for searches with `prefer: { handling: 'strict' }` whose Bundle has
+ * warnings, e.g. about unknown search parameters.
+ */
+export declare class SearchWarningError extends FhirRequestError {
+  bundle: FhirResource;
+}
+/** Error for 429 Too Many Requests responses. */
+export declare class RateLimitedError extends FhirRequestError {
+  /** Retry-After in milliseconds, when the server sent one */
+  retryAfter?: number;
+}
+/**
+ * Error for responses in another FHIR version than the one asked for with
+ * the fhirVersion parameter of Accept.
+ */
+/** Thrown when the Signature of a response (RFC 9421) is missing or wrong */
+export declare class SignatureVerificationError extends Error {
+  /** Why the signature does not verify */
+  reason: string;
+  /** The response, whatever its status */
+  response: Response;
+}
+
+export declare class PartialTransactionError extends Error {
+  /** The index of the chunk that failed */
+  failedChunk: number;
+  /** The error of the chunk that failed */
+  error: Error;
+  /** The response Bundles of the committed chunks, by chunk index */
+  responses: Array<FhirResource | undefined>;
+}
+
+export declare class TimeoutError extends Error {
+  /** What the request was waiting for when it ran out of time */
+  phase: 'connect' | 'headers' | 'body';
+  /** The milliseconds the request had */
+  timeout: number;
+}
+
+export declare class FhirVersionMismatchError extends Error {
+  /** The major.minor version asked for */
+  expected: string;
+  /** The major.minor version of the response */
+  actual: string;
+  response: Response;
+}
+
+/**
+ * Supplies access tokens to a Client, and fetches a new one when the current
+ * token is missing, about to expire, or was rejected by the server.
+ */
+export declare class TokenProvider {
+  constructor(config?: {
+    accessToken?: string;
+    /** Lifetime of the current access token, in seconds */
+    expiresIn?: number;
+    /** Milliseconds before expiry at which a new token is fetched */
+    refreshWindow?: number;
+  });
+  accessToken?: string;
+  expiresAt?: number;
+  /**
+   * Return a valid access token, fetching a new one if needed.
+   */
+  getAccessToken(params?: { staleToken?: string }): Promise<string>;
+  expiresSoon(): boolean;
+  setToken(tokenResponse: { access_token: string; expires_in?: number }): void;
+  requestToken(): Promise<any>;
+}
+
+/**
+ * Token provider that uses an OAuth2 refresh token to fetch new access
+ * tokens.
+ */
+export declare class RefreshTokenProvider extends TokenProvider {
+  constructor(config: {
+    tokenUrl: string | URL;
+    refreshToken: string;
+    clientId?: string;
+    clientSecret?: string;
+    scope?: string;
+    requestOptions?: RequestInit;
+    accessToken?: string;
+    expiresIn?: number;
+    refreshWindow?: number;
+  });
+  refreshToken: string;
+}
+
+interface BackendServicesOptions {
+  clientId: string;
+  /** Private key as a JWK, PEM string or KeyObject */
+  privateKey: JsonWebKey | string | import('crypto').KeyObject;
+  /** System scopes, defaults to 'system/*.read' */
+  scope?: string;
+  /** Token endpoint, discovered from .well-known/smart-configuration when not given */
+  tokenUrl?: string | URL;
+  algorithm?: 'RS384' | 'ES384';
+  keyId?: string;
+  jku?: string;
+  requestOptions?: RequestInit;
+  refreshWindow?: number;
+}
+
+/**
+ * Token provider for SMART Backend Services: fetches system access tokens
+ * with the client_credentials grant, authenticating with a signed JWT.
+ */
+export declare class BackendServicesTokenProvider extends TokenProvider {
+  constructor(config: BackendServicesOptions & { fhirBaseUrl?: string });
+  discoverTokenUrl(): Promise<string | URL>;
+}
+
+interface AwsCredentials {
+  accessKeyId: string;
+  secretAccessKey: string;
+  sessionToken?: string;
+}
+
+interface AwsSigV4Settings {
+  region: string;
+  /** Defaults to 'healthlake' */
+  service?: string;
+  /**
+   * The credentials, or a function called for each request that returns
+   * them, e.g. to refresh temporary credentials
+   */
+  credentials: AwsCredentials | (() => AwsCredentials | Promise<AwsCredentials>);
+  /** Milliseconds to add to the local clock, corrected from response dates */
+  clockOffset?: number;
+}
+
+/**
+ * Request signer for AWS services such as AWS HealthLake, which sign
+ * requests with AWS Signature Version 4. Streamed bodies are sent as an
+ * unsigned payload.
+ */
+export declare class AwsSigV4Signer {
+  region: string;
+  service: string;
+  clockOffset: number;
+  /** Corrects clockOffset from the Date of responses */
+  readonly middleware: Middleware;
+  constructor(settings: AwsSigV4Settings);
+  static for(signerOrSettings: AwsSigV4Signer | AwsSigV4Settings): AwsSigV4Signer;
+  getCredentials(): Promise<AwsCredentials>;
+  sign(url: string, requestOptions: RequestInit, signedBody?: SignedBody): Promise<void>;
+  correctClock(date: string | null | undefined): void;
+}
+
+type MessageSignatureKey = string | Buffer | JsonWebKey | import('crypto').KeyObject;
+
+interface MessageSignatureSettings {
+  keyId?: string;
+  /** The key to sign requests with; requests are not signed without one */
+  privateKey?: MessageSignatureKey;
+  /** Defaults to the one matching the key type */
+  algorithm?: 'ed25519' | 'ecdsa-p256-sha256' | 'rsa-pss-sha512';
+  /**
+   * Defaults to @method, @target-uri, content-digest and authorization.
+   * Headers that a request does not have are left out.
+   */
+  components?: string[];
+  /** Defaults to 'sig1' */
+  label?: string;
+  /** Seconds until signatures expire */
+  lifetime?: number;
+  tag?: string;
+  /** Verify the Signature of responses */
+  verify?: {
+    keys: Record<string, MessageSignatureKey>
+      | ((keyId: string | undefined) => MessageSignatureKey | undefined
+        | Promise<MessageSignatureKey | undefined>);
+    /** Defaults to @status and content-digest */
+    components?: string[];
+    /** Defaults to the first signature */
+    label?: string;
+    /** Defaults to 300 seconds */
+    maxAge?: number;
+  };
+}
+
+/**
+ * HTTP Message Signatures (RFC 9421): signs requests and, optionally,
+ * verifies the Signature of responses, with Ed25519, ECDSA P-256 or
+ * RSA-PSS keys.
+ */
+export declare class HttpMessageSignatures {
+  /** Verifies responses, when there are verify settings */
+  readonly middleware: Middleware | undefined;
+  constructor(settings: MessageSignatureSettings);
+  static for(signaturesOrSettings: HttpMessageSignatures | MessageSignatureSettings): HttpMessageSignatures;
+  sign(url: string, requestOptions: RequestInit, signedBody?: SignedBody): Promise<void>;
+  verifyResponse(request: { method: string; url: string }, response: Response): Promise<Response>;
+}
+
+type BinaryBody = Buffer | Uint8Array | string | NodeJS.ReadableStream | ReadableStream;
+
+interface BinaryContent<T> {
+  contentType?: string;
+  /** Reference from X-Security-Context or Binary.securityContext */
+  securityContext?: string;
+  content: T;
+}
+
+interface BulkExportFile {
+  type: string;
+  url: string;
+  count?: number;
+}
+
+interface BulkExportManifest {
+  transactionTime: string;
+  request: string;
+  requiresAccessToken: boolean;
+  output: BulkExportFile[];
+  error: BulkExportFile[];
+  [key: string]: any;
+}
+
+interface BulkExportStatus {
+  complete: boolean;
+  /** X-Progress header while in progress */
+  progress?: string;
+  /** Retry-After in milliseconds while in progress */
+  retryAfter?: number;
+  manifest?: BulkExportManifest;
+}
+
+type SearchValue = string | number | boolean | Date;
+
+/**
+ * The values of one search parameter. Several values in one call match any
+ * of them (OR).
+ */
+interface SearchParameterClause {
+  is(...values: SearchValue[]): SearchBuilder;
+  modifier(modifier: string | undefined, ...values: SearchValue[]): SearchBuilder;
+  eq(...values: SearchValue[]): SearchBuilder;
+  ne(...values: SearchValue[]): SearchBuilder;
+  gt(...values: SearchValue[]): SearchBuilder;
+  lt(...values: SearchValue[]): SearchBuilder;
+  ge(...values: SearchValue[]): SearchBuilder;
+  le(...values: SearchValue[]): SearchBuilder;
+  sa(...values: SearchValue[]): SearchBuilder;
+  eb(...values: SearchValue[]): SearchBuilder;
+  ap(...values: SearchValue[]): SearchBuilder;
+  exact(...values: string[]): SearchBuilder;
+  contains(...values: string[]): SearchBuilder;
+  missing(missing?: boolean): SearchBuilder;
+  not(...values: string[]): SearchBuilder;
+  text(...values: string[]): SearchBuilder;
+  /** Each value is the list of its parts, joined with '$' */
+  composite(...values: SearchValue[][]): SearchBuilder;
+}
+
+/**
+ * Where a ResponseCache keeps its entries. Methods may return promises, e.g.
+ * to share a cache through Redis; entries are plain JSON objects.
+ */
+export interface CacheStore {
+  get(key: string): any | Promise<any>;
+  set(key: string, entry: any): any;
+  delete(key: string): any;
+  keys(): string[] | Promise<string[]>;
+}
+
+/**
+ * Default cache store: keeps the most recently used entries in memory.
+ */
+export declare class MemoryCacheStore implements CacheStore {
+  /** @param [settings.maxEntries] - Entries kept (default 100) */
+  constructor(settings?: { maxEntries?: number });
+  get(key: string): any;
+  set(key: string, entry: any): this;
+  delete(key: string): boolean;
+  keys(): string[];
+}
+
+/**
+ * HTTP cache for GET responses, revalidated with ETag and Last-Modified.
+ * Pass the same cache to several clients to share it; responses are kept
+ * per credentials, and a shared cache skips private responses and those to
+ * requests with credentials unless they are public.
+ * @param [settings.shared] - Whether several clients use the cache
+ *   (default true)
+ */
+export declare class ResponseCache {
+  constructor(settings?: { store?: CacheStore; maxEntries?: number; shared?: boolean });
+  store: CacheStore;
+  shared: boolean;
+}
+
+/**
+ * Fluent builder for FHIR searches, compiled to Client#search.
+ */
+export declare class SearchBuilder {
+  constructor(client: Client, resourceType?: ResourceType);
+  resourceType?: ResourceType;
+  where(name: string): SearchParameterClause;
+  and(name: string): SearchParameterClause;
+  /** Reverse chaining with `_has:resourceType:referenceParam:param` */
+  has(resourceType: ResourceType, referenceParam: string, param: string): SearchParameterClause;
+  /** Add a parameter as is, without escaping */
+  param(name: string, value: string | number): SearchBuilder;
+  include(value: string, options?: { iterate?: boolean }): SearchBuilder;
+  revInclude(value: string, options?: { iterate?: boolean }): SearchBuilder;
+  sort(...fields: string[]): SearchBuilder;
+  count(count: number): SearchBuilder;
+  compartment(compartment: Compartment): SearchBuilder;
+  toSearchParams(): SearchParams;
+  toString(): string;
+  execute(params?: {
+    post?: boolean;
+    options?: FhirRequestOptions;
+  }): Promise<FhirResource | FhirResource & { type: "searchset" }>;
+}
+
+/**
+ * A request added to a TransactionBuilder, to look up its result.
+ */
+interface TransactionEntryHandle {
+  readonly fullUrl: string;
+  readonly request: {
+    readonly method: string;
+    readonly url: string;
+    readonly ifMatch?: string;
+  };
+}
+
+interface TransactionEntryResult {
+  status: number;
+  location?: string;
+  etag?: string;
+  lastModified?: string;
+  resource?: FhirResource;
+  outcome?: FhirResource;
+}
+
+type PatchFormat = 'json-patch' | 'fhirpath';
+
+/** Preferences of writes, sent in the Prefer header */
+interface WritePreferences {
+  return?: 'minimal' | 'representation' | 'OperationOutcome';
+}
+
+/** Preferences of searches, sent in the Prefer header */
+interface SearchPreferences {
+  handling?: 'strict' | 'lenient';
+}
+
+/** The result of a write with `prefer: { return: 'minimal' }` */
+interface WriteResult {
+  id?: string;
+  versionId?: string;
+  /** From Last-Modified, as an ISO 8601 instant */
+  lastUpdated?: string;
+  location?: string;
+}
+
+type PreferredResult<P, T> = P extends { return: 'minimal' } ? WriteResult : FhirResource | T;
+
+/**
+ * Builder for FHIRPath Patch documents, a Parameters resource with an
+ * operation per change. Values are typed from their JavaScript type; pass a
+ * typed value such as `{ valueCode: 'male' }` for other types.
+ */
+export declare class FhirPathPatch {
+  operations: Array<Array<{ name: string; [key: string]: any }>>;
+  add(path: string, name: string, value: any): this;
+  insert(path: string, value: any, index: number): this;
+  delete(path: string): this;
+  replace(path: string, value: any): this;
+  move(path: string, source: number, destination: number): this;
+  toParameters(): FhirResource & { resourceType: 'Parameters' };
+  static parametersFor(patch: FhirPathPatch | FhirResource): FhirResource;
+  /**
+   * Throws for operations without a FHIRPath Patch equivalent (test, copy,
+   * moves between lists). Strings become a valueString; give other types
+   * typed, e.g. `{ valueCode: 'female' }`.
+   */
+  static fromJSONPatch(resourceType: ResourceType, JSONPatch: OpPatch[]): FhirPathPatch;
+}
+
+/**
+ * Builds a transaction or batch Bundle, with urn:uuid fullUrls and
+ * references to created resources rewritten to them.
+ */
+export declare class TransactionBuilder {
+  constructor(params: { client: Client; type?: 'transaction' | 'batch' });
+  type: 'transaction' | 'batch';
+  add(params: {
+    request: { method: string; url: string; [key: string]: any };
+    resource?: FhirResource;
+  }): TransactionEntryHandle;
+  /** A resource id is replaced with a server assigned one, and references to it are rewritten */
+  create(resource: FhirResource, params?: { ifNoneExist?: SearchParams | string }): TransactionEntryHandle;
+  update(resource: FhirResource, params?: { searchParams?: SearchParams | string; ifMatch?: string }): TransactionEntryHandle;
+  patch(params: {
+    resourceType: ResourceType;
+    id?: string;
+    searchParams?: SearchParams | string;
+    JSONPatch?: OpPatch[];
+    FHIRPathPatch?: FhirPathPatch | FhirResource;
+    ifMatch?: string;
+  }): TransactionEntryHandle;
+  delete(params: {
+    resourceType: ResourceType;
+    id?: string;
+    searchParams?: SearchParams | string;
+    ifMatch?: string;
+  }): TransactionEntryHandle;
+  toBundle(): FhirResource & { type: 'transaction' | 'batch' };
+  commit(params?: {
+    chunkSize?: number;
+    concurrency?: number;
+    allowNonAtomic?: boolean;
+    options?: FhirRequestOptions;
+  }): Promise<{
+    bundle: FhirResource;
+    results: Map<TransactionEntryHandle, TransactionEntryResult>;
+  }>;
+}
+
+/**
+ * A Bulk Data export that the server is running asynchronously.
+ */
+export declare class BulkExportJob {
+  constructor(params: { httpClient: any; statusUrl: string });
+  statusUrl: string;
+  manifest?: BulkExportManifest;
+  /**
+   * Check the status of the export once.
+   */
+  status(params?: { options?: FhirRequestOptions }): Promise<BulkExportStatus>;
+  /**
+   * Poll the status until the export is complete.
+   */
+  waitForCompletion(params?: {
+    pollInterval?: number;
+    onProgress?: (status: BulkExportStatus) => void;
+    signal?: AbortSignal;
+    options?: FhirRequestOptions;
+  }): Promise<BulkExportManifest>;
+  /**
+   * Cancel the export, or tell the server that the files may be deleted.
+   */
+  cancel(params?: { options?: FhirRequestOptions }): Promise<any>;
+  /**
+   * Iterate over the resources of all output files.
+   */
+  resources(params?: {
+    types?: string[];
+    manifest?: BulkExportManifest;
+    options?: FhirRequestOptions;
+  }): AsyncIterableIterator<FhirResource>;
+  /**
+   * Iterate over the resources of one output or error file.
+   */
+  fileResources(params: {
+    file: BulkExportFile;
+    requiresAccessToken?: boolean;
+    options?: FhirRequestOptions;
+  }): AsyncIterableIterator<FhirResource>;
+}
+
+interface SmartLaunchContext {
+  patient?: string;
+  encounter?: string;
+  /** fhirUser claim of the id_token, which is not verified */
+  fhirUser?: string;
+  needPatientBanner?: boolean;
+  smartStyleUrl?: string;
+  intent?: string;
+  tenant?: string;
+  fhirContext?: any[];
+}
+
+/**
+ * SMART App Launch using the OAuth2 authorization code flow with PKCE.
+ */
+export declare class SmartAuthorization {
+  constructor(config: {
+    client: Client;
+    clientId: string;
+    clientSecret?: string;
+    redirectUri: string;
+    scope?: string;
+    authorizeUrl?: string | URL;
+    tokenUrl?: string | URL;
+  });
+  /**
+   * Discover the authorization and token endpoints.
+   */
+  endpoints(): Promise<{ authorizeUrl: URL; tokenUrl: URL }>;
+  /**
+   * Build the URL to redirect the user to, with state, aud, launch, scope
+   * and a PKCE S256 challenge.
+   */
+  authorizeUrl(params?: {
+    launch?: string;
+    scope?: string;
+    state?: string;
+    aud?: string;
+  }): Promise<{ url: string; state: string; codeVerifier: string }>;
+  /**
+   * Exchange the authorization code for a token, and return an authenticated
+   * client, with the settings and middleware of the original client, along
+   * with the launch context.
+   */
+  completeAuthorization(params: {
+    code: string;
+    state: string;
+    expectedState: string;
+    codeVerifier: string;
+  }): Promise<{ client: Client; context: SmartLaunchContext; tokenResponse: any }>;
+}
+
+/**
+ * The resource types, data types and compartments of a FHIR release.
+ */
+export interface FhirRegistry {
+  name: string | undefined;
+  version: string | undefined;
+  resourceTypes: Set<string>;
+  dataTypes: Set<string>;
+  compartments: Set<string>;
+}
+
 /**
  * Create a FHIR client.
  *
@@ -229,17 +947,21 @@ declare class CapabilityTool {
  *   },
  *   bearerToken: 'eyJhbGci...dQssw5c',
  *   requestSigner: (url, requestOptions) => {
+ *      const { host, pathname, search } = new URL(url);
  *      const signed = aws4.sign({
- *        path: requestOptions.path,
+ *        host,
+ *        path: `${pathname}${search}`,
  *        service: 'healthlake',
- *        region: 'us-west-2'
- *        method: requestOptions.method
+ *        region: 'us-west-2',
+ *        method: requestOptions.method,
+ *        body: requestOptions.body,
  *      });
  *      Object.keys(signed.headers).forEach((key) => {
- *        requestOptions.headers.set(key, signed[key]);
+ *        requestOptions.headers.set(key, signed.headers[key]);
  *      });
- *    }
- * };
+ *    },
+ *   // or use the built-in signer instead of requestSigner:
+ *   // awsSigV4: { region: 'us-west-2', credentials: { accessKeyId, secretAccessKey } },
  * };
  *
  * const client = new Client(options);
@@ -250,19 +972,88 @@ declare class CapabilityTool {
  * @param [config.requestOptions] - Optional custom request options for
  *   instantiating the HTTP connection
  * @param [config.requestSigner] Optional pass in a function to sign the request.
+ *   It gets the url, the request options and the body bytes and their
+ *   SHA-256 digest, and may return a Promise, which is awaited before the
+ *   request is sent.
+ * @param [config.retry] - Optional retry policy for failed requests. Pass
+ *   true for the defaults, or an object with any of maxAttempts, methods,
+ *   statusCodes, networkErrors, minDelay, maxDelay, factor, jitter and
+ *   retryAfter. Any request can override it with `options.retry`.
+ * @param [config.tokenProvider] - Optional provider of access tokens, e.g. a
+ *   RefreshTokenProvider. Takes the place of bearerToken.
+ * @param [config.backendServices] - Optional SMART Backend Services settings,
+ *   which set up a BackendServicesTokenProvider for baseUrl. Cannot be
+ *   combined with tokenProvider.
+ * @param [config.format] - Optional 'json' (the default) or 'xml', the format
+ *   of request and response bodies. Any request can override it with
+ *   `options.format`.
+ * @param [config.fhirVersion] - Optional FHIR version of the server, a
+ *   release name like 'R4' or a version like '4.0.1'. Resource types,
+ *   compartments and references are then checked against that version, it
+ *   is asked for with the fhirVersion media type parameter, and responses
+ *   in another version are rejected. Without it, resource types are checked
+ *   against the version of the CapabilityStatement once read, but no
+ *   version is asked for; see negotiateVersion.
+ * @param [config.cache] - Optional HTTP cache for GET requests. Pass true
+ *   for an in-memory cache, settings with maxEntries or a store, or a
+ *   ResponseCache to share. Any request can set the fetch `options.cache`
+ *   mode, e.g. 'no-store' to bypass it.
+ * @param [config.patchFormat] - Optional 'json-patch' (the default) or
+ *   'fhirpath', to send the JSONPatch of patch as a FHIRPath Patch.
+ * @param [config.middleware] - Optional middleware around every request,
+ *   see use.
+ * @param [config.awsSigV4] - Optional AWS Signature Version 4 signer, or its
+ *   settings, to sign requests to AWS HealthLake instead of passing a
+ *   requestSigner.
+ * @param [config.messageSignatures] - Optional HTTP Message Signatures
+ *   (RFC 9421), or their settings, to sign requests and verify the Signature
+ *   of responses instead of passing a requestSigner.
  */
 export default class Client {
   baseUrl: string;
   customHeaders: HeadersInit;
   bearerToken: string | undefined;
+  tokenProvider: Pick<TokenProvider, 'getAccessToken'> | undefined;
+  fhirVersion: string | undefined;
+  readonly registry: FhirRegistry | undefined;
+  patchFormat: PatchFormat;
 
   constructor(config: {
     baseUrl: string;
     customHeaders?: HeadersInit;
     requestOptions?: RequestInit;
-    requestSigner?: (url: string, requestOptions: RequestInit) => void | undefined;
+    requestSigner?: RequestSigner;
     bearerToken?: string | undefined;
+    retry?: boolean | RetryOptions;
+    tokenProvider?: Pick<TokenProvider, 'getAccessToken'>;
+    backendServices?: BackendServicesOptions;
+    format?: FhirFormat;
+    fhirVersion?: string;
+    cache?: boolean | { store?: CacheStore; maxEntries?: number; shared?: boolean } | ResponseCache;
+    patchFormat?: PatchFormat;
+    middleware?: Middleware[];
+    awsSigV4?: AwsSigV4Signer | AwsSigV4Settings;
+    messageSignatures?: HttpMessageSignatures | MessageSignatureSettings;
+    timeout?: number;
   });
+  /**
+   * Add middleware around every request. beforeRequest hooks run in the
+   * order the middleware was added, and can change the request or return a
+   * Response to use instead of sending it. afterResponse and onError hooks
+   * run in reverse order; afterResponse can return another Response, and
+   * onError can throw or return another error, or return a result. Fresh
+   * responses of the client cache skip afterResponse.
+   * @example
+   * fhirClient.use({
+   *   beforeRequest: async ({ request, context }) => {
+   *     request.headers['x-request-id'] = uuid();
+   *     audit.log(context.interaction, context.resourceType, context.id);
+   *   },
+   * });
+   * @param middleware - The middleware
+   * @returns The client
+   */
+  use(middleware: Middleware): this;
   /**
    * Given a Client response, returns the underlying HTTP request and response
    * objects.
@@ -323,7 +1114,7 @@ export default class Client {
     reference: string;
     context?: FhirResource;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource>;
   /**
    * Obtain the SMART OAuth URLs from the Capability Statement, or
@@ -348,7 +1139,7 @@ export default class Client {
    */
   smartAuthMetadata(params?: {
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<SmartAuthMetadata>;
   /**
    * Get the capability statement.
@@ -369,8 +1160,28 @@ export default class Client {
    */
   capabilityStatement(params?: {
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource>;
+  /**
+   * Ask the server which FHIR versions it supports with `$versions`, and
+   * use the first of the wanted versions that it supports, or its default
+   * version. Later requests ask for that version in Accept and Content-Type,
+   * and fail with a FhirVersionMismatchError if the server answers in
+   * another one.
+   * @example
+   * // Use R4 if the server has it, else R4B
+   * const version = await fhirClient.negotiateVersion({ versions: ['4.0', 'R4B'] });
+   * console.log(fhirClient.fhirVersion); // e.g. '4.0'
+   * @param [params.versions] - Optional wanted versions, as release names or
+   *   versions, in order of preference; defaults to the configured
+   *   fhirVersion, if any
+   * @param [params.options] - Optional options object
+   * @returns The negotiated major.minor version, e.g. '4.0'
+   */
+  negotiateVersion(params?: {
+    versions?: string[];
+    options?: FhirRequestOptions;
+  }): Promise<string>;
   /**
    * Run a request.
    * @example
@@ -423,7 +1234,7 @@ export default class Client {
     resourceType: ResourceType;
     id: string;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource>;
   /**
    * Get a resource by id and version.
@@ -459,7 +1270,7 @@ export default class Client {
     id: string;
     version: string;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource>;
   /**
    * Create a resource.
@@ -487,6 +1298,13 @@ export default class Client {
    * @param params - The request parameters.
    * @param params.resourceType - The FHIR resource type.
    * @param params.body - The new resource data to create.
+   * @param [params.ifNoneExist] - Optional search parameters or query
+   *   string; the resource is only created when nothing matches them, sent
+   *   as If-None-Exist
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `return: 'minimal'` the result is the id, versionId, lastUpdated and
+   *   location of the resource, parsed from the response headers; with
+   *   'representation' the resource, read when the server did not return it.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -494,12 +1312,14 @@ export default class Client {
    *   request
    * @returns FHIR resource
    */
-  create<T extends FhirResource>(params: {
+  create<T extends FhirResource, P extends WritePreferences = {}>(params: {
     resourceType: ResourceType;
     body: T;
+    ifNoneExist?: SearchParams | string;
+    prefer?: P;
     headers?: HeadersInit;
-    options?: RequestInit;
-   }): Promise<FhirResource | T>;
+    options?: FhirRequestOptions;
+   }): Promise<PreferredResult<P, T>>;
   /**
    * Delete a resource by FHIR id.
    * @example
@@ -514,7 +1334,14 @@ export default class Client {
    * console.log(response);
    * @param params - The request parameters.
    * @param params.resourceType - The resource type (e.g. "Patient", "Observation").
-   * @param params.id - The FHIR id for the resource.
+   * @param [params.id] - The FHIR id for the resource.
+   * @param [params.searchParams] - Optional search parameters or query
+   *   string selecting the resource instead of an id (conditional delete)
+   * @param [params.multiple] - Optional, delete every match when the server
+   *   only deletes a single one
+   * @param [params.ifMatch] - Optional versionId or ETag the current version
+   *   must match, sent as If-Match. A mismatch rejects with a
+   *   VersionConflictError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -524,9 +1351,12 @@ export default class Client {
    */
   delete(params: {
     resourceType: ResourceType;
-    id: string;
+    id?: string;
+    searchParams?: SearchParams | string;
+    multiple?: boolean;
+    ifMatch?: string | number;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource>;
   /**
    * Update a resource by FHIR id.
@@ -556,6 +1386,13 @@ export default class Client {
    * @param params.id - The FHIR id for the resource.
    * @param params.searchParams - For a conditional update the searchParams are specified instead of the id, see https://www.hl7.org/fhir/http.html#cond-update
    * @param params.body - The resource to be updated.
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `return: 'minimal'` the result is the id, versionId, lastUpdated and
+   *   location of the resource, parsed from the response headers; with
+   *   'representation' the resource, read when the server did not return it.
+   * @param [params.ifMatch] - Optional versionId or ETag the current version
+   *   must match, sent as If-Match; defaults to the meta.versionId of the
+   *   body, false sends none. A mismatch rejects with a VersionConflictError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -563,14 +1400,39 @@ export default class Client {
    *   request
    * @returns FHIR resource
    */
-  update<T extends FhirResource>(params: {
+  update<T extends FhirResource, P extends WritePreferences = {}>(params: {
     resourceType: ResourceType;
     id?: string;
     searchParams?: SearchParams;
     body: T;
+    ifMatch?: string | number | false;
+    prefer?: P;
     headers?: HeadersInit;
-    options?: RequestInit;
-  }): Promise<FhirResource | T>
+    options?: FhirRequestOptions;
+  }): Promise<PreferredResult<P, T>>
+  /**
+   * Update a resource without losing concurrent changes: read it, merge the
+   * changes into it and update it with If-Match, merging into the new
+   * version and trying again when someone else updated it in between.
+   * @example
+   * await fhirClient.updateWithRetry({
+   *   resourceType: 'Patient',
+   *   id: 12345,
+   *   merge: (current) => ({ ...current, active: false }),
+   * });
+   * @param params.merge - Gets the current resource and returns, or
+   *   resolves to, the resource to write
+   * @param [params.maxAttempts] - Optional number of updates to try before
+   *   the VersionConflictError is thrown (default 3)
+   * @returns FHIR resource
+   */
+  updateWithRetry<T extends FhirResource>(params: {
+    resourceType: ResourceType;
+    id: string;
+    merge: (current: FhirResource) => T | Promise<T>;
+    maxAttempts?: number;
+    options?: FhirRequestOptions;
+  }): Promise<FhirResource | T>;
   /**
    * Patch a resource by FHIR id.
    *
@@ -595,12 +1457,32 @@ export default class Client {
    *   JSONPatch
    * });
    * console.log(response);
+   *
+   * // FHIRPath Patch
+   * await fhirClient.patch({
+   *   resourceType: 'Patient',
+   *   id: 12345,
+   *   FHIRPathPatch: new FhirPathPatch().replace('Patient.gender', { valueCode: 'male' }),
+   * });
    * @param params - The request parameters.
    * @param params.resourceType - The resource type (e.g. "Patient",
    *   "Observation").
-   * @param params.id - The FHIR id for the resource.
-   * @param params.JSONPatch - A JSON Patch document containing an array
+   * @param [params.id] - The FHIR id for the resource.
+   * @param [params.searchParams] - Optional search parameters or query
+   *   string selecting the resource instead of an id (conditional patch)
+   * @param [params.JSONPatch] - A JSON Patch document containing an array
    *   of patch operations, formatted according to http://jsonpatch.com/.
+   * @param [params.FHIRPathPatch] - A FHIRPath Patch, instead of JSONPatch,
+   *   sent as a Parameters resource
+   * @param [params.patchFormat] - Optional 'fhirpath' to convert JSONPatch
+   *   to a FHIRPath Patch; defaults to the patchFormat of the client
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `return: 'minimal'` the result is the id, versionId, lastUpdated and
+   *   location of the resource, parsed from the response headers; with
+   *   'representation' the resource, read when the server did not return it.
+   * @param [params.ifMatch] - Optional versionId or ETag the current version
+   *   must match, sent as If-Match. A mismatch rejects with a
+   *   VersionConflictError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -608,12 +1490,78 @@ export default class Client {
    *   request
    * @returns FHIR resource
    */
-  patch(params: {
+  patch<P extends WritePreferences = {}>(params: {
     resourceType: ResourceType;
-    id: string;
-    JSONPatch: OpPatch[];
+    id?: string;
+    searchParams?: SearchParams | string;
+    JSONPatch?: OpPatch[];
+    FHIRPathPatch?: FhirPathPatch | FhirResource;
+    patchFormat?: PatchFormat;
+    ifMatch?: string | number;
+    prefer?: P;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
+  }): Promise<PreferredResult<P, FhirResource>>;
+  /**
+   * Read the raw content of a Binary resource, e.g. a PDF or an image.
+   * Servers that only speak FHIR JSON answer with the Binary resource; its
+   * base64 data is decoded, so the result looks the same either way.
+   * @example
+   * const { contentType, content } = await fhirClient.readBinary({
+   *   id: 'report-pdf',
+   *   contentType: 'application/pdf',
+   * });
+   * @param params.id - The FHIR id of the Binary.
+   * @param [params.contentType] - Optional MIME type to ask for
+   * @param [params.stream] - Optional, resolve the content as a stream
+   * @param [params.options] - Optional options object
+   * @returns contentType, securityContext and content
+   */
+  readBinary(params: {
+    id: string;
+    contentType?: string;
+    stream?: false;
+    options?: FhirRequestOptions;
+  }): Promise<BinaryContent<Buffer>>;
+  readBinary(params: {
+    id: string;
+    contentType?: string;
+    stream: true;
+    options?: FhirRequestOptions;
+  }): Promise<BinaryContent<NodeJS.ReadableStream | ReadableStream>>;
+  /**
+   * Create a Binary resource from raw content, sent with its own
+   * Content-Type. Falls back to a Binary resource with base64 data if the
+   * server responds 415 Unsupported Media Type.
+   * @param params.content - The content
+   * @param params.contentType - The MIME type of the content
+   * @param [params.securityContext] - Optional reference to the resource
+   *   that determines access to the content (X-Security-Context)
+   * @param [params.asResource] - Optional, send a Binary resource with base64
+   *   data right away
+   * @param [params.options] - Optional options object
+   * @returns The response body, usually the Binary resource
+   */
+  createBinary(params: {
+    content: BinaryBody;
+    contentType: string;
+    securityContext?: string;
+    asResource?: boolean;
+    options?: FhirRequestOptions;
+  }): Promise<FhirResource>;
+  /**
+   * Update a Binary resource with raw content, sent with its own
+   * Content-Type. Falls back to a Binary resource like createBinary.
+   * @param params.id - The FHIR id of the Binary.
+   * @returns The response body, usually the Binary resource
+   */
+  updateBinary(params: {
+    id: string;
+    content: BinaryBody;
+    contentType: string;
+    securityContext?: string;
+    asResource?: boolean;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource>;
   /**
    * Submit a set of actions to perform independently as a batch.
@@ -674,7 +1622,11 @@ export default class Client {
   batch(params: {
     body: FhirResource & { type: "batch" };
     headers?: HeadersInit;
-    options?: RequestInit;
+    /** Send the entries in chunks of at most this many */
+    chunkSize?: number;
+    /** Number of chunks sent at once, defaults to 1 */
+    concurrency?: number;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource | FhirResource & { type: "batch-response" }>;
   /**
    * Submit a set of actions to perform independently as a transaction.
@@ -740,8 +1692,38 @@ export default class Client {
   transaction(params: {
     body: FhirResource & { type: "transaction" };
     headers?: HeadersInit;
-    options?: RequestInit;
+    /**
+     * With allowNonAtomic, send the entries as separate transactions of at
+     * most this many
+     */
+    chunkSize?: number;
+    /** Number of chunks sent at once, defaults to 1 */
+    concurrency?: number;
+    /**
+     * Allow splitting with chunkSize, even when entries reference entries of
+     * other chunks. A failed chunk rejects with a PartialTransactionError.
+     */
+    allowNonAtomic?: boolean;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource | FhirResource & { type: "transaction-response" }>;
+  /**
+   * Build a transaction or batch Bundle one request at a time. Entries get
+   * urn:uuid fullUrls, references to resources created in the Bundle are
+   * rewritten to them, and commit matches each entry with its response.
+   * @example
+   * const transaction = fhirClient.transactionBuilder();
+   * const patient = transaction.create({ resourceType: 'Patient', id: 'p1' });
+   * transaction.create({
+   *   resourceType: 'Observation',
+   *   subject: { reference: 'Patient/p1' },
+   * });
+   *
+   * const { results } = await transaction.commit();
+   * console.log(results.get(patient).location);
+   * @param [params.type] - 'transaction' (default) or 'batch'
+   * @returns The transaction builder
+   */
+  transactionBuilder(params?: { type?: 'transaction' | 'batch' }): TransactionBuilder;
   /**
    * Run a custom FHIR operation on system, resource type or instance level.
    *
@@ -783,6 +1765,42 @@ export default class Client {
     input?: any;
     options?: RequestInitWithoutMethod;
   }): Promise<FhirResource | any>;
+  /**
+   * Start a Bulk Data export, and return the job to poll for completion and
+   * stream the exported NDJSON files from.
+   * @example
+   * const job = await client.bulkExport({ type: ['Patient', 'Condition'] });
+   * await job.waitForCompletion();
+   * for await (const resource of job.resources()) {
+   *   console.log(resource.resourceType, resource.id);
+   * }
+   * @param [params.resourceType] - Optional 'Patient' or 'Group'
+   * @param [params.id] - Optional Group id
+   * @param [params.type] - Optional resource types to export (_type)
+   * @param [params.since] - Optional time after which resources were changed
+   *   (_since)
+   * @param [params.typeFilter] - Optional FHIR searches that resources must
+   *   match (_typeFilter)
+   * @param [params.outputFormat] - Optional output format (_outputFormat)
+   * @param [params.params] - Optional additional kick-off parameters
+   * @param [params.options] - Optional options object
+   * @returns The started export
+   */
+  bulkExport(params?: {
+    resourceType?: 'Patient' | 'Group';
+    id?: string;
+    type?: string | string[];
+    since?: Date | string;
+    typeFilter?: string | string[];
+    outputFormat?: string;
+    params?: Record<string, any>;
+    options?: FhirRequestOptions;
+  }): Promise<BulkExportJob>;
+  /**
+   * Return the job for a Bulk Data export started earlier.
+   * @param params.statusUrl - The Content-Location of the kick-off response
+   */
+  bulkExportJob(params: { statusUrl: string }): BulkExportJob;
   /**
    * Return the next page of results.
    * @param params - The request parameters. Passing the bundle as the
@@ -797,7 +1815,7 @@ export default class Client {
    */
   nextPage<T extends string>(params: {
     bundle: FhirResource & {type: T};
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource | FhirResource & {type: T}>;
   /**
    * Return the previous page of results.
@@ -813,8 +1831,81 @@ export default class Client {
    */
   prevPage<T extends string>(params: {
     bundle: FhirResource & {type: T};
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource | FhirResource & {type: T}>;
+  /**
+   * Iterate over a Bundle and all of the pages that follow it.
+   *
+   * Works with the results of any search or history request. Iteration stops
+   * when there are no more "next" links, when a limit is reached, or when the
+   * signal is aborted.
+   * @example
+   * const bundle = await fhirClient.search({ resourceType: 'Patient' });
+   * for await (const page of fhirClient.paginate({ bundle, maxPages: 10 })) {
+   *   console.log(page.entry.length);
+   * }
+   * @param params - The request parameters.
+   * @param params.bundle - The first page of results
+   * @param [params.maxPages] - Optional maximum number of pages,
+   *   including the first one
+   * @param [params.maxResources] - Optional number of entries after
+   *   which no further pages are fetched. Every entry counts, including
+   *   included resources and OperationOutcomes.
+   * @param [params.signal] - Optional signal to stop paging
+   * @param [params.options] - Optional options object
+   * @param [params.options.headers] - Optional headers to add to each
+   *   page request
+   * @returns FHIR Bundles, one per page.
+   */
+  paginate(params: PaginationLimits & {
+    bundle: FhirResource;
+    options?: FhirRequestOptions;
+  }): AsyncIterableIterator<FhirResource>;
+  /**
+   * Search for FHIR resources and iterate over the entries of every page of
+   * results. Accepts the same parameters as Client#search.
+   * @example
+   * const entries = fhirClient.searchAll({
+   *   resourceType: 'Observation',
+   *   compartment: { resourceType: 'Patient', id: 123 },
+   *   maxResources: 500,
+   * });
+   * for await (const entry of entries) {
+   *   console.log(entry.resource.id);
+   * }
+   * @param params - The request parameters, see Client#search.
+   * @param [params.maxPages] - Optional maximum number of pages
+   * @param [params.maxResources] - Optional maximum number of
+   *   entries, included resources and OperationOutcomes among them
+   * @param [params.signal] - Optional signal to stop iterating
+   * @returns Bundle entries
+   */
+  searchAll(params: PaginationLimits & {
+    resourceType?: ResourceType;
+    compartment?: Compartment;
+    searchParams?: SearchParams;
+    prefer?: SearchPreferences;
+    options?: FhirRequestOptions;
+  }): AsyncIterableIterator<BundleEntry>;
+  /**
+   * Retrieve change history and iterate over the entries of every page.
+   * Accepts the same parameters as Client#history.
+   * @example
+   * for await (const entry of fhirClient.historyAll({ resourceType: 'Patient' })) {
+   *   console.log(entry.request.method, entry.fullUrl);
+   * }
+   * @param [params] - The request parameters, see Client#history.
+   * @param [params.maxPages] - Optional maximum number of pages
+   * @param [params.maxResources] - Optional maximum number of
+   *   entries, included resources and OperationOutcomes among them
+   * @param [params.signal] - Optional signal to stop iterating
+   * @returns Bundle entries
+   */
+  historyAll(params?: PaginationLimits & {
+    resourceType?: ResourceType;
+    id?: string;
+    options?: FhirRequestOptions;
+  }): AsyncIterableIterator<BundleEntry>;
   /**
    * Search for a FHIR resource, with or without compartments, or the entire
    * system
@@ -838,6 +1929,9 @@ export default class Client {
    *   (e.g. "Patient", "Observation"), optional.
    * @param [params.compartment] - The search compartment, optional.
    * @param [params.searchParams] - The search parameters, optional.
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `handling: 'strict'` the server is asked to reject unknown parameters,
+   *   and a Bundle with warnings rejects with a SearchWarningError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -852,9 +1946,25 @@ export default class Client {
     resourceType: ResourceType;
     compartment?: Compartment;
     searchParams?: SearchParams;
+    prefer?: SearchPreferences;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource | FhirResource & { type: "searchset" }>;
+  /**
+   * Build a search with a fluent API, compiled to the searchParams of
+   * Client#search.
+   * @example
+   * const bundle = await fhirClient.searchBuilder('Observation')
+   *   .where('code').is('http://loinc.org|1234')
+   *   .and('date').ge('2024-01-01')
+   *   .include('Observation:subject')
+   *   .sort('-date')
+   *   .count(50)
+   *   .execute();
+   * @param [resourceType] - The resource type, omit for a system search
+   * @returns The search builder
+   */
+  searchBuilder(resourceType?: ResourceType): SearchBuilder;
   /**
    * Search for a FHIR resource.
    * @example
@@ -874,6 +1984,9 @@ export default class Client {
    * @param params.resourceType - The resource type (e.g. "Patient",
    *   "Observation").
    * @param params.searchParams - The search parameters.
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `handling: 'strict'` the server is asked to reject unknown parameters,
+   *   and a Bundle with warnings rejects with a SearchWarningError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -887,8 +2000,9 @@ export default class Client {
   resourceSearch(params: {
     resourceType: ResourceType;
     searchParams: SearchParams;
+    prefer?: SearchPreferences;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "searchset" }>;
   /**
    * Search across all FHIR resource types in the system.
@@ -904,6 +2018,9 @@ export default class Client {
    * console.log(response);
    * @param params - The request parameters.
    * @param params.searchParams - The search parameters.
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `handling: 'strict'` the server is asked to reject unknown parameters,
+   *   and a Bundle with warnings rejects with a SearchWarningError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -916,8 +2033,9 @@ export default class Client {
    */
   systemSearch(params: {
     searchParams: SearchParams;
+    prefer?: SearchPreferences;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "searchset" }>;
   /**
    * Search for FHIR resources within a compartment.
@@ -942,6 +2060,9 @@ export default class Client {
    *   "Observation").
    * @param params.compartment - The search compartment.
    * @param [params.searchParams] - The search parameters, optional.
+   * @param [params.prefer] - Optional Prefer header preferences. With
+   *   `handling: 'strict'` the server is asked to reject unknown parameters,
+   *   and a Bundle with warnings rejects with a SearchWarningError.
    * @param [params.headers] - DEPRECATED Optional custom headers to
    *   add to the request
    * @param [params.options] - Optional options object
@@ -956,8 +2077,9 @@ export default class Client {
     resourceType: ResourceType,
     compartment: Compartment,
     searchParams?: SearchParams,
+    prefer?: SearchPreferences;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "searchset" }> ;
   /**
    * Retrieve the change history for a FHIR resource id, a resource type or the
@@ -985,7 +2107,7 @@ export default class Client {
     resourceType?: ResourceType;
     id?: string;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "history" }>;
   /**
    * Retrieve the change history for a particular resource FHIR id.
@@ -1012,7 +2134,7 @@ export default class Client {
     resourceType: ResourceType,
     id: string,
     headers?: HeadersInit,
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "history" }>;
   /**
    * Retrieve the change history for a particular resource type.
@@ -1037,7 +2159,7 @@ export default class Client {
   typeHistory(params: {
     resourceType: ResourceType;
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "history" }>;
   /**
    * Retrieve the change history for all resources.
@@ -1059,6 +2181,6 @@ export default class Client {
    */
   systemHistory(params?: {
     headers?: HeadersInit;
-    options?: RequestInit;
+    options?: FhirRequestOptions;
   }): Promise<FhirResource| FhirResource & { type: "history" }>;
 }